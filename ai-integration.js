@@ -3,20 +3,170 @@
  * This script demonstrates how to integrate AI with your Cadence scheduling system
  */
 
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
-const axios = require("axios");
+const { AIProvider, createProvider } = require("./ai-providers");
+const {
+	AIScheduleError,
+	parseSchedule,
+	repairPrompt,
+	scheduleInstructions,
+	validateSchedule,
+} = require("./ai-schedule-schema");
+const { FeeEstimator, PRIORITY } = require("./fee-estimator");
+const { Cadence, FlowClient, FlowTransactionError } = require("./flow-client");
+const {
+	DECISION,
+	DEFAULT_POLICY,
+	PlanError,
+	PlanStore,
+	SUBMISSION_STATUS,
+	checkPolicy,
+} = require("./schedule-plans");
+const { ScheduleSimulator } = require("./schedule-simulator");
+
+const SYSTEM_PROMPT =
+	"You are a DeFi expert AI that creates optimal scheduling strategies for blockchain operations.";
+
+/**
+ * How each AI operation type is scheduled on Flow. `requires` lists the
+ * schedule fields the AI must supply for it. The TransactionHandlers that
+ * carry operations out are not part of this repo; options.handlers names
+ * their storage identifiers.
+ */
+const OPERATION_TYPES = {
+	yield_compound: {
+		priority: PRIORITY.MEDIUM,
+		executionEffort: 1000,
+		requires: [],
+	},
+	harvest: {
+		priority: PRIORITY.MEDIUM,
+		executionEffort: 1000,
+		requires: [],
+	},
+	rebalance: {
+		priority: PRIORITY.MEDIUM,
+		executionEffort: 2000,
+		requires: ["targetAllocation"],
+	},
+	dca: {
+		priority: PRIORITY.MEDIUM,
+		executionEffort: 1000,
+		requires: ["amount", "asset"],
+	},
+	stop_loss: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1000,
+		requires: ["asset"],
+	},
+	take_profit: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1000,
+		requires: ["asset"],
+	},
+	tax_harvest: {
+		priority: PRIORITY.LOW,
+		executionEffort: 1500,
+		requires: ["asset"],
+	},
+};
+
+const SCHEDULE_TRANSACTION = fs.readFileSync(
+	path.join(__dirname, "cadence/transactions/ScheduleAIOperation.cdc"),
+	"utf8"
+);
 
 class AICalendarDeFiScheduler {
-	constructor(flowRpcUrl, evmRpcUrl, aiApiKey) {
+	/**
+	 * @param {string} flowRpcUrl - Flow REST Access API URL
+	 * @param {string} evmRpcUrl
+	 * @param {string} aiApiKey - API key for the default AI provider
+	 * @param {object} [options]
+	 * @param {object} [options.ai] - AI settings; `provider` (name or AIProvider, default openai), `providers` (name → config or AIProvider) and per-call defaults (model, temperature, maxTokens, timeoutMs, retries)
+	 * @param {function(): number} [options.now] - clock in ms, fixed for deterministic fixture replays
+	 * @param {FlowClient} [options.flowClient] - used instead of building one from flow.json
+	 * @param {string} [options.network] - emulator | testnet | mainnet (default emulator)
+	 * @param {string} [options.signer] - flow.json account that pays for and owns the schedules
+	 * @param {string} [options.privateKey] - overrides the signer's key from flow.json
+	 * @param {string} [options.flowJsonPath]
+	 * @param {object} [options.importOverrides] - contract name → address
+	 * @param {object} [options.handlers] - operation type → storage identifier of its TransactionHandler;
+	 *   required for every type scheduled on Flow
+	 * @param {string} [options.plansFile] - where proposed plans are kept (default .ai-plans/plans.json)
+	 * @param {object} [options.policy] - overrides DEFAULT_POLICY: allowedTypes, allowedAssets, maxAmount, minLeadTimeSeconds
+	 * @param {object} [options.simulation] - dry-run settings: accessNode (default local emulator), balances, horizonMs, conflictWindowSeconds
+	 */
+	constructor(flowRpcUrl, evmRpcUrl, aiApiKey, options = {}) {
 		this.flowRpcUrl = flowRpcUrl;
 		this.evmRpcUrl = evmRpcUrl;
 		this.aiApiKey = aiApiKey;
+		this.options = options;
+		this.flow = options.flowClient || null;
+		this.now = options.now || Date.now;
+		this.providers = new Map();
+		this.plans = new PlanStore(options.plansFile);
+		this.policy = { ...DEFAULT_POLICY, ...options.policy };
+	}
+
+	/**
+	 * Provider by name, built once from `options.ai.providers[name]`. The
+	 * default provider gets `aiApiKey` unless its config has a key.
+	 */
+	getProvider(provider) {
+		if (provider instanceof AIProvider) {
+			return provider;
+		}
+
+		const { provider: defaultProvider = "openai", providers = {} } =
+			this.options.ai || {};
+		if (!provider && defaultProvider instanceof AIProvider) {
+			return defaultProvider;
+		}
+
+		const name = provider || defaultProvider;
+		if (!this.providers.has(name)) {
+			const config = providers[name] || {};
+			this.providers.set(
+				name,
+				config instanceof AIProvider
+					? config
+					: createProvider(name, {
+							apiKey:
+								name === defaultProvider
+									? this.aiApiKey
+									: undefined,
+							...config,
+						})
+			);
+		}
+		return this.providers.get(name);
+	}
+
+	/**
+	 * The Flow client is only needed once something is scheduled, so AI
+	 * analysis works without a signer configured
+	 */
+	getFlowClient() {
+		if (!this.flow) {
+			const network = this.options.network || "emulator";
+			this.flow = FlowClient.fromFlowJson({
+				network,
+				signer: this.options.signer || `${network}-account`,
+				accessNode: this.flowRpcUrl,
+				flowJsonPath: this.options.flowJsonPath,
+				privateKey: this.options.privateKey,
+				importOverrides: this.options.importOverrides,
+			});
+		}
+		return this.flow;
 	}
 
 	/**
 	 * AI-powered yield farming optimization
 	 */
-	async optimizeYieldFarming(userAddress, portfolio) {
+	async optimizeYieldFarming(userAddress, portfolio, aiOptions = {}) {
 		const aiPrompt = `
         Analyze this DeFi portfolio and suggest optimal yield farming strategies:
         Portfolio: ${JSON.stringify(portfolio)}
@@ -31,14 +181,16 @@ class AICalendarDeFiScheduler {
         Return a JSON schedule of when to compound rewards, rebalance, and harvest yields.
         `;
 
-		const aiResponse = await this.callAI(aiPrompt);
-		return this.parseAISchedule(aiResponse);
+		return this.requestSchedule(aiPrompt, {
+			label: "optimizeYieldFarming",
+			...aiOptions,
+		});
 	}
 
 	/**
 	 * AI-powered DCA (Dollar Cost Averaging) optimization
 	 */
-	async optimizeDCAStrategy(asset, amount, timeframe) {
+	async optimizeDCAStrategy(asset, amount, timeframe, aiOptions = {}) {
 		const aiPrompt = `
         Create an optimal DCA strategy for ${asset}:
         - Amount: ${amount}
@@ -53,14 +205,20 @@ class AICalendarDeFiScheduler {
         Return a schedule with specific times and amounts.
         `;
 
-		const aiResponse = await this.callAI(aiPrompt);
-		return this.parseAISchedule(aiResponse);
+		return this.requestSchedule(aiPrompt, {
+			label: "optimizeDCAStrategy",
+			...aiOptions,
+		});
 	}
 
 	/**
 	 * AI-powered portfolio rebalancing
 	 */
-	async optimizePortfolioRebalancing(portfolio, targetAllocation) {
+	async optimizePortfolioRebalancing(
+		portfolio,
+		targetAllocation,
+		aiOptions = {}
+	) {
 		const aiPrompt = `
         Optimize portfolio rebalancing:
         Current: ${JSON.stringify(portfolio)}
@@ -75,14 +233,16 @@ class AICalendarDeFiScheduler {
         Return a rebalancing schedule.
         `;
 
-		const aiResponse = await this.callAI(aiPrompt);
-		return this.parseAISchedule(aiResponse);
+		return this.requestSchedule(aiPrompt, {
+			label: "optimizePortfolioRebalancing",
+			...aiOptions,
+		});
 	}
 
 	/**
 	 * AI-powered risk management
 	 */
-	async assessRiskAndSchedule(portfolio, riskTolerance) {
+	async assessRiskAndSchedule(portfolio, riskTolerance, aiOptions = {}) {
 		const aiPrompt = `
         Assess portfolio risk and create protective schedules:
         Portfolio: ${JSON.stringify(portfolio)}
@@ -97,14 +257,16 @@ class AICalendarDeFiScheduler {
         Return risk management schedules.
         `;
 
-		const aiResponse = await this.callAI(aiPrompt);
-		return this.parseAISchedule(aiResponse);
+		return this.requestSchedule(aiPrompt, {
+			label: "assessRiskAndSchedule",
+			...aiOptions,
+		});
 	}
 
 	/**
 	 * AI-powered tax optimization
 	 */
-	async optimizeTaxHarvesting(portfolio, taxBracket) {
+	async optimizeTaxHarvesting(portfolio, taxBracket, aiOptions = {}) {
 		const aiPrompt = `
         Create tax-loss harvesting schedule:
         Portfolio: ${JSON.stringify(portfolio)}
@@ -119,30 +281,186 @@ class AICalendarDeFiScheduler {
         Return tax optimization schedule.
         `;
 
-		const aiResponse = await this.callAI(aiPrompt);
-		return this.parseAISchedule(aiResponse);
+		return this.requestSchedule(aiPrompt, {
+			label: "optimizeTaxHarvesting",
+			...aiOptions,
+		});
 	}
 
 	/**
-	 * Schedule AI-optimized operations on Flow
+	 * Propose AI-optimized operations for scheduling on Flow. Nothing is
+	 * sent: the operations are validated, checked against the policy and
+	 * saved as a pending plan for a person to review with ai-plans.js.
+	 * Submit it with submitApprovedPlan() once approved.
+	 *
+	 * With `dryRun`, no plan is saved either: the operations are simulated
+	 * on the emulator and the report comes back with each operation's
+	 * policy violations.
+	 *
+	 * @param {object[]} operations - e.g. `schedule.operations` from an optimize* method
+	 * @param {object} [options]
+	 * @param {string} [options.source] - recorded on the plan, e.g. optimizeYieldFarming
+	 * @param {boolean} [options.dryRun]
+	 * @returns {Promise<object>} the pending plan, or the simulation report
 	 */
-	async scheduleAIOperations(operations) {
+	async scheduleAIOperations(
+		operations,
+		{ source = null, dryRun = false } = {}
+	) {
+		const now = this.now();
+		const { operations: normalized } = validateSchedule(
+			{ operations },
+			{ operationTypes: OPERATION_TYPES, now }
+		);
+		if (normalized.length === 0) {
+			throw new PlanError("Nothing to schedule");
+		}
+
+		if (dryRun) {
+			const report = await this.simulateOperations(normalized);
+			return {
+				dryRun: true,
+				...report,
+				violations: normalized.map((operation) =>
+					checkPolicy(operation, this.policy, now)
+				),
+			};
+		}
+
+		return this.plans.createPlan(normalized, {
+			policy: this.policy,
+			source,
+			now,
+		});
+	}
+
+	/**
+	 * Simulate normalized operations against the local emulator (see
+	 * schedule-simulator.js): fees, execution order, conflicts and
+	 * projected balances, without sending a transaction
+	 */
+	async simulateOperations(operations) {
+		const { accessNode, flowClient, ...settings } =
+			this.options.simulation || {};
+
+		const simulator = new ScheduleSimulator({
+			flow:
+				flowClient ||
+				FlowClient.fromFlowJson({
+					network: "emulator",
+					accessNode,
+					flowJsonPath: this.options.flowJsonPath,
+					importOverrides: this.options.importOverrides,
+				}),
+			operationTypes: OPERATION_TYPES,
+			now: this.now,
+			...settings,
+		});
+		return simulator.simulate(operations);
+	}
+
+	/**
+	 * Submit the approved items of a plan that have not been submitted yet.
+	 * The plan's policy is checked again first, since time has passed since
+	 * the proposal. Items left "submitting" by a crash are not resent.
+	 * Each item's fee breakdown is recorded on its submission before it is
+	 * sent.
+	 *
+	 * @param {string} planId
+	 * @param {object} [options]
+	 * @param {function(object, object)} [options.onEstimate] - called with the operation and its fee breakdown before submitting
+	 */
+	async submitApprovedPlan(planId, { onEstimate } = {}) {
+		const plan = this.plans.load().getPlan(planId);
 		const results = [];
 
-		for (const operation of operations) {
+		for (const item of plan.items) {
+			const { operation } = item;
+			if (
+				item.decision !== DECISION.APPROVED ||
+				(item.submission &&
+					item.submission.status !== SUBMISSION_STATUS.FAILED)
+			) {
+				continue;
+			}
+
+			const violations = checkPolicy(operation, plan.policy, this.now());
+			if (violations.length > 0) {
+				const error = `Policy check failed: ${violations.join("; ")}`;
+				this.plans.recordSubmission(planId, item.index, {
+					status: SUBMISSION_STATUS.FAILED,
+					error,
+				});
+				results.push({
+					operation: operation.type,
+					scheduled: false,
+					error,
+				});
+				continue;
+			}
+
+			this.plans.recordSubmission(planId, item.index, {
+				status: SUBMISSION_STATUS.SUBMITTING,
+			});
+			let flowTxId = null;
+			let estimate = null;
 			try {
-				// Schedule on Flow blockchain
-				const result = await this.scheduleOnFlow(operation);
+				const result = await this.scheduleOnFlow(operation, {
+					onEstimate: (breakdown) => {
+						estimate = breakdown;
+						this.plans.recordSubmission(planId, item.index, {
+							status: SUBMISSION_STATUS.SUBMITTING,
+							estimate,
+						});
+						if (onEstimate) {
+							onEstimate(operation, estimate);
+						}
+					},
+					onSubmitted: (txId) => {
+						flowTxId = txId;
+						this.plans.recordSubmission(planId, item.index, {
+							status: SUBMISSION_STATUS.SUBMITTING,
+							flowTxId,
+							estimate,
+						});
+					},
+				});
+				this.plans.recordSubmission(planId, item.index, {
+					status: SUBMISSION_STATUS.SCHEDULED,
+					flowTxId: result.txId,
+					scheduledTransactionId: result.scheduledTransactionId,
+					fee: result.fee,
+					estimate,
+				});
 				results.push({
 					operation: operation.type,
 					scheduled: true,
 					flowTxId: result.txId,
+					scheduledTransactionId: result.scheduledTransactionId,
+					fee: result.fee,
+					estimate,
 					scheduledTime: operation.scheduledTime,
 				});
 			} catch (error) {
+				// Sent but not known to have reverted: it may still be
+				// scheduled, so leave it for someone to check on Flow
+				const reverted =
+					error instanceof FlowTransactionError &&
+					error.status === "Sealed";
+				this.plans.recordSubmission(planId, item.index, {
+					status:
+						flowTxId && !reverted
+							? SUBMISSION_STATUS.SUBMITTING
+							: SUBMISSION_STATUS.FAILED,
+					flowTxId,
+					estimate,
+					error: error.message,
+				});
 				results.push({
 					operation: operation.type,
 					scheduled: false,
+					flowTxId,
+					estimate,
 					error: error.message,
 				});
 			}
@@ -152,68 +470,154 @@ class AICalendarDeFiScheduler {
 	}
 
 	/**
-	 * Call AI API (OpenAI, Anthropic, etc.)
+	 * Call the configured AI provider and return its reply text
+	 *
+	 * @param {string} prompt
+	 * @param {object} [aiOptions] - per-call overrides: provider, model, temperature, maxTokens, timeoutMs, retries, label
+	 */
+	async callAI(prompt, aiOptions = {}) {
+		const { provider, providers, ...defaults } = this.options.ai || {};
+		const { provider: callProvider, ...request } = aiOptions;
+
+		return this.getProvider(callProvider).complete({
+			...defaults,
+			...request,
+			system: SYSTEM_PROMPT,
+			prompt,
+		});
+	}
+
+	/**
+	 * Ask the AI for a schedule and validate it. An invalid answer gets one
+	 * repair re-prompt listing the problems; if that is invalid too, the
+	 * AIScheduleError is thrown.
 	 */
-	async callAI(prompt) {
+	async requestSchedule(prompt, aiOptions = {}) {
+		const response = await this.callAI(
+			`${prompt}${scheduleInstructions(OPERATION_TYPES, this.now())}`,
+			aiOptions
+		);
+
 		try {
-			const response = await axios.post(
-				"https://api.openai.com/v1/chat/completions",
-				{
-					model: "gpt-4o",
-					messages: [
-						{
-							role: "system",
-							content:
-								"You are a DeFi expert AI that creates optimal scheduling strategies for blockchain operations.",
-						},
-						{
-							role: "user",
-							content: prompt,
-						},
-					],
-					temperature: 0.7,
-					max_tokens: 2000,
-				},
+			return this.parseAISchedule(response);
+		} catch (error) {
+			if (!(error instanceof AIScheduleError)) {
+				throw error;
+			}
+
+			const repaired = await this.callAI(
+				repairPrompt(error, OPERATION_TYPES, this.now()),
 				{
-					headers: {
-						Authorization: `Bearer ${this.aiApiKey}`,
-						"Content-Type": "application/json",
-					},
+					...aiOptions,
+					label: aiOptions.label && `${aiOptions.label}:repair`,
 				}
 			);
-
-			return response.data.choices[0].message.content;
-		} catch (error) {
-			console.error("AI API Error:", error);
-			throw new Error("Failed to get AI response");
+			try {
+				return this.parseAISchedule(repaired);
+			} catch (repairError) {
+				if (repairError instanceof AIScheduleError) {
+					repairError.attempts = 2;
+				}
+				throw repairError;
+			}
 		}
 	}
 
 	/**
-	 * Parse AI response into schedule format
+	 * Parse AI response into schedule format: `{ operations }` with
+	 * normalized values. Throws AIScheduleError if it doesn't match the
+	 * schedule schema.
 	 */
 	parseAISchedule(aiResponse) {
-		try {
-			// Extract JSON from AI response
-			const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-			if (jsonMatch) {
-				return JSON.parse(jsonMatch[0]);
-			}
-			throw new Error("No valid JSON found in AI response");
-		} catch (error) {
-			console.error("Failed to parse AI response:", error);
-			return { error: "Failed to parse AI schedule" };
-		}
+		return parseSchedule(aiResponse, {
+			operationTypes: OPERATION_TYPES,
+			now: this.now(),
+		});
 	}
 
 	/**
 	 * Schedule operation on Flow blockchain
+	 *
+	 * Estimates the fee first and refuses to submit if the scheduler would
+	 * reject the timestamp, then waits for the seal and reads the scheduled
+	 * transaction ID from the Scheduled event.
+	 *
+	 * @param {object} operation - { type, scheduledTime (ms since epoch), ...data }
+	 * @param {object} [options]
+	 * @param {function(object)} [options.onEstimate] - called with the fee breakdown (see fee-estimator.js) before submitting
+	 * @param {function(string)} [options.onSubmitted] - called with the tx ID before waiting for the seal
+	 * @returns {Promise<{txId: string, scheduledTransactionId: string, fee: string, estimate: object, scheduledTime: number, success: boolean}>}
 	 */
-	async scheduleOnFlow(operation) {
-		// This would integrate with your Flow scheduling system
-		// For now, return a mock response
+	async scheduleOnFlow(operation, { onEstimate, onSubmitted } = {}) {
+		const spec = OPERATION_TYPES[operation.type];
+		if (!spec) {
+			throw new Error(
+				`Unsupported operation type "${operation.type}" (expected one of ${Object.keys(
+					OPERATION_TYPES
+				).join(", ")})`
+			);
+		}
+
+		const handler = (this.options.handlers || {})[operation.type];
+		if (!handler) {
+			throw new Error(
+				`No handler for ${operation.type}: set options.handlers.${operation.type} to the storage identifier of the TransactionHandler that carries it out`
+			);
+		}
+
+		const timestamp = Math.floor(Number(operation.scheduledTime) / 1000);
+		if (!Number.isFinite(timestamp) || timestamp * 1000 <= this.now()) {
+			throw new Error(
+				`Operation ${operation.type} needs a future scheduledTime, got ${operation.scheduledTime}`
+			);
+		}
+
+		const flow = this.getFlowClient();
+		const data = JSON.stringify(operation);
+
+		const estimate = await new FeeEstimator({ flow }).estimate({
+			time: timestamp * 1000,
+			priority: spec.priority,
+			executionEffort: spec.executionEffort,
+			handler,
+			data,
+		});
+		if (onEstimate) {
+			onEstimate(estimate);
+		}
+		if (estimate.error) {
+			throw new Error(
+				`Fee estimation failed for ${operation.type}: ${estimate.error}`
+			);
+		}
+
+		const txId = await flow.sendTransaction(SCHEDULE_TRANSACTION, [
+			Cadence.String(operation.type),
+			Cadence.UFix64(`${timestamp}.0`),
+			Cadence.UInt8(spec.priority),
+			Cadence.UInt64(spec.executionEffort),
+			Cadence.String(handler),
+			Cadence.String(data),
+		]);
+		if (onSubmitted) {
+			onSubmitted(txId);
+		}
+
+		const result = await flow.waitForSeal(txId);
+		const scheduled = result.events.find((event) =>
+			/\.FlowTransactionScheduler\.Scheduled$/.test(event.type)
+		);
+		if (!scheduled) {
+			throw new Error(
+				`Transaction ${txId} sealed without a Scheduled event`
+			);
+		}
+
 		return {
-			txId: "mock_tx_" + Date.now(),
+			txId,
+			scheduledTransactionId: scheduled.data.id,
+			fee: estimate.cadenceFee,
+			estimate,
 			scheduledTime: operation.scheduledTime,
 			success: true,
 		};
@@ -221,11 +625,26 @@ class AICalendarDeFiScheduler {
 }
 
 // Example usage
-async function demonstrateAIIntegration() {
+// Recorded answers for the demo, replayed with --offline at this time
+const DEMO_FIXTURES = path.join(__dirname, "fixtures/ai-responses.json");
+const DEMO_CLOCK = Date.parse("2025-01-01T00:00:00Z");
+
+async function demonstrateAIIntegration({ offline = false } = {}) {
 	const scheduler = new AICalendarDeFiScheduler(
-		"https://access.devnet.nodes.onflow.org:9000",
+		"https://rest-testnet.onflow.org",
 		"https://rpc.testnet.flow.evm.flow.com",
-		"your-ai-api-key"
+		"your-ai-api-key",
+		{
+			network: "testnet",
+			signer: "testnet-account",
+			...(offline && {
+				ai: {
+					provider: "fixture",
+					providers: { fixture: { fixtures: DEMO_FIXTURES } },
+				},
+				now: () => DEMO_CLOCK,
+			}),
+		}
 	);
 
 	// Example portfolio
@@ -250,7 +669,11 @@ async function demonstrateAIIntegration() {
 	);
 	console.log("AI DCA Strategy:", dcaStrategy);
 
-	// Schedule AI-optimized operations
+	if (offline) {
+		return;
+	}
+
+	// Propose AI-optimized operations for approval
 	const operations = [
 		{
 			type: "yield_compound",
@@ -265,14 +688,25 @@ async function demonstrateAIIntegration() {
 		},
 	];
 
-	const results = await scheduler.scheduleAIOperations(operations);
-	console.log("Scheduled Operations:", results);
+	const plan = await scheduler.scheduleAIOperations(operations, {
+		source: "demo",
+	});
+	console.log(
+		`Plan ${plan.id} awaits approval: node ai-plans.js show ${plan.id}`
+	);
 }
 
 // Export for use in other modules
-module.exports = { AICalendarDeFiScheduler, demonstrateAIIntegration };
+module.exports = {
+	AICalendarDeFiScheduler,
+	OPERATION_TYPES,
+	PRIORITY,
+	demonstrateAIIntegration,
+};
 
 // Run demonstration if called directly
 if (require.main === module) {
-	demonstrateAIIntegration().catch(console.error);
+	demonstrateAIIntegration({
+		offline: process.argv.includes("--offline"),
+	}).catch(console.error);
 }
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * AI Plans - Review, approve and submit AI-proposed schedules
+ *
+ * Usage:
+ *   node ai-plans.js list [status]
+ *   node ai-plans.js show <planId>
+ *   node ai-plans.js approve <planId> [item...] [--by <name>]
+ *   node ai-plans.js reject <planId> [item...] [--reason <text>] [--by <name>]
+ *   node ai-plans.js submit <planId>
+ *
+ * Without item numbers, approve/reject applies to every undecided item.
+ * Items that break the plan's policy can only be rejected. `submit` sends
+ * approved items to Flow using FLOW_NETWORK (default emulator),
+ * FLOW_SIGNER, FLOW_ACCESS_API and FLOW_PRIVATE_KEY, printing each item's
+ * fee breakdown before it is sent. AI_HANDLERS names the storage identifier
+ * of the handler for each operation type submitted, e.g.
+ * "dca=DCAPurchaseHandler,rebalance=PortfolioRebalanceHandler". The plan
+ * file is AI_PLANS_FILE, default .ai-plans/plans.json.
+ */
+
+const { AICalendarDeFiScheduler } = require("./ai-integration");
+const { describeEstimate } = require("./fee-estimator");
+const { DECISION, DEFAULT_PLANS_FILE, PlanStore } = require("./schedule-plans");
+
+function describe(operation) {
+	const parts = [operation.type];
+	if (operation.amount) {
+		parts.push(operation.amount);
+	}
+	if (operation.asset) {
+		parts.push(operation.asset);
+	}
+	if (operation.targetAllocation) {
+		parts.push(JSON.stringify(operation.targetAllocation));
+	}
+	parts.push(`at ${new Date(operation.scheduledTime).toISOString()}`);
+	if (operation.recurrence) {
+		parts.push(`every ${operation.recurrence.intervalSeconds}s`);
+		if (operation.recurrence.maxExecutions) {
+			parts.push(`x${operation.recurrence.maxExecutions}`);
+		}
+	}
+	return parts.join(" ");
+}
+
+function list(store, [status]) {
+	const plans = store.listPlans(status ? [status] : null);
+
+	if (plans.length === 0) {
+		console.log("📭 No plans");
+		return;
+	}
+
+	for (const plan of plans) {
+		const violations = plan.items.filter(
+			(item) => item.violations.length > 0
+		).length;
+		console.log(
+			`${plan.id}\t${plan.status}\t${plan.createdAt}\t${
+				plan.source || "-"
+			}\t${plan.items.length} item(s)${
+				violations ? `, ${violations} breaking policy` : ""
+			}`
+		);
+	}
+}
+
+function show(store, [planId]) {
+	const plan = store.getPlan(planId);
+
+	console.log(`📋 Plan ${plan.id} (${plan.status})`);
+	console.log(`   Source:  ${plan.source || "-"}`);
+	console.log(`   Created: ${plan.createdAt}`);
+	console.log(`   Policy:  ${JSON.stringify(plan.policy)}\n`);
+
+	for (const item of plan.items) {
+		console.log(`[${item.index}] ${describe(item.operation)}`);
+		console.log(`    Change:   ${item.diff.change}`);
+		for (const previous of item.diff.previous) {
+			console.log(
+				`      was ${describe(previous.operation)} (plan ${
+					previous.planId
+				}, scheduled tx ${previous.scheduledTransactionId})`
+			);
+		}
+		if (item.operation.rationale) {
+			console.log(`    Why:      ${item.operation.rationale}`);
+		}
+		for (const violation of item.violations) {
+			console.log(`    ⛔ ${violation}`);
+		}
+		console.log(
+			`    Decision: ${item.decision}${
+				item.decidedBy ? ` by ${item.decidedBy}` : ""
+			}${item.reason ? ` (${item.reason})` : ""}`
+		);
+		if (item.submission) {
+			console.log(
+				`    Flow:     ${item.submission.status}${
+					item.submission.flowTxId
+						? ` tx ${item.submission.flowTxId}`
+						: ""
+				}${
+					item.submission.scheduledTransactionId
+						? ` scheduled ${item.submission.scheduledTransactionId}`
+						: ""
+				}${item.submission.error ? ` - ${item.submission.error}` : ""}`
+			);
+		}
+	}
+}
+
+/**
+ * Split positional item numbers from --flag value pairs
+ */
+function parseDecisionArgs(args) {
+	const indexes = [];
+	const flags = {};
+	for (let i = 0; i < args.length; i++) {
+		if (args[i].startsWith("--")) {
+			flags[args[i].slice(2)] = args[i + 1];
+			i++;
+		} else if (/^\d+$/.test(args[i])) {
+			indexes.push(Number(args[i]));
+		} else {
+			throw new Error(`Expected an item number, got "${args[i]}"`);
+		}
+	}
+	return { indexes, flags };
+}
+
+function decide(store, [planId, ...args], decision) {
+	const { indexes, flags } = parseDecisionArgs(args);
+	const plan = store.decide(planId, indexes, decision, {
+		by: flags.by || process.env.USER || null,
+		reason: flags.reason || null,
+	});
+	console.log(
+		`${decision === DECISION.APPROVED ? "✅" : "🚫"} Plan ${
+			plan.id
+		} is now ${plan.status}`
+	);
+}
+
+/**
+ * "type=Identifier,..." → { type: Identifier }
+ */
+function parseHandlers(text = "") {
+	const handlers = {};
+	for (const entry of text.split(",").filter((part) => part.trim())) {
+		const [type, handler] = entry.split("=").map((part) => part.trim());
+		if (!type || !handler) {
+			throw new Error(
+				`AI_HANDLERS: expected type=Identifier, got "${entry}"`
+			);
+		}
+		handlers[type] = handler;
+	}
+	return handlers;
+}
+
+async function submit(store, [planId]) {
+	const network = process.env.FLOW_NETWORK || "emulator";
+	const scheduler = new AICalendarDeFiScheduler(
+		process.env.FLOW_ACCESS_API,
+		null,
+		null,
+		{
+			network,
+			signer: process.env.FLOW_SIGNER || `${network}-account`,
+			privateKey: process.env.FLOW_PRIVATE_KEY,
+			plansFile: store.filePath,
+			handlers: parseHandlers(process.env.AI_HANDLERS),
+		}
+	);
+
+	const results = await scheduler.submitApprovedPlan(planId, {
+		onEstimate: (operation, estimate) => {
+			console.log(`🔢 ${operation.type}:`);
+			for (const line of describeEstimate(estimate)) {
+				console.log(`   ${line}`);
+			}
+		},
+	});
+	if (results.length === 0) {
+		console.log(`Nothing to submit in plan ${planId}`);
+		return;
+	}
+
+	for (const result of results) {
+		console.log(
+			result.scheduled
+				? `🚀 ${result.operation} scheduled: tx ${result.flowTxId}, scheduled tx ${result.scheduledTransactionId}, fee ${result.fee}`
+				: `❌ ${result.operation} not scheduled: ${result.error}`
+		);
+	}
+	if (results.some((result) => !result.scheduled)) {
+		process.exitCode = 1;
+	}
+}
+
+async function main(argv) {
+	const [command, ...args] = argv;
+	const commands = {
+		list,
+		show,
+		approve: (store, rest) => decide(store, rest, DECISION.APPROVED),
+		reject: (store, rest) => decide(store, rest, DECISION.REJECTED),
+		submit,
+	};
+
+	if (!commands[command]) {
+		console.log(
+			"Usage: node ai-plans.js list [status] | show <planId> | approve <planId> [item...] [--by <name>] | reject <planId> [item...] [--reason <text>] | submit <planId>"
+		);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+
+	const store = new PlanStore(
+		process.env.AI_PLANS_FILE || DEFAULT_PLANS_FILE
+	).load();
+	await commands[command](store, args);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
@@ -0,0 +1,396 @@
+/**
+ * AI Providers - Chat completion adapters behind one interface
+ *
+ *   const provider = createProvider("anthropic", { apiKey });
+ *   const text = await provider.complete({ system, prompt, maxTokens: 1000 });
+ *
+ * Every provider takes the same request and returns the reply text. Model,
+ * temperature, token limit, timeout and retries default from the provider's
+ * config and can be overridden on each request. Timeouts, rate limits and
+ * 5xx responses are retried with backoff; other 4xx responses are not.
+ *
+ * FixtureProvider answers from recorded responses so AI flows run offline
+ * and deterministically; with a `record` provider it captures new ones.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { RetryPolicy, classifyError } = require("./bridge-retry");
+
+class AIProviderError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} [details]
+	 * @param {string} [details.provider]
+	 * @param {number} [details.status] - HTTP status, when the server answered
+	 * @param {number} [details.attempts]
+	 * @param {Error} [details.cause]
+	 */
+	constructor(message, { provider, status, attempts, cause } = {}) {
+		super(message, { cause });
+		this.name = "AIProviderError";
+		this.provider = provider;
+		this.status = status;
+		this.attempts = attempts;
+	}
+}
+
+class AIProvider {
+	/**
+	 * @param {string} name
+	 * @param {object} [config]
+	 * @param {string} [config.model]
+	 * @param {number} [config.temperature]
+	 * @param {number} [config.maxTokens]
+	 * @param {number} [config.timeoutMs] - per attempt
+	 * @param {number} [config.retries] - extra attempts after the first
+	 * @param {number} [config.retryDelayMs] - backoff before the first retry
+	 */
+	constructor(
+		name,
+		{
+			model,
+			temperature = 0.7,
+			maxTokens = 2000,
+			timeoutMs = 60000,
+			retries = 2,
+			retryDelayMs = 1000,
+		} = {}
+	) {
+		this.name = name;
+		this.model = model;
+		this.temperature = temperature;
+		this.maxTokens = maxTokens;
+		this.timeoutMs = timeoutMs;
+		this.retries = retries;
+		this.retryDelayMs = retryDelayMs;
+	}
+
+	/**
+	 * @param {object} request
+	 * @param {string} [request.system]
+	 * @param {string} request.prompt
+	 * @param {string} [request.model]
+	 * @param {number} [request.temperature]
+	 * @param {number} [request.maxTokens]
+	 * @param {number} [request.timeoutMs]
+	 * @param {number} [request.retries]
+	 * @returns {Promise<string>} the reply text
+	 */
+	async complete(request) {
+		const resolved = {
+			system: request.system,
+			prompt: request.prompt,
+			model: request.model || this.model,
+			temperature: request.temperature ?? this.temperature,
+			maxTokens: request.maxTokens ?? this.maxTokens,
+			timeoutMs: request.timeoutMs ?? this.timeoutMs,
+		};
+		const policy = new RetryPolicy({
+			maxAttempts: (request.retries ?? this.retries) + 1,
+			baseDelayMs: this.retryDelayMs,
+			maxDelayMs: 30000,
+		});
+
+		for (let attempts = 1; ; attempts++) {
+			try {
+				return await this.send(resolved);
+			} catch (error) {
+				if (!policy.shouldRetry(attempts, classifyError(error))) {
+					throw new AIProviderError(
+						`${this.name} request failed after ${attempts} attempt${
+							attempts === 1 ? "" : "s"
+						}: ${error.message}`,
+						{
+							provider: this.name,
+							status: error.status,
+							attempts,
+							cause: error,
+						}
+					);
+				}
+				await new Promise((resolve) =>
+					setTimeout(resolve, policy.delayFor(attempts))
+				);
+			}
+		}
+	}
+
+	/**
+	 * One attempt; implemented by each adapter
+	 */
+	async send() {
+		throw new Error(`${this.name} provider does not implement send()`);
+	}
+
+	async postJson(url, body, headers, timeoutMs) {
+		let response;
+		try {
+			response = await fetch(url, {
+				method: "POST",
+				headers: { "Content-Type": "application/json", ...headers },
+				body: JSON.stringify(body),
+				signal: AbortSignal.timeout(timeoutMs),
+			});
+		} catch (error) {
+			if (error.name === "TimeoutError") {
+				throw new Error(`timed out after ${timeoutMs}ms`, {
+					cause: error,
+				});
+			}
+			throw error;
+		}
+
+		const text = await response.text();
+		let payload = null;
+		try {
+			payload = text ? JSON.parse(text) : null;
+		} catch (error) {
+			// Proxies and gateways answer errors in HTML
+		}
+
+		if (!response.ok) {
+			const message =
+				(payload && payload.error && payload.error.message) ||
+				(payload &&
+					typeof payload.error === "string" &&
+					payload.error) ||
+				response.statusText;
+			const error = new Error(`HTTP ${response.status}: ${message}`);
+			error.status = response.status;
+			throw error;
+		}
+		if (payload === null) {
+			throw new Error(`Invalid JSON response from ${url}`);
+		}
+		return payload;
+	}
+}
+
+/**
+ * OpenAI chat completions and compatible servers (Azure OpenAI proxies,
+ * vLLM, LM Studio, OpenRouter...)
+ */
+class OpenAIProvider extends AIProvider {
+	constructor({
+		baseUrl = "https://api.openai.com/v1",
+		apiKey,
+		model = "gpt-4o",
+		...config
+	} = {}) {
+		super("openai", { model, ...config });
+		this.baseUrl = baseUrl.replace(/\/$/, "");
+		this.apiKey = apiKey;
+	}
+
+	async send({ system, prompt, model, temperature, maxTokens, timeoutMs }) {
+		const payload = await this.postJson(
+			`${this.baseUrl}/chat/completions`,
+			{
+				model,
+				messages: [
+					...(system ? [{ role: "system", content: system }] : []),
+					{ role: "user", content: prompt },
+				],
+				temperature,
+				max_tokens: maxTokens,
+			},
+			this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+			timeoutMs
+		);
+
+		const choice = (payload.choices || [])[0];
+		if (!choice || !choice.message || choice.message.content == null) {
+			throw new Error("Response has no message content");
+		}
+		return choice.message.content;
+	}
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends AIProvider {
+	constructor({
+		baseUrl = "https://api.anthropic.com",
+		apiKey,
+		model = "claude-3-5-sonnet-latest",
+		apiVersion = "2023-06-01",
+		...config
+	} = {}) {
+		super("anthropic", { model, ...config });
+		this.baseUrl = baseUrl.replace(/\/$/, "");
+		this.apiKey = apiKey;
+		this.apiVersion = apiVersion;
+	}
+
+	async send({ system, prompt, model, temperature, maxTokens, timeoutMs }) {
+		const payload = await this.postJson(
+			`${this.baseUrl}/v1/messages`,
+			{
+				model,
+				...(system ? { system } : {}),
+				messages: [{ role: "user", content: prompt }],
+				temperature,
+				max_tokens: maxTokens,
+			},
+			{
+				...(this.apiKey ? { "x-api-key": this.apiKey } : {}),
+				"anthropic-version": this.apiVersion,
+			},
+			timeoutMs
+		);
+
+		const text = (payload.content || [])
+			.filter((block) => block.type === "text")
+			.map((block) => block.text)
+			.join("");
+		if (!text) {
+			throw new Error("Response has no text content");
+		}
+		return text;
+	}
+}
+
+/**
+ * Local Ollama-style server (/api/chat without streaming)
+ */
+class OllamaProvider extends AIProvider {
+	constructor({
+		baseUrl = "http://127.0.0.1:11434",
+		model = "llama3.1",
+		timeoutMs = 300000,
+		...config
+	} = {}) {
+		super("ollama", { model, timeoutMs, ...config });
+		this.baseUrl = baseUrl.replace(/\/$/, "");
+	}
+
+	async send({ system, prompt, model, temperature, maxTokens, timeoutMs }) {
+		const payload = await this.postJson(
+			`${this.baseUrl}/api/chat`,
+			{
+				model,
+				messages: [
+					...(system ? [{ role: "system", content: system }] : []),
+					{ role: "user", content: prompt },
+				],
+				stream: false,
+				options: { temperature, num_predict: maxTokens },
+			},
+			{},
+			timeoutMs
+		);
+
+		if (!payload.message || payload.message.content == null) {
+			throw new Error("Response has no message content");
+		}
+		return payload.message.content;
+	}
+}
+
+/**
+ * Stable key for a request: what was asked, not which model answered
+ */
+function fixtureKey({ system, prompt }) {
+	return crypto
+		.createHash("sha256")
+		.update(JSON.stringify([system || "", prompt]))
+		.digest("hex")
+		.slice(0, 16);
+}
+
+/**
+ * Replays recorded responses. A request matches a fixture by the hash of
+ * its system and user prompt, or else by its `label` (e.g. the optimize*
+ * method name) so fixtures can also be written by hand.
+ */
+class FixtureProvider extends AIProvider {
+	/**
+	 * @param {object} [config]
+	 * @param {object|string} [config.fixtures] - key → { response }, or a JSON file of them
+	 * @param {AIProvider} [config.record] - answers misses; its responses are saved to the file
+	 */
+	constructor({ fixtures = {}, record = null, ...config } = {}) {
+		super("fixture", { model: "fixture", ...config });
+		this.record = record;
+		this.file = null;
+		this.fixtures = fixtures;
+
+		if (typeof fixtures === "string") {
+			this.file = path.resolve(fixtures);
+			this.fixtures = fs.existsSync(this.file)
+				? JSON.parse(fs.readFileSync(this.file, "utf8"))
+				: {};
+		}
+	}
+
+	async complete(request) {
+		const key = fixtureKey(request);
+		const fixture =
+			this.fixtures[key] ||
+			(request.label ? this.fixtures[request.label] : undefined);
+		if (fixture) {
+			return fixture.response;
+		}
+
+		if (!this.record) {
+			throw new AIProviderError(
+				`No fixture for ${
+					request.label ? `"${request.label}" ` : ""
+				}prompt ${key}`,
+				{ provider: this.name, attempts: 1 }
+			);
+		}
+
+		const response = await this.record.complete(request);
+		this.fixtures[key] = {
+			label: request.label,
+			prompt: request.prompt,
+			response,
+		};
+		if (this.file) {
+			fs.mkdirSync(path.dirname(this.file), { recursive: true });
+			fs.writeFileSync(
+				this.file,
+				`${JSON.stringify(this.fixtures, null, 2)}\n`
+			);
+		}
+		return response;
+	}
+}
+
+const PROVIDERS = {
+	openai: OpenAIProvider,
+	anthropic: AnthropicProvider,
+	ollama: OllamaProvider,
+	fixture: FixtureProvider,
+};
+
+/**
+ * Build a provider by name: openai | anthropic | ollama | fixture
+ */
+function createProvider(name, config = {}) {
+	const Provider = PROVIDERS[name];
+	if (!Provider) {
+		throw new Error(
+			`Unknown AI provider "${name}" (expected one of ${Object.keys(
+				PROVIDERS
+			).join(", ")})`
+		);
+	}
+	return new Provider(config);
+}
+
+module.exports = {
+	AIProvider,
+	AIProviderError,
+	AnthropicProvider,
+	FixtureProvider,
+	OllamaProvider,
+	OpenAIProvider,
+	PROVIDERS,
+	createProvider,
+	fixtureKey,
+};
@@ -0,0 +1,502 @@
+/**
+ * AI Schedule Schema - Validates and normalizes schedules proposed by the AI
+ *
+ * The AI is asked for exactly this shape:
+ *
+ *   {
+ *     "operations": [
+ *       {
+ *         "type": "yield_compound",
+ *         "scheduledTime": "2025-06-01T12:00:00Z",   // ISO 8601 or Unix seconds/milliseconds
+ *         "amount": "100.5",                          // optional, UFix64
+ *         "asset": "FLOW",                            // optional
+ *         "recurrence": "weekly",                     // optional: hourly | daily | weekly or { intervalSeconds, maxExecutions }
+ *         "targetAllocation": { "ETH": 0.6, "USDC": 0.4 }, // rebalance only
+ *         "rationale": "Compound before the epoch ends"
+ *       }
+ *     ]
+ *   }
+ *
+ * Output is normalized to what scheduleOnFlow() and the Cadence scheduler
+ * accept: whole-second future times in milliseconds, UFix64 amount strings
+ * and known operation types. Anything else is collected into one
+ * AIScheduleError so the AI can be asked to fix all of it at once.
+ */
+
+const {
+	ConversionError,
+	UFIX64_DECIMALS,
+	toUFix64,
+} = require("./bridge-conversion");
+const { isPlainObject } = require("./json-store");
+
+const MAX_OPERATIONS = 50;
+const MAX_RATIONALE_LENGTH = 1000;
+
+const RECURRENCE_INTERVALS = {
+	hourly: 3600,
+	daily: 86400,
+	weekly: 604800,
+};
+
+// Unix seconds stay below this until the year 5138; milliseconds are above it
+const SECONDS_CUTOFF = 1e11;
+
+const OPERATION_FIELDS = [
+	"type",
+	"scheduledTime",
+	"amount",
+	"asset",
+	"recurrence",
+	"targetAllocation",
+	"rationale",
+];
+
+class AIScheduleError extends Error {
+	/**
+	 * @param {string[]} problems - one line per invalid field
+	 * @param {object} [details]
+	 * @param {string} [details.response] - the raw AI response that failed
+	 * @param {number} [details.attempts] - AI calls made, including repairs
+	 */
+	constructor(problems, { response = null, attempts = 1 } = {}) {
+		super(
+			`Invalid AI schedule:\n${problems
+				.map((problem) => `  - ${problem}`)
+				.join("\n")}`
+		);
+		this.name = "AIScheduleError";
+		this.problems = problems;
+		this.response = response;
+		this.attempts = attempts;
+	}
+}
+
+/**
+ * Index just past the JSON object or array starting at `start`, honouring
+ * strings so braces inside them don't count. -1 if it never closes.
+ */
+function findJsonEnd(text, start) {
+	let depth = 0;
+	let inString = false;
+
+	for (let index = start; index < text.length; index++) {
+		const char = text[index];
+		if (inString) {
+			if (char === "\\") {
+				index++;
+			} else if (char === '"') {
+				inString = false;
+			}
+		} else if (char === '"') {
+			inString = true;
+		} else if (char === "{" || char === "[") {
+			depth++;
+		} else if (char === "}" || char === "]") {
+			depth--;
+			if (depth === 0) {
+				return index + 1;
+			}
+		}
+	}
+	return -1;
+}
+
+/**
+ * Pull the schedule JSON out of a chat response: the whole response, a
+ * fenced ```json block, or the first balanced {...} in surrounding prose
+ * that parses
+ */
+function extractJson(response) {
+	if (typeof response !== "string" || response.trim() === "") {
+		throw new AIScheduleError(["response: empty"], { response });
+	}
+
+	const fenced = response.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+	const text = (fenced ? fenced[1] : response).trim();
+
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		// Fall through to scanning for an embedded object
+	}
+
+	// Prose around the JSON may contain braces of its own, so try each
+	// balanced candidate in turn
+	let lastError = null;
+	for (
+		let start = text.indexOf("{");
+		start !== -1;
+		start = text.indexOf("{", start + 1)
+	) {
+		const end = findJsonEnd(text, start);
+		if (end === -1) {
+			continue;
+		}
+		try {
+			return JSON.parse(text.slice(start, end));
+		} catch (error) {
+			lastError = error;
+		}
+	}
+
+	throw new AIScheduleError(
+		[
+			lastError
+				? `response: invalid JSON (${lastError.message})`
+				: "response: no JSON object found",
+		],
+		{ response }
+	);
+}
+
+function normalizeTime(value, now, location, problems) {
+	let ms;
+	if (typeof value === "number" && Number.isFinite(value)) {
+		ms = value < SECONDS_CUTOFF ? value * 1000 : value;
+	} else if (typeof value === "string" && /^\d+$/.test(value.trim())) {
+		const number = Number(value);
+		ms = number < SECONDS_CUTOFF ? number * 1000 : number;
+	} else if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+		ms = Date.parse(value);
+	} else {
+		problems.push(
+			`${location}: expected an ISO 8601 time or Unix timestamp, got ${JSON.stringify(
+				value
+			)}`
+		);
+		return undefined;
+	}
+
+	if (!Number.isFinite(ms)) {
+		problems.push(`${location}: "${value}" is not a valid time`);
+		return undefined;
+	}
+
+	// The Cadence scheduler works in whole seconds
+	ms = Math.floor(ms / 1000) * 1000;
+	if (ms <= now) {
+		problems.push(
+			`${location}: ${new Date(ms).toISOString()} is not in the future`
+		);
+		return undefined;
+	}
+	return ms;
+}
+
+/**
+ * Decimal number or string → UFix64 string, rejecting anything the
+ * Cadence type can't hold exactly
+ */
+function normalizeAmount(value, location, problems) {
+	let text = value;
+	if (typeof value === "number" && Number.isFinite(value)) {
+		// Shortest round-trip form, spelling out exponents like 1e-9
+		text = /e/i.test(String(value))
+			? value.toFixed(20).replace(/\.?0+$/, "")
+			: String(value);
+	}
+
+	const match =
+		typeof text === "string" && text.trim().match(/^(\d+)(?:\.(\d+))?$/);
+	if (!match) {
+		problems.push(
+			`${location}: expected a positive decimal amount, got ${JSON.stringify(
+				value
+			)}`
+		);
+		return undefined;
+	}
+
+	const [, whole, fraction = ""] = match;
+	if (fraction.replace(/0+$/, "").length > UFIX64_DECIMALS) {
+		problems.push(
+			`${location}: ${value} has more than ${UFIX64_DECIMALS} decimal places`
+		);
+		return undefined;
+	}
+
+	try {
+		const amount = toUFix64(
+			location,
+			`${whole}${fraction.slice(0, UFIX64_DECIMALS).padEnd(UFIX64_DECIMALS, "0")}`,
+			UFIX64_DECIMALS
+		);
+		if (amount === "0.0") {
+			problems.push(`${location}: must be greater than zero`);
+			return undefined;
+		}
+		return amount;
+	} catch (error) {
+		if (error instanceof ConversionError) {
+			problems.push(
+				`${location}: ${value} exceeds the UFix64 maximum of 184467440737.09551615`
+			);
+			return undefined;
+		}
+		throw error;
+	}
+}
+
+function normalizeRecurrence(value, location, problems) {
+	if (value === undefined || value === null) {
+		return null;
+	}
+
+	if (typeof value === "string") {
+		const intervalSeconds = RECURRENCE_INTERVALS[value.toLowerCase()];
+		if (!intervalSeconds) {
+			problems.push(
+				`${location}: expected one of ${Object.keys(
+					RECURRENCE_INTERVALS
+				).join(", ")} or { intervalSeconds, maxExecutions }`
+			);
+			return undefined;
+		}
+		return { intervalSeconds, maxExecutions: null };
+	}
+
+	if (!isPlainObject(value)) {
+		problems.push(`${location}: expected a string or an object`);
+		return undefined;
+	}
+
+	const { intervalSeconds, maxExecutions = null, ...rest } = value;
+	const before = problems.length;
+	for (const key of Object.keys(rest)) {
+		problems.push(`${location}.${key}: unknown field`);
+	}
+	if (!Number.isInteger(intervalSeconds) || intervalSeconds <= 0) {
+		problems.push(
+			`${location}.intervalSeconds: expected a positive integer`
+		);
+	}
+	if (
+		maxExecutions !== null &&
+		(!Number.isInteger(maxExecutions) || maxExecutions <= 0)
+	) {
+		problems.push(
+			`${location}.maxExecutions: expected a positive integer or null`
+		);
+	}
+	return problems.length === before
+		? { intervalSeconds, maxExecutions }
+		: undefined;
+}
+
+function normalizeAllocation(value, location, problems) {
+	if (!isPlainObject(value) || Object.keys(value).length === 0) {
+		problems.push(`${location}: expected an object of asset → fraction`);
+		return undefined;
+	}
+
+	const before = problems.length;
+	const allocation = {};
+	let total = 0;
+	for (const [asset, fraction] of Object.entries(value)) {
+		if (typeof fraction !== "number" || fraction < 0 || fraction > 1) {
+			problems.push(
+				`${location}.${asset}: expected a fraction from 0 to 1`
+			);
+			continue;
+		}
+		allocation[asset.toUpperCase()] = fraction;
+		total += fraction;
+	}
+	if (problems.length === before && Math.abs(total - 1) > 0.001) {
+		problems.push(`${location}: fractions add up to ${total}, not 1`);
+	}
+	return problems.length === before ? allocation : undefined;
+}
+
+function normalizeOperation(operation, location, options, problems) {
+	if (!isPlainObject(operation)) {
+		problems.push(`${location}: expected an object`);
+		return null;
+	}
+
+	for (const key of Object.keys(operation)) {
+		if (!OPERATION_FIELDS.includes(key)) {
+			problems.push(`${location}.${key}: unknown field`);
+		}
+	}
+
+	const spec = options.operationTypes[operation.type];
+	if (!spec) {
+		problems.push(
+			`${location}.type: expected one of ${Object.keys(
+				options.operationTypes
+			).join(", ")}, got ${JSON.stringify(operation.type)}`
+		);
+	}
+	for (const field of (spec && spec.requires) || []) {
+		if (operation[field] === undefined || operation[field] === null) {
+			problems.push(
+				`${location}.${field}: required for ${operation.type}`
+			);
+		}
+	}
+
+	const result = { type: operation.type };
+
+	if (operation.scheduledTime === undefined) {
+		problems.push(`${location}.scheduledTime: required`);
+	} else {
+		result.scheduledTime = normalizeTime(
+			operation.scheduledTime,
+			options.now,
+			`${location}.scheduledTime`,
+			problems
+		);
+	}
+
+	if (operation.amount !== undefined && operation.amount !== null) {
+		result.amount = normalizeAmount(
+			operation.amount,
+			`${location}.amount`,
+			problems
+		);
+	}
+
+	if (operation.asset !== undefined && operation.asset !== null) {
+		if (
+			typeof operation.asset !== "string" ||
+			!/^[A-Za-z0-9]{1,16}$/.test(operation.asset)
+		) {
+			problems.push(
+				`${location}.asset: expected a token symbol, got ${JSON.stringify(
+					operation.asset
+				)}`
+			);
+		} else {
+			result.asset = operation.asset.toUpperCase();
+		}
+	}
+
+	result.recurrence = normalizeRecurrence(
+		operation.recurrence,
+		`${location}.recurrence`,
+		problems
+	);
+
+	if (operation.targetAllocation !== undefined) {
+		result.targetAllocation = normalizeAllocation(
+			operation.targetAllocation,
+			`${location}.targetAllocation`,
+			problems
+		);
+	}
+
+	if (operation.rationale !== undefined && operation.rationale !== null) {
+		if (typeof operation.rationale !== "string") {
+			problems.push(`${location}.rationale: expected a string`);
+		} else {
+			result.rationale = operation.rationale
+				.trim()
+				.slice(0, MAX_RATIONALE_LENGTH);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Validate a parsed AI schedule. Returns `{ operations }` with normalized
+ * values, or throws AIScheduleError listing every problem.
+ *
+ * @param {object} schedule - parsed JSON from the AI
+ * @param {object} options
+ * @param {object} options.operationTypes - type → { requires: [field, ...] }
+ * @param {number} [options.now] - ms since epoch, for the future-time check
+ */
+function validateSchedule(schedule, { operationTypes, now = Date.now() }) {
+	const problems = [];
+
+	if (!isPlainObject(schedule)) {
+		throw new AIScheduleError([
+			'schedule: expected an object with an "operations" array',
+		]);
+	}
+	for (const key of Object.keys(schedule)) {
+		if (key !== "operations") {
+			problems.push(`${key}: unknown field`);
+		}
+	}
+	if (!Array.isArray(schedule.operations)) {
+		problems.push("operations: expected an array");
+		throw new AIScheduleError(problems);
+	}
+	if (schedule.operations.length > MAX_OPERATIONS) {
+		problems.push(
+			`operations: ${schedule.operations.length} operations, at most ${MAX_OPERATIONS} allowed`
+		);
+	}
+
+	const operations = schedule.operations.map((operation, index) =>
+		normalizeOperation(
+			operation,
+			`operations[${index}]`,
+			{ operationTypes, now },
+			problems
+		)
+	);
+
+	if (problems.length > 0) {
+		throw new AIScheduleError(problems);
+	}
+	return { operations };
+}
+
+/**
+ * Extract and validate a schedule from a raw AI response
+ */
+function parseSchedule(response, options) {
+	try {
+		return validateSchedule(extractJson(response), options);
+	} catch (error) {
+		if (error instanceof AIScheduleError && error.response === null) {
+			throw new AIScheduleError(error.problems, { response });
+		}
+		throw error;
+	}
+}
+
+/**
+ * Instructions appended to every prompt so the AI answers in the schema
+ */
+function scheduleInstructions(operationTypes, now = Date.now()) {
+	return `
+        The current time is ${new Date(now).toISOString()}.
+        Respond with only a JSON object, no prose, in exactly this shape:
+        {"operations": [{"type": "<${Object.keys(operationTypes).join(
+			" | "
+		)}>", "scheduledTime": "<ISO 8601 UTC time in the future>", "amount": "<decimal string, at most ${UFIX64_DECIMALS} decimals>", "asset": "<token symbol>", "recurrence": "<hourly | daily | weekly, or null>", "rationale": "<one sentence>"}]}
+        "rebalance" operations also take "targetAllocation": {"<asset>": <fraction>} with fractions adding up to 1.
+        `;
+}
+
+/**
+ * Follow-up prompt asking the AI to fix its previous answer
+ */
+function repairPrompt(error, operationTypes, now = Date.now()) {
+	return `
+        Your previous schedule was rejected:
+        ${error.problems.join("\n        ")}
+
+        Previous response:
+        ${error.response}
+
+        Return the corrected schedule.
+        ${scheduleInstructions(operationTypes, now)}`;
+}
+
+module.exports = {
+	AIScheduleError,
+	MAX_OPERATIONS,
+	RECURRENCE_INTERVALS,
+	extractJson,
+	parseSchedule,
+	repairPrompt,
+	scheduleInstructions,
+	validateSchedule,
+};
@@ -3,184 +3,1201 @@
 /**
  * Auto Bridge Service - Connects EVM to Cadence Automatically
  * This is the ONLY service you need to run!
+ *
+ * Run it directly (node auto-bridge.js), or import AutoBridge and manage
+ * it with start() / stop() - importing has no side effects.
  */
 
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
-const { exec } = require("child_process");
-const { promisify } = require("util");
+const { BridgeStore, EVENT_STATUS, storePathFor } = require("./bridge-store");
+const { loadBridgeConfig } = require("./bridge-config");
+const { ConversionError, convertBridgeCall } = require("./bridge-conversion");
+const {
+	ERROR_CLASS,
+	PermanentBridgeError,
+	RetryPolicy,
+	classifyError,
+} = require("./bridge-retry");
+const { createHealthServer, withTimeout } = require("./bridge-health");
+const { InstanceLock, LockHeldError } = require("./bridge-lock");
+const { Logger } = require("./bridge-logger");
+const { createBridgeMetrics } = require("./bridge-metrics");
+const { StatusSync } = require("./bridge-status-sync");
+const { TokenRegistry } = require("./token-registry");
+const { Cadence, FlowClient, FlowTransactionError } = require("./flow-client");
 
-const execAsync = promisify(exec);
-
-// Configuration
-const CONFIG = {
-	// Flow EVM RPC
-	RPC_URL: "https://testnet.evm.nodes.onflow.org",
-
-	// Your EVM contract address (UPDATE THIS when you deploy UpdatedEVMScheduler.sol)
-	EVM_CONTRACT_ADDRESS: "0xf8e81D47203A594245E36C48e151709F0C19fBe8", // ✅ UPDATED!
-
-	// Flow configuration
-	FLOW_NETWORK: "testnet",
-	FLOW_SIGNER: "testnet-account",
-
-	// Polling interval
-	POLL_INTERVAL: 3000, // 3 seconds
-};
-
-// EVM Contract ABI - only the events we need
+// EVM Contract ABI - only the events and views we need
 const CONTRACT_ABI = [
 	"event BridgeCallRequested(uint256 indexed scheduleId, string recipient, uint256 amount, uint256 delaySeconds, uint256 timestamp, address indexed caller)",
 	"event CadenceBridgeTriggered(uint256 indexed scheduleId, string cadenceContractAddress, string transactionName)",
+	"event ScheduleCreated(uint256 indexed scheduleId, address indexed creator, string recipient, uint256 amount, uint256 delaySeconds, bool bridgeTriggered)",
+	"event PaymentTokenSet(uint256 indexed scheduleId, address indexed token)",
+	"function getSchedule(uint256 scheduleId) view returns (uint256 id, string recipient, uint256 amount, uint256 delaySeconds, uint256 createdAt, address creator, bool bridgeTriggered, bool executed)",
 ];
 
+// How a bridge call was triggered on the EVM side
+const TRIGGER = {
+	SCHEDULE: "schedule", // schedulePayment / batchSchedulePayments
+	OWNER: "owner", // manualTriggerBridge, onlyOwner
+};
+
+// An earlier event in one of these states means the schedule was already
+// taken care of; only an owner re-trigger may bridge it again
+const HANDLED_STATUSES = [
+	EVENT_STATUS.PENDING,
+	EVENT_STATUS.SUBMITTING,
+	EVENT_STATUS.FAILED,
+	EVENT_STATUS.BRIDGED,
+	EVENT_STATUS.DEAD_LETTER,
+	EVENT_STATUS.UNKNOWN,
+];
+
+const ROLE = {
+	STOPPED: "stopped",
+	STANDBY: "standby", // Waiting for the instance lock
+	LEADER: "leader", // Holds the lock, bridging events
+};
+
 class AutoBridge {
-	constructor() {
-		console.log("🌉 Auto Bridge Service Starting...");
-		this.provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
-		this.contract = new ethers.Contract(
-			CONFIG.EVM_CONTRACT_ADDRESS,
-			CONTRACT_ABI,
-			this.provider
+	/**
+	 * @param {object} config - see bridge-config.js
+	 * @param {object} [options]
+	 * @param {Logger} [options.logger]
+	 * @param {object} [options.metrics] - from createBridgeMetrics()
+	 */
+	constructor(config, { logger, metrics } = {}) {
+		this.config = config;
+		this.log = logger || new Logger(config.log);
+		this.metrics = metrics || createBridgeMetrics();
+		this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
+		this.flow = FlowClient.fromFlowJson({
+			network: config.flow.network,
+			signer: config.flow.signer,
+			accessNode: config.flow.accessApi,
+			privateKey: config.flow.privateKey,
+			flowJsonPath: config.flowJsonPath,
+		});
+		this.scheduleTransaction = fs.readFileSync(
+			path.join(__dirname, "cadence/transactions/NativeEVMSchedule.cdc"),
+			"utf8"
 		);
-		this.processedEvents = new Set();
+		this.retryPolicy = new RetryPolicy(config.retry);
+		this.tokens = TokenRegistry.load(config.tokensFile, {
+			network: config.flow.network,
+			flowJsonPath: config.flowJsonPath,
+			nativeDecimals: config.evmAmountDecimals,
+		});
+
+		this.role = ROLE.STOPPED;
+		this.running = false;
+		this.stopping = false;
+		this.activePoll = null;
+		this.timers = {};
+		this.lock = config.instanceLock.enabled
+			? new InstanceLock(path.join(config.storeDir, "bridge.lock"), {
+					staleAfterMs: config.instanceLock.staleAfterMs,
+				})
+			: null;
+
+		// One watcher per EVM scheduler deployment, each with its own
+		// checkpoint and event store
+		this.watchers = config.contracts.map((deployment) => ({
+			name: deployment.name,
+			address: deployment.address,
+			log: this.log.child({ contract: deployment.name }),
+			startBlock: deployment.startBlock,
+			contract: new ethers.Contract(
+				deployment.address,
+				CONTRACT_ABI,
+				this.provider
+			),
+			store: new BridgeStore(
+				storePathFor(config.storeDir, deployment.address)
+			),
+		}));
+
+		// Optional EVM ← Cadence direction: report scheduled / executed /
+		// failed back to the EVM contracts
+		this.statusSync = config.statusSync.enabled
+			? new StatusSync({
+					flow: this.flow,
+					signer: new ethers.Wallet(
+						config.statusSync.evmPrivateKey,
+						this.provider
+					),
+					watchers: this.watchers,
+					logger: this.log,
+					metrics: this.metrics,
+					startLookback: config.statusSync.startLookback,
+					blockChunkSize: config.statusSync.blockChunkSize,
+				})
+			: null;
 	}
 
+	/**
+	 * Start serving. Resolves once this instance is bridging, or - in
+	 * standby mode - keeps waiting for the instance lock in the background.
+	 * Throws LockHeldError when another instance runs and mode is "refuse".
+	 */
 	async start() {
-		console.log(`🔗 Connected to Flow EVM at ${CONFIG.RPC_URL}`);
-		console.log(`📍 Monitoring contract: ${CONFIG.EVM_CONTRACT_ADDRESS}`);
-		console.log(`⚡ Polling every ${CONFIG.POLL_INTERVAL}ms`);
-		console.log("🚀 Ready to bridge EVM → Cadence!\n");
-
-		// Listen for new events
-		this.contract.on(
-			"BridgeCallRequested",
-			async (
-				scheduleId,
-				recipient,
-				amount,
-				delaySeconds,
-				timestamp,
-				caller,
-				event
-			) => {
-				await this.handleBridgeCall({
-					scheduleId: scheduleId.toString(),
-					recipient,
-					amount: amount.toString(),
-					delaySeconds: delaySeconds.toString(),
-					timestamp: timestamp.toString(),
-					caller,
-					txHash: event.transactionHash,
-				});
+		if (this.running) {
+			throw new Error("AutoBridge is already running");
+		}
+		if (this.stopping) {
+			throw new Error(
+				"AutoBridge cannot be restarted after stop(); create a new instance"
+			);
+		}
+		this.running = true;
+
+		this.log.info("Auto Bridge Service starting", {
+			profile: this.config.profile,
+			configFile: this.config.configFile,
+			evmRpc: this.config.rpcUrl,
+			flowNetwork: this.config.flow.network,
+			flowAccessApi: this.flow.accessNode,
+			flowSigner: this.flow.signer.address,
+			pollIntervalMs: this.config.pollIntervalMs,
+			confirmations: this.config.confirmations,
+			statusSyncSigner: this.statusSync
+				? this.statusSync.signerAddress
+				: null,
+			lockFile: this.lock ? this.lock.filePath : null,
+		});
+
+		if (this.config.health.enabled) {
+			await this.startHealthServer();
+		}
+
+		if (!this.lock) {
+			await this.becomeLeader();
+			return;
+		}
+
+		if (this.lock.tryAcquire()) {
+			await this.becomeLeader();
+			return;
+		}
+
+		const holder = this.lock.readHolder();
+		if (this.config.instanceLock.mode !== "standby") {
+			throw new LockHeldError(this.lock.filePath, holder);
+		}
+		this.standBy(holder);
+	}
+
+	/**
+	 * Hot standby: everything is set up, retry the lock every heartbeat
+	 * and take over as soon as the leader stops or goes stale
+	 */
+	standBy(holder) {
+		this.setRole(ROLE.STANDBY);
+		this.log.info("Another instance holds the lock, standing by", {
+			holderPid: holder && holder.pid,
+			holderHost: holder && holder.hostname,
+		});
+
+		this.timers.standby = setInterval(() => {
+			if (this.stopping || !this.lock.tryAcquire()) {
+				return;
 			}
+			clearInterval(this.timers.standby);
+			this.timers.standby = null;
+			this.log.info("Acquired the instance lock, taking over");
+			this.becomeLeader().catch((error) =>
+				this.log.error("Failed to take over", { error: error.message })
+			);
+		}, this.config.instanceLock.heartbeatMs);
+	}
+
+	async becomeLeader() {
+		this.setRole(ROLE.LEADER);
+
+		if (this.lock) {
+			this.timers.heartbeat = setInterval(
+				() => this.checkLock(),
+				this.config.instanceLock.heartbeatMs
+			);
+		}
+
+		for (const watcher of this.watchers) {
+			watcher.log.info("Monitoring contract", {
+				address: watcher.address,
+				stateFile: watcher.store.filePath,
+			});
+
+			watcher.store.load();
+
+			// We hold the lock, so nothing else can be mid-submission
+			const interrupted = watcher.store.quarantineInterrupted();
+			for (const record of interrupted) {
+				watcher.log.warn(
+					"Event was interrupted mid-submission, marked unknown",
+					{
+						eventKey: record.key,
+						scheduleId: record.event.scheduleId,
+						txHash: record.event.txHash,
+						cadenceTxId: record.cadenceTxId,
+					}
+				);
+			}
+		}
+
+		// Resume from the checkpoints and catch up before going live
+		await this.pollForEvents();
+		if (this.role !== ROLE.LEADER) {
+			return; // Stopped or lost the lock while catching up
+		}
+
+		for (const watcher of this.watchers) {
+			// Track new events as soon as they appear; they are only bridged
+			// once the poller sees them at the confirmation depth
+			await watcher.contract.on("BridgeCallRequested", (...args) => {
+				const event = args[args.length - 1];
+				const eventData = toEventData(event.log);
+
+				if (
+					watcher.store.recordEvent(
+						eventKeyFor(eventData),
+						eventData,
+						EVENT_STATUS.UNCONFIRMED
+					)
+				) {
+					watcher.log.info(
+						"Bridge call seen, waiting for confirmations",
+						{
+							scheduleId: eventData.scheduleId,
+							txHash: eventData.txHash,
+							blockNumber: eventData.blockNumber,
+						}
+					);
+				}
+			});
+		}
+
+		// Poll for confirmed events
+		this.timers.poll = setInterval(
+			() => this.pollForEvents(),
+			this.config.pollIntervalMs
 		);
 
-		// Also poll for missed events
-		setInterval(() => this.pollForEvents(), CONFIG.POLL_INTERVAL);
+		this.log.info("Ready to bridge EVM → Cadence");
 	}
 
-	async handleBridgeCall(eventData) {
-		const eventKey = `${eventData.txHash}-${eventData.scheduleId}`;
+	/**
+	 * Heartbeat the lock; if another instance took it over, stop bridging
+	 * at once and fall back to standby
+	 */
+	checkLock() {
+		try {
+			if (this.lock.heartbeat()) {
+				return;
+			}
+		} catch (error) {
+			this.log.error("Lock heartbeat failed", { error: error.message });
+			return;
+		}
 
-		if (this.processedEvents.has(eventKey)) {
-			return; // Already processed
+		this.log.error("Lost the instance lock, stepping down");
+		this.stepDown()
+			.then(() => {
+				if (!this.stopping) {
+					this.standBy(this.lock.readHolder());
+				}
+			})
+			.catch((error) =>
+				this.log.error("Failed to step down", { error: error.message })
+			);
+	}
+
+	/**
+	 * Stop polling and listening, and wait for in-flight work to finish
+	 * (bounded by shutdownTimeoutMs). A submission still running after
+	 * that stays "submitting" and is quarantined on the next start.
+	 */
+	async stepDown() {
+		for (const name of Object.keys(this.timers)) {
+			clearInterval(this.timers[name]);
+			this.timers[name] = null;
+		}
+		if (this.role === ROLE.LEADER) {
+			this.setRole(ROLE.STANDBY);
 		}
 
-		console.log("🎯 New EVM Bridge Call Detected!");
-		console.log(`📋 Schedule ID: ${eventData.scheduleId}`);
-		console.log(`💰 Amount: ${eventData.amount}`);
-		console.log(`👤 Recipient: ${eventData.recipient}`);
-		console.log(`⏰ Delay: ${eventData.delaySeconds}s`);
-		console.log(`📍 From: ${eventData.caller}`);
-		console.log(`🔗 EVM Tx: ${eventData.txHash}\n`);
+		await Promise.all(
+			this.watchers.map((watcher) =>
+				watcher.contract.removeAllListeners()
+			)
+		);
 
+		if (this.activePoll) {
+			this.log.info("Waiting for in-flight work to finish");
+			try {
+				await withTimeout(
+					this.activePoll,
+					this.config.shutdownTimeoutMs,
+					"In-flight work"
+				);
+			} catch (error) {
+				this.log.warn(
+					"Stopping with work still in flight; it will be quarantined on restart",
+					{ error: error.message }
+				);
+			}
+		}
+	}
+
+	/**
+	 * Graceful shutdown: drain in-flight work, release the lock and close
+	 * every handle so the process can exit on its own
+	 */
+	async stop() {
+		if (!this.running || this.stopping) {
+			return;
+		}
+		this.stopping = true;
+		this.log.info("Auto Bridge Service stopping");
+
+		await this.stepDown();
+
+		if (this.healthServer) {
+			this.healthServer.closeAllConnections();
+			await new Promise((resolve) => this.healthServer.close(resolve));
+		}
+		if (this.lock) {
+			this.lock.release();
+		}
+
+		this.setRole(ROLE.STOPPED);
+		this.running = false;
+		this.log.info("Auto Bridge Service stopped");
+	}
+
+	setRole(role) {
+		this.role = role;
+		this.metrics.leader.set({}, role === ROLE.LEADER ? 1 : 0);
+	}
+
+	async startHealthServer() {
+		const { host, port } = this.config.health;
+		this.healthServer = createHealthServer({
+			check: () => this.health(),
+			registry: this.metrics.registry,
+			logger: this.log,
+		});
+
+		await new Promise((resolve, reject) => {
+			this.healthServer.once("error", reject);
+			this.healthServer.listen(port, host, resolve);
+		});
+		this.log.info("Health and metrics endpoint listening", {
+			url: `http://${host}:${port}`,
+		});
+	}
+
+	/**
+	 * /healthz report: RPC reachability on both sides and how far each
+	 * contract's checkpoint lags the confirmed EVM head
+	 */
+	async health() {
+		const { timeoutMs, maxLagBlocks } = this.config.health;
+		const report = {
+			healthy: this.role !== ROLE.STOPPED,
+			role: this.role,
+			checkedAt: new Date().toISOString(),
+			evmRpc: { reachable: false },
+			flowAccessApi: { reachable: false },
+			contracts: [],
+		};
+
+		let headBlock = null;
 		try {
-			// 🚀 TRIGGER CADENCE AUTOMATICALLY!
-			const cadenceResult = await this.triggerCadence(eventData);
+			headBlock = await withTimeout(
+				this.provider.getBlockNumber(),
+				timeoutMs,
+				"EVM RPC"
+			);
+			report.evmRpc = { reachable: true, headBlock };
+		} catch (error) {
+			report.evmRpc.error = error.message;
+			report.healthy = false;
+		}
 
-			this.processedEvents.add(eventKey);
+		try {
+			const sealed = await withTimeout(
+				this.flow.getLatestSealedBlock(),
+				timeoutMs,
+				"Flow Access API"
+			);
+			report.flowAccessApi = {
+				reachable: true,
+				sealedHeight: Number(sealed.height),
+			};
+		} catch (error) {
+			report.flowAccessApi.error = error.message;
+			report.healthy = false;
+		}
+
+		// A standby's lag is the leader's business
+		const watchers = this.role === ROLE.LEADER ? this.watchers : [];
+		for (const watcher of watchers) {
+			const lastProcessedBlock = watcher.store.getCheckpoint();
+			const lagBlocks =
+				headBlock === null || lastProcessedBlock === null
+					? null
+					: Math.max(
+							headBlock -
+								this.config.confirmations -
+								lastProcessedBlock,
+							0
+						);
+			const healthy = lagBlocks !== null && lagBlocks <= maxLagBlocks;
 
-			console.log("✅ Bridge Call Successful!");
-			console.log(
-				`🌉 EVM→Cadence: ${eventData.scheduleId} → ${cadenceResult.cadenceId}`
+			report.contracts.push({
+				name: watcher.name,
+				address: watcher.address,
+				lastProcessedBlock,
+				lagBlocks,
+				healthy,
+			});
+			report.healthy = report.healthy && healthy;
+		}
+
+		return report;
+	}
+
+	async handleBridgeCall(watcher, eventData) {
+		const { store } = watcher;
+		const eventKey = eventKeyFor(eventData);
+		const record = store.getEvent(eventKey);
+
+		if (
+			!record ||
+			(record.status !== EVENT_STATUS.PENDING &&
+				record.status !== EVENT_STATUS.FAILED)
+		) {
+			return; // Already processed or in flight
+		}
+
+		if (
+			record.status === EVENT_STATUS.FAILED &&
+			Date.parse(record.nextAttemptAt) > Date.now()
+		) {
+			return; // Still backing off
+		}
+
+		// Correlation IDs for every line about this event
+		const log = watcher.log.child({
+			eventKey,
+			scheduleId: eventData.scheduleId,
+			txHash: eventData.txHash,
+		});
+		const labels = { contract: watcher.name };
+
+		if (record.status === EVENT_STATUS.FAILED) {
+			this.metrics.eventsRetried.inc(labels);
+		}
+
+		log.info(
+			eventData.trigger === TRIGGER.OWNER
+				? "Owner re-trigger detected"
+				: "Bridge call detected",
+			{
+				amount: eventData.amount,
+				token: eventData.token || undefined,
+				recipient: eventData.recipient,
+				delaySeconds: eventData.delaySeconds,
+				caller: eventData.caller,
+				attempt: record.attempts + 1,
+			}
+		);
+
+		let cadenceArgs;
+		try {
+			cadenceArgs = convertBridgeCall(eventData, this.tokens);
+		} catch (error) {
+			if (!(error instanceof ConversionError)) {
+				throw error;
+			}
+
+			store.updateEvent(eventKey, {
+				status: EVENT_STATUS.REJECTED,
+				lastError: error.message,
+			});
+			this.metrics.eventsRejected.inc(labels);
+			log.error("Bridge call rejected", {
+				field: error.field,
+				error: error.message,
+			});
+			return;
+		}
+
+		// Last line of defence against a reorg deeper than the confirmation depth
+		// between confirmation and submission (e.g. during retries)
+		if (!(await this.isCanonical(record))) {
+			store.updateEvent(eventKey, {
+				status: EVENT_STATUS.REORGED,
+				lastError: `Block ${record.blockNumber} (${record.blockHash}) is no longer canonical`,
+			});
+			this.metrics.eventsReorged.inc(labels);
+			log.warn("Dropped bridge call: its block was reorged out", {
+				blockNumber: record.blockNumber,
+				blockHash: record.blockHash,
+			});
+			return;
+		}
+
+		// Persist "in flight" before submitting so a crash can't cause a resend
+		const attempts = record.attempts + 1;
+		store.updateEvent(eventKey, {
+			status: EVENT_STATUS.SUBMITTING,
+			attempts,
+		});
+
+		try {
+			// 🚀 TRIGGER CADENCE AUTOMATICALLY!
+			const cadenceResult = await this.metrics.submissionSeconds.time(
+				labels,
+				() =>
+					this.triggerCadence(
+						cadenceArgs,
+						(txId) => {
+							store.updateEvent(eventKey, { cadenceTxId: txId });
+							log.info("Cadence transaction submitted", {
+								cadenceTxId: txId,
+							});
+						},
+						record.cadenceTxId,
+						log
+					)
 			);
-			console.log(`🔗 Cadence Tx: ${cadenceResult.txHash}\n`);
+
+			store.updateEvent(eventKey, {
+				status: EVENT_STATUS.BRIDGED,
+				nextAttemptAt: null,
+				lastError: null,
+				errorClass: null,
+				cadenceTxId: cadenceResult.txHash,
+				cadenceId: cadenceResult.cadenceId,
+			});
+
+			this.metrics.eventsBridged.inc(labels);
+			log.info("Bridge call bridged", {
+				cadenceTxId: cadenceResult.txHash,
+				cadenceId: cadenceResult.cadenceId,
+			});
 		} catch (error) {
-			console.error("❌ Bridge Call Failed:", error.message);
+			this.recordFailure(watcher, eventKey, attempts, error, log);
 		}
 	}
 
-	async triggerCadence(eventData) {
-		const command =
-			`flow transactions send cadence/transactions/NativeEVMSchedule.cdc ` +
-			`--network ${CONFIG.FLOW_NETWORK} ` +
-			`--signer ${CONFIG.FLOW_SIGNER} ` +
-			`--args-json '[` +
-			`{"type":"UInt64","value":"${eventData.scheduleId}"},` +
-			`{"type":"String","value":"${eventData.recipient}"},` +
-			`{"type":"UFix64","value":"${eventData.amount}.0"},` +
-			`{"type":"UFix64","value":"${eventData.delaySeconds}.0"}` +
-			`]'`;
+	/**
+	 * Schedule a retry with backoff, or dead-letter the event when the
+	 * failure is permanent or the retry budget is spent
+	 */
+	recordFailure(watcher, eventKey, attempts, error, log) {
+		const { store } = watcher;
+		const errorClass = classifyError(error);
+		const fields = {
+			attempt: attempts,
+			errorClass,
+			cadenceTxId: error.txId || store.getEvent(eventKey).cadenceTxId,
+			error: error.message,
+		};
 
-		console.log("🚀 Executing Cadence transaction...");
+		this.metrics.eventsFailed.inc({
+			contract: watcher.name,
+			error_class: errorClass,
+		});
 
-		const { stdout, stderr } = await execAsync(command);
+		if (this.retryPolicy.shouldRetry(attempts, errorClass)) {
+			const delayMs = this.retryPolicy.delayFor(attempts);
 
-		if (stderr) {
-			throw new Error(`Cadence execution failed: ${stderr}`);
+			store.updateEvent(eventKey, {
+				status: EVENT_STATUS.FAILED,
+				nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+				lastError: error.message,
+				errorClass,
+			});
+			log.error("Bridge call failed, will retry", {
+				...fields,
+				maxAttempts: this.retryPolicy.maxAttempts,
+				retryInMs: delayMs,
+			});
+			return;
 		}
 
-		// Extract transaction ID from output
-		const txMatch = stdout.match(/Transaction ID: ([a-f0-9]+)/);
-		const cadenceIdMatch = stdout.match(
-			/cadenceScheduleId \(UInt64\): (\d+)/
+		store.updateEvent(eventKey, {
+			status: EVENT_STATUS.DEAD_LETTER,
+			nextAttemptAt: null,
+			lastError: error.message,
+			errorClass,
+			deadLetteredAt: new Date().toISOString(),
+		});
+		this.metrics.eventsDeadLettered.inc({ contract: watcher.name });
+		log.error("Bridge call dead-lettered", {
+			...fields,
+			reason:
+				errorClass === ERROR_CLASS.PERMANENT
+					? "permanent failure"
+					: `gave up after ${attempts} attempts`,
+		});
+	}
+
+	/**
+	 * @param {object} cadenceArgs - converted NativeEVMSchedule.cdc arguments
+	 * @param {function} onSubmitted - called with the Cadence tx ID before waiting for the seal
+	 * @param {string} [previousTxId] - Cadence tx from an earlier attempt
+	 * @param {Logger} [log]
+	 */
+	async triggerCadence(
+		cadenceArgs,
+		onSubmitted,
+		previousTxId = null,
+		log = this.log
+	) {
+		// A previous attempt may have landed after we stopped waiting for it.
+		// Only resend once we know it expired or reverted.
+		if (previousTxId) {
+			log.info("Checking previous attempt", {
+				cadenceTxId: previousTxId,
+			});
+			try {
+				const previous = await this.flow.waitForSeal(previousTxId);
+				return this.parseScheduleResult(previous);
+			} catch (error) {
+				const safeToResend =
+					error instanceof FlowTransactionError &&
+					(error.status === "Expired" || error.status === "Sealed");
+				if (!safeToResend) {
+					throw error;
+				}
+			}
+		}
+
+		log.info("Sending Cadence transaction", {
+			amount: cadenceArgs.amount,
+			token: cadenceArgs.symbol,
+			delaySeconds: cadenceArgs.delaySeconds,
+		});
+
+		const txId = await this.flow.sendTransaction(this.scheduleTransaction, [
+			Cadence.UInt64(cadenceArgs.scheduleId),
+			Cadence.String(cadenceArgs.recipient),
+			Cadence.UFix64(cadenceArgs.amount),
+			Cadence.UFix64(cadenceArgs.delaySeconds),
+			Cadence.String(cadenceArgs.token),
+		]);
+
+		// Record the Cadence tx ID before waiting, so an interrupted
+		// submission can be checked on-chain
+		onSubmitted(txId);
+
+		return this.parseScheduleResult(await this.flow.waitForSeal(txId));
+	}
+
+	parseScheduleResult(result) {
+		const created = result.events.find((event) =>
+			event.type.endsWith(".NativeEVMBridge.DirectScheduleCreated")
 		);
+		if (!created) {
+			// The transaction landed, so resending could double-schedule
+			throw new PermanentBridgeError(
+				`Transaction ${result.txId} sealed without a DirectScheduleCreated event`
+			);
+		}
 
 		return {
-			txHash: txMatch ? txMatch[1] : "unknown",
-			cadenceId: cadenceIdMatch ? cadenceIdMatch[1] : "unknown",
-			output: stdout,
+			txHash: result.txId,
+			cadenceId: created.data.cadenceScheduleId,
 		};
 	}
 
-	async pollForEvents() {
-		try {
-			const currentBlock = await this.provider.getBlockNumber();
-			const fromBlock = Math.max(currentBlock - 100, 0); // Last 100 blocks
+	/**
+	 * One poll across every watcher. Returns the running poll if there is
+	 * one, so stop() can wait for it.
+	 */
+	pollForEvents() {
+		if (!this.activePoll) {
+			this.activePoll = this.runPoll().finally(() => {
+				this.activePoll = null;
+			});
+		}
+		return this.activePoll;
+	}
+
+	async runPoll() {
+		// Never touch the chain without the lock, even if a timer fired
+		// just before we stepped down
+		if (this.lock && !this.lock.heartbeat()) {
+			return;
+		}
 
-			const events = await this.contract.queryFilter(
-				this.contract.filters.BridgeCallRequested(),
+		for (const watcher of this.watchers) {
+			if (!this.isBridging()) {
+				return;
+			}
+			try {
+				await this.syncEvents(watcher);
+				await this.processOutstanding(watcher);
+				this.metrics.lastPollTimestamp.set(
+					{ contract: watcher.name },
+					Math.floor(Date.now() / 1000)
+				);
+			} catch (error) {
+				watcher.log.error("Polling failed", {
+					error: error.message,
+				});
+			}
+			this.recordStoreMetrics(watcher);
+		}
+
+		if (this.statusSync && this.isBridging()) {
+			try {
+				await this.statusSync.poll();
+			} catch (error) {
+				this.log.error("Status sync failed", {
+					error: error.message,
+				});
+			}
+		}
+	}
+
+	/**
+	 * False once stop() was called or the lock was lost - in-flight work
+	 * finishes, nothing new starts
+	 */
+	isBridging() {
+		return this.role === ROLE.LEADER && !this.stopping;
+	}
+
+	/**
+	 * Gauges for /metrics: checkpoint, lag and events per status
+	 */
+	recordStoreMetrics(watcher) {
+		const labels = { contract: watcher.name };
+		const counts = {};
+		for (const status of Object.values(EVENT_STATUS)) {
+			counts[status] = 0;
+		}
+		for (const record of watcher.store.listEvents()) {
+			counts[record.status] += 1;
+		}
+		for (const [status, count] of Object.entries(counts)) {
+			this.metrics.eventsByStatus.set({ ...labels, status }, count);
+		}
+
+		const checkpoint = watcher.store.getCheckpoint();
+		if (checkpoint !== null) {
+			this.metrics.lastProcessedBlock.set(labels, checkpoint);
+		}
+		if (checkpoint !== null && this.headBlock !== undefined) {
+			this.metrics.blockLag.set(
+				labels,
+				Math.max(
+					this.headBlock - this.config.confirmations - checkpoint,
+					0
+				)
+			);
+		}
+	}
+
+	/**
+	 * Does the block this event was recorded in still belong to the chain?
+	 */
+	async isCanonical(record) {
+		if (!record.blockHash) {
+			return true; // Recorded before block hashes were tracked
+		}
+
+		const block = await this.provider.getBlock(record.blockNumber);
+		return block !== null && block.hash === record.blockHash;
+	}
+
+	/**
+	 * Scan from the last checkpoint to the confirmed head in bounded
+	 * chunks, recording every bridge trigger before moving the checkpoint
+	 */
+	async syncEvents(watcher) {
+		const { store, contract } = watcher;
+		await this.rewindIfCheckpointReorged(watcher);
+
+		const currentBlock = await this.provider.getBlockNumber();
+		this.headBlock = currentBlock;
+		this.metrics.chainHeadBlock.set({}, currentBlock);
+		const confirmedBlock = currentBlock - this.config.confirmations;
+		const checkpoint = store.getCheckpoint();
+		let fromBlock = checkpoint + 1;
+
+		if (checkpoint === null) {
+			fromBlock =
+				watcher.startBlock !== undefined
+					? watcher.startBlock
+					: Math.max(
+							confirmedBlock - this.config.startBlockLookback,
+							0
+						);
+		}
+
+		if (fromBlock > confirmedBlock) {
+			return;
+		}
+
+		if (confirmedBlock - fromBlock >= this.config.blockChunkSize) {
+			watcher.log.info("Backfilling blocks", {
 				fromBlock,
-				currentBlock
+				toBlock: confirmedBlock,
+			});
+		}
+
+		for (
+			let chunkStart = fromBlock;
+			chunkStart <= confirmedBlock && this.isBridging();
+			chunkStart += this.config.blockChunkSize
+		) {
+			const chunkEnd = Math.min(
+				chunkStart + this.config.blockChunkSize - 1,
+				confirmedBlock
 			);
 
-			for (const event of events) {
-				const eventKey = `${
-					event.transactionHash
-				}-${event.args[0].toString()}`;
-
-				if (!this.processedEvents.has(eventKey)) {
-					await this.handleBridgeCall({
-						scheduleId: event.args[0].toString(),
-						recipient: event.args[1],
-						amount: event.args[2].toString(),
-						delaySeconds: event.args[3].toString(),
-						timestamp: event.args[4].toString(),
-						caller: event.args[5],
-						txHash: event.transactionHash,
-					});
+			const logs = await contract.queryFilter("*", chunkStart, chunkEnd);
+			const triggers = await this.collectTriggers(watcher, logs);
+
+			const confirmedKeys = new Set();
+			for (const eventData of triggers) {
+				const eventKey = eventKeyFor(eventData);
+
+				confirmedKeys.add(eventKey);
+				if (store.confirmEvent(eventKey, eventData)) {
+					this.metrics.eventsSeen.inc({ contract: watcher.name });
+					this.applyScheduleDedup(watcher, eventKey, eventData);
 				}
 			}
+
+			this.dropReorgedEvents(
+				watcher,
+				chunkStart,
+				chunkEnd,
+				confirmedKeys
+			);
+
+			// Every event up to chunkEnd is now durably recorded
+			const endBlock = await this.provider.getBlock(chunkEnd);
+			store.setCheckpoint(chunkEnd, endBlock.hash);
+		}
+	}
+
+	/**
+	 * Correlate a block range's logs by transaction and schedule ID. Every
+	 * trigger emits BridgeCallRequested and CadenceBridgeTriggered together,
+	 * preceded by PaymentTokenSet for ERC-20 payments; schedulePayment also
+	 * emits ScheduleCreated, manualTriggerBridge does not - which is how an
+	 * owner re-trigger is told apart.
+	 */
+	async collectTriggers(watcher, logs) {
+		const groups = new Map();
+		for (const log of logs) {
+			if (!log.fragment) {
+				continue; // Not an event we know about
+			}
+
+			const scheduleId = log.args.scheduleId.toString();
+			const groupKey = `${log.transactionHash}-${scheduleId}`;
+			if (!groups.has(groupKey)) {
+				groups.set(groupKey, { scheduleId, logs: {} });
+			}
+			groups.get(groupKey).logs[log.fragment.name] = log;
+		}
+
+		const triggers = [];
+		for (const { scheduleId, logs: byName } of groups.values()) {
+			const requested = byName.BridgeCallRequested;
+			const triggered = byName.CadenceBridgeTriggered;
+			if (!requested && !triggered) {
+				continue; // ScheduleCreated on its own is not a bridge call
+			}
+
+			const schedule = await this.fetchSchedule(watcher, scheduleId);
+			let eventData;
+			if (requested) {
+				eventData = toEventData(requested);
+			} else if (schedule) {
+				eventData = fromSchedule(schedule, triggered);
+			} else {
+				watcher.log.warn(
+					"CadenceBridgeTriggered for an unknown schedule, skipping",
+					{ scheduleId, txHash: triggered.transactionHash }
+				);
+				continue;
+			}
+
+			eventData.token = byName.PaymentTokenSet
+				? byName.PaymentTokenSet.args.token
+				: null;
+			eventData.trigger = byName.ScheduleCreated
+				? TRIGGER.SCHEDULE
+				: TRIGGER.OWNER;
+			eventData.cadenceTarget = triggered
+				? {
+						contractAddress: triggered.args.cadenceContractAddress,
+						transactionName: triggered.args.transactionName,
+					}
+				: null;
+			eventData.schedule = schedule;
+			triggers.push(eventData);
+		}
+		return triggers;
+	}
+
+	/**
+	 * Full schedule record from the EVM contract, or null if the ID is unknown
+	 */
+	async fetchSchedule(watcher, scheduleId) {
+		try {
+			const schedule = await watcher.contract.getSchedule(scheduleId);
+			return {
+				id: schedule.id.toString(),
+				recipient: schedule.recipient,
+				amount: schedule.amount.toString(),
+				delaySeconds: schedule.delaySeconds.toString(),
+				createdAt: schedule.createdAt.toString(),
+				creator: schedule.creator,
+				bridgeTriggered: schedule.bridgeTriggered,
+				executed: schedule.executed,
+			};
 		} catch (error) {
-			console.error("❌ Polling error:", error.message);
+			if (error.code === "CALL_EXCEPTION") {
+				return null; // "Invalid schedule ID"
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Bridge each schedule ID once. A later event for an already handled
+	 * schedule is a duplicate, unless the owner re-triggered it from the
+	 * EVM side - then it overrides the earlier events and is audited.
+	 */
+	applyScheduleDedup(watcher, eventKey, eventData) {
+		const { store } = watcher;
+		const log = watcher.log.child({
+			eventKey,
+			scheduleId: eventData.scheduleId,
+			txHash: eventData.txHash,
+		});
+		const earlier = store
+			.findByScheduleId(eventData.scheduleId)
+			.filter(
+				(record) =>
+					record.key !== eventKey &&
+					HANDLED_STATUSES.includes(record.status)
+			);
+		if (earlier.length === 0) {
+			return;
 		}
+
+		if (eventData.trigger !== TRIGGER.OWNER) {
+			store.updateEvent(eventKey, {
+				status: EVENT_STATUS.DUPLICATE,
+				lastError: `Schedule ${eventData.scheduleId} already handled by ${earlier[0].key} (${earlier[0].status})`,
+			});
+			log.warn("Skipped duplicate trigger", {
+				handledBy: earlier[0].key,
+				handledStatus: earlier[0].status,
+			});
+			return;
+		}
+
+		// Queued or stuck attempts are replaced so only the re-trigger is sent
+		for (const record of earlier) {
+			if (record.status !== EVENT_STATUS.BRIDGED) {
+				store.updateEvent(record.key, {
+					status: EVENT_STATUS.SUPERSEDED,
+					nextAttemptAt: null,
+					supersededBy: eventKey,
+				});
+			}
+		}
+
+		store.appendAudit({
+			action: "owner_retrigger",
+			scheduleId: eventData.scheduleId,
+			eventKey,
+			txHash: eventData.txHash,
+			blockNumber: eventData.blockNumber,
+			caller: eventData.caller,
+			overridden: earlier.map((record) => ({
+				key: record.key,
+				status: record.status,
+				cadenceTxId: record.cadenceTxId,
+				cadenceId: record.cadenceId,
+			})),
+		});
+		log.warn("Owner re-trigger overrides earlier events", {
+			caller: eventData.caller,
+			overridden: earlier.map((record) => ({
+				eventKey: record.key,
+				status: record.status,
+			})),
+		});
 	}
+
+	/**
+	 * Events seen live in a now-confirmed range that the confirmed scan
+	 * did not return were reorged out
+	 */
+	dropReorgedEvents(watcher, fromBlock, toBlock, confirmedKeys) {
+		const { store } = watcher;
+		const orphaned = store
+			.listEvents([EVENT_STATUS.UNCONFIRMED])
+			.filter(
+				(record) =>
+					record.blockNumber >= fromBlock &&
+					record.blockNumber <= toBlock &&
+					!confirmedKeys.has(record.key)
+			);
+
+		for (const record of orphaned) {
+			store.updateEvent(record.key, {
+				status: EVENT_STATUS.REORGED,
+				lastError: `Not found in canonical block ${record.blockNumber} at confirmation depth`,
+			});
+			this.metrics.eventsReorged.inc({ contract: watcher.name });
+			watcher.log.warn("Dropped bridge call: its block was reorged out", {
+				eventKey: record.key,
+				scheduleId: record.event.scheduleId,
+				txHash: record.event.txHash,
+				blockNumber: record.blockNumber,
+			});
+		}
+	}
+
+	/**
+	 * If the checkpoint block was replaced, a reorg went deeper than
+	 * the confirmation depth - rescan a window before it
+	 */
+	async rewindIfCheckpointReorged(watcher) {
+		const { store } = watcher;
+		const checkpoint = store.getCheckpoint();
+		const checkpointHash = store.getCheckpointHash();
+		if (checkpoint === null || !checkpointHash) {
+			return;
+		}
+
+		const block = await this.provider.getBlock(checkpoint);
+		if (block && block.hash === checkpointHash) {
+			return;
+		}
+
+		const rewindTo = Math.max(
+			checkpoint - this.config.reorgRewindBlocks,
+			0
+		);
+		watcher.log.warn("Checkpoint block was reorged out, rescanning", {
+			checkpoint,
+			rewindTo,
+		});
+		store.setCheckpoint(rewindTo - 1, null);
+	}
+
+	/**
+	 * Bridge every recorded event that hasn't reached Cadence yet
+	 */
+	async processOutstanding(watcher) {
+		watcher.store.load(); // Pick up re-drives from the dead-letter CLI
+
+		const outstanding = watcher.store
+			.listEvents([EVENT_STATUS.PENDING, EVENT_STATUS.FAILED])
+			.sort((a, b) => a.blockNumber - b.blockNumber);
+
+		for (const record of outstanding) {
+			if (!this.isBridging()) {
+				return;
+			}
+			await this.handleBridgeCall(watcher, record.event);
+		}
+	}
+}
+
+function toEventData(log) {
+	return {
+		scheduleId: log.args[0].toString(),
+		recipient: log.args[1],
+		amount: log.args[2].toString(),
+		delaySeconds: log.args[3].toString(),
+		timestamp: log.args[4].toString(),
+		caller: log.args[5],
+		txHash: log.transactionHash,
+		blockNumber: log.blockNumber,
+		blockHash: log.blockHash,
+	};
 }
 
-// Start the auto bridge
-const bridge = new AutoBridge();
-bridge.start().catch(console.error);
+/**
+ * Event data for a CadenceBridgeTriggered log that arrived without its
+ * BridgeCallRequested, rebuilt from getSchedule()
+ */
+function fromSchedule(schedule, log) {
+	return {
+		scheduleId: schedule.id,
+		recipient: schedule.recipient,
+		amount: schedule.amount,
+		delaySeconds: schedule.delaySeconds,
+		timestamp: schedule.createdAt,
+		caller: schedule.creator,
+		txHash: log.transactionHash,
+		blockNumber: log.blockNumber,
+		blockHash: log.blockHash,
+	};
+}
 
-console.log("🎉 Auto Bridge Service Running!");
-console.log("💡 Now call your EVM contract and watch the magic happen!");
-console.log("🛑 Press Ctrl+C to stop\n");
+function eventKeyFor(eventData) {
+	return `${eventData.txHash}-${eventData.scheduleId}`;
+}
+
+/**
+ * Run as a daemon: start, and shut down gracefully on SIGINT / SIGTERM
+ */
+async function main() {
+	const bridge = new AutoBridge(loadBridgeConfig());
+
+	const shutdown = (signal) => {
+		if (bridge.stopping) {
+			if (bridge.running) {
+				bridge.log.warn("Second signal, exiting without draining", {
+					signal,
+				});
+				process.exit(1);
+			}
+			return; // Already stopped, the process is exiting
+		}
+		bridge.log.info("Shutdown requested", { signal });
+		bridge.stop().catch((error) => {
+			bridge.log.error("Shutdown failed", { error: error.message });
+			process.exit(1);
+		});
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+
+	try {
+		await bridge.start();
+	} catch (error) {
+		bridge.log.error("Auto Bridge Service failed to start", {
+			error: error.message,
+		});
+		process.exitCode = 1;
+		await bridge.stop();
+	}
+}
+
+module.exports = { AutoBridge, CONTRACT_ABI, ROLE, main };
+
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
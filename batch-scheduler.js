@@ -0,0 +1,761 @@
+/**
+ * Batch Scheduler - Schedule a payroll file through
+ * UpdatedEVMScheduler.batchSchedulePayments(), or
+ * batchScheduleTokenPayments() for batches with ERC-20 rows
+ *
+ * Every row is validated first; invalid rows are reported, never sent.
+ * Valid rows are split into batches that stay under a gas limit (a batch
+ * the node refuses to estimate is bisected, so a single bad row fails on
+ * its own), and the estimate covers EVM gas plus the Cadence scheduling
+ * fees of the payments the bridge will schedule. Results are kept per row
+ * in a report file; running it again only retries rows that failed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+	ConversionError,
+	normalizeFlowAddress,
+} = require("./bridge-conversion");
+const { writeJsonAtomic } = require("./json-store");
+const { ScheduleSimulator } = require("./schedule-simulator");
+const { NATIVE_SYMBOL, TokenRegistry } = require("./token-registry");
+
+const UPDATED_SCHEDULER_ABI = [
+	"event ScheduleCreated(uint256 indexed scheduleId, address indexed creator, string recipient, uint256 amount, uint256 delaySeconds, bool bridgeTriggered)",
+	"function batchSchedulePayments(string[] recipients, uint256[] amounts, uint256[] delays) payable returns (uint256[])",
+	"function batchScheduleTokenPayments(string[] recipients, address[] tokens, uint256[] amounts, uint256[] delays) payable returns (uint256[])",
+];
+
+const REPORT_VERSION = 1;
+
+const ROW_STATUS = {
+	INVALID: "invalid", // Failed validation; fix the file, it is never sent
+	PENDING: "pending",
+	SUBMITTING: "submitting", // Batch sent, outcome not known yet
+	SCHEDULED: "scheduled",
+	FAILED: "failed", // Retried by the next run
+};
+
+// Header names accepted for each field, compared lowercased without
+// spaces, dashes or underscores
+const COLUMNS = {
+	recipient: ["recipient", "address", "to"],
+	amount: ["amount"],
+	token: ["token", "currency", "asset"],
+	delaySeconds: ["delayseconds", "delay"],
+	date: ["date", "scheduledtime", "payat"],
+	reference: ["reference", "ref", "id", "employee", "memo"],
+};
+
+class BatchError extends Error {
+	constructor(message, { cause } = {}) {
+		super(message, { cause });
+		this.name = "BatchError";
+	}
+}
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes,
+ * newlines inside quotes)
+ */
+function parseCsv(text) {
+	const records = [];
+	let record = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			record.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") {
+				i++;
+			}
+			record.push(field);
+			records.push(record);
+			record = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	if (quoted) {
+		throw new BatchError("CSV ends inside a quoted field");
+	}
+	if (field !== "" || record.length > 0) {
+		record.push(field);
+		records.push(record);
+	}
+	return records.filter((fields) => fields.some((value) => value.trim()));
+}
+
+function columnFor(header) {
+	const name = header.toLowerCase().replace(/[\s_-]/g, "");
+	return Object.keys(COLUMNS).find((column) =>
+		COLUMNS[column].includes(name)
+	);
+}
+
+/**
+ * Read a payroll file: CSV with a header row, or JSON (an array of rows
+ * or { payments: [...] })
+ *
+ * @param {string} text
+ * @param {string} [format] - csv | json; guessed from the content when omitted
+ * @returns {object[]} { line, recipient, amount, token, delaySeconds, date, reference } as found
+ */
+function parsePayroll(text, format) {
+	const kind = format || (/^\s*[[{]/.test(text) ? "json" : "csv");
+
+	if (kind === "json") {
+		let parsed;
+		try {
+			parsed = JSON.parse(text);
+		} catch (error) {
+			throw new BatchError(`Invalid JSON: ${error.message}`, {
+				cause: error,
+			});
+		}
+		const rows = Array.isArray(parsed) ? parsed : parsed.payments;
+		if (!Array.isArray(rows)) {
+			throw new BatchError(
+				"JSON payroll must be an array or { payments: [...] }"
+			);
+		}
+		return rows.map((row, index) => {
+			const fields = { line: index + 1 };
+			for (const [key, value] of Object.entries(row || {})) {
+				const column = columnFor(key);
+				if (column) {
+					fields[column] = value;
+				}
+			}
+			return fields;
+		});
+	}
+
+	if (kind !== "csv") {
+		throw new BatchError(`Unknown format "${kind}" (expected csv or json)`);
+	}
+	const [header, ...records] = parseCsv(text);
+	if (!header) {
+		throw new BatchError("CSV payroll is empty");
+	}
+	const columns = header.map(columnFor);
+	if (!columns.includes("recipient") || !columns.includes("amount")) {
+		throw new BatchError(
+			`CSV header needs recipient and amount columns, got "${header.join(",")}"`
+		);
+	}
+	return records.map((fields, index) => {
+		const row = { line: index + 2 };
+		columns.forEach((column, position) => {
+			if (column && fields[position] !== undefined) {
+				row[column] = fields[position].trim();
+			}
+		});
+		return row;
+	});
+}
+
+/**
+ * Check every row; problems go in row.errors instead of throwing
+ *
+ * @param {object[]} rows - from parsePayroll()
+ * @param {object} [options]
+ * @param {TokenRegistry} [options.tokens] - tokens rows may pay in; FLOW only by default
+ * @param {number} [options.amountDecimals] - decimals of FLOW amounts on EVM (the bridge's evmAmountDecimals), without a registry
+ * @param {number} [options.now]
+ * @returns {object[]} report rows
+ */
+function validatePayroll(
+	rows,
+	{
+		amountDecimals = 18,
+		tokens = new TokenRegistry({}, { nativeDecimals: amountDecimals }),
+		now = Date.now(),
+	} = {}
+) {
+	const seen = new Map();
+
+	return rows.map((input, index) => {
+		const errors = [];
+		const row = {
+			index,
+			line: input.line,
+			reference: input.reference ? String(input.reference) : null,
+			recipient: null,
+			token: null,
+			tokenAddress: null, // ERC-20; null for FLOW
+			amount: null,
+			amountRaw: null,
+			delaySeconds: null,
+			date: null,
+			status: ROW_STATUS.PENDING,
+			errors,
+			batch: null,
+			txHash: null,
+			scheduleId: null,
+		};
+
+		try {
+			row.recipient = normalizeFlowAddress("recipient", input.recipient);
+		} catch (error) {
+			errors.push(error.message);
+		}
+
+		const symbol = String(input.token || NATIVE_SYMBOL).trim();
+		const amount = String(input.amount ?? "").trim();
+		try {
+			const parsed = tokens.parseAmount(symbol, amount);
+			row.token = parsed.token.symbol;
+			row.tokenAddress = parsed.token.evmAddress;
+			row.amount = amount;
+			row.amountRaw = parsed.raw.toString();
+		} catch (error) {
+			errors.push(
+				error instanceof ConversionError
+					? error.message
+					: `token: ${error.message}`
+			);
+		}
+
+		const hasDelay =
+			input.delaySeconds !== undefined && input.delaySeconds !== "";
+		const hasDate = input.date !== undefined && input.date !== "";
+		if (hasDelay === hasDate) {
+			errors.push("needs exactly one of delaySeconds or date");
+		} else if (hasDelay) {
+			const delay = Number(input.delaySeconds);
+			if (!Number.isSafeInteger(delay) || delay < 1) {
+				errors.push(
+					`delaySeconds: must be a positive integer, got "${input.delaySeconds}"`
+				);
+			} else {
+				row.delaySeconds = delay;
+			}
+		} else {
+			const date = Date.parse(input.date);
+			if (!Number.isFinite(date)) {
+				errors.push(`date: "${input.date}" is not an ISO 8601 date`);
+			} else if (date <= now) {
+				errors.push(`date: ${input.date} has passed`);
+			} else {
+				row.date = new Date(date).toISOString();
+			}
+		}
+
+		// Compare the converted amount so 1 and 1.0 are the same payment
+		const key = row.reference
+			? `reference ${row.reference}`
+			: `${row.recipient} ${row.amountRaw} ${row.token} ${row.delaySeconds ?? row.date}`;
+		if (seen.has(key)) {
+			errors.push(
+				`duplicate of line ${seen.get(key)} (${row.reference ? key : "same recipient, amount, token and time"})`
+			);
+		} else {
+			seen.set(key, row.line);
+		}
+
+		if (errors.length > 0) {
+			row.status = ROW_STATUS.INVALID;
+		}
+		return row;
+	});
+}
+
+/**
+ * Per-row results of a payroll run, saved as JSON after every batch
+ */
+class BatchReport {
+	constructor(filePath, state) {
+		this.filePath = path.resolve(filePath);
+		this.state = state;
+	}
+
+	/**
+	 * @param {string} filePath - where the report is written
+	 * @param {object[]} rows - from validatePayroll()
+	 * @param {object} details - { source, contract, amountDecimals }
+	 */
+	static create(filePath, rows, { source, contract, amountDecimals }) {
+		const now = new Date().toISOString();
+		return new BatchReport(filePath, {
+			version: REPORT_VERSION,
+			source,
+			contract,
+			amountDecimals,
+			createdAt: now,
+			updatedAt: now,
+			estimate: null,
+			rows,
+		});
+	}
+
+	static load(filePath) {
+		const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+		if (parsed.version !== REPORT_VERSION) {
+			throw new BatchError(
+				`Unsupported report version ${parsed.version} in ${filePath}`
+			);
+		}
+		return new BatchReport(filePath, parsed);
+	}
+
+	get rows() {
+		return this.state.rows;
+	}
+
+	save() {
+		this.state.updatedAt = new Date().toISOString();
+		writeJsonAtomic(this.filePath, this.state);
+	}
+
+	/**
+	 * Row count per status
+	 */
+	summary() {
+		const counts = Object.fromEntries(
+			Object.values(ROW_STATUS).map((status) => [status, 0])
+		);
+		for (const row of this.rows) {
+			counts[row.status]++;
+		}
+		return counts;
+	}
+}
+
+class BatchScheduler {
+	/**
+	 * @param {object} options
+	 * @param {ethers.Contract} options.contract - UpdatedEVMScheduler, connected to a signer to submit
+	 * @param {FlowClient} [options.flow] - for Cadence fee estimates; skipped without one
+	 * @param {number} [options.amountDecimals] - the bridge's evmAmountDecimals
+	 * @param {TokenRegistry} [options.tokens] - tokens rows may pay in; FLOW only by default
+	 * @param {number} [options.maxBatchSize] - rows per transaction
+	 * @param {number} [options.maxBatchGas] - gas per transaction, before the margin
+	 * @param {number} [options.gasMargin] - gas limit = estimate × margin
+	 * @param {object} [options.cadenceSpec] - { priority, executionEffort } of the bridged payments
+	 * @param {number} [options.confirmations]
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		contract,
+		flow = null,
+		amountDecimals = 18,
+		tokens = new TokenRegistry({}, { nativeDecimals: amountDecimals }),
+		maxBatchSize = 50,
+		maxBatchGas = 10_000_000,
+		gasMargin = 1.2,
+		cadenceSpec = { priority: 1, executionEffort: 1000 },
+		confirmations = 1,
+		now = Date.now,
+	}) {
+		this.contract = contract;
+		this.flow = flow;
+		this.amountDecimals = amountDecimals;
+		this.tokens = tokens;
+		this.maxBatchSize = maxBatchSize;
+		this.maxBatchGas = maxBatchGas;
+		this.gasMargin = gasMargin;
+		this.cadenceSpec = cadenceSpec;
+		this.confirmations = confirmations;
+		this.now = now;
+	}
+
+	/**
+	 * Build a scheduler from an RPC URL; without a private key it can only
+	 * estimate
+	 */
+	static connect({ rpcUrl, address, privateKey, ...options }) {
+		const provider = new ethers.JsonRpcProvider(rpcUrl);
+		return new BatchScheduler({
+			contract: new ethers.Contract(
+				address,
+				UPDATED_SCHEDULER_ABI,
+				privateKey ? new ethers.Wallet(privateKey, provider) : provider
+			),
+			...options,
+		});
+	}
+
+	get provider() {
+		return this.contract.runner.provider || this.contract.runner;
+	}
+
+	/**
+	 * Validate a payroll file into a new report
+	 *
+	 * @param {string} text - CSV or JSON
+	 * @param {string} reportPath
+	 * @param {object} [options] - { source, format }
+	 */
+	async prepare(text, reportPath, { source = null, format } = {}) {
+		return BatchReport.create(
+			reportPath,
+			validatePayroll(parsePayroll(text, format), {
+				tokens: this.tokens,
+				now: this.now(),
+			}),
+			{
+				source,
+				contract: await this.contract.getAddress(),
+				amountDecimals: this.amountDecimals,
+			}
+		);
+	}
+
+	/**
+	 * Plan batches for the rows still to send and price them: EVM gas at
+	 * the current fee and, with a Flow client, the Cadence scheduling fee
+	 * of each payment. Rows the contract would reject are marked failed.
+	 *
+	 * @param {BatchReport} report
+	 * @returns {Promise<object>} the estimate, also stored on the report
+	 */
+	async estimate(report) {
+		const rows = this.sendable(report);
+		const batches = [];
+		for (let start = 0; start < rows.length; start += this.maxBatchSize) {
+			batches.push(
+				...(await this.fit(
+					rows.slice(start, start + this.maxBatchSize)
+				))
+			);
+		}
+
+		const feeData = await this.provider.getFeeData();
+		const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+		const gas = batches.reduce((total, batch) => total + batch.gas, 0n);
+
+		const cadence = this.flow
+			? await this.cadenceFees(batches.flatMap((batch) => batch.rows))
+			: null;
+
+		const estimate = {
+			at: new Date(this.now()).toISOString(),
+			rows: batches.reduce(
+				(total, batch) => total + batch.rows.length,
+				0
+			),
+			batches: batches.map((batch) => ({
+				rows: batch.rows.map((row) => row.index),
+				gas: batch.gas.toString(),
+			})),
+			evm: {
+				gas: gas.toString(),
+				gasPrice: gasPrice.toString(),
+				cost: ethers.formatEther(gas * gasPrice),
+			},
+			cadence,
+			// Gas and scheduling fees are both paid in FLOW
+			total: ethers.formatEther(
+				gas * gasPrice +
+					(cadence ? ethers.parseUnits(cadence.total, 18) : 0n)
+			),
+		};
+		report.state.estimate = estimate;
+		report.save();
+		return estimate;
+	}
+
+	/**
+	 * Send every pending or failed row; rows left submitting by an
+	 * interrupted run are settled from their transaction receipt first
+	 *
+	 * @param {BatchReport} report
+	 * @param {object} [options]
+	 * @param {function(object)} [options.onEstimate] - called with the estimate before the first batch is sent
+	 * @param {function(object)} [options.onBatch] - called with { number, rows, txHash, error } after each batch
+	 * @returns {Promise<object>} report.summary()
+	 */
+	async submit(report, { onEstimate, onBatch } = {}) {
+		await this.settle(report);
+		const estimate = await this.estimate(report);
+		if (onEstimate) {
+			onEstimate(estimate);
+		}
+		const byIndex = new Map(report.rows.map((row) => [row.index, row]));
+		const firstBatch =
+			Math.max(0, ...report.rows.map((row) => row.batch ?? 0)) + 1;
+
+		for (const [offset, planned] of estimate.batches.entries()) {
+			const number = firstBatch + offset;
+			const rows = planned.rows.map((index) => byIndex.get(index));
+			let txHash = null;
+			let error = null;
+
+			for (const row of rows) {
+				Object.assign(row, {
+					status: ROW_STATUS.SUBMITTING,
+					batch: number,
+					txHash: null,
+					errors: [],
+				});
+			}
+			report.save();
+
+			try {
+				const [method, args] = this.batchCall(rows);
+				const tx = await method(...args, {
+					gasLimit: BigInt(
+						Math.ceil(Number(planned.gas) * this.gasMargin)
+					),
+				});
+				txHash = tx.hash;
+				rows.forEach((row) => (row.txHash = txHash));
+				report.save();
+
+				this.record(rows, await tx.wait(this.confirmations));
+			} catch (caught) {
+				error = caught.shortMessage || caught.message;
+				// A receipt-less failure after sending may still confirm;
+				// leave those rows for the next run to settle
+				const unconfirmed = txHash && !caught.receipt;
+				for (const row of rows) {
+					if (!unconfirmed) {
+						row.status = ROW_STATUS.FAILED;
+					}
+					row.errors = [error];
+				}
+			}
+			report.save();
+
+			if (onBatch) {
+				onBatch({ number, rows, txHash, error });
+			}
+		}
+		return report.summary();
+	}
+
+	/**
+	 * Rows to send: pending or failed; dated rows get their delay from now
+	 */
+	sendable(report) {
+		const now = this.now();
+		return report.rows.filter((row) => {
+			if (
+				row.status !== ROW_STATUS.PENDING &&
+				row.status !== ROW_STATUS.FAILED
+			) {
+				return false;
+			}
+			if (row.date && Date.parse(row.date) <= now + 1000) {
+				row.status = ROW_STATUS.FAILED;
+				row.errors = [`date ${row.date} has passed`];
+				return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Split rows into batches under maxBatchGas. A batch that fails to
+	 * estimate is halved until the failing rows stand alone.
+	 */
+	async fit(rows) {
+		if (rows.length === 0) {
+			return [];
+		}
+
+		let gas;
+		try {
+			const [method, args] = this.batchCall(rows);
+			gas = await method.estimateGas(...args);
+		} catch (error) {
+			if (rows.length === 1) {
+				rows[0].status = ROW_STATUS.FAILED;
+				rows[0].errors = [
+					`rejected by the contract: ${error.shortMessage || error.message}`,
+				];
+				return [];
+			}
+			return this.bisect(rows);
+		}
+
+		if (gas > BigInt(this.maxBatchGas)) {
+			if (rows.length === 1) {
+				rows[0].status = ROW_STATUS.FAILED;
+				rows[0].errors = [
+					`needs ${gas} gas, more than maxBatchGas ${this.maxBatchGas}`,
+				];
+				return [];
+			}
+			return this.bisect(rows);
+		}
+		return [{ rows, gas }];
+	}
+
+	async bisect(rows) {
+		const middle = Math.ceil(rows.length / 2);
+		return [
+			...(await this.fit(rows.slice(0, middle))),
+			...(await this.fit(rows.slice(middle))),
+		];
+	}
+
+	/**
+	 * The contract function and arguments for a batch: FLOW-only batches
+	 * keep batchSchedulePayments(), any ERC-20 row needs the token variant
+	 */
+	batchCall(rows) {
+		const now = this.now();
+		const recipients = rows.map((row) => row.recipient);
+		const amounts = rows.map((row) => BigInt(row.amountRaw));
+		const delays = rows.map((row) => this.delayOf(row, now));
+
+		if (rows.every((row) => !row.tokenAddress)) {
+			return [
+				this.contract.batchSchedulePayments,
+				[recipients, amounts, delays],
+			];
+		}
+		return [
+			this.contract.batchScheduleTokenPayments,
+			[
+				recipients,
+				rows.map((row) => row.tokenAddress || ethers.ZeroAddress),
+				amounts,
+				delays,
+			],
+		];
+	}
+
+	delayOf(row, now) {
+		return row.date
+			? Math.ceil((Date.parse(row.date) - now) / 1000)
+			: row.delaySeconds;
+	}
+
+	/**
+	 * Cadence fees through the scheduler's estimate(), as for dry runs
+	 */
+	async cadenceFees(rows) {
+		const now = this.now();
+		const simulator = new ScheduleSimulator({
+			flow: this.flow,
+			operationTypes: {},
+			now: () => now,
+		});
+		const occurrences = await simulator.estimate(
+			rows.map((row) => ({
+				type: "payment",
+				asset: row.token || NATIVE_SYMBOL,
+				amount: row.amount,
+				time: now + this.delayOf(row, now) * 1000,
+				...this.cadenceSpec,
+			}))
+		);
+
+		let total = 0n;
+		const errors = [];
+		occurrences.forEach((occurrence, position) => {
+			if (occurrence.error) {
+				errors.push({
+					row: rows[position].index,
+					error: occurrence.error,
+				});
+			} else {
+				total += ethers.parseUnits(occurrence.fee, 8);
+			}
+		});
+		return {
+			asset: "FLOW",
+			total: ethers.formatUnits(total, 8),
+			errors,
+		};
+	}
+
+	/**
+	 * Match ScheduleCreated events to rows; the contract schedules in order
+	 */
+	record(rows, receipt) {
+		const address = ethers.getAddress(receipt.to || this.contract.target);
+		const ids = [];
+		for (const log of receipt.logs) {
+			if (ethers.getAddress(log.address) !== address) {
+				continue;
+			}
+			const parsed = this.contract.interface.parseLog(log);
+			if (parsed && parsed.name === "ScheduleCreated") {
+				ids.push(parsed.args.scheduleId.toString());
+			}
+		}
+		if (ids.length !== rows.length) {
+			throw new BatchError(
+				`Transaction ${receipt.hash} created ${ids.length} schedules for ${rows.length} rows`
+			);
+		}
+		rows.forEach((row, position) => {
+			row.status = ROW_STATUS.SCHEDULED;
+			row.scheduleId = ids[position];
+			row.errors = [];
+		});
+	}
+
+	/**
+	 * Resolve rows an earlier run left submitting
+	 */
+	async settle(report) {
+		const byTx = new Map();
+		for (const row of report.rows) {
+			if (row.status !== ROW_STATUS.SUBMITTING) {
+				continue;
+			}
+			if (!row.txHash) {
+				// Never sent
+				row.status = ROW_STATUS.FAILED;
+				continue;
+			}
+			byTx.set(row.txHash, [...(byTx.get(row.txHash) || []), row]);
+		}
+
+		for (const [txHash, rows] of byTx) {
+			const receipt = await this.provider.getTransactionReceipt(txHash);
+			if (!receipt) {
+				if (await this.provider.getTransaction(txHash)) {
+					throw new BatchError(
+						`Transaction ${txHash} (batch ${rows[0].batch}) is not mined yet; run again once it is`
+					);
+				}
+				for (const row of rows) {
+					row.status = ROW_STATUS.FAILED;
+					row.errors = [`transaction ${txHash} was dropped`];
+				}
+			} else if (receipt.status === 1) {
+				this.record(rows, receipt);
+			} else {
+				for (const row of rows) {
+					row.status = ROW_STATUS.FAILED;
+					row.errors = [`transaction ${txHash} reverted`];
+				}
+			}
+		}
+		report.save();
+	}
+}
+
+module.exports = {
+	BatchError,
+	BatchReport,
+	BatchScheduler,
+	ROW_STATUS,
+	UPDATED_SCHEDULER_ABI,
+	parsePayroll,
+	validatePayroll,
+};
@@ -0,0 +1,519 @@
+/**
+ * Bridge Config - Loads AutoBridge configuration from a named profile,
+ * an optional JSON/YAML file and environment variables (in that order)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+const { LEVELS } = require("./bridge-logger");
+const {
+	DEFAULT_FLOW_JSON,
+	loadFlowJson,
+	resolveContractAddress,
+} = require("./flow-project");
+const { isPlainObject } = require("./json-store");
+const { TokenRegistry } = require("./token-registry");
+
+// Checked in the working directory when BRIDGE_CONFIG is not set
+const DEFAULT_CONFIG_FILES = [
+	"bridge.config.json",
+	"bridge.config.yaml",
+	"bridge.config.yml",
+];
+
+const DEFAULTS = {
+	pollIntervalMs: 3000,
+	storeDir: ".bridge",
+	startBlockLookback: 100, // first run only, when there is no checkpoint
+	blockChunkSize: 500, // max blocks per eth_getLogs request
+	confirmations: 12,
+	reorgRewindBlocks: 100,
+	evmAmountDecimals: 18, // the EVM contract emits wei
+	flowJsonPath: DEFAULT_FLOW_JSON,
+	shutdownTimeoutMs: 150000, // longer than a Cadence seal wait
+	instanceLock: {
+		enabled: true,
+		mode: "refuse", // or "standby"
+		heartbeatMs: 5000,
+		staleAfterMs: 30000,
+	},
+	retry: {
+		maxAttempts: 5,
+		baseDelayMs: 5000,
+		maxDelayMs: 300000,
+	},
+	statusSync: {
+		enabled: false,
+		startLookback: 1000, // Flow blocks, first run only
+		blockChunkSize: 250, // Access API maximum per events request
+	},
+	log: {
+		level: "info",
+		format: "json",
+	},
+	health: {
+		enabled: true,
+		host: "0.0.0.0",
+		port: 9464,
+		maxLagBlocks: 50, // beyond the confirmation depth
+		timeoutMs: 5000,
+	},
+	// schedule-indexer.js: query API over EVM and Cadence schedules
+	indexer: {
+		host: "0.0.0.0",
+		port: 8787,
+		corsOrigin: "*",
+		flowStartLookback: 1000, // Flow blocks, first run only
+	},
+};
+
+const PROFILES = {
+	emulator: {
+		rpcUrl: "http://127.0.0.1:8545",
+		confirmations: 0,
+		flow: { network: "emulator", signer: "emulator-account" },
+		contracts: [],
+	},
+	testnet: {
+		rpcUrl: "https://testnet.evm.nodes.onflow.org",
+		flow: { network: "testnet", signer: "testnet-account" },
+		contracts: [
+			{
+				name: "UpdatedEVMScheduler",
+				address: "0xf8e81D47203A594245E36C48e151709F0C19fBe8",
+			},
+		],
+	},
+	mainnet: {
+		rpcUrl: "https://mainnet.evm.nodes.onflow.org",
+		flow: { network: "mainnet", signer: "mainnet-account" },
+		contracts: [],
+	},
+};
+
+// Minimal schema: type per key, nested objects, and arrays of objects
+const SCHEMA = {
+	profile: "string",
+	rpcUrl: "string",
+	pollIntervalMs: "positiveInteger",
+	storeDir: "string",
+	startBlockLookback: "nonNegativeInteger",
+	blockChunkSize: "positiveInteger",
+	confirmations: "nonNegativeInteger",
+	reorgRewindBlocks: "positiveInteger",
+	evmAmountDecimals: "nonNegativeInteger",
+	flowJsonPath: "string",
+	tokensFile: "string",
+	shutdownTimeoutMs: "positiveInteger",
+	instanceLock: {
+		enabled: "boolean",
+		mode: "lockMode",
+		heartbeatMs: "positiveInteger",
+		staleAfterMs: "positiveInteger",
+	},
+	retry: {
+		maxAttempts: "positiveInteger",
+		baseDelayMs: "positiveInteger",
+		maxDelayMs: "positiveInteger",
+	},
+	flow: {
+		network: "string",
+		signer: "string",
+		accessApi: "string",
+		privateKey: "string",
+	},
+	statusSync: {
+		enabled: "boolean",
+		evmPrivateKey: "string",
+		startLookback: "nonNegativeInteger",
+		blockChunkSize: "positiveInteger",
+	},
+	log: {
+		level: "logLevel",
+		format: "logFormat",
+	},
+	health: {
+		enabled: "boolean",
+		host: "string",
+		port: "port",
+		maxLagBlocks: "nonNegativeInteger",
+		timeoutMs: "positiveInteger",
+	},
+	indexer: {
+		host: "string",
+		port: "port",
+		corsOrigin: "string",
+		flowStartLookback: "nonNegativeInteger",
+	},
+	contracts: [
+		{
+			name: "string",
+			address: "evmAddress",
+			startBlock: "nonNegativeInteger",
+		},
+	],
+};
+
+const REQUIRED = [
+	"rpcUrl",
+	"flow.network",
+	"flow.signer",
+	"contracts",
+	"contracts[].address",
+];
+
+class ConfigError extends Error {
+	constructor(problems) {
+		super(
+			`Invalid bridge configuration:\n${problems
+				.map((problem) => `  - ${problem}`)
+				.join("\n")}`
+		);
+		this.name = "ConfigError";
+		this.problems = problems;
+	}
+}
+
+const CHECKS = {
+	string: (value) => typeof value === "string" && value.length > 0,
+	boolean: (value) => typeof value === "boolean",
+	positiveInteger: (value) => Number.isInteger(value) && value > 0,
+	nonNegativeInteger: (value) => Number.isInteger(value) && value >= 0,
+	evmAddress: (value) => typeof value === "string" && ethers.isAddress(value),
+	port: (value) => Number.isInteger(value) && value > 0 && value < 65536,
+	logLevel: (value) => Object.keys(LEVELS).includes(value),
+	logFormat: (value) => value === "json" || value === "text",
+	lockMode: (value) => value === "refuse" || value === "standby",
+};
+
+/**
+ * Deep merge where arrays (e.g. contracts) replace rather than concatenate
+ */
+function merge(base, override) {
+	const result = { ...base };
+	for (const [key, value] of Object.entries(override || {})) {
+		if (value === undefined) {
+			continue;
+		}
+		result[key] =
+			isPlainObject(value) && isPlainObject(base[key])
+				? merge(base[key], value)
+				: value;
+	}
+	return result;
+}
+
+function validateAgainst(schema, value, location, problems) {
+	for (const key of Object.keys(value)) {
+		if (!(key in schema)) {
+			problems.push(`${location}${key}: unknown option`);
+		}
+	}
+
+	for (const [key, rule] of Object.entries(schema)) {
+		const actual = value[key];
+		const where = `${location}${key}`;
+
+		if (actual === undefined) {
+			continue;
+		}
+
+		if (Array.isArray(rule)) {
+			if (!Array.isArray(actual)) {
+				problems.push(`${where}: expected a list`);
+				continue;
+			}
+			actual.forEach((item, index) => {
+				if (!isPlainObject(item)) {
+					problems.push(`${where}[${index}]: expected an object`);
+				} else {
+					validateAgainst(
+						rule[0],
+						item,
+						`${where}[${index}].`,
+						problems
+					);
+				}
+			});
+		} else if (isPlainObject(rule)) {
+			if (!isPlainObject(actual)) {
+				problems.push(`${where}: expected an object`);
+			} else {
+				validateAgainst(rule, actual, `${where}.`, problems);
+			}
+		} else if (!CHECKS[rule](actual)) {
+			problems.push(
+				`${where}: expected ${rule}, got ${
+					typeof actual === "number" ? actual : JSON.stringify(actual)
+				}`
+			);
+		}
+	}
+}
+
+function validateRequired(config, problems) {
+	for (const requirement of REQUIRED) {
+		const [head, tail] = requirement.split("[].");
+
+		if (tail) {
+			(config[head] || []).forEach((item, index) => {
+				if (item[tail] === undefined) {
+					problems.push(`${head}[${index}].${tail}: required`);
+				}
+			});
+			continue;
+		}
+
+		const value = head
+			.split(".")
+			.reduce((node, key) => (node ? node[key] : undefined), config);
+		if (value === undefined) {
+			problems.push(`${head}: required`);
+		}
+	}
+
+	if (Array.isArray(config.contracts) && config.contracts.length === 0) {
+		problems.push(
+			"contracts: at least one EVM scheduler deployment is required (set EVM_CONTRACT_ADDRESS or add it to the config file)"
+		);
+	}
+
+	const statusSync = isPlainObject(config.statusSync)
+		? config.statusSync
+		: {};
+	if (statusSync.enabled === true && !statusSync.evmPrivateKey) {
+		problems.push(
+			"statusSync.evmPrivateKey: required when statusSync is enabled (set EVM_PRIVATE_KEY)"
+		);
+	}
+	if (statusSync.blockChunkSize > 250) {
+		problems.push(
+			"statusSync.blockChunkSize: the Flow Access API allows at most 250 blocks per events request"
+		);
+	}
+
+	const instanceLock = isPlainObject(config.instanceLock)
+		? config.instanceLock
+		: {};
+	if (instanceLock.staleAfterMs <= instanceLock.heartbeatMs) {
+		problems.push(
+			"instanceLock.staleAfterMs: must be longer than instanceLock.heartbeatMs"
+		);
+	}
+
+	const seen = new Set();
+	for (const contract of config.contracts || []) {
+		const address = String(contract.address).toLowerCase();
+		if (seen.has(address)) {
+			problems.push(`contracts: ${contract.address} is listed twice`);
+		}
+		seen.add(address);
+	}
+}
+
+/**
+ * Check the Flow side against flow.json: the network, the signer account
+ * and the contracts NativeEVMSchedule.cdc imports must all be resolvable,
+ * and so must every token the bridge can be asked to pay in
+ */
+function crossCheckFlowJson(config, problems) {
+	let flowJson;
+	try {
+		flowJson = loadFlowJson(config.flowJsonPath);
+	} catch (error) {
+		problems.push(
+			`flowJsonPath: cannot read ${config.flowJsonPath} (${error.message})`
+		);
+		return;
+	}
+
+	const { network, signer, accessApi, privateKey } = config.flow;
+
+	if (!(flowJson.networks || {})[network]) {
+		problems.push(
+			`flow.network: "${network}" is not defined in flow.json networks`
+		);
+	}
+
+	const account = (flowJson.accounts || {})[signer];
+	if (!account) {
+		problems.push(
+			`flow.signer: account "${signer}" is not defined in flow.json accounts`
+		);
+	} else if (!account.key && !privateKey) {
+		problems.push(
+			`flow.signer: account "${signer}" has no key in flow.json and FLOW_PRIVATE_KEY is not set`
+		);
+	}
+
+	for (const contractName of ["NativeEVMBridge", "SimpleFlowScheduler"]) {
+		try {
+			resolveContractAddress(flowJson, contractName, network);
+		} catch (error) {
+			problems.push(
+				`flow.network: ${error.message} (add a deployment or alias)`
+			);
+		}
+	}
+
+	try {
+		TokenRegistry.load(config.tokensFile, {
+			network,
+			flowJson,
+			nativeDecimals: config.evmAmountDecimals,
+		});
+	} catch (error) {
+		problems.push(`tokensFile: ${error.message}`);
+	}
+
+	if (
+		network !== "emulator" &&
+		accessApi &&
+		/127\.0\.0\.1|localhost/.test(accessApi)
+	) {
+		problems.push(
+			`flow.accessApi: ${accessApi} points at a local node but network is "${network}"`
+		);
+	}
+}
+
+function readConfigFile(filePath) {
+	const raw = fs.readFileSync(filePath, "utf8");
+	const parsed = /\.ya?ml$/i.test(filePath)
+		? YAML.parse(raw)
+		: JSON.parse(raw);
+
+	if (!isPlainObject(parsed)) {
+		throw new ConfigError([
+			`${filePath}: expected an object at the top level`,
+		]);
+	}
+	return parsed;
+}
+
+function findConfigFile(env) {
+	if (env.BRIDGE_CONFIG) {
+		return path.resolve(env.BRIDGE_CONFIG);
+	}
+	return (
+		DEFAULT_CONFIG_FILES.map((file) => path.resolve(file)).find((file) =>
+			fs.existsSync(file)
+		) || null
+	);
+}
+
+function numberFromEnv(value) {
+	return value === undefined ? undefined : Number(value);
+}
+
+function booleanFromEnv(value) {
+	if (value === undefined) {
+		return undefined;
+	}
+	if (["1", "true", "yes"].includes(value.toLowerCase())) {
+		return true;
+	}
+	if (["0", "false", "no"].includes(value.toLowerCase())) {
+		return false;
+	}
+	return value; // Left as a string so validation reports it
+}
+
+/**
+ * Environment variables override everything else
+ */
+function configFromEnv(env) {
+	const contracts = env.EVM_CONTRACT_ADDRESS
+		? env.EVM_CONTRACT_ADDRESS.split(",")
+				.map((address) => address.trim())
+				.filter(Boolean)
+				.map((address) => ({ address }))
+		: undefined;
+
+	return {
+		rpcUrl: env.EVM_RPC_URL,
+		contracts,
+		pollIntervalMs: numberFromEnv(env.POLL_INTERVAL),
+		storeDir: env.BRIDGE_STORE_DIR,
+		tokensFile: env.TOKENS_FILE,
+		confirmations: numberFromEnv(env.BRIDGE_CONFIRMATIONS),
+		flow: {
+			network: env.FLOW_NETWORK,
+			signer: env.FLOW_SIGNER,
+			accessApi: env.FLOW_ACCESS_API,
+			privateKey: env.FLOW_PRIVATE_KEY,
+		},
+		statusSync: {
+			enabled: booleanFromEnv(env.BRIDGE_STATUS_SYNC),
+			evmPrivateKey: env.EVM_PRIVATE_KEY,
+		},
+		log: {
+			level: env.BRIDGE_LOG_LEVEL,
+			format: env.BRIDGE_LOG_FORMAT,
+		},
+		instanceLock: {
+			mode: env.BRIDGE_LOCK_MODE,
+		},
+		health: {
+			enabled: booleanFromEnv(env.BRIDGE_HEALTH),
+			port: numberFromEnv(env.BRIDGE_HEALTH_PORT),
+		},
+		indexer: {
+			port: numberFromEnv(env.INDEXER_PORT),
+			corsOrigin: env.INDEXER_CORS_ORIGIN,
+		},
+	};
+}
+
+/**
+ * Resolve the effective bridge configuration
+ * @param {object} [options]
+ * @param {object} [options.env] - defaults to process.env
+ * @param {string} [options.profile] - overrides BRIDGE_PROFILE / the file's profile
+ */
+function loadBridgeConfig({ env = process.env, profile } = {}) {
+	const configFile = findConfigFile(env);
+	const fileConfig = configFile ? readConfigFile(configFile) : {};
+	const { profiles: fileProfiles = {}, ...fileOverrides } = fileConfig;
+
+	const profileName =
+		profile || env.BRIDGE_PROFILE || fileOverrides.profile || "testnet";
+	const builtInProfile = PROFILES[profileName];
+	const fileProfile = fileProfiles[profileName];
+
+	if (!builtInProfile && !fileProfile) {
+		throw new ConfigError([
+			`profile: unknown profile "${profileName}" (built-in: ${Object.keys(
+				PROFILES
+			).join(", ")})`,
+		]);
+	}
+
+	let config = merge(DEFAULTS, builtInProfile);
+	config = merge(config, fileProfile);
+	config = merge(config, fileOverrides);
+	config = merge(config, configFromEnv(env));
+	config.profile = profileName;
+
+	const problems = [];
+	validateAgainst(SCHEMA, config, "", problems);
+	validateRequired(config, problems);
+	if (problems.length === 0) {
+		crossCheckFlowJson(config, problems);
+	}
+	if (problems.length > 0) {
+		throw new ConfigError(problems);
+	}
+
+	config.contracts = config.contracts.map((contract) => ({
+		...contract,
+		address: ethers.getAddress(contract.address),
+		name: contract.name || ethers.getAddress(contract.address),
+	}));
+	config.configFile = configFile;
+	return config;
+}
+
+module.exports = { ConfigError, PROFILES, loadBridgeConfig };
@@ -0,0 +1,175 @@
+/**
+ * Bridge Conversion - Maps EVM uint256 values onto Cadence argument types
+ * Rejects anything that would overflow or silently lose precision
+ */
+
+const UFIX64_DECIMALS = 8;
+const UINT64_MAX = (1n << 64n) - 1n;
+const UFIX64_MAX = UINT64_MAX; // raw value, scaled by 10^8
+
+class ConversionError extends Error {
+	constructor(field, message) {
+		super(`${field}: ${message}`);
+		this.name = "ConversionError";
+		this.field = field;
+	}
+}
+
+function toBigInt(field, value) {
+	try {
+		const result = BigInt(value);
+		if (result < 0n) {
+			throw new ConversionError(field, "must not be negative");
+		}
+		return result;
+	} catch (error) {
+		if (error instanceof ConversionError) {
+			throw error;
+		}
+		throw new ConversionError(field, `not an integer: ${value}`);
+	}
+}
+
+/**
+ * UFix64 string → integer with 8 implied decimals, for exact arithmetic
+ * and comparisons; the inverse of formatUFix64. Amounts with more places
+ * or above the UFix64 maximum are rejected rather than rounded.
+ */
+function toRaw(amount, field = "amount") {
+	const match = /^(\d+)(?:\.(\d+))?$/.exec(String(amount).trim());
+	if (!match) {
+		throw new ConversionError(field, `"${amount}" is not a UFix64 amount`);
+	}
+	const whole = match[1];
+	const fraction = (match[2] || "").replace(/0+$/, "");
+	if (fraction.length > UFIX64_DECIMALS) {
+		throw new ConversionError(
+			field,
+			`${amount} has more than ${UFIX64_DECIMALS} decimal places and cannot be represented as UFix64`
+		);
+	}
+
+	const raw =
+		BigInt(whole) * 10n ** BigInt(UFIX64_DECIMALS) +
+		BigInt(fraction.padEnd(UFIX64_DECIMALS, "0"));
+	if (raw > UFIX64_MAX) {
+		throw new ConversionError(
+			field,
+			`${amount} exceeds the UFix64 maximum of ${formatUFix64(UFIX64_MAX)}`
+		);
+	}
+	return raw;
+}
+
+/**
+ * Format a raw 8-decimal fixed-point value as a UFix64 string ("1.5", "10.0")
+ */
+function formatUFix64(raw) {
+	const scale = 10n ** BigInt(UFIX64_DECIMALS);
+	const whole = raw / scale;
+	const fraction = (raw % scale)
+		.toString()
+		.padStart(UFIX64_DECIMALS, "0")
+		.replace(/0+$/, "");
+
+	return `${whole}.${fraction || "0"}`;
+}
+
+/**
+ * Convert an integer amount with `decimals` decimals (e.g. wei with 18)
+ * into a UFix64 string
+ */
+function toUFix64(field, value, decimals) {
+	const amount = toBigInt(field, value);
+	let raw;
+
+	if (decimals > UFIX64_DECIMALS) {
+		const divisor = 10n ** BigInt(decimals - UFIX64_DECIMALS);
+		if (amount % divisor !== 0n) {
+			throw new ConversionError(
+				field,
+				`${value} has more than ${UFIX64_DECIMALS} decimal places of precision and cannot be represented as UFix64`
+			);
+		}
+		raw = amount / divisor;
+	} else {
+		raw = amount * 10n ** BigInt(UFIX64_DECIMALS - decimals);
+	}
+
+	if (raw > UFIX64_MAX) {
+		throw new ConversionError(
+			field,
+			`${value} exceeds the UFix64 maximum of ${formatUFix64(UFIX64_MAX)}`
+		);
+	}
+
+	return formatUFix64(raw);
+}
+
+function toUInt64(field, value) {
+	const result = toBigInt(field, value);
+	if (result > UINT64_MAX) {
+		throw new ConversionError(field, `${value} exceeds the UInt64 maximum`);
+	}
+	return result.toString();
+}
+
+/**
+ * Flow addresses are 8 bytes: "0x" followed by 16 hex characters
+ */
+function normalizeFlowAddress(field, value) {
+	const address = String(value).trim().toLowerCase();
+
+	if (!/^0x[0-9a-f]{16}$/.test(address)) {
+		throw new ConversionError(
+			field,
+			`"${value}" is not a Flow address (expected 0x + 16 hex characters)`
+		);
+	}
+	return address;
+}
+
+/**
+ * Convert a BridgeCallRequested event into NativeEVMSchedule.cdc arguments
+ * @param {object} eventData - scheduleId, recipient, amount, delaySeconds as strings; token as the ERC-20 address from PaymentTokenSet, null for FLOW
+ * @param {TokenRegistry} tokens - decides the amount's decimals and the Cadence vault type
+ */
+function convertBridgeCall(eventData, tokens) {
+	const token = tokens.byEvmAddress(eventData.token);
+	if (!token) {
+		throw new ConversionError(
+			"token",
+			`${eventData.token} is not in the token registry`
+		);
+	}
+
+	const amount = toUFix64("amount", eventData.amount, token.evmDecimals);
+	if (amount === "0.0") {
+		throw new ConversionError("amount", "must be greater than zero");
+	}
+
+	const delaySeconds = toUFix64("delaySeconds", eventData.delaySeconds, 0);
+	if (delaySeconds === "0.0") {
+		throw new ConversionError("delaySeconds", "must be greater than zero");
+	}
+
+	return {
+		scheduleId: toUInt64("scheduleId", eventData.scheduleId),
+		recipient: normalizeFlowAddress("recipient", eventData.recipient),
+		amount,
+		delaySeconds,
+		token: token.vaultType,
+		symbol: token.symbol,
+	};
+}
+
+module.exports = {
+	ConversionError,
+	UFIX64_DECIMALS,
+	convertBridgeCall,
+	formatUFix64,
+	normalizeFlowAddress,
+	toRaw,
+	toUFix64,
+	toUInt64,
+};
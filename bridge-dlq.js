@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Bridge Dead-Letter Queue - Inspect and re-drive failed bridge calls
+ *
+ * Usage:
+ *   node bridge-dlq.js list
+ *   node bridge-dlq.js inspect <scheduleId>
+ *   node bridge-dlq.js redrive <scheduleId> [eventKey]
+ *   node bridge-dlq.js audit
+ *
+ * Reads the same configuration as auto-bridge.js and looks at every
+ * watched contract. Re-driven events go back to "pending"; a running
+ * bridge picks them up on its next poll.
+ */
+
+const { loadBridgeConfig } = require("./bridge-config");
+const {
+	BridgeStore,
+	REDRIVABLE_STATUSES,
+	storePathFor,
+} = require("./bridge-store");
+
+function printRecord(record) {
+	console.log(`🔑 ${record.key}`);
+	console.log(`   Contract:    ${record.contractName}`);
+	console.log(`   Status:      ${record.status}`);
+	console.log(`   Schedule ID: ${record.event.scheduleId}`);
+	console.log(`   Recipient:   ${record.event.recipient}`);
+	console.log(`   Amount:      ${record.event.amount}`);
+	console.log(`   Attempts:    ${record.attempts}`);
+	console.log(`   Error class: ${record.errorClass || "-"}`);
+	console.log(`   Last error:  ${record.lastError || "-"}`);
+	console.log(`   Cadence Tx:  ${record.cadenceTxId || "-"}`);
+	console.log(`   Updated:     ${record.updatedAt}`);
+}
+
+/**
+ * Load every contract's store, tagging records with the contract name
+ */
+function openStores(config) {
+	return config.contracts.map((deployment) => ({
+		name: deployment.name,
+		store: new BridgeStore(
+			storePathFor(config.storeDir, deployment.address)
+		).load(),
+	}));
+}
+
+function collect(stores, select) {
+	return stores.flatMap(({ name, store }) =>
+		select(store).map((record) => ({
+			...record,
+			contractName: name,
+			store,
+		}))
+	);
+}
+
+function list(stores) {
+	const records = collect(stores, (store) =>
+		store.listEvents(REDRIVABLE_STATUSES)
+	);
+
+	if (records.length === 0) {
+		console.log("✅ Dead-letter queue is empty");
+		return;
+	}
+
+	console.log(`☠️ ${records.length} event(s) need attention:\n`);
+	for (const record of records) {
+		console.log(
+			`${record.contractName}\t${record.event.scheduleId}\t${record.status}\t${record.attempts} attempt(s)\t${record.lastError}`
+		);
+	}
+}
+
+function inspect(stores, scheduleId) {
+	const records = collect(stores, (store) =>
+		store.findByScheduleId(scheduleId)
+	);
+
+	if (records.length === 0) {
+		throw new Error(`No bridge events for schedule ID ${scheduleId}`);
+	}
+
+	for (const record of records) {
+		printRecord(record);
+		console.log(`   Event:       ${JSON.stringify(record.event)}\n`);
+	}
+}
+
+function redrive(stores, scheduleId, eventKey) {
+	const candidates = collect(stores, (store) =>
+		store.findByScheduleId(scheduleId)
+	)
+		.filter((record) => REDRIVABLE_STATUSES.includes(record.status))
+		.filter((record) => !eventKey || record.key === eventKey);
+
+	if (candidates.length === 0) {
+		throw new Error(
+			`No dead-lettered events for schedule ID ${scheduleId}`
+		);
+	}
+	if (candidates.length > 1) {
+		throw new Error(
+			`Schedule ID ${scheduleId} matches ${candidates.length} events, pass the event key: ${candidates
+				.map((record) => record.key)
+				.join(", ")}`
+		);
+	}
+
+	const [candidate] = candidates;
+	const record = candidate.store.redrive(candidate.key);
+	console.log(
+		`🔁 Re-driven ${record.key} on ${candidate.contractName} - the bridge will retry it`
+	);
+}
+
+function audit(stores) {
+	const entries = stores
+		.flatMap(({ name, store }) =>
+			store.listAudit().map((entry) => ({ ...entry, contractName: name }))
+		)
+		.sort((a, b) => a.at.localeCompare(b.at));
+
+	if (entries.length === 0) {
+		console.log("📜 Audit log is empty");
+		return;
+	}
+
+	for (const entry of entries) {
+		console.log(
+			`${entry.at}\t${entry.contractName}\t${entry.action}\t${entry.scheduleId}\t${entry.eventKey}`
+		);
+		for (const overridden of entry.overridden || []) {
+			console.log(`   overrode ${overridden.key} (${overridden.status})`);
+		}
+	}
+}
+
+function main(argv) {
+	const [command, scheduleId, eventKey] = argv;
+	const commands = { list, inspect, redrive, audit };
+
+	if (!commands[command]) {
+		console.log(
+			"Usage: node bridge-dlq.js list | inspect <scheduleId> | redrive <scheduleId> [eventKey] | audit"
+		);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+
+	const stores = openStores(loadBridgeConfig());
+	commands[command](stores, scheduleId, eventKey);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	try {
+		main(process.argv.slice(2));
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,74 @@
+/**
+ * Bridge Health - Small HTTP server for liveness checks and scraping
+ *
+ *   GET /healthz  200 when healthy, 503 otherwise, with a JSON report
+ *   GET /metrics  Prometheus text format
+ */
+
+const http = require("http");
+
+/**
+ * @param {object} options
+ * @param {function(): Promise<{healthy: boolean}>} options.check - builds the /healthz report
+ * @param {MetricsRegistry} options.registry
+ * @param {Logger} options.logger
+ */
+function createHealthServer({ check, registry, logger }) {
+	return http.createServer(async (request, response) => {
+		const { pathname } = new URL(request.url, "http://localhost");
+
+		if (request.method !== "GET") {
+			response.writeHead(405, { Allow: "GET" }).end();
+			return;
+		}
+
+		try {
+			if (pathname === "/healthz") {
+				const report = await check();
+				response
+					.writeHead(report.healthy ? 200 : 503, {
+						"Content-Type": "application/json",
+					})
+					.end(JSON.stringify(report, null, 2));
+				return;
+			}
+
+			if (pathname === "/metrics") {
+				response
+					.writeHead(200, {
+						"Content-Type":
+							"text/plain; version=0.0.4; charset=utf-8",
+					})
+					.end(registry.render());
+				return;
+			}
+
+			response.writeHead(404).end();
+		} catch (error) {
+			logger.error("Health endpoint failed", { path: pathname, error });
+			response
+				.writeHead(500, { "Content-Type": "application/json" })
+				.end(JSON.stringify({ healthy: false, error: error.message }));
+		}
+	});
+}
+
+/**
+ * Resolve with `promise`, or reject after `timeoutMs` - a hung RPC must not
+ * hang the health check
+ */
+function withTimeout(promise, timeoutMs, what) {
+	let timer;
+	return Promise.race([
+		promise,
+		new Promise((_, reject) => {
+			timer = setTimeout(
+				() =>
+					reject(new Error(`${what} timed out after ${timeoutMs}ms`)),
+				timeoutMs
+			);
+		}),
+	]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { createHealthServer, withTimeout };
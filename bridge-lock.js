@@ -0,0 +1,174 @@
+/**
+ * Bridge Lock - Single-instance lock for the bridge daemon
+ *
+ * A lock file next to the bridge state, created with O_EXCL so only one
+ * process can hold it. The holder touches it every heartbeat; a lock whose
+ * process is gone (same host) or whose heartbeat is older than
+ * `staleAfterMs` is taken over. Every heartbeat also checks the file still
+ * carries our token, so a holder that lost the lock notices and steps down.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+class LockHeldError extends Error {
+	constructor(filePath, holder) {
+		super(
+			`Another bridge instance holds ${filePath}${
+				holder ? ` (pid ${holder.pid} on ${holder.hostname})` : ""
+			}`
+		);
+		this.name = "LockHeldError";
+		this.holder = holder;
+	}
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === "EPERM"; // Exists, owned by another user
+	}
+}
+
+class InstanceLock {
+	/**
+	 * @param {string} filePath
+	 * @param {object} [options]
+	 * @param {number} [options.staleAfterMs] - heartbeat age after which the lock is abandoned
+	 */
+	constructor(filePath, { staleAfterMs = 30000 } = {}) {
+		this.filePath = path.resolve(filePath);
+		this.staleAfterMs = staleAfterMs;
+		this.token = crypto.randomUUID();
+		this.held = false;
+	}
+
+	/**
+	 * Take the lock if it is free or stale. Returns true when we hold it.
+	 */
+	tryAcquire() {
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+		if (this.create()) {
+			return true;
+		}
+
+		const holder = this.readHolder();
+		if (holder && holder.token === this.token) {
+			this.held = true;
+			return true;
+		}
+		if (!this.isStale(holder)) {
+			return false;
+		}
+
+		// Two standbys may race here; whoever loses notices on its first
+		// heartbeat because the file no longer carries its token
+		fs.rmSync(this.filePath, { force: true });
+		return this.create();
+	}
+
+	create() {
+		let fd;
+		try {
+			fd = fs.openSync(this.filePath, "wx");
+		} catch (error) {
+			if (error.code === "EEXIST") {
+				return false;
+			}
+			throw error;
+		}
+
+		try {
+			fs.writeSync(
+				fd,
+				JSON.stringify({
+					token: this.token,
+					pid: process.pid,
+					hostname: os.hostname(),
+					acquiredAt: new Date().toISOString(),
+				})
+			);
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		this.held = true;
+		return true;
+	}
+
+	/**
+	 * Current holder, or null if there is no lock file. `heartbeatAt` is
+	 * the file's modification time.
+	 */
+	readHolder() {
+		let stat;
+		let raw;
+		try {
+			stat = fs.statSync(this.filePath);
+			raw = fs.readFileSync(this.filePath, "utf8");
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return null;
+			}
+			throw error;
+		}
+
+		let holder = {};
+		try {
+			holder = JSON.parse(raw);
+		} catch (error) {
+			// Caught between create and write; judged by its age alone
+		}
+		return { ...holder, heartbeatAt: stat.mtime };
+	}
+
+	isStale(holder) {
+		if (!holder) {
+			return true;
+		}
+		if (holder.hostname === os.hostname() && holder.pid) {
+			if (!isProcessAlive(holder.pid)) {
+				return true;
+			}
+		}
+		return Date.now() - holder.heartbeatAt.getTime() > this.staleAfterMs;
+	}
+
+	/**
+	 * Refresh the heartbeat. Returns false if the lock is no longer ours.
+	 */
+	heartbeat() {
+		if (!this.held) {
+			return false;
+		}
+
+		const holder = this.readHolder();
+		if (!holder || holder.token !== this.token) {
+			this.held = false;
+			return false;
+		}
+
+		const now = new Date();
+		fs.utimesSync(this.filePath, now, now);
+		return true;
+	}
+
+	release() {
+		if (!this.held) {
+			return;
+		}
+		this.held = false;
+
+		const holder = this.readHolder();
+		if (holder && holder.token === this.token) {
+			fs.rmSync(this.filePath, { force: true });
+		}
+	}
+}
+
+module.exports = { InstanceLock, LockHeldError };
@@ -0,0 +1,107 @@
+/**
+ * Bridge Logger - Structured logs for the bridge daemon
+ *
+ * One JSON object per line, e.g.
+ *   {"time":"...","level":"info","msg":"Bridge call bridged","contract":"UpdatedEVMScheduler","scheduleId":"4","txHash":"0x...","cadenceTxId":"..."}
+ * Child loggers carry correlation IDs so every line about one event can be
+ * found by its scheduleId, EVM txHash or Cadence tx ID.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Errors don't serialise with JSON.stringify - keep what operators need
+ */
+function serialise(fields) {
+	const result = {};
+	for (const [key, value] of Object.entries(fields)) {
+		if (value instanceof Error) {
+			result[key] = { name: value.name, message: value.message };
+		} else if (typeof value === "bigint") {
+			result[key] = value.toString();
+		} else if (value !== undefined) {
+			result[key] = value;
+		}
+	}
+	return result;
+}
+
+class Logger {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.level] - debug | info | warn | error
+	 * @param {string} [options.format] - json (default) or text for local development
+	 * @param {object} [options.bindings] - fields added to every line
+	 * @param {object} [options.stream] - defaults to process.stdout
+	 */
+	constructor({
+		level = "info",
+		format = "json",
+		bindings = {},
+		stream = process.stdout,
+	} = {}) {
+		this.level = level;
+		this.format = format;
+		this.bindings = bindings;
+		this.stream = stream;
+	}
+
+	child(bindings) {
+		return new Logger({
+			level: this.level,
+			format: this.format,
+			bindings: { ...this.bindings, ...bindings },
+			stream: this.stream,
+		});
+	}
+
+	write(level, msg, fields = {}) {
+		if (LEVELS[level] < LEVELS[this.level]) {
+			return;
+		}
+
+		const entry = serialise({ ...this.bindings, ...fields });
+		const time = new Date().toISOString();
+
+		if (this.format === "text") {
+			const context = Object.entries(entry)
+				.map(
+					([key, value]) =>
+						`${key}=${
+							typeof value === "object"
+								? JSON.stringify(value)
+								: value
+						}`
+				)
+				.join(" ");
+			this.stream.write(
+				`${time} ${level.toUpperCase().padEnd(5)} ${msg}${
+					context ? ` ${context}` : ""
+				}\n`
+			);
+			return;
+		}
+
+		this.stream.write(
+			`${JSON.stringify({ time, level, msg, ...entry })}\n`
+		);
+	}
+
+	debug(msg, fields) {
+		this.write("debug", msg, fields);
+	}
+
+	info(msg, fields) {
+		this.write("info", msg, fields);
+	}
+
+	warn(msg, fields) {
+		this.write("warn", msg, fields);
+	}
+
+	error(msg, fields) {
+		this.write("error", msg, fields);
+	}
+}
+
+module.exports = { LEVELS, Logger };
@@ -0,0 +1,269 @@
+/**
+ * Bridge Metrics - Counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4)
+ */
+
+// Cadence submission to seal usually takes a few seconds; retries and
+// slow seals show up in the upper buckets
+const LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+function labelKey(labels) {
+	return JSON.stringify(
+		Object.keys(labels)
+			.sort()
+			.map((name) => [name, String(labels[name])])
+	);
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) {
+		return "";
+	}
+	return `{${entries
+		.map(
+			([name, value]) =>
+				`${name}="${String(value)
+					.replace(/\\/g, "\\\\")
+					.replace(/\n/g, "\\n")
+					.replace(/"/g, '\\"')}"`
+		)
+		.join(",")}}`;
+}
+
+class Metric {
+	constructor(type, name, help) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.series = new Map();
+	}
+
+	seriesFor(labels, initial) {
+		const key = labelKey(labels);
+		if (!this.series.has(key)) {
+			this.series.set(key, { labels: { ...labels }, ...initial() });
+		}
+		return this.series.get(key);
+	}
+
+	header() {
+		return [
+			`# HELP ${this.name} ${this.help}`,
+			`# TYPE ${this.name} ${this.type}`,
+		];
+	}
+}
+
+class Counter extends Metric {
+	constructor(name, help) {
+		super("counter", name, help);
+	}
+
+	inc(labels = {}, amount = 1) {
+		this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+	}
+
+	render() {
+		return [
+			...this.header(),
+			...[...this.series.values()].map(
+				({ labels, value }) =>
+					`${this.name}${formatLabels(labels)} ${value}`
+			),
+		];
+	}
+}
+
+class Gauge extends Metric {
+	constructor(name, help) {
+		super("gauge", name, help);
+	}
+
+	set(labels, value) {
+		this.seriesFor(labels, () => ({ value: 0 })).value = value;
+	}
+
+	render() {
+		return [
+			...this.header(),
+			...[...this.series.values()].map(
+				({ labels, value }) =>
+					`${this.name}${formatLabels(labels)} ${value}`
+			),
+		];
+	}
+}
+
+class Histogram extends Metric {
+	constructor(name, help, buckets = LATENCY_BUCKETS) {
+		super("histogram", name, help);
+		this.buckets = [...buckets].sort((a, b) => a - b);
+	}
+
+	observe(labels, value) {
+		const series = this.seriesFor(labels, () => ({
+			counts: this.buckets.map(() => 0),
+			sum: 0,
+			count: 0,
+		}));
+
+		this.buckets.forEach((bound, index) => {
+			if (value <= bound) {
+				series.counts[index] += 1;
+			}
+		});
+		series.sum += value;
+		series.count += 1;
+	}
+
+	/**
+	 * Time an async function, observing in seconds whether it resolves or throws
+	 */
+	async time(labels, fn) {
+		const started = process.hrtime.bigint();
+		let outcome = "success";
+		try {
+			return await fn();
+		} catch (error) {
+			outcome = "error";
+			throw error;
+		} finally {
+			const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+			this.observe({ ...labels, outcome }, seconds);
+		}
+	}
+
+	render() {
+		const lines = this.header();
+		for (const { labels, counts, sum, count } of this.series.values()) {
+			this.buckets.forEach((bound, index) => {
+				lines.push(
+					`${this.name}_bucket${formatLabels({
+						...labels,
+						le: bound,
+					})} ${counts[index]}`
+				);
+			});
+			lines.push(
+				`${this.name}_bucket${formatLabels({
+					...labels,
+					le: "+Inf",
+				})} ${count}`
+			);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+		}
+		return lines;
+	}
+}
+
+class MetricsRegistry {
+	constructor() {
+		this.metrics = new Map();
+	}
+
+	register(metric) {
+		if (this.metrics.has(metric.name)) {
+			throw new Error(`Metric ${metric.name} is already registered`);
+		}
+		this.metrics.set(metric.name, metric);
+		return metric;
+	}
+
+	counter(name, help) {
+		return this.register(new Counter(name, help));
+	}
+
+	gauge(name, help) {
+		return this.register(new Gauge(name, help));
+	}
+
+	histogram(name, help, buckets) {
+		return this.register(new Histogram(name, help, buckets));
+	}
+
+	render() {
+		return `${[...this.metrics.values()]
+			.flatMap((metric) => metric.render())
+			.join("\n")}\n`;
+	}
+}
+
+/**
+ * The metrics the bridge daemon exports
+ */
+function createBridgeMetrics(registry = new MetricsRegistry()) {
+	return {
+		registry,
+		eventsSeen: registry.counter(
+			"bridge_events_seen_total",
+			"Bridge triggers confirmed on the EVM side"
+		),
+		eventsBridged: registry.counter(
+			"bridge_events_bridged_total",
+			"Bridge calls that created a Cadence schedule"
+		),
+		eventsFailed: registry.counter(
+			"bridge_events_failed_total",
+			"Failed Cadence submission attempts"
+		),
+		eventsRetried: registry.counter(
+			"bridge_events_retried_total",
+			"Submission attempts after an earlier failure"
+		),
+		eventsDeadLettered: registry.counter(
+			"bridge_events_dead_lettered_total",
+			"Bridge calls moved to the dead-letter queue"
+		),
+		eventsRejected: registry.counter(
+			"bridge_events_rejected_total",
+			"Bridge calls rejected for invalid event data"
+		),
+		eventsReorged: registry.counter(
+			"bridge_events_reorged_total",
+			"Events dropped because their block was reorged out"
+		),
+		statusUpdates: registry.counter(
+			"bridge_status_updates_total",
+			"Cadence status updates written back to the EVM contract"
+		),
+		submissionSeconds: registry.histogram(
+			"bridge_cadence_submission_seconds",
+			"Time from sending a Cadence transaction to its seal"
+		),
+		eventsByStatus: registry.gauge(
+			"bridge_events",
+			"Events in the store by status"
+		),
+		chainHeadBlock: registry.gauge(
+			"bridge_chain_head_block",
+			"Latest EVM block number seen by the bridge"
+		),
+		lastProcessedBlock: registry.gauge(
+			"bridge_last_processed_block",
+			"Checkpoint: every event up to this block is recorded"
+		),
+		blockLag: registry.gauge(
+			"bridge_block_lag",
+			"Blocks between the checkpoint and the confirmed chain head"
+		),
+		leader: registry.gauge(
+			"bridge_leader",
+			"1 while this instance holds the lock and bridges events"
+		),
+		lastPollTimestamp: registry.gauge(
+			"bridge_last_successful_poll_timestamp_seconds",
+			"Unix time of the last poll that completed without error"
+		),
+	};
+}
+
+module.exports = {
+	Counter,
+	Gauge,
+	Histogram,
+	LATENCY_BUCKETS,
+	MetricsRegistry,
+	createBridgeMetrics,
+};
@@ -0,0 +1,108 @@
+/**
+ * Bridge Retry - Retry policy and failure classification for bridge calls
+ */
+
+const { FlowTransactionError } = require("./flow-client");
+
+/**
+ * Worth retrying: network hiccups, rate limits, expired or unsealed txs
+ */
+class TransientBridgeError extends Error {
+	constructor(message, { cause } = {}) {
+		super(message, { cause });
+		this.name = "TransientBridgeError";
+	}
+}
+
+/**
+ * Retrying won't help: the Cadence transaction reverted, the request was
+ * malformed, or the signer is misconfigured
+ */
+class PermanentBridgeError extends Error {
+	constructor(message, { cause } = {}) {
+		super(message, { cause });
+		this.name = "PermanentBridgeError";
+	}
+}
+
+const ERROR_CLASS = {
+	TRANSIENT: "transient",
+	PERMANENT: "permanent",
+};
+
+/**
+ * Decide whether a failed bridge call should be retried
+ */
+function classifyError(error) {
+	if (error instanceof PermanentBridgeError) {
+		return ERROR_CLASS.PERMANENT;
+	}
+	if (error instanceof TransientBridgeError) {
+		return ERROR_CLASS.TRANSIENT;
+	}
+
+	// Sealed with an error means Cadence executed and reverted - resending
+	// the same arguments will revert again. Expiry and seal timeouts are
+	// retried (the next attempt re-checks the previous tx before resending).
+	if (error instanceof FlowTransactionError) {
+		return error.status === "Sealed"
+			? ERROR_CLASS.PERMANENT
+			: ERROR_CLASS.TRANSIENT;
+	}
+
+	// Access API rejected the request itself (bad signature, bad script...)
+	if (
+		typeof error.status === "number" &&
+		error.status >= 400 &&
+		error.status < 500 &&
+		error.status !== 408 &&
+		error.status !== 429
+	) {
+		return ERROR_CLASS.PERMANENT;
+	}
+
+	// 5xx, 429, connection resets, DNS failures, timeouts
+	return ERROR_CLASS.TRANSIENT;
+}
+
+class RetryPolicy {
+	constructor({
+		maxAttempts = 5,
+		baseDelayMs = 5000,
+		maxDelayMs = 5 * 60 * 1000,
+		factor = 2,
+		jitter = 0.2,
+	} = {}) {
+		this.maxAttempts = maxAttempts;
+		this.baseDelayMs = baseDelayMs;
+		this.maxDelayMs = maxDelayMs;
+		this.factor = factor;
+		this.jitter = jitter;
+	}
+
+	shouldRetry(attempts, errorClass) {
+		return (
+			errorClass === ERROR_CLASS.TRANSIENT && attempts < this.maxAttempts
+		);
+	}
+
+	/**
+	 * Backoff before the next attempt, after `attempts` failures so far
+	 */
+	delayFor(attempts) {
+		const exponential = Math.min(
+			this.baseDelayMs * Math.pow(this.factor, attempts - 1),
+			this.maxDelayMs
+		);
+		const spread = exponential * this.jitter;
+		return Math.round(exponential - spread + Math.random() * spread * 2);
+	}
+}
+
+module.exports = {
+	ERROR_CLASS,
+	PermanentBridgeError,
+	RetryPolicy,
+	TransientBridgeError,
+	classifyError,
+};
@@ -0,0 +1,257 @@
+/**
+ * Bridge Status Sync - Writes Cadence outcomes back to the EVM scheduler
+ *
+ * Watches NativeEVMBridge.EVMScheduleReceived (scheduled) and
+ * SimpleFlowScheduler.PaymentExecuted (executed / failed) on Flow, matches
+ * them to bridged events in the bridge store and calls
+ * updateCadenceStatus() on the EVM contract the schedule came from.
+ */
+
+const { ethers } = require("ethers");
+const { Logger } = require("./bridge-logger");
+const { createBridgeMetrics } = require("./bridge-metrics");
+
+const STATUS_ABI = [
+	"function updateCadenceStatus(uint256 scheduleId, uint8 status, uint64 cadenceScheduleId)",
+	"function getCadenceStatus(uint256 scheduleId) view returns (uint8 status, uint64 cadenceScheduleId, uint256 updatedAt)",
+];
+
+// Mirrors UpdatedEVMScheduler.CadenceStatus
+const CADENCE_STATUS = {
+	NONE: 0,
+	SCHEDULED: 1,
+	EXECUTED: 2,
+	FAILED: 3,
+};
+
+const STATUS_NAMES = {
+	[CADENCE_STATUS.SCHEDULED]: "scheduled",
+	[CADENCE_STATUS.EXECUTED]: "executed",
+	[CADENCE_STATUS.FAILED]: "failed",
+};
+
+function statusCode(name) {
+	return Number(
+		Object.keys(STATUS_NAMES).find((code) => STATUS_NAMES[code] === name) ||
+			CADENCE_STATUS.NONE
+	);
+}
+
+class StatusSync {
+	/**
+	 * @param {object} options
+	 * @param {FlowClient} options.flow
+	 * @param {ethers.Signer} options.signer - bridge operator on the EVM contracts
+	 * @param {object[]} options.watchers - AutoBridge watchers ({name, address, store})
+	 * @param {Logger} [options.logger]
+	 * @param {object} [options.metrics] - from createBridgeMetrics()
+	 * @param {number} [options.startLookback] - Flow blocks to scan on the first run
+	 * @param {number} [options.blockChunkSize] - Flow blocks per events request (max 250)
+	 */
+	constructor({
+		flow,
+		signer,
+		watchers,
+		logger = new Logger(),
+		metrics = createBridgeMetrics(),
+		startLookback = 1000,
+		blockChunkSize = 250,
+	}) {
+		this.flow = flow;
+		this.log = logger.child({ component: "status-sync" });
+		this.metrics = metrics;
+		this.signerAddress = signer.address;
+		this.watchers = watchers.map((watcher) => ({
+			...watcher,
+			log: this.log.child({ contract: watcher.name }),
+			statusContract: new ethers.Contract(
+				watcher.address,
+				STATUS_ABI,
+				signer
+			),
+		}));
+		this.startLookback = startLookback;
+		this.blockChunkSize = blockChunkSize;
+		this.eventTypes = {
+			scheduled: flow.eventType("NativeEVMBridge", "EVMScheduleReceived"),
+			executed: flow.eventType("SimpleFlowScheduler", "PaymentExecuted"),
+		};
+	}
+
+	async poll() {
+		await this.syncFlowEvents();
+		for (const watcher of this.watchers) {
+			await this.pushStatusUpdates(watcher);
+		}
+	}
+
+	/**
+	 * Scan sealed Flow blocks since the last sync and record the Cadence
+	 * status each bridged event should have on the EVM side
+	 */
+	async syncFlowEvents() {
+		const sealed = Number((await this.flow.getLatestSealedBlock()).height);
+		const checkpoints = this.watchers.map((watcher) =>
+			watcher.store.load().getFlowCheckpoint()
+		);
+		const fromHeight = checkpoints.includes(null)
+			? Math.max(sealed - this.startLookback, 0)
+			: Math.min(...checkpoints) + 1;
+
+		for (
+			let chunkStart = fromHeight;
+			chunkStart <= sealed;
+			chunkStart += this.blockChunkSize
+		) {
+			const chunkEnd = Math.min(
+				chunkStart + this.blockChunkSize - 1,
+				sealed
+			);
+
+			const [scheduled, executed] = await Promise.all([
+				this.flow.getEvents(
+					this.eventTypes.scheduled,
+					chunkStart,
+					chunkEnd
+				),
+				this.flow.getEvents(
+					this.eventTypes.executed,
+					chunkStart,
+					chunkEnd
+				),
+			]);
+
+			for (const event of scheduled) {
+				this.applyScheduled(event);
+			}
+			for (const event of executed) {
+				this.applyExecuted(event);
+			}
+
+			for (const watcher of this.watchers) {
+				watcher.store.setFlowCheckpoint(chunkEnd);
+			}
+		}
+	}
+
+	/**
+	 * EVMScheduleReceived is emitted by the bridge's own Cadence transaction;
+	 * match on the transaction ID so records interrupted before the
+	 * Cadence ID was stored are found too
+	 */
+	applyScheduled(event) {
+		const evmScheduleId = String(event.data.evmScheduleId);
+		const cadenceId = String(event.data.cadenceScheduleId);
+
+		for (const watcher of this.watchers) {
+			const record = watcher.store
+				.findByScheduleId(evmScheduleId)
+				.find(
+					(candidate) =>
+						candidate.cadenceTxId === event.transactionId ||
+						String(candidate.cadenceId) === cadenceId
+				);
+			if (record) {
+				this.setTargetStatus(watcher, record, "scheduled", cadenceId);
+			}
+		}
+	}
+
+	applyExecuted(event) {
+		const cadenceId = String(event.data.id);
+		const status = event.data.success ? "executed" : "failed";
+
+		for (const watcher of this.watchers) {
+			const record = watcher.store
+				.listEvents()
+				.find((candidate) => String(candidate.cadenceId) === cadenceId);
+			if (record) {
+				this.setTargetStatus(watcher, record, status, cadenceId);
+			}
+		}
+	}
+
+	setTargetStatus(watcher, record, status, cadenceId) {
+		if (statusCode(record.cadenceStatus) >= statusCode(status)) {
+			return; // Seen already, or a later status is known
+		}
+
+		watcher.store.updateEvent(record.key, {
+			cadenceId: record.cadenceId || cadenceId,
+			cadenceStatus: status,
+		});
+		watcher.log.info("Cadence status changed", {
+			eventKey: record.key,
+			scheduleId: record.event.scheduleId,
+			txHash: record.event.txHash,
+			cadenceTxId: record.cadenceTxId,
+			cadenceId,
+			status,
+		});
+	}
+
+	/**
+	 * Send updateCadenceStatus for every record whose Cadence status is
+	 * ahead of what the EVM contract has been told
+	 */
+	async pushStatusUpdates(watcher) {
+		const { store, statusContract } = watcher;
+		const outstanding = store
+			.listEvents()
+			.filter(
+				(record) =>
+					record.cadenceStatus &&
+					record.cadenceStatus !== record.evmStatus
+			);
+
+		for (const record of outstanding) {
+			const scheduleId = record.event.scheduleId;
+			const target = statusCode(record.cadenceStatus);
+			const log = watcher.log.child({
+				eventKey: record.key,
+				scheduleId,
+				cadenceId: record.cadenceId,
+			});
+
+			try {
+				// Another bridge instance (or a retry after a crash) may have
+				// written it already; the contract rejects stale updates
+				const current = Number(
+					(await statusContract.getCadenceStatus(scheduleId)).status
+				);
+				if (current < target && current < CADENCE_STATUS.EXECUTED) {
+					const tx = await statusContract.updateCadenceStatus(
+						scheduleId,
+						target,
+						record.cadenceId
+					);
+					log.info("Writing Cadence status to EVM", {
+						status: record.cadenceStatus,
+						statusTxHash: tx.hash,
+					});
+					await tx.wait();
+					this.metrics.statusUpdates.inc({
+						contract: watcher.name,
+						status: record.cadenceStatus,
+					});
+				}
+
+				store.updateEvent(record.key, {
+					evmStatus: record.cadenceStatus,
+					evmStatusError: null,
+				});
+			} catch (error) {
+				// Retried on the next poll
+				store.updateEvent(record.key, {
+					evmStatusError: error.shortMessage || error.message,
+				});
+				log.error("Status update failed, will retry", {
+					status: record.cadenceStatus,
+					error: error.shortMessage || error.message,
+				});
+			}
+		}
+	}
+}
+
+module.exports = { CADENCE_STATUS, StatusSync };
@@ -0,0 +1,256 @@
+/**
+ * Bridge Store - Durable checkpoint and event status storage for AutoBridge
+ * Persists to a local JSON file so the bridge can resume after a restart
+ */
+
+const path = require("path");
+const { JsonStore } = require("./json-store");
+
+// Event lifecycle statuses
+const EVENT_STATUS = {
+	UNCONFIRMED: "unconfirmed", // Seen live, not yet N blocks deep
+	REORGED: "reorged", // Block was reorged out before confirmation, dropped
+	PENDING: "pending", // Confirmed on EVM, not yet sent to Cadence
+	SUBMITTING: "submitting", // Cadence submission in flight
+	BRIDGED: "bridged", // Cadence schedule created
+	FAILED: "failed", // Last attempt failed, will be retried after backoff
+	REJECTED: "rejected", // Invalid event data, never sent on-chain
+	DEAD_LETTER: "dead_letter", // Retries exhausted or permanent failure
+	UNKNOWN: "unknown", // Interrupted mid-submission, needs manual review
+	DUPLICATE: "duplicate", // Schedule ID already handled by another event
+	SUPERSEDED: "superseded", // Replaced by an owner re-trigger before it was bridged
+};
+
+// Statuses an operator can re-drive from the dead-letter tooling
+const REDRIVABLE_STATUSES = [EVENT_STATUS.DEAD_LETTER, EVENT_STATUS.UNKNOWN];
+
+const STORE_VERSION = 1;
+
+function newRecord(eventKey, eventData, status) {
+	const now = new Date().toISOString();
+	return {
+		key: eventKey,
+		status,
+		blockNumber: eventData.blockNumber,
+		blockHash: eventData.blockHash,
+		event: eventData,
+		attempts: 0,
+		nextAttemptAt: null,
+		lastError: null,
+		errorClass: null,
+		cadenceTxId: null,
+		cadenceId: null,
+		createdAt: now,
+		updatedAt: now,
+	};
+}
+
+class BridgeStore extends JsonStore {
+	constructor(filePath) {
+		super(filePath, { name: "bridge store", version: STORE_VERSION });
+	}
+
+	static emptyState() {
+		return {
+			version: STORE_VERSION,
+			lastProcessedBlock: null,
+			lastProcessedBlockHash: null,
+			lastSyncedFlowHeight: null,
+			events: {},
+			audit: [],
+		};
+	}
+
+	getCheckpoint() {
+		return this.state.lastProcessedBlock;
+	}
+
+	getCheckpointHash() {
+		return this.state.lastProcessedBlockHash || null;
+	}
+
+	setCheckpoint(blockNumber, blockHash = null) {
+		this.mutate((state) => {
+			state.lastProcessedBlock = blockNumber;
+			state.lastProcessedBlockHash = blockHash;
+		});
+	}
+
+	/**
+	 * Last sealed Flow height scanned for Cadence status events
+	 */
+	getFlowCheckpoint() {
+		return this.state.lastSyncedFlowHeight ?? null;
+	}
+
+	setFlowCheckpoint(height) {
+		this.mutate((state) => {
+			state.lastSyncedFlowHeight = height;
+		});
+	}
+
+	getEvent(eventKey) {
+		return this.state.events[eventKey] || null;
+	}
+
+	/**
+	 * Record a newly seen event. Returns false if it was already known.
+	 */
+	recordEvent(eventKey, eventData, status = EVENT_STATUS.PENDING) {
+		return this.mutate((state) => {
+			if (state.events[eventKey]) {
+				return false;
+			}
+
+			state.events[eventKey] = newRecord(eventKey, eventData, status);
+			return true;
+		});
+	}
+
+	updateEvent(eventKey, fields) {
+		return this.mutate((state) => {
+			const record = state.events[eventKey];
+			if (!record) {
+				throw new Error(`Unknown bridge event: ${eventKey}`);
+			}
+
+			Object.assign(record, fields, {
+				updatedAt: new Date().toISOString(),
+			});
+			return record;
+		});
+	}
+
+	/**
+	 * An event reached the confirmation depth. Unconfirmed records are
+	 * promoted to pending, taking the canonical block they ended up in.
+	 * Returns true if the event is newly confirmed.
+	 */
+	confirmEvent(eventKey, eventData) {
+		return this.mutate((state) => {
+			const now = new Date().toISOString();
+			const record = state.events[eventKey];
+
+			if (!record) {
+				state.events[eventKey] = newRecord(
+					eventKey,
+					eventData,
+					EVENT_STATUS.PENDING
+				);
+				return true;
+			}
+
+			if (
+				record.status !== EVENT_STATUS.UNCONFIRMED &&
+				record.status !== EVENT_STATUS.REORGED
+			) {
+				return false;
+			}
+
+			Object.assign(record, {
+				status: EVENT_STATUS.PENDING,
+				blockNumber: eventData.blockNumber,
+				blockHash: eventData.blockHash,
+				event: eventData,
+				lastError: null,
+				updatedAt: now,
+			});
+			return true;
+		});
+	}
+
+	listEvents(statuses) {
+		const records = Object.values(this.state.events);
+		if (!statuses) {
+			return records;
+		}
+		return records.filter((record) => statuses.includes(record.status));
+	}
+
+	findByScheduleId(scheduleId) {
+		return this.listEvents().filter(
+			(record) => record.event.scheduleId === String(scheduleId)
+		);
+	}
+
+	/**
+	 * Append an operator-visible entry (e.g. an owner re-trigger overriding
+	 * the per-schedule dedup)
+	 */
+	appendAudit(entry) {
+		return this.mutate((state) => {
+			const audited = { at: new Date().toISOString(), ...entry };
+			state.audit = state.audit || []; // Stores written before the audit log existed
+			state.audit.push(audited);
+			return audited;
+		});
+	}
+
+	listAudit() {
+		return this.state.audit || [];
+	}
+
+	/**
+	 * Put a dead-lettered event back in the queue with a fresh retry budget
+	 */
+	redrive(eventKey) {
+		return this.mutate((state) => {
+			const record = state.events[eventKey];
+			if (!record) {
+				throw new Error(`Unknown bridge event: ${eventKey}`);
+			}
+			if (!REDRIVABLE_STATUSES.includes(record.status)) {
+				throw new Error(
+					`Event ${eventKey} is "${record.status}", only ${REDRIVABLE_STATUSES.join(
+						"/"
+					)} events can be re-driven`
+				);
+			}
+
+			const now = new Date().toISOString();
+			Object.assign(record, {
+				status: EVENT_STATUS.PENDING,
+				attempts: 0,
+				nextAttemptAt: null,
+				redrivenAt: now,
+				updatedAt: now,
+			});
+			return record;
+		});
+	}
+
+	/**
+	 * Anything still "submitting" at startup was interrupted mid-flight. We
+	 * can't know whether the Cadence transaction landed, so park it for
+	 * manual review instead of risking a duplicate payment.
+	 */
+	quarantineInterrupted() {
+		return this.mutate((state) => {
+			const interrupted = Object.values(state.events).filter(
+				(record) => record.status === EVENT_STATUS.SUBMITTING
+			);
+
+			for (const record of interrupted) {
+				record.status = EVENT_STATUS.UNKNOWN;
+				record.lastError =
+					"Bridge stopped during Cadence submission; verify on-chain before re-driving";
+				record.updatedAt = new Date().toISOString();
+			}
+			return interrupted;
+		});
+	}
+}
+
+/**
+ * Each watched EVM contract gets its own state file
+ */
+function storePathFor(storeDir, contractAddress) {
+	return path.join(storeDir, `${contractAddress.toLowerCase()}.json`);
+}
+
+module.exports = {
+	BridgeStore,
+	storePathFor,
+	EVENT_STATUS,
+	REDRIVABLE_STATUSES,
+};
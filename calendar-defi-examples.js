@@ -4,31 +4,396 @@
  */
 
 const { ethers } = require("ethers");
+const { OPERATION_TYPES } = require("./ai-integration");
+const { eventToOperation, parseCalendar } = require("./calendar-ics");
+const { CalendarSchedulerClient } = require("./calendar-scheduler-client");
+const { FlowClient } = require("./flow-client");
+const { MODE, compileRecurrence, wallClock } = require("./recurrence");
+const { ScheduleSimulator } = require("./schedule-simulator");
+const {
+	PaymentCallScheduler,
+	SubscriptionManager,
+	SubscriptionStore,
+} = require("./subscriptions");
+const { TokenRegistry } = require("./token-registry");
+
+// Calendar event and automation names → scheduler operation types, so dry
+// runs use the right priority and effort
+const CALENDAR_OPERATION_TYPES = {
+	dca_purchase: "dca",
+	q1_harvest: "tax_harvest",
+	q2_harvest: "tax_harvest",
+	q3_harvest: "tax_harvest",
+	q4_harvest: "tax_harvest",
+	portfolio_rebalance: "rebalance",
+	compound: "yield_compound",
+	harvest: "harvest",
+};
+
+/**
+ * The conditions behind setupEmergencyProtocols(), for a ConditionEngine
+ * (see condition-engine.js)
+ *
+ * @param {object} [riskThresholds]
+ * @param {number} [riskThresholds.maxDrawdown] - fraction below the window's high that triggers a stop-loss
+ * @param {number} [riskThresholds.volatilityThreshold] - volatility that triggers reducing exposure
+ * @param {number} [riskThresholds.minLiquidity] - liquidity below which funds are withdrawn; no check without it
+ * @param {string} [riskThresholds.symbol] - price series watched
+ * @param {string} [riskThresholds.liquiditySymbol] - liquidity series watched
+ * @param {string} [riskThresholds.window] - e.g. "24h"
+ * @returns {object[]} condition definitions
+ */
+function emergencyConditions({
+	maxDrawdown = 0.2,
+	volatilityThreshold = 0.5,
+	minLiquidity = null,
+	symbol = "FLOW/USD",
+	liquiditySymbol = `${symbol}:liquidity`,
+	window = "24h",
+} = {}) {
+	const conditions = [
+		{
+			id: "price_drop",
+			when: `drawdown("${symbol}", "${window}") <= -${maxDrawdown}`,
+			action: { type: "stop_loss", symbol },
+			hysteresis: maxDrawdown / 4,
+			urgency: 5,
+		},
+		{
+			id: "volatility_spike",
+			when: `volatility("${symbol}", "${window}") >= ${volatilityThreshold}`,
+			action: { type: "reduce_exposure", symbol },
+			hysteresis: volatilityThreshold / 4,
+			urgency: 4,
+		},
+	];
+	if (minLiquidity !== null) {
+		conditions.push({
+			id: "liquidity_crisis",
+			when: `value("${liquiditySymbol}") < ${minLiquidity}`,
+			action: { type: "withdraw_funds", symbol },
+			hysteresis: minLiquidity / 10,
+			urgency: 5,
+		});
+	}
+	return conditions;
+}
+
+/**
+ * Stands in for the Flow scheduler during a dry run: records what would
+ * be scheduled instead of sending it
+ */
+class DryRunRecorder {
+	constructor(now = Date.now) {
+		this.now = now;
+		this.operations = [];
+		this.skipped = [];
+	}
+
+	record(operation) {
+		this.operations.push({
+			...operation,
+			type: CALENDAR_OPERATION_TYPES[operation.type] || operation.type,
+			scheduledTime: Math.floor(operation.scheduledTime / 1000) * 1000,
+		});
+		return `dry-run-${this.operations.length}`;
+	}
+
+	async schedulePayment(recipient, amount, delay, currency) {
+		return this.record({
+			type: "payment",
+			scheduledTime: this.now() + delay * 1000,
+			amount: String(amount),
+			asset: currency,
+			recipient,
+		});
+	}
+
+	async enableDeFiAutomationWithAI(protocol, strategy, interval) {
+		return this.record({
+			type: strategy,
+			scheduledTime: this.now() + interval * 1000,
+			recurrence: { intervalSeconds: interval, maxExecutions: null },
+			protocol,
+		});
+	}
+
+	async scheduleCalendarDeFiEvent(eventType, scheduledTime, description) {
+		return this.record({ type: eventType, scheduledTime, description });
+	}
+
+	async scheduleCron(operation, cron) {
+		return this.record({
+			...operation,
+			scheduledTime: cron.baseTimestamp,
+			recurrence: {
+				intervalSeconds: cron.intervalSeconds,
+				maxExecutions: cron.maxExecutions,
+			},
+		});
+	}
+
+	async setupGovernanceAutomation(dao, preference) {
+		this.skipped.push({
+			call: "setupGovernanceAutomation",
+			reason: `${preference} voting on ${dao} is not time-scheduled`,
+		});
+		return null;
+	}
+
+	async triggerAIScheduling(txType) {
+		this.skipped.push({
+			call: "triggerAIScheduling",
+			reason: `${txType} is scheduled by the AI at runtime`,
+		});
+		return null;
+	}
+}
 
 class CalendarDeFiExamples {
-	constructor(flowScheduler, evmProvider) {
-		this.flowScheduler = flowScheduler;
+	/**
+	 * @param {object} flowScheduler
+	 * @param {object} evmProvider
+	 * @param {object} [options]
+	 * @param {boolean} [options.dryRun] - record schedules instead of sending them; see simulate()
+	 * @param {ScheduleSimulator} [options.simulator] - defaults to one against the local emulator
+	 * @param {SubscriptionManager} [options.subscriptions] - tracks subscriptions and business
+	 *   payments; without one (and always in dry runs) they are scheduled through
+	 *   flowScheduler and tracked in memory
+	 * @param {TokenRegistry} [options.tokens] - checks the currencies of those in-memory subscriptions
+	 * @param {ConditionEngine} [options.conditions] - watches the emergency protocols' prices
+	 */
+	constructor(
+		flowScheduler,
+		evmProvider,
+		{
+			dryRun = false,
+			simulator,
+			subscriptions,
+			tokens = null,
+			conditions = null,
+		} = {}
+	) {
+		this.flowScheduler = dryRun ? new DryRunRecorder() : flowScheduler;
 		this.evmProvider = evmProvider;
+		this.dryRun = dryRun;
+		this.simulator = simulator;
+		this.conditions = conditions;
+		this.subscriptions =
+			subscriptions && !dryRun
+				? subscriptions
+				: new SubscriptionManager({
+						scheduler: new PaymentCallScheduler(this.flowScheduler),
+						store: new SubscriptionStore(null),
+						tokens,
+					});
+	}
+
+	/**
+	 * Simulate everything recorded in dry-run mode: fees, execution order,
+	 * conflicts and projected balances
+	 */
+	async simulate() {
+		if (!this.dryRun) {
+			throw new Error(
+				"simulate() needs CalendarDeFiExamples in dryRun mode"
+			);
+		}
+
+		const simulator =
+			this.simulator ||
+			new ScheduleSimulator({
+				flow: FlowClient.fromFlowJson({ network: "emulator" }),
+				operationTypes: OPERATION_TYPES,
+			});
+		const report = await simulator.simulate(this.flowScheduler.operations);
+		return { ...report, skipped: this.flowScheduler.skipped };
+	}
+
+	/**
+	 * Schedule a recurrence (cron expression, RRULE or interval in seconds;
+	 * see recurrence.js). An evenly spaced rule becomes one cron schedule
+	 * when the scheduler has scheduleCron(); otherwise each occurrence is a
+	 * payment (when `operation.recipient` is set) or a calendar event.
+	 *
+	 * One-shots are a single batch: when the result is not `complete`,
+	 * nothing schedules the occurrences after `resumeAfter`. Call this again
+	 * with the same `start` once `resumeAfter` has passed to schedule the
+	 * next batch.
+	 *
+	 * @param {string|number|object} spec
+	 * @param {object} operation - { type, description } or { type: "payment", recipient, amount, asset }
+	 * @param {object} [recurrenceOptions] - compileRecurrence() options
+	 * @returns {Promise<object>} the compiled recurrence plus the scheduled `ids`
+	 */
+	async scheduleRecurring(spec, operation, recurrenceOptions = {}) {
+		const now = recurrenceOptions.now ?? Date.now();
+		const compiled = compileRecurrence(spec, {
+			...recurrenceOptions,
+			now,
+			mode: this.flowScheduler.scheduleCron
+				? recurrenceOptions.mode || MODE.AUTO
+				: MODE.ONE_SHOT,
+		});
+
+		if (compiled.mode === MODE.CRON) {
+			const id = await this.flowScheduler.scheduleCron(
+				operation,
+				compiled
+			);
+			return { ...compiled, ids: [id] };
+		}
+
+		const ids = [];
+		for (const time of compiled.times) {
+			ids.push(
+				operation.recipient
+					? await this.flowScheduler.schedulePayment(
+							operation.recipient,
+							operation.amount,
+							Math.ceil((time - now) / 1000),
+							operation.asset
+						)
+					: await this.flowScheduler.scheduleCalendarDeFiEvent(
+							operation.type,
+							time,
+							operation.description
+						)
+			);
+		}
+		return { ...compiled, ids };
 	}
 
 	/**
-	 * Netflix-style subscription payments
+	 * Schedule the events of an .ics file (payroll dates, for example).
+	 * Events naming a recipient and amount (X-DEFI-RECIPIENT and
+	 * X-DEFI-AMOUNT, or a "Pay 100 FLOW to 0x..." summary) become payments,
+	 * others calendar events; RRULEs go through scheduleRecurring(). Events
+	 * that are cancelled, executed, past or unreadable are skipped.
+	 *
+	 * @param {string} ics
+	 * @param {object} [options]
+	 * @param {string} [options.timeZone] - for floating and all-day times
+	 * @param {function(object): object|null} [options.mapEvent] - replaces eventToOperation()
+	 * @param {number} [options.now]
+	 * @returns {Promise<object>} { scheduled: [{ uid, operation, ids }], skipped: [{ uid, reason }] }
 	 */
-	async setupSubscriptionService(merchant, amount, interval) {
+	async importCalendar(
+		ics,
+		{ timeZone = "UTC", mapEvent = eventToOperation, now = Date.now() } = {}
+	) {
+		const scheduled = [];
+		const skipped = [];
+
+		for (const event of parseCalendar(ics, { timeZone })) {
+			const operation = mapEvent(event);
+			if (!operation) {
+				skipped.push({
+					uid: event.uid,
+					reason: "cancelled or executed",
+				});
+				continue;
+			}
+
+			try {
+				if (event.rrule) {
+					const recurring = await this.scheduleRecurring(
+						`RRULE:${event.rrule}`,
+						operation,
+						{ now, start: event.start, timeZone: event.timeZone }
+					);
+					if (recurring.ids.length === 0) {
+						skipped.push({
+							uid: event.uid,
+							reason: "no future occurrences",
+						});
+						continue;
+					}
+					scheduled.push({
+						uid: event.uid,
+						operation,
+						ids: recurring.ids,
+					});
+					continue;
+				}
+
+				if (event.start <= now) {
+					skipped.push({
+						uid: event.uid,
+						reason: `in the past (${new Date(event.start).toISOString()})`,
+					});
+					continue;
+				}
+
+				const id = operation.recipient
+					? await this.flowScheduler.schedulePayment(
+							operation.recipient,
+							operation.amount,
+							Math.ceil((event.start - now) / 1000),
+							operation.asset
+						)
+					: await this.flowScheduler.scheduleCalendarDeFiEvent(
+							operation.type,
+							event.start,
+							operation.description
+						);
+				scheduled.push({ uid: event.uid, operation, ids: [id] });
+			} catch (error) {
+				skipped.push({ uid: event.uid, reason: error.message });
+			}
+		}
+
 		console.log(
-			`🎬 Setting up subscription: ${amount} FLOW every ${interval} seconds to ${merchant}`
+			`📆 Imported ${scheduled.length} calendar event(s), skipped ${skipped.length}`
 		);
+		return { scheduled, skipped };
+	}
 
-		// Schedule recurring payments
-		const subscriptionId = await this.flowScheduler.schedulePayment(
+	/**
+	 * Netflix-style subscription payments, tracked by this.subscriptions so
+	 * they can be paused, resumed, cancelled or changed later
+	 *
+	 * @param {string} merchant
+	 * @param {number|string} amount - per payment, in `asset`
+	 * @param {number|string|object} schedule - seconds between payments, or a recurrence spec
+	 * @param {object} [options]
+	 * @param {string} [options.asset] - token symbol, FLOW by default
+	 * @param {number} [options.maxPayments]
+	 * @param {string} [options.timeZone]
+	 * @param {string} [options.payer]
+	 * @returns {Promise<object>} the subscription; see subscriptions.js
+	 */
+	async setupSubscriptionService(
+		merchant,
+		amount,
+		schedule,
+		{ maxPayments, timeZone, payer, asset = "FLOW" } = {}
+	) {
+		console.log(
+			`🎬 Setting up subscription: ${amount} ${asset} ${
+				typeof schedule === "number"
+					? `every ${schedule} seconds`
+					: `on ${JSON.stringify(schedule)}`
+			} to ${merchant}`
+		);
+
+		const subscription = await this.subscriptions.create({
 			merchant,
 			amount,
-			interval,
-			"FLOW"
-		);
+			asset,
+			schedule,
+			payer,
+			timeZone,
+			maxPayments: maxPayments ?? null,
+			description: "subscription",
+		});
 
-		console.log(`✅ Subscription created with ID: ${subscriptionId}`);
-		return subscriptionId;
+		console.log(
+			`✅ Subscription ${subscription.id} created, ${
+				subscription.charges.length
+			} charge(s) scheduled ahead`
+		);
+		return subscription;
 	}
 
 	/**
@@ -66,25 +431,42 @@ class CalendarDeFiExamples {
 
 	/**
 	 * DCA (Dollar Cost Averaging) strategy
+	 *
+	 * @param {string} asset
+	 * @param {number} weeklyAmount
+	 * @param {number} duration - days
+	 * @param {string|object} [schedule] - recurrence spec, weekly by default
+	 * @param {object} [options]
+	 * @param {string} [options.timeZone]
 	 */
-	async setupDCAStrategy(asset, weeklyAmount, duration) {
+	async setupDCAStrategy(
+		asset,
+		weeklyAmount,
+		duration,
+		schedule = "FREQ=WEEKLY",
+		{ timeZone } = {}
+	) {
 		console.log(
-			`📈 Setting up DCA: ${weeklyAmount} FLOW weekly for ${duration} days`
+			`📈 Setting up DCA: ${weeklyAmount} FLOW per purchase for ${duration} days`
 		);
 
-		const totalWeeks = Math.floor(duration / 7);
-
-		for (let week = 0; week < totalWeeks; week++) {
-			const scheduleTime = Date.now() + week * 7 * 24 * 60 * 60 * 1000;
-
-			await this.flowScheduler.scheduleCalendarDeFiEvent(
-				"dca_purchase",
-				scheduleTime,
-				`DCA purchase ${week + 1}/${totalWeeks} for ${asset}`
-			);
-		}
+		const now = Date.now();
+		const dca = await this.scheduleRecurring(
+			schedule,
+			{
+				type: "dca_purchase",
+				description: `DCA purchase of ${weeklyAmount} FLOW for ${asset}`,
+			},
+			{
+				now,
+				timeZone,
+				start: now,
+				until: now + duration * 24 * 60 * 60 * 1000,
+			}
+		);
 
-		console.log(`✅ DCA strategy scheduled for ${totalWeeks} weeks`);
+		console.log(`✅ DCA strategy scheduled as ${describeRecurring(dca)}`);
+		return dca;
 	}
 
 	/**
@@ -109,33 +491,39 @@ class CalendarDeFiExamples {
 	}
 
 	/**
-	 * Tax-loss harvesting
+	 * Tax-loss harvesting on the 15th of each quarter's last month.
+	 * Quarters already past are skipped.
+	 *
+	 * @param {object} portfolio
+	 * @param {number} taxYear
+	 * @param {object} [options]
+	 * @param {string} [options.timeZone] - harvest dates are midnight here
 	 */
-	async setupTaxLossHarvesting(portfolio, taxYear) {
+	async setupTaxLossHarvesting(
+		portfolio,
+		taxYear,
+		{ timeZone = "UTC" } = {}
+	) {
 		console.log(`💰 Setting up tax-loss harvesting for ${taxYear}`);
 
-		const harvestSchedule = [
-			{ month: 3, day: 15, action: "q1_harvest" },
-			{ month: 6, day: 15, action: "q2_harvest" },
-			{ month: 9, day: 15, action: "q3_harvest" },
-			{ month: 12, day: 15, action: "q4_harvest" },
-		];
-
-		for (const schedule of harvestSchedule) {
-			const harvestDate = new Date(
-				taxYear,
-				schedule.month - 1,
-				schedule.day
-			);
+		const harvests = compileRecurrence(
+			`DTSTART;TZID=${timeZone}:${taxYear}0101T000000\nRRULE:FREQ=YEARLY;BYMONTH=3,6,9,12;BYMONTHDAY=15;UNTIL=${taxYear}1231`,
+			{ mode: MODE.ONE_SHOT, horizonMs: Infinity }
+		);
 
+		for (const time of harvests.times) {
+			const action = `q${wallClock(time, timeZone).month / 3}_harvest`;
 			await this.flowScheduler.scheduleCalendarDeFiEvent(
-				schedule.action,
-				harvestDate.getTime(),
-				`Tax-loss harvesting for ${schedule.action}`
+				action,
+				time,
+				`Tax-loss harvesting for ${action}`
 			);
 		}
 
-		console.log(`✅ Tax-loss harvesting scheduled for ${taxYear}`);
+		console.log(
+			`✅ Tax-loss harvesting scheduled for ${taxYear} (${harvests.times.length} remaining)`
+		);
+		return harvests;
 	}
 
 	/**
@@ -146,19 +534,23 @@ class CalendarDeFiExamples {
 			`⚖️ Setting up portfolio rebalancing every ${rebalanceInterval} days`
 		);
 
-		const rebalanceSchedule = {
-			target: targetAllocation,
-			interval: rebalanceInterval,
-			aiOptimized: true,
-		};
-
-		await this.flowScheduler.scheduleCalendarDeFiEvent(
-			"portfolio_rebalance",
-			Date.now() + rebalanceInterval * 24 * 60 * 60 * 1000,
-			`Rebalance to ${JSON.stringify(targetAllocation)}`
+		const now = Date.now();
+		const rebalancing = await this.scheduleRecurring(
+			`FREQ=DAILY;INTERVAL=${rebalanceInterval}`,
+			{
+				type: "portfolio_rebalance",
+				description: `Rebalance to ${JSON.stringify(targetAllocation)}`,
+				targetAllocation,
+			},
+			{ now, start: now }
 		);
 
-		console.log(`✅ Portfolio rebalancing scheduled`);
+		console.log(
+			`✅ Portfolio rebalancing scheduled as ${describeRecurring(
+				rebalancing
+			)}`
+		);
+		return rebalancing;
 	}
 
 	/**
@@ -186,58 +578,100 @@ class CalendarDeFiExamples {
 	}
 
 	/**
-	 * Emergency protocols
+	 * Emergency protocols: stop-loss on a drawdown, reduced exposure on a
+	 * volatility spike and a withdrawal when liquidity dries up. With a
+	 * condition engine they are watched locally and scheduled when they
+	 * fire; the scheduler contract is told about them either way.
+	 *
+	 * @param {object} riskThresholds - see emergencyConditions()
+	 * @returns {Promise<object[]>} the condition definitions
 	 */
 	async setupEmergencyProtocols(riskThresholds) {
 		console.log(`🚨 Setting up emergency protocols`);
 
-		const emergencyActions = [
-			{ condition: "price_drop_20%", action: "stop_loss" },
-			{ condition: "volatility_spike", action: "reduce_exposure" },
-			{ condition: "liquidity_crisis", action: "withdraw_funds" },
-		];
-
-		for (const protocol of emergencyActions) {
+		const conditions = emergencyConditions(riskThresholds);
+		for (const condition of conditions) {
+			if (this.conditions) {
+				this.conditions.add(condition);
+			}
 			await this.flowScheduler.triggerAIScheduling(
 				"emergency_response",
-				JSON.stringify(protocol),
+				JSON.stringify({
+					condition: condition.id,
+					when: condition.when,
+					action: condition.action.type,
+				}),
 				"gpt-4o-risk-manager",
 				5, // highest urgency
 				true // gas optimization
 			);
 		}
 
-		console.log(`✅ Emergency protocols configured`);
+		console.log(
+			this.conditions
+				? `✅ Emergency protocols configured; ${conditions.length} condition(s) watched`
+				: `✅ Emergency protocols configured`
+		);
+		return conditions;
 	}
 
 	/**
-	 * Business payment automation
+	 * Business payments (payroll, invoices), tracked like subscriptions. A
+	 * payment with a `schedule` recurs; otherwise it runs once after
+	 * `delaySeconds`.
+	 *
+	 * @param {object[]} paymentSchedule - { recipient, amount, delaySeconds, currency, description, schedule, maxPayments }
+	 * @returns {Promise<object[]>} the subscriptions
 	 */
 	async setupBusinessPayments(paymentSchedule) {
 		console.log(`💼 Setting up business payment automation`);
 
+		const subscriptions = [];
 		for (const payment of paymentSchedule) {
-			await this.flowScheduler.schedulePayment(
-				payment.recipient,
-				payment.amount,
-				payment.delaySeconds,
-				payment.currency
+			const recurring = payment.schedule !== undefined;
+			subscriptions.push(
+				await this.subscriptions.create({
+					merchant: payment.recipient,
+					amount: payment.amount,
+					asset: payment.currency,
+					schedule: recurring ? payment.schedule : null,
+					maxPayments: recurring ? (payment.maxPayments ?? null) : 1,
+					start:
+						payment.delaySeconds === undefined && recurring
+							? undefined
+							: Date.now() + (payment.delaySeconds || 0) * 1000,
+					description: payment.description || null,
+				})
 			);
 
 			console.log(
 				`✅ Business payment scheduled: ${payment.description}`
 			);
 		}
+		return subscriptions;
 	}
 }
 
-// Example usage and demonstrations
-async function demonstrateCalendarDeFi() {
-	console.log("🚀 Calendar DeFi Examples Demo");
-	console.log("===============================");
+function describeRecurring(compiled) {
+	if (compiled.mode === MODE.CRON) {
+		return `one cron schedule (${compiled.ids[0]}) every ${
+			compiled.intervalSeconds
+		}s from ${new Date(compiled.baseTimestamp).toISOString()}${
+			compiled.maxExecutions ? `, ${compiled.maxExecutions} times` : ""
+		}`;
+	}
+	return compiled.complete
+		? `${compiled.ids.length} one-shot schedule(s)`
+		: `a single batch of ${compiled.ids.length} one-shot schedule(s) up to ${new Date(
+				compiled.resumeAfter
+			).toISOString()}; nothing schedules later occurrences until scheduleRecurring() runs again after that`;
+}
 
-	// Mock Flow scheduler (replace with actual implementation)
-	const flowScheduler = {
+/**
+ * Logs calls and returns random IDs, for running the demo without a chain
+ */
+function mockFlowScheduler() {
+	return {
 		schedulePayment: async (recipient, amount, delay, currency) => {
 			console.log(
 				`📅 Scheduled: ${amount} ${currency} to ${recipient} in ${delay}s`
@@ -287,11 +721,40 @@ async function demonstrateCalendarDeFi() {
 			return Math.floor(Math.random() * 1000);
 		},
 	};
+}
 
-	const examples = new CalendarDeFiExamples(flowScheduler, null);
+// Example usage and demonstrations
+async function demonstrateCalendarDeFi({ dryRun = false } = {}) {
+	console.log("🚀 Calendar DeFi Examples Demo");
+	console.log("===============================");
+
+	// Payment currencies: FLOW plus the tokens in TOKENS_FILE
+	const tokens = TokenRegistry.load(process.env.TOKENS_FILE, {
+		network: process.env.FLOW_NETWORK || "emulator",
+	});
+
+	// The deployed CalendarDeFiScheduler when CALENDAR_SCHEDULER_ADDRESS is
+	// set (EVM_RPC_URL, EVM_PRIVATE_KEY), a logging mock otherwise
+	const flowScheduler = process.env.CALENDAR_SCHEDULER_ADDRESS
+		? CalendarSchedulerClient.connect({
+				rpcUrl: process.env.EVM_RPC_URL || "http://127.0.0.1:8545",
+				address: process.env.CALENDAR_SCHEDULER_ADDRESS,
+				privateKey: process.env.EVM_PRIVATE_KEY,
+				tokens,
+			})
+		: mockFlowScheduler();
+
+	const examples = new CalendarDeFiExamples(flowScheduler, null, {
+		dryRun,
+		tokens,
+	});
 
 	// Demo various calendar DeFi features
-	await examples.setupSubscriptionService("0xmerchant123", 10, 2592000); // Monthly
+	await examples.setupSubscriptionService(
+		"0x1111111111111111111111111111111111111111",
+		10,
+		2592000
+	); // Monthly
 	await examples.setupYieldFarming("Compound", 100, 86400); // Daily compounding
 	await examples.setupDCAStrategy("ETH", 50, 90); // 90-day DCA
 	await examples.setupOptionsExpiry(
@@ -299,28 +762,61 @@ async function demonstrateCalendarDeFi() {
 		Date.now() + 86400000,
 		"exercise"
 	);
-	await examples.setupTaxLossHarvesting({ ETH: 0.6, USDC: 0.4 }, 2024);
+	await examples.setupTaxLossHarvesting(
+		{ ETH: 0.6, USDC: 0.4 },
+		new Date().getFullYear()
+	);
 	await examples.setupPortfolioRebalancing(
 		{ ETH: 0.5, USDC: 0.3, FLOW: 0.2 },
 		30
 	);
-	await examples.setupDAOGovernance("0xdao123", {
-		conservative: 0.7,
-		growth: 0.3,
-	});
+	await examples.setupDAOGovernance(
+		"0x2222222222222222222222222222222222222222",
+		{
+			conservative: 0.7,
+			growth: 0.3,
+		}
+	);
 	await examples.setupEmergencyProtocols({
 		maxDrawdown: 0.2,
 		volatilityThreshold: 0.5,
 	});
 
+	if (dryRun) {
+		const report = await examples.simulate();
+		console.log(`\n🧪 Dry run ${report.from} → ${report.until}`);
+		for (const entry of report.occurrences) {
+			console.log(
+				`${entry.time}\t${entry.type}\t${entry.amount || "-"} ${
+					entry.asset || ""
+				}\tfee ${entry.fee}${entry.error ? `\t⚠️ ${entry.error}` : ""}`
+			);
+		}
+		console.log(`💸 Total fees: ${report.fees.total} ${report.fees.asset}`);
+		for (const conflict of report.conflicts) {
+			console.log(`⚠️ ${conflict.kind}: ${conflict.message}`);
+		}
+		for (const skipped of report.skipped) {
+			console.log(`⏭️ ${skipped.call}: ${skipped.reason}`);
+		}
+		return;
+	}
+
 	console.log("\n🎉 Calendar DeFi examples completed!");
 	console.log("Your system is ready for production use! 🚀");
 }
 
 // Export for use in other modules
-module.exports = { CalendarDeFiExamples, demonstrateCalendarDeFi };
+module.exports = {
+	CalendarDeFiExamples,
+	DryRunRecorder,
+	demonstrateCalendarDeFi,
+	emergencyConditions,
+};
 
 // Run demonstration if called directly
 if (require.main === module) {
-	demonstrateCalendarDeFi().catch(console.error);
+	demonstrateCalendarDeFi({
+		dryRun: process.argv.includes("--dry-run"),
+	}).catch(console.error);
 }
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Calendar Feed - Export scheduled DeFi events to .ics and import .ics files
+ *
+ * Usage:
+ *   node calendar-feed.js export [file] [--source evm,flow] [--from-block <n>]
+ *   node calendar-feed.js import <file> [--time-zone <zone>] [--dry-run]
+ *
+ * `export` writes to stdout without a file. The evm source reads
+ * CalendarDeFiScheduler at CALENDAR_SCHEDULER_ADDRESS through EVM_RPC_URL;
+ * the flow source reads NativeEVMBridge on FLOW_NETWORK (default emulator,
+ * FLOW_ACCESS_API to override), naming payment tokens from the TOKENS_FILE
+ * registry. `import` schedules through the same
+ * contract, signing with EVM_PRIVATE_KEY; --dry-run only lists what would
+ * be scheduled.
+ */
+
+const fs = require("fs");
+const {
+	calendarSchedulerEntries,
+	exportCalendar,
+	nativeBridgeEntries,
+} = require("./calendar-ics");
+const { CalendarDeFiExamples } = require("./calendar-defi-examples");
+const { CalendarSchedulerClient } = require("./calendar-scheduler-client");
+const { parseArgs } = require("./cli-args");
+const { FlowClient } = require("./flow-client");
+const { TokenRegistry } = require("./token-registry");
+
+const USAGE =
+	"Usage: node calendar-feed.js export [file] [--source evm,flow] [--from-block <n>] | import <file> [--time-zone <zone>] [--dry-run]";
+
+function schedulerClient({ write = false } = {}) {
+	if (!process.env.CALENDAR_SCHEDULER_ADDRESS) {
+		throw new Error("Set CALENDAR_SCHEDULER_ADDRESS");
+	}
+	if (write && !process.env.EVM_PRIVATE_KEY) {
+		throw new Error("Set EVM_PRIVATE_KEY to schedule imported events");
+	}
+	return CalendarSchedulerClient.connect({
+		rpcUrl: process.env.EVM_RPC_URL || "http://127.0.0.1:8545",
+		address: process.env.CALENDAR_SCHEDULER_ADDRESS,
+		privateKey: write ? process.env.EVM_PRIVATE_KEY : undefined,
+	});
+}
+
+async function exportFeed(args) {
+	const { positional, flags } = parseArgs(args);
+	const sources = (flags.source || "evm,flow").split(",");
+	const entries = [];
+
+	for (const source of sources) {
+		if (source === "evm") {
+			entries.push(
+				...(await calendarSchedulerEntries(schedulerClient(), {
+					fromBlock: Number(flags["from-block"] || 0),
+				}))
+			);
+		} else if (source === "flow") {
+			const network = process.env.FLOW_NETWORK || "emulator";
+			entries.push(
+				...(await nativeBridgeEntries(
+					FlowClient.fromFlowJson({
+						network,
+						accessNode: process.env.FLOW_ACCESS_API,
+					}),
+					{
+						tokens: TokenRegistry.load(process.env.TOKENS_FILE, {
+							network,
+						}),
+					}
+				))
+			);
+		} else {
+			throw new Error(
+				`Unknown source "${source}" (expected evm or flow)`
+			);
+		}
+	}
+
+	const feed = exportCalendar(entries);
+	if (positional[0]) {
+		fs.writeFileSync(positional[0], feed);
+		console.log(
+			`📆 Exported ${entries.length} event(s) to ${positional[0]}`
+		);
+	} else {
+		process.stdout.write(feed);
+	}
+}
+
+async function importFeed(args) {
+	const { positional, flags } = parseArgs(args, ["dry-run"]);
+	if (!positional[0]) {
+		throw new Error(USAGE);
+	}
+
+	const dryRun = Boolean(flags["dry-run"]);
+	const examples = new CalendarDeFiExamples(
+		dryRun ? null : schedulerClient({ write: true }),
+		null,
+		{ dryRun }
+	);
+	const { scheduled, skipped } = await examples.importCalendar(
+		fs.readFileSync(positional[0], "utf8"),
+		{ timeZone: flags["time-zone"] || "UTC" }
+	);
+
+	for (const entry of scheduled) {
+		console.log(
+			`${dryRun ? "🧪" : "✅"} ${entry.uid}: ${entry.operation.type}${
+				entry.operation.recipient
+					? ` ${entry.operation.amount} ${entry.operation.asset} to ${entry.operation.recipient}`
+					: ""
+			} → ${entry.ids.join(", ")}`
+		);
+	}
+	for (const entry of skipped) {
+		console.log(`⏭️ ${entry.uid}: ${entry.reason}`);
+	}
+	if (dryRun) {
+		for (const operation of examples.flowScheduler.operations) {
+			console.log(
+				`   ${new Date(operation.scheduledTime).toISOString()}\t${
+					operation.type
+				}${operation.amount ? `\t${operation.amount} ${operation.asset}` : ""}${
+					operation.recurrence
+						? `\tevery ${operation.recurrence.intervalSeconds}s`
+						: ""
+				}`
+			);
+		}
+	}
+}
+
+async function main(argv) {
+	const [command, ...args] = argv;
+	const commands = { export: exportFeed, import: importFeed };
+
+	if (!commands[command]) {
+		console.log(USAGE);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+	await commands[command](args);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
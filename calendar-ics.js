@@ -0,0 +1,534 @@
+/**
+ * Calendar ICS - iCalendar (.ics) feeds of scheduled DeFi events
+ *
+ *   const entries = [
+ *       ...(await calendarSchedulerEntries(client)),
+ *       ...(await nativeBridgeEntries(flow)),
+ *   ];
+ *   fs.writeFileSync("defi.ics", exportCalendar(entries));
+ *
+ *   const events = parseCalendar(fs.readFileSync("payroll.ics", "utf8"));
+ *   events.map(eventToOperation); // what CalendarDeFiExamples.importCalendar() schedules
+ *
+ * Exported events carry X-DEFI-* properties (kind, type, recipient,
+ * amount, currency) so a feed can be read back without guessing; events
+ * from other calendars are mapped from their summary ("Pay 100 FLOW to
+ * 0x...") or categories instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { RecurrenceError, parseICalDateTime } = require("./recurrence");
+const { TokenRegistry } = require("./token-registry");
+
+const GET_ALL_PAYMENTS_SCRIPT = fs.readFileSync(
+	path.join(__dirname, "cadence/scripts/GetAllScheduledPayments.cdc"),
+	"utf8"
+);
+const GET_PAYMENT_TOKENS_SCRIPT = fs.readFileSync(
+	path.join(__dirname, "cadence/scripts/GetScheduledPaymentTokens.cdc"),
+	"utf8"
+);
+
+const PRODUCT_ID = "-//flow-schedule-transaction//Calendar DeFi//EN";
+
+// RFC 5545 lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+const ENTRY_KIND = {
+	PAYMENT: "payment",
+	EVENT: "event",
+	AUTOMATION: "automation",
+};
+
+// "Pay 100 FLOW to 0xabc..." - also the summary exported payments get
+const PAYMENT_SUMMARY =
+	/^\s*pay\s+(\d+(?:\.\d+)?)\s+([A-Za-z][\w.-]*)\s+to\s+(0x[0-9a-fA-F]{40}|0x[0-9a-fA-F]{16})\b/i;
+
+class CalendarParseError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "CalendarParseError";
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+function escapeText(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+}
+
+function formatUtc(time) {
+	return new Date(time)
+		.toISOString()
+		.replace(/[-:]/g, "")
+		.replace(/\.\d{3}/, "");
+}
+
+/**
+ * Split a content line into 75-octet pieces without breaking a UTF-8
+ * character; continuation lines start with a space
+ */
+function foldLine(line) {
+	const pieces = [];
+	let current = "";
+	let octets = 0;
+
+	for (const character of line) {
+		const size = Buffer.byteLength(character);
+		const limit =
+			pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+		if (octets + size > limit) {
+			pieces.push(current);
+			current = "";
+			octets = 0;
+		}
+		current += character;
+		octets += size;
+	}
+	pieces.push(current);
+	return pieces.join("\r\n ");
+}
+
+/**
+ * RRULE for a fixed interval, in the largest unit that divides it
+ */
+function intervalRRule(intervalSeconds) {
+	const units = [
+		["WEEKLY", 604800],
+		["DAILY", 86400],
+		["HOURLY", 3600],
+		["MINUTELY", 60],
+		["SECONDLY", 1],
+	];
+	const [freq, seconds] = units.find(
+		([, seconds]) => intervalSeconds % seconds === 0
+	);
+	const interval = intervalSeconds / seconds;
+	return `FREQ=${freq}${interval > 1 ? `;INTERVAL=${interval}` : ""}`;
+}
+
+/**
+ * Build an .ics feed
+ *
+ * @param {object[]} entries - { uid, kind, summary, start, description?, rrule?,
+ *   type?, recipient?, amount?, currency?, executed?, active?, source? }
+ * @param {object} [options]
+ * @param {string} [options.name] - calendar name shown by calendar apps
+ * @param {number} [options.durationMinutes] - length of each event
+ * @param {number} [options.now] - DTSTAMP
+ * @returns {string}
+ */
+function exportCalendar(
+	entries,
+	{ name = "Calendar DeFi", durationMinutes = 15, now = Date.now() } = {}
+) {
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		`PRODID:${PRODUCT_ID}`,
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+		`X-WR-CALNAME:${escapeText(name)}`,
+	];
+
+	for (const entry of [...entries].sort((a, b) => a.start - b.start)) {
+		lines.push(
+			"BEGIN:VEVENT",
+			`UID:${entry.uid}`,
+			`DTSTAMP:${formatUtc(now)}`,
+			`DTSTART:${formatUtc(entry.start)}`,
+			`DURATION:PT${durationMinutes}M`,
+			`SUMMARY:${escapeText(entry.summary)}`
+		);
+		if (entry.description) {
+			lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+		}
+		if (entry.rrule) {
+			lines.push(`RRULE:${entry.rrule}`);
+		}
+		lines.push(
+			`STATUS:${entry.active === false ? "CANCELLED" : "CONFIRMED"}`,
+			`CATEGORIES:${escapeText(entry.type || entry.kind)}`,
+			`X-DEFI-KIND:${entry.kind}`
+		);
+		if (entry.type) {
+			lines.push(`X-DEFI-TYPE:${escapeText(entry.type)}`);
+		}
+		if (entry.recipient) {
+			lines.push(`X-DEFI-RECIPIENT:${entry.recipient}`);
+		}
+		if (entry.amount) {
+			lines.push(`X-DEFI-AMOUNT:${entry.amount}`);
+		}
+		if (entry.currency) {
+			lines.push(`X-DEFI-CURRENCY:${escapeText(entry.currency)}`);
+		}
+		if (entry.executed !== undefined) {
+			lines.push(`X-DEFI-EXECUTED:${entry.executed ? "TRUE" : "FALSE"}`);
+		}
+		if (entry.source) {
+			lines.push(`X-DEFI-SOURCE:${escapeText(entry.source)}`);
+		}
+		lines.push("END:VEVENT");
+	}
+
+	lines.push("END:VCALENDAR");
+	return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Payments, calendar events and DeFi automations stored in a deployed
+ * CalendarDeFiScheduler. Automations repeat from the block that enabled
+ * them, found through their DeFiAutomationEnabled event.
+ *
+ * @param {CalendarSchedulerClient} client
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] - first block searched for automation events
+ */
+async function calendarSchedulerEntries(client, { fromBlock = 0 } = {}) {
+	const source = `CalendarDeFiScheduler ${client.address}`;
+	const uid = (kind, id) =>
+		`${kind}-${id}@${client.address.toLowerCase()}.calendar-defi`;
+	const entries = [];
+
+	const totalPayments = await client.getTotalScheduledPayments();
+	for (let id = 1; id <= totalPayments; id++) {
+		const payment = await client.getScheduledPayment(id);
+		if (payment) {
+			entries.push({
+				uid: uid(ENTRY_KIND.PAYMENT, payment.id),
+				kind: ENTRY_KIND.PAYMENT,
+				type: "payment",
+				summary: `Pay ${payment.amount} ${payment.currency} to ${payment.recipient}`,
+				start: payment.scheduledTime,
+				recipient: payment.recipient,
+				amount: payment.amount,
+				currency: payment.currency,
+				executed: payment.executed,
+				source,
+			});
+		}
+	}
+
+	const totalEvents = await client.getTotalCalendarEvents();
+	for (let id = 1; id <= totalEvents; id++) {
+		const event = await client.getCalendarEvent(id);
+		if (event) {
+			entries.push({
+				uid: uid(ENTRY_KIND.EVENT, event.id),
+				kind: ENTRY_KIND.EVENT,
+				type: event.eventType,
+				summary: event.eventType,
+				description: event.description,
+				start: event.scheduledTime,
+				executed: event.completed,
+				source,
+			});
+		}
+	}
+
+	const totalAutomations = await client.getTotalDeFiAutomations();
+	for (let id = 1; id <= totalAutomations; id++) {
+		const automation = await client.getDeFiAutomation(id);
+		if (!automation || automation.intervalSeconds === 0) {
+			continue;
+		}
+		const [log] = await client.contract.queryFilter(
+			client.contract.filters.DeFiAutomationEnabled(id),
+			fromBlock
+		);
+		if (!log) {
+			continue;
+		}
+		const block = await log.getBlock();
+		entries.push({
+			uid: uid(ENTRY_KIND.AUTOMATION, automation.id),
+			kind: ENTRY_KIND.AUTOMATION,
+			type: automation.strategy,
+			summary: `${automation.strategy} on ${automation.protocol}`,
+			description: automation.aiEnabled
+				? `AI-optimized with ${automation.aiModel}`
+				: "",
+			start: (block.timestamp + automation.intervalSeconds) * 1000,
+			rrule: intervalRRule(automation.intervalSeconds),
+			active: automation.active,
+			source,
+		});
+	}
+
+	return entries;
+}
+
+/**
+ * Payments scheduled through the native bridge (NativeEVMBridge on Flow).
+ * Each payment's token is named by its registry symbol, or by its vault
+ * type when the registry does not know it.
+ *
+ * @param {FlowClient} flow
+ * @param {object} [options]
+ * @param {TokenRegistry} [options.tokens] - FLOW only by default
+ */
+async function nativeBridgeEntries(
+	flow,
+	{ tokens = new TokenRegistry({}, { network: flow.network }) } = {}
+) {
+	const [payments, paymentTokens] = await Promise.all([
+		flow.executeScript(GET_ALL_PAYMENTS_SCRIPT),
+		flow.executeScript(GET_PAYMENT_TOKENS_SCRIPT),
+	]);
+	const source = `NativeEVMBridge ${flow.network}`;
+
+	return Object.values(payments || {}).map((payment) => {
+		const vaultType = (paymentTokens || {})[payment.id];
+		const token = vaultType ? tokens.byVaultType(vaultType) : null;
+		const currency = token ? token.symbol : vaultType || "FLOW";
+		return {
+			uid: `flow-payment-${payment.id}@${flow.network}.native-evm-bridge`,
+			kind: ENTRY_KIND.PAYMENT,
+			type: "payment",
+			summary: `Pay ${payment.amount} ${currency} to ${payment.recipient}`,
+			description: `Scheduled by ${payment.sender}`,
+			start: Math.floor(Number(payment.scheduledTime)) * 1000,
+			recipient: payment.recipient,
+			amount: payment.amount,
+			currency,
+			executed: payment.executed,
+			source,
+		};
+	});
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+function unescapeText(value) {
+	return value.replace(/\\([\\;,nN])/g, (_, character) =>
+		character === "n" || character === "N" ? "\n" : character
+	);
+}
+
+/**
+ * "NAME;PARAM=a;PARAM2="b:c":value" → { name, params, value }
+ */
+function parseContentLine(line) {
+	let inQuotes = false;
+	let colon = -1;
+	for (let i = 0; i < line.length; i++) {
+		if (line[i] === '"') {
+			inQuotes = !inQuotes;
+		} else if (line[i] === ":" && !inQuotes) {
+			colon = i;
+			break;
+		}
+	}
+	if (colon < 0) {
+		throw new CalendarParseError(`Malformed line "${line}"`);
+	}
+
+	const [name, ...paramTexts] = line
+		.slice(0, colon)
+		.match(/(?:[^;"]|"[^"]*")+/g);
+	const params = {};
+	for (const text of paramTexts) {
+		const [key, ...rest] = text.split("=");
+		params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+	}
+	return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function parseDateProperty(property, timeZone) {
+	const zone = property.params.TZID || timeZone;
+	const allDay = property.params.VALUE === "DATE";
+	return {
+		time: parseICalDateTime(property.value, zone),
+		timeZone: zone,
+		allDay,
+	};
+}
+
+/**
+ * Read the VEVENTs of an .ics file
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - for floating and all-day times (default UTC)
+ * @returns {object[]} { uid, summary, description, start, timeZone, allDay,
+ *   rrule, status, categories, properties (X-DEFI-* and other extras) }
+ */
+function parseCalendar(text, { timeZone = "UTC" } = {}) {
+	const lines = text
+		.replace(/\r?\n[ \t]/g, "")
+		.split(/\r?\n/)
+		.filter((line) => line.trim() !== "");
+	if (!lines.length || lines[0].trim().toUpperCase() !== "BEGIN:VCALENDAR") {
+		throw new CalendarParseError(
+			"Not an iCalendar file (no BEGIN:VCALENDAR)"
+		);
+	}
+
+	const events = [];
+	let current = null;
+	let nested = 0;
+
+	for (const line of lines) {
+		const property = parseContentLine(line.trim());
+
+		if (
+			property.name === "BEGIN" &&
+			property.value.toUpperCase() === "VEVENT"
+		) {
+			current = { properties: {} };
+			continue;
+		}
+		if (!current) {
+			continue;
+		}
+		// VALARM and other components inside an event
+		if (property.name === "BEGIN") {
+			nested++;
+			continue;
+		}
+		if (property.name === "END" && nested > 0) {
+			nested--;
+			continue;
+		}
+		if (nested > 0) {
+			continue;
+		}
+		if (
+			property.name === "END" &&
+			property.value.toUpperCase() === "VEVENT"
+		) {
+			events.push(toEvent(current, timeZone));
+			current = null;
+			continue;
+		}
+		current.properties[property.name] = property;
+	}
+
+	return events;
+}
+
+function toEvent({ properties }, timeZone) {
+	const text = (name) =>
+		properties[name] ? unescapeText(properties[name].value) : null;
+	const uid = text("UID");
+
+	if (!properties.DTSTART) {
+		throw new CalendarParseError(
+			`Event ${uid || "without UID"} has no DTSTART`
+		);
+	}
+
+	let start;
+	try {
+		start = parseDateProperty(properties.DTSTART, timeZone);
+	} catch (error) {
+		if (error instanceof RecurrenceError) {
+			throw new CalendarParseError(
+				`Event ${uid || "without UID"}: ${error.message}`
+			);
+		}
+		throw error;
+	}
+
+	const extras = {};
+	for (const [name, property] of Object.entries(properties)) {
+		if (name.startsWith("X-")) {
+			extras[name] = unescapeText(property.value);
+		}
+	}
+
+	return {
+		uid,
+		summary: text("SUMMARY") || "",
+		description: text("DESCRIPTION") || "",
+		start: start.time,
+		timeZone: start.timeZone,
+		allDay: start.allDay,
+		rrule: properties.RRULE ? properties.RRULE.value : null,
+		status: (text("STATUS") || "CONFIRMED").toUpperCase(),
+		categories: properties.CATEGORIES
+			? properties.CATEGORIES.value
+					.split(/(?<!\\),/)
+					.map((category) => unescapeText(category).trim())
+					.filter(Boolean)
+			: [],
+		properties: extras,
+	};
+}
+
+function slug(text) {
+	return (
+		text
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, "_")
+			.replace(/^_|_$/g, "") || "calendar_event"
+	);
+}
+
+/**
+ * What to schedule for a parsed event: a payment when it names a
+ * recipient and amount, a calendar event otherwise. null for cancelled
+ * events and ones already executed.
+ *
+ * @returns {object|null} { type, description, recipient?, amount?, asset? }
+ */
+function eventToOperation(event) {
+	const extra = event.properties;
+	if (event.status === "CANCELLED" || extra["X-DEFI-EXECUTED"] === "TRUE") {
+		return null;
+	}
+
+	const description = event.description
+		? `${event.summary}: ${event.description}`
+		: event.summary;
+	const match = PAYMENT_SUMMARY.exec(event.summary);
+
+	if (extra["X-DEFI-RECIPIENT"] && extra["X-DEFI-AMOUNT"]) {
+		return {
+			type: "payment",
+			recipient: extra["X-DEFI-RECIPIENT"],
+			amount: extra["X-DEFI-AMOUNT"],
+			asset: extra["X-DEFI-CURRENCY"] || "FLOW",
+			description,
+		};
+	}
+	if (match) {
+		return {
+			type: "payment",
+			amount: match[1],
+			asset: match[2].toUpperCase(),
+			recipient: match[3],
+			description,
+		};
+	}
+
+	return {
+		type:
+			extra["X-DEFI-TYPE"] ||
+			(event.categories[0]
+				? slug(event.categories[0])
+				: slug(event.summary)),
+		description,
+	};
+}
+
+module.exports = {
+	CalendarParseError,
+	ENTRY_KIND,
+	calendarSchedulerEntries,
+	eventToOperation,
+	exportCalendar,
+	intervalRRule,
+	nativeBridgeEntries,
+	parseCalendar,
+};
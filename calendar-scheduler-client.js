@@ -0,0 +1,469 @@
+/**
+ * Calendar Scheduler Client - ethers client for CalendarDeFiScheduler.sol
+ *
+ *   const scheduler = CalendarSchedulerClient.connect({ rpcUrl, address, privateKey });
+ *   const examples = new CalendarDeFiExamples(scheduler, scheduler.provider);
+ *
+ * Implements the flowScheduler interface CalendarDeFiExamples calls. Writes
+ * wait for the receipt and return the ID from the contract's event; reads
+ * return plain objects with the contract's units converted to this repo's
+ * (millisecond times, decimal amounts). Payments and AI schedules are
+ * priced with FeeEstimator (EVM gas plus the Cadence fee of the schedule
+ * the bridge makes) before they are sent.
+ */
+
+const { ethers } = require("ethers");
+const { FeeEstimator } = require("./fee-estimator");
+
+const CALENDAR_SCHEDULER_ABI = [
+	"event PaymentScheduled(uint256 indexed paymentId, address indexed recipient, uint256 amount, uint256 delaySeconds, string currency)",
+	"event DeFiAutomationEnabled(uint256 indexed automationId, string protocol, string strategy, uint256 interval, bool aiEnabled)",
+	"event CalendarEventScheduled(uint256 indexed eventId, string eventType, uint256 scheduledTime, string description)",
+	"function scheduleFlowPayment(address recipient, uint256 amount, uint256 delaySeconds, string currency) returns (uint256)",
+	"function enableDeFiAutomationWithAI(string protocol, string strategy, uint256 interval, bool aiEnabled, string aiModel) returns (uint256)",
+	"function scheduleCalendarDeFiEvent(string eventType, uint256 scheduledTime, string description) returns (uint256)",
+	"function createIntelligentSubscription(address merchant, uint256 amount, uint256 interval, uint256 maxPayments, string calendarId, bool aiOptimized) returns (uint256)",
+	"function setupGovernanceAutomation(address dao, string votePreference, uint256 votingPower, string aiModel, bool autoExecute) returns (uint256)",
+	"function triggerAIScheduling(string txType, string params, string aiModel, uint256 urgency, bool gasOptimization) returns (uint256)",
+	"function getScheduledPayment(uint256 paymentId) view returns (tuple(uint256 id, address recipient, uint256 amount, uint256 delaySeconds, string currency, bool executed, uint256 scheduledTime))",
+	"function getDeFiAutomation(uint256 automationId) view returns (tuple(uint256 id, string protocol, string strategy, uint256 interval, bool aiEnabled, string aiModel, bool active))",
+	"function getCalendarEvent(uint256 eventId) view returns (tuple(uint256 id, string eventType, uint256 scheduledTime, string description, bool completed))",
+	"function getTotalScheduledPayments() view returns (uint256)",
+	"function getTotalDeFiAutomations() view returns (uint256)",
+	"function getTotalCalendarEvents() view returns (uint256)",
+];
+
+class CalendarSchedulerError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} [details]
+	 * @param {string} [details.txHash] - set when the transaction was sent
+	 * @param {Error} [details.cause]
+	 */
+	constructor(message, { txHash = null, cause } = {}) {
+		super(message, { cause });
+		this.name = "CalendarSchedulerError";
+		this.txHash = txHash;
+	}
+}
+
+class CalendarSchedulerClient {
+	/**
+	 * @param {object} options
+	 * @param {string} options.address - deployed CalendarDeFiScheduler
+	 * @param {ethers.Signer|ethers.Provider} options.runner - a signer to write, a provider to read only
+	 * @param {number} [options.amountDecimals] - decimals of on-chain payment amounts (18 for wei)
+	 * @param {TokenRegistry} [options.tokens] - when given, currencies must be registry
+	 *   tokens and amounts use each token's EVM decimals instead of amountDecimals
+	 * @param {number} [options.confirmations] - blocks to wait for before reading events
+	 * @param {FlowClient} [options.flow] - for Cadence fee estimates; without one only gas is priced
+	 * @param {object} [options.cadenceSpec] - { priority, executionEffort } of the bridged schedules
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		address,
+		runner,
+		amountDecimals = 18,
+		tokens = null,
+		confirmations = 1,
+		flow = null,
+		cadenceSpec = { priority: 1, executionEffort: 1000 },
+		now = Date.now,
+	}) {
+		this.address = ethers.getAddress(address);
+		this.contract = new ethers.Contract(
+			this.address,
+			CALENDAR_SCHEDULER_ABI,
+			runner
+		);
+		this.provider = runner.provider || runner;
+		this.amountDecimals = amountDecimals;
+		this.tokens = tokens;
+		this.confirmations = confirmations;
+		this.cadenceSpec = cadenceSpec;
+		this.now = now;
+		this.fees = new FeeEstimator({ flow, evmProvider: this.provider });
+	}
+
+	/**
+	 * Build a client from an RPC URL; without a private key it is read-only
+	 */
+	static connect({ rpcUrl, address, privateKey, ...options }) {
+		const provider = new ethers.JsonRpcProvider(rpcUrl);
+		return new CalendarSchedulerClient({
+			address,
+			runner: privateKey
+				? new ethers.Wallet(privateKey, provider)
+				: provider,
+			...options,
+		});
+	}
+
+	/**
+	 * Schedule a payment through scheduleFlowPayment()
+	 *
+	 * @param {string} recipient - EVM address
+	 * @param {number|string|bigint} amount - decimal amount, or a bigint already in base units
+	 * @param {number} delaySeconds
+	 * @param {string} currency - FLOW, USDC...
+	 * @param {object} [options]
+	 * @param {function(object)} [options.onEstimate] - called with the fee breakdown (see fee-estimator.js) before sending
+	 * @returns {Promise<string>} payment ID
+	 */
+	async schedulePayment(
+		recipient,
+		amount,
+		delaySeconds,
+		currency,
+		{ onEstimate } = {}
+	) {
+		const [baseUnits, symbol] = this.paymentAmount(amount, currency);
+		const args = [
+			ethers.getAddress(recipient),
+			baseUnits,
+			toUint("delaySeconds", delaySeconds),
+			symbol,
+		];
+		await this.estimate(
+			"scheduleFlowPayment",
+			args,
+			{
+				time: this.now() + delaySeconds * 1000,
+				...this.cadenceSpec,
+			},
+			onEstimate
+		);
+		const event = await this.send(
+			"scheduleFlowPayment",
+			args,
+			"PaymentScheduled"
+		);
+		return event.args.paymentId.toString();
+	}
+
+	/**
+	 * @returns {Promise<string>} automation ID
+	 */
+	async enableDeFiAutomationWithAI(
+		protocol,
+		strategy,
+		intervalSeconds,
+		aiEnabled,
+		aiModel
+	) {
+		const event = await this.send(
+			"enableDeFiAutomationWithAI",
+			[
+				protocol,
+				strategy,
+				toUint("interval", intervalSeconds),
+				Boolean(aiEnabled),
+				aiModel || "",
+			],
+			"DeFiAutomationEnabled"
+		);
+		return event.args.automationId.toString();
+	}
+
+	/**
+	 * @param {string} eventType
+	 * @param {number} scheduledTime - ms since epoch; stored on-chain in seconds
+	 * @param {string} description
+	 * @returns {Promise<string>} event ID
+	 */
+	async scheduleCalendarDeFiEvent(eventType, scheduledTime, description) {
+		const event = await this.send(
+			"scheduleCalendarDeFiEvent",
+			[
+				eventType,
+				toUint("scheduledTime", Math.floor(scheduledTime / 1000)),
+				description,
+			],
+			"CalendarEventScheduled"
+		);
+		return event.args.eventId.toString();
+	}
+
+	/**
+	 * The contract emits no event here, so the ID is the call's return value
+	 * simulated just before sending. A transaction from someone else landing
+	 * first can shift it.
+	 *
+	 * @returns {Promise<string>} automation ID
+	 */
+	async setupGovernanceAutomation(
+		dao,
+		votePreference,
+		votingPower,
+		aiModel,
+		autoExecute
+	) {
+		return this.sendForReturnValue("setupGovernanceAutomation", [
+			ethers.getAddress(dao),
+			votePreference,
+			toUint("votingPower", votingPower),
+			aiModel || "",
+			Boolean(autoExecute),
+		]);
+	}
+
+	/**
+	 * No event either; see setupGovernanceAutomation(). The priority comes
+	 * from urgency and gasOptimization as in priorityForUrgency(). The AI
+	 * picks the time at runtime, so the Cadence fee is priced at `time`.
+	 *
+	 * @param {number} urgency - 1 (lowest) to 5
+	 * @param {object} [options]
+	 * @param {number} [options.time] - ms since epoch to price the schedule at (default a minute ahead)
+	 * @param {function(object)} [options.onEstimate] - called with the fee breakdown before sending
+	 * @returns {Promise<string>} event ID
+	 */
+	async triggerAIScheduling(
+		txType,
+		params,
+		aiModel,
+		urgency,
+		gasOptimization,
+		{ time = this.now() + 60_000, onEstimate } = {}
+	) {
+		if (!Number.isInteger(urgency) || urgency < 1 || urgency > 5) {
+			throw new CalendarSchedulerError(
+				`urgency must be an integer from 1 to 5, got ${urgency}`
+			);
+		}
+		const data =
+			typeof params === "string" ? params : JSON.stringify(params);
+		const args = [
+			txType,
+			data,
+			aiModel || "",
+			urgency,
+			Boolean(gasOptimization),
+		];
+		await this.estimate(
+			"triggerAIScheduling",
+			args,
+			{
+				time,
+				urgency,
+				gasOptimization: Boolean(gasOptimization),
+				executionEffort: this.cadenceSpec.executionEffort,
+				data,
+			},
+			onEstimate
+		);
+		return this.sendForReturnValue("triggerAIScheduling", args);
+	}
+
+	/**
+	 * @returns {Promise<object|null>} null when no payment has this ID
+	 */
+	async getScheduledPayment(paymentId) {
+		const payment = await this.contract.getScheduledPayment(paymentId);
+		if (payment.id === 0n) {
+			return null;
+		}
+		return {
+			id: payment.id.toString(),
+			recipient: payment.recipient,
+			amount: ethers.formatUnits(
+				payment.amount,
+				this.tokens && this.tokens.has(payment.currency)
+					? this.tokens.get(payment.currency).evmDecimals
+					: this.amountDecimals
+			),
+			amountRaw: payment.amount,
+			delaySeconds: Number(payment.delaySeconds),
+			currency: payment.currency,
+			executed: payment.executed,
+			scheduledTime: Number(payment.scheduledTime) * 1000,
+		};
+	}
+
+	/**
+	 * @returns {Promise<object|null>} null when no automation has this ID
+	 */
+	async getDeFiAutomation(automationId) {
+		const automation = await this.contract.getDeFiAutomation(automationId);
+		if (automation.id === 0n) {
+			return null;
+		}
+		return {
+			id: automation.id.toString(),
+			protocol: automation.protocol,
+			strategy: automation.strategy,
+			intervalSeconds: Number(automation.interval),
+			aiEnabled: automation.aiEnabled,
+			aiModel: automation.aiModel,
+			active: automation.active,
+		};
+	}
+
+	/**
+	 * @returns {Promise<object|null>} null when no event has this ID
+	 */
+	async getCalendarEvent(eventId) {
+		const event = await this.contract.getCalendarEvent(eventId);
+		if (event.id === 0n) {
+			return null;
+		}
+		return {
+			id: event.id.toString(),
+			eventType: event.eventType,
+			scheduledTime: Number(event.scheduledTime) * 1000,
+			description: event.description,
+			completed: event.completed,
+		};
+	}
+
+	async getTotalScheduledPayments() {
+		return Number(await this.contract.getTotalScheduledPayments());
+	}
+
+	async getTotalDeFiAutomations() {
+		return Number(await this.contract.getTotalDeFiAutomations());
+	}
+
+	async getTotalCalendarEvents() {
+		return Number(await this.contract.getTotalCalendarEvents());
+	}
+
+	/**
+	 * Base units and currency symbol of a payment; with a registry the
+	 * currency must be a known token and the amount fit its decimals
+	 */
+	paymentAmount(amount, currency) {
+		if (!this.tokens) {
+			return [this.toBaseUnits(amount), currency];
+		}
+		try {
+			if (typeof amount === "bigint") {
+				const token = this.tokens.get(currency);
+				this.tokens.toCadenceAmount(token.symbol, amount);
+				return [amount, token.symbol];
+			}
+			const { token, raw } = this.tokens.parseAmount(currency, amount);
+			return [raw, token.symbol];
+		} catch (error) {
+			throw new CalendarSchedulerError(
+				`${currency} payment of ${amount}: ${error.message}`,
+				{ cause: error }
+			);
+		}
+	}
+
+	toBaseUnits(amount) {
+		if (typeof amount === "bigint") {
+			return amount;
+		}
+		try {
+			return ethers.parseUnits(String(amount), this.amountDecimals);
+		} catch (error) {
+			throw new CalendarSchedulerError(
+				`amount ${amount} is not a decimal with at most ${this.amountDecimals} places`,
+				{ cause: error }
+			);
+		}
+	}
+
+	/**
+	 * Price a call and its bridged schedule; a schedule the Flow scheduler
+	 * would reject is not sent
+	 */
+	async estimate(method, args, request, onEstimate) {
+		let estimate;
+		try {
+			estimate = await this.fees.estimate({
+				...request,
+				evm: { method: this.contract[method], args },
+			});
+		} catch (error) {
+			throw new CalendarSchedulerError(
+				`${method} could not be priced: ${error.shortMessage || error.message}`,
+				{ cause: error }
+			);
+		}
+		if (onEstimate) {
+			onEstimate(estimate);
+		}
+		if (estimate.error) {
+			throw new CalendarSchedulerError(
+				`${method} not sent: ${estimate.error}`
+			);
+		}
+		return estimate;
+	}
+
+	/**
+	 * Send, wait for the receipt and return the contract's `eventName` log
+	 */
+	async send(method, args, eventName) {
+		const receipt = await this.sendAndWait(method, args);
+
+		for (const log of receipt.logs) {
+			if (ethers.getAddress(log.address) !== this.address) {
+				continue;
+			}
+			const parsed = this.contract.interface.parseLog(log);
+			if (parsed && parsed.name === eventName) {
+				return parsed;
+			}
+		}
+		throw new CalendarSchedulerError(
+			`${method} transaction ${receipt.hash} emitted no ${eventName} event`,
+			{ txHash: receipt.hash }
+		);
+	}
+
+	async sendForReturnValue(method, args) {
+		const id = await this.contract[method].staticCall(...args);
+		await this.sendAndWait(method, args);
+		return id.toString();
+	}
+
+	async sendAndWait(method, args) {
+		let tx;
+		try {
+			tx = await this.contract[method](...args);
+		} catch (error) {
+			throw new CalendarSchedulerError(
+				`${method} failed: ${error.shortMessage || error.message}`,
+				{ cause: error }
+			);
+		}
+
+		let receipt;
+		try {
+			receipt = await tx.wait(this.confirmations);
+		} catch (error) {
+			throw new CalendarSchedulerError(
+				`${method} transaction ${tx.hash} failed: ${
+					error.shortMessage || error.message
+				}`,
+				{ txHash: tx.hash, cause: error }
+			);
+		}
+		if (!receipt) {
+			throw new CalendarSchedulerError(
+				`${method} transaction ${tx.hash} was replaced or dropped`,
+				{ txHash: tx.hash }
+			);
+		}
+		return receipt;
+	}
+}
+
+function toUint(field, value) {
+	if (!Number.isSafeInteger(value) || value < 0) {
+		throw new CalendarSchedulerError(
+			`${field} must be a non-negative integer, got ${value}`
+		);
+	}
+	return value;
+}
+
+module.exports = {
+	CALENDAR_SCHEDULER_ABI,
+	CalendarSchedulerClient,
+	CalendarSchedulerError,
+};
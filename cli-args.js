@@ -0,0 +1,28 @@
+/**
+ * CLI Args - Argument parsing shared by the command-line tools
+ */
+
+/**
+ * Split positional arguments from --flags; a flag takes the next argument
+ * as its value unless it is in `booleans`
+ */
+function parseArgs(args, booleans = []) {
+	const positional = [];
+	const flags = {};
+	for (let i = 0; i < args.length; i++) {
+		if (!args[i].startsWith("--")) {
+			positional.push(args[i]);
+			continue;
+		}
+		const name = args[i].slice(2);
+		if (booleans.includes(name)) {
+			flags[name] = true;
+		} else {
+			flags[name] = args[i + 1];
+			i++;
+		}
+	}
+	return { positional, flags };
+}
+
+module.exports = { parseArgs };
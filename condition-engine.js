@@ -0,0 +1,883 @@
+/**
+ * Condition Engine - Schedule protective actions when market conditions
+ * are met
+ *
+ * Each condition is an expression over feed values (see
+ * condition-expression.js) linked to an action such as a stop-loss or an
+ * emergency withdrawal. Every poll reads the feeds into a window of samples
+ * per series, then evaluates the conditions:
+ *
+ * - armed → fired: the expression is true and the cooldown since the last
+ *   firing has passed; the action is scheduled on Flow
+ * - fired → armed: the expression is false even with its thresholds
+ *   loosened by `hysteresis`, so a price hovering at a threshold fires once
+ *
+ * Condition state is saved to a JSON file so cooldowns survive restarts;
+ * the sample windows are refilled from feeds with history, or as polls
+ * come in.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { Logger } = require("./bridge-logger");
+const {
+	ExpressionError,
+	compileExpression,
+	evaluateExpression,
+	parseDuration,
+} = require("./condition-expression");
+const {
+	FeeEstimator,
+	PRIORITY,
+	PRIORITY_NAMES,
+	priorityForUrgency,
+} = require("./fee-estimator");
+const { Cadence, FlowTransactionError } = require("./flow-client");
+const { JsonStore, isPlainObject } = require("./json-store");
+const { createFeeds } = require("./price-feeds");
+
+const STORE_VERSION = 1;
+const DEFAULT_STATE_FILE = ".conditions/state.json";
+
+// Firings kept per condition
+const MAX_FIRINGS = 20;
+
+const CONDITION_STATUS = {
+	ARMED: "armed",
+	FIRED: "fired",
+};
+
+const FIRING_STATUS = {
+	SCHEDULING: "scheduling", // Sent; may be on-chain, check before retrying
+	SCHEDULED: "scheduled",
+	FAILED: "failed", // Never scheduled; retried after retrySeconds
+};
+
+/**
+ * How actions are scheduled, as AI operation types are in ai-integration.js.
+ * The handlers that carry them out are not part of this repo: the scheduler
+ * is given their storage identifiers.
+ */
+const ACTION_TYPES = {
+	stop_loss: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1000,
+	},
+	take_profit: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1000,
+	},
+	reduce_exposure: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1500,
+	},
+	withdraw_funds: {
+		priority: PRIORITY.HIGH,
+		executionEffort: 1000,
+	},
+};
+
+const SCHEDULE_TRANSACTION = fs.readFileSync(
+	path.join(__dirname, "cadence/transactions/ScheduleAIOperation.cdc"),
+	"utf8"
+);
+
+class ConditionError extends Error {
+	constructor(message, { cause } = {}) {
+		super(message, { cause });
+		this.name = "ConditionError";
+	}
+}
+
+/**
+ * A hysteresis band: a number, or a percentage string such as "5%"
+ */
+function parseMargin(value) {
+	const match = /^(\d+(?:\.\d+)?)%$/.exec(String(value).trim());
+	const margin = match ? Number(match[1]) / 100 : Number(value);
+	return Number.isFinite(margin) && margin >= 0 ? margin : null;
+}
+
+/**
+ * Validate a condition definition and compile its expression
+ *
+ * @param {object} definition - { id, when, action: { type, ...data }, feed, hysteresis, cooldown, urgency, maxAge }
+ * @param {object} options
+ * @param {string[]} options.feeds - known feed names
+ * @param {object} options.actionTypes
+ */
+function normalizeCondition(definition, { feeds, actionTypes }) {
+	if (!isPlainObject(definition)) {
+		throw new ConditionError("A condition must be an object");
+	}
+	const { id } = definition;
+	if (typeof id !== "string" || !/^[A-Za-z0-9_.-]{1,64}$/.test(id)) {
+		throw new ConditionError(
+			`id must be 1-64 letters, digits, _ . or -, got ${JSON.stringify(id)}`
+		);
+	}
+	const where = (field) => `${id}.${field}`;
+
+	let expression;
+	try {
+		expression = compileExpression(definition.when);
+	} catch (error) {
+		throw new ConditionError(`${where("when")}: ${error.message}`, {
+			cause: error,
+		});
+	}
+
+	const feed = definition.feed ?? feeds[0];
+	if (!feeds.includes(feed)) {
+		throw new ConditionError(
+			`${where("feed")}: unknown feed ${JSON.stringify(feed)} (known: ${feeds.join(", ")})`
+		);
+	}
+	const series = expression.series.map(({ series: name, windowSeconds }) => {
+		// "<feed>:<symbol>" only when the prefix names a feed
+		const separator = name.indexOf(":");
+		const prefixed =
+			separator !== -1 && feeds.includes(name.slice(0, separator));
+		return {
+			name,
+			feed: prefixed ? name.slice(0, separator) : feed,
+			symbol: prefixed ? name.slice(separator + 1) : name,
+			windowSeconds,
+		};
+	});
+
+	const action = definition.action;
+	if (!isPlainObject(action) || !actionTypes[action.type]) {
+		throw new ConditionError(
+			`${where("action.type")}: expected one of ${Object.keys(
+				actionTypes
+			).join(", ")}, got ${JSON.stringify(action && action.type)}`
+		);
+	}
+
+	const hysteresis = parseMargin(definition.hysteresis ?? 0);
+	if (hysteresis === null) {
+		throw new ConditionError(
+			`${where("hysteresis")}: expected a number or a percentage, got ${JSON.stringify(definition.hysteresis)}`
+		);
+	}
+	const durations = {};
+	for (const [field, fallback] of [
+		["cooldown", 3600],
+		["maxAge", 300],
+	]) {
+		const value = definition[field] ?? fallback;
+		durations[field] = value === 0 ? 0 : parseDuration(value);
+		if (durations[field] === null) {
+			throw new ConditionError(
+				`${where(field)}: expected seconds or a duration such as "1h", got ${JSON.stringify(value)}`
+			);
+		}
+	}
+	if (definition.urgency !== undefined) {
+		try {
+			priorityForUrgency(definition.urgency);
+		} catch (error) {
+			throw new ConditionError(`${where("urgency")}: ${error.message}`);
+		}
+	}
+
+	return {
+		id,
+		when: expression.text,
+		expression,
+		series,
+		action,
+		hysteresis,
+		cooldownSeconds: durations.cooldown,
+		maxAgeSeconds: durations.maxAge,
+		urgency: definition.urgency ?? null,
+	};
+}
+
+/**
+ * Cooldowns and firings per condition. A null path keeps state in memory
+ * only.
+ */
+class ConditionStore extends JsonStore {
+	constructor(filePath = DEFAULT_STATE_FILE) {
+		super(filePath, { name: "condition store", version: STORE_VERSION });
+	}
+
+	static emptyState() {
+		return { version: STORE_VERSION, conditions: {} };
+	}
+
+	/**
+	 * State of one condition, created armed
+	 */
+	get(id) {
+		if (!this.state.conditions[id]) {
+			this.state.conditions[id] = {
+				status: CONDITION_STATUS.ARMED,
+				changedAt: null,
+				lastFiredAt: null,
+				lastAttemptAt: null,
+				lastError: null,
+				firings: [],
+			};
+		}
+		return this.state.conditions[id];
+	}
+}
+
+/**
+ * Schedules actions with ScheduleAIOperation.cdc a few seconds ahead,
+ * signing as the account that owns the handlers
+ */
+class FlowActionScheduler {
+	/**
+	 * @param {object} options
+	 * @param {FlowClient} options.flow
+	 * @param {object} [options.actionTypes] - type → { priority, executionEffort }
+	 * @param {object} options.handlers - type → storage identifier of the TransactionHandler that carries it out
+	 * @param {number} [options.leadSeconds] - how far ahead actions are scheduled
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		flow,
+		actionTypes = ACTION_TYPES,
+		handlers = {},
+		leadSeconds = 10,
+		now = Date.now,
+	}) {
+		this.flow = flow;
+		this.actionTypes = actionTypes;
+		this.handlers = handlers;
+		this.leadSeconds = leadSeconds;
+		this.now = now;
+		this.fees = new FeeEstimator({ flow });
+	}
+
+	/**
+	 * @param {string} type - action type
+	 * @returns {string} storage identifier of its handler
+	 */
+	handlerFor(type) {
+		const handler = this.handlers[type];
+		if (!handler) {
+			throw new ConditionError(
+				`No handler for ${type} actions: set handlers.${type} to the storage identifier of the TransactionHandler that carries them out`
+			);
+		}
+		return handler;
+	}
+
+	/**
+	 * @param {object} action - { type, ...data }
+	 * @param {object} [options]
+	 * @param {object} [options.data] - passed to the handler with the action
+	 * @param {number} [options.urgency] - 1 to 5, instead of the type's priority
+	 * @param {function(object)} [options.onEstimate] - called with the fee breakdown before submitting
+	 * @param {function(string)} [options.onSubmitted] - called with the Flow transaction ID once sent
+	 * @returns {Promise<object>} { txId, scheduledTransactionId, fee, estimate }
+	 */
+	async schedule(
+		action,
+		{ data = {}, urgency, onEstimate, onSubmitted } = {}
+	) {
+		const spec = this.actionTypes[action.type];
+		if (!spec) {
+			throw new ConditionError(`Unknown action type "${action.type}"`);
+		}
+		const handler = this.handlerFor(action.type);
+		const timestamp = Math.floor(this.now() / 1000) + this.leadSeconds;
+		const operation = JSON.stringify({ ...action, ...data });
+
+		const estimate = await this.fees.estimate({
+			time: timestamp * 1000,
+			priority:
+				urgency === undefined || urgency === null
+					? spec.priority
+					: undefined,
+			urgency,
+			executionEffort: spec.executionEffort,
+			handler,
+			data: operation,
+		});
+		if (onEstimate) {
+			onEstimate(estimate);
+		}
+		if (estimate.error) {
+			throw new ConditionError(
+				`Fee estimation failed for ${action.type}: ${estimate.error}`
+			);
+		}
+
+		const txId = await this.flow.sendTransaction(SCHEDULE_TRANSACTION, [
+			Cadence.String(action.type),
+			Cadence.UFix64(`${timestamp}.0`),
+			Cadence.UInt8(PRIORITY_NAMES.indexOf(estimate.priority)),
+			Cadence.UInt64(spec.executionEffort),
+			Cadence.String(handler),
+			Cadence.String(operation),
+		]);
+		if (onSubmitted) {
+			onSubmitted(txId);
+		}
+
+		const result = await this.flow.waitForSeal(txId);
+		const scheduled = result.events.find((event) =>
+			/\.FlowTransactionScheduler\.Scheduled$/.test(event.type)
+		);
+		if (!scheduled) {
+			throw new ConditionError(
+				`Transaction ${txId} sealed without a Scheduled event`
+			);
+		}
+		return {
+			txId,
+			scheduledTransactionId: scheduled.data.id,
+			fee: estimate.cadenceFee,
+			estimate,
+		};
+	}
+}
+
+function callLabel(call) {
+	return call.windowSeconds
+		? `${call.name}("${call.series}", ${call.windowSeconds}s)`
+		: `${call.name}("${call.series}")`;
+}
+
+class ConditionEngine {
+	/**
+	 * @param {object} options
+	 * @param {Map<string, object>} options.feeds - name → feed (see price-feeds.js); the first is the default
+	 * @param {object[]} [options.conditions] - definitions, see normalizeCondition()
+	 * @param {object} options.scheduler - schedule(action, { data, urgency, onEstimate, onSubmitted }); with
+	 *   handlerFor(type), conditions are checked to have a handler when added
+	 * @param {ConditionStore} [options.store]
+	 * @param {object} [options.actionTypes] - action types conditions may use
+	 * @param {number} [options.pollIntervalMs]
+	 * @param {number} [options.retrySeconds] - wait before retrying an action that failed to schedule
+	 * @param {Logger} [options.logger]
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		feeds,
+		conditions = [],
+		scheduler,
+		store = new ConditionStore(),
+		actionTypes = ACTION_TYPES,
+		pollIntervalMs = 30000,
+		retrySeconds = 60,
+		logger = new Logger(),
+		now = Date.now,
+	}) {
+		this.feeds = feeds;
+		this.scheduler = scheduler;
+		this.store = store;
+		this.actionTypes = actionTypes;
+		this.pollIntervalMs = pollIntervalMs;
+		this.retrySeconds = retrySeconds;
+		this.log = logger.child({ component: "condition-engine" });
+		this.now = now;
+		this.conditions = new Map();
+		this.history = new Map(); // "<feed>:<symbol>" → [{ value, at }], oldest first
+		this.timer = null;
+		this.activePoll = null;
+
+		for (const definition of conditions) {
+			this.add(definition);
+		}
+	}
+
+	/**
+	 * @param {object} definition - see normalizeCondition()
+	 * @returns {object} the compiled condition
+	 */
+	add(definition) {
+		const condition = normalizeCondition(definition, {
+			feeds: [...this.feeds.keys()],
+			actionTypes: this.actionTypes,
+		});
+		if (this.conditions.has(condition.id)) {
+			throw new ConditionError(
+				`Condition ${condition.id} is defined twice`
+			);
+		}
+		// A missing handler is found now, not when the condition fires
+		if (this.scheduler && this.scheduler.handlerFor) {
+			try {
+				this.scheduler.handlerFor(condition.action.type);
+			} catch (error) {
+				throw new ConditionError(
+					`${condition.id}.action: ${error.message}`
+				);
+			}
+		}
+		this.conditions.set(condition.id, condition);
+		return condition;
+	}
+
+	/**
+	 * Sample, then poll every pollIntervalMs until stop()
+	 */
+	async start() {
+		this.store.load();
+		await this.poll().catch(() => {}); // Logged in poll()
+		this.timer = setInterval(() => {
+			this.poll().catch(() => {});
+		}, this.pollIntervalMs);
+	}
+
+	async stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+		await this.activePoll;
+	}
+
+	/**
+	 * Sample every feed, evaluate every condition and schedule the actions
+	 * of those that fire. Returns the running pass if there is one, so
+	 * passes never overlap.
+	 *
+	 * @returns {Promise<object[]>} one evaluation per condition
+	 */
+	poll() {
+		if (!this.activePoll) {
+			this.activePoll = (async () => {
+				try {
+					await this.sample();
+					const results = [];
+					for (const condition of this.conditions.values()) {
+						results.push(await this.step(condition));
+					}
+					return results;
+				} catch (error) {
+					this.log.error("Condition poll failed", { error });
+					throw error;
+				} finally {
+					this.activePoll = null;
+				}
+			})();
+		}
+		return this.activePoll;
+	}
+
+	/**
+	 * Sample and evaluate without scheduling or changing any state
+	 *
+	 * @returns {Promise<object[]>} { id, when, status, result, rearmed, values, error, cooldownUntil }
+	 */
+	async check() {
+		this.store.load();
+		await this.sample();
+		return [...this.conditions.values()].map((condition) => {
+			const state = this.store.get(condition.id);
+			return {
+				id: condition.id,
+				when: condition.when,
+				status: state.status,
+				...this.evaluate(condition, state),
+				cooldownUntil: this.cooldownUntil(condition, state),
+			};
+		});
+	}
+
+	/**
+	 * Read each series once; a feed that fails leaves its series stale,
+	 * which blocks only the conditions that use it
+	 */
+	async sample() {
+		const wanted = new Map();
+		for (const condition of this.conditions.values()) {
+			for (const series of condition.series) {
+				const key = `${series.feed}:${series.symbol}`;
+				const window = Math.max(
+					wanted.get(key)?.windowSeconds || 0,
+					series.windowSeconds
+				);
+				wanted.set(key, { ...series, windowSeconds: window });
+			}
+		}
+
+		const now = this.now();
+		for (const [key, series] of wanted) {
+			const feed = this.feeds.get(series.feed);
+			try {
+				if (
+					!this.history.has(key) &&
+					series.windowSeconds &&
+					feed.history
+				) {
+					// Two windows back, so change() has a base sample
+					this.history.set(
+						key,
+						await feed.history(
+							series.symbol,
+							now - series.windowSeconds * 2000,
+							now
+						)
+					);
+				}
+				this.record(key, await feed.read(series.symbol), series, now);
+			} catch (error) {
+				this.log.warn("Feed read failed", {
+					feed: series.feed,
+					symbol: series.symbol,
+					error,
+				});
+			}
+		}
+	}
+
+	/**
+	 * Append a sample and drop what no window needs; one sample older than
+	 * the longest window is kept as change()'s base
+	 */
+	record(key, sample, series, now) {
+		const samples = this.history.get(key) || [];
+		const last = samples[samples.length - 1];
+		if (!last || sample.at > last.at) {
+			samples.push({ value: sample.value, at: sample.at });
+		}
+		const cutoff = now - series.windowSeconds * 1000;
+		const firstInWindow = samples.findIndex((entry) => entry.at >= cutoff);
+		const keepFrom =
+			firstInWindow === -1 ? samples.length - 1 : firstInWindow - 1;
+		this.history.set(key, samples.slice(Math.max(keepFrom, 0)));
+	}
+
+	/**
+	 * Value of one function call in an expression
+	 */
+	resolve(condition, call) {
+		const series = condition.series.find(
+			(entry) => entry.name === call.series
+		);
+		const samples =
+			this.history.get(`${series.feed}:${series.symbol}`) || [];
+		const latest = samples[samples.length - 1];
+		const now = this.now();
+		if (!latest) {
+			throw new ExpressionError(`No ${call.series} samples yet`);
+		}
+		if (
+			condition.maxAgeSeconds &&
+			now - latest.at > condition.maxAgeSeconds * 1000
+		) {
+			throw new ExpressionError(
+				`${call.series} is stale (last sample ${new Date(
+					latest.at
+				).toISOString()})`
+			);
+		}
+		if (call.name === "price" || call.name === "value") {
+			return latest.value;
+		}
+
+		// The latest sample is the current value while it is fresh, even
+		// when the feed has not updated within the window
+		const start = now - call.windowSeconds * 1000;
+		const inWindow = samples.filter(
+			(entry) => entry.at >= start || entry === latest
+		);
+		switch (call.name) {
+			case "change": {
+				const base = samples.filter((entry) => entry.at <= start).pop();
+				if (!base) {
+					throw new ExpressionError(
+						`Not enough ${call.series} history for ${call.windowSeconds}s`
+					);
+				}
+				return (latest.value - base.value) / base.value;
+			}
+			case "high":
+				return Math.max(...inWindow.map((entry) => entry.value));
+			case "low":
+				return Math.min(...inWindow.map((entry) => entry.value));
+			case "drawdown":
+				return (
+					latest.value /
+						Math.max(...inWindow.map((entry) => entry.value)) -
+					1
+				);
+			default: {
+				const returns = inWindow
+					.slice(1)
+					.map((entry, index) =>
+						Math.log(entry.value / inWindow[index].value)
+					);
+				if (returns.length < 2) {
+					throw new ExpressionError(
+						`Not enough ${call.series} samples for volatility over ${call.windowSeconds}s`
+					);
+				}
+				const mean =
+					returns.reduce((total, value) => total + value, 0) /
+					returns.length;
+				return Math.sqrt(
+					returns.reduce(
+						(total, value) => total + (value - mean) ** 2,
+						0
+					) / returns.length
+				);
+			}
+		}
+	}
+
+	/**
+	 * @returns {object} { result, rearmed, values, error }: result is null when the expression cannot be evaluated
+	 */
+	evaluate(condition, state) {
+		const values = {};
+		const resolve = (call) => {
+			const value = this.resolve(condition, call);
+			values[callLabel(call)] = value;
+			return value;
+		};
+		try {
+			const result = evaluateExpression(condition.expression, resolve);
+			// A fired condition re-arms only once it is clear of the band
+			const rearmed =
+				state.status === CONDITION_STATUS.FIRED &&
+				!evaluateExpression(condition.expression, resolve, {
+					margin: condition.hysteresis,
+				});
+			return { result, rearmed, values, error: null };
+		} catch (error) {
+			if (!(error instanceof ExpressionError)) {
+				throw error;
+			}
+			return {
+				result: null,
+				rearmed: false,
+				values,
+				error: error.message,
+			};
+		}
+	}
+
+	cooldownUntil(condition, state) {
+		if (state.lastFiredAt === null) {
+			return null;
+		}
+		const until =
+			Date.parse(state.lastFiredAt) + condition.cooldownSeconds * 1000;
+		return until > this.now() ? new Date(until).toISOString() : null;
+	}
+
+	/**
+	 * Evaluate one condition and act on it
+	 */
+	async step(condition) {
+		const now = this.now();
+		const at = new Date(now).toISOString();
+		const state = this.store.get(condition.id);
+		const evaluation = this.evaluate(condition, state);
+		const log = this.log.child({ condition: condition.id });
+
+		if (evaluation.error) {
+			if (state.lastError !== evaluation.error) {
+				log.warn("Condition not evaluated", {
+					error: evaluation.error,
+				});
+			}
+			state.lastError = evaluation.error;
+			this.store.save();
+			return { id: condition.id, fired: false, ...evaluation };
+		}
+		state.lastError = null;
+
+		if (evaluation.rearmed) {
+			Object.assign(state, {
+				status: CONDITION_STATUS.ARMED,
+				changedAt: at,
+			});
+			log.info("Condition re-armed", { values: evaluation.values });
+		}
+
+		const due =
+			evaluation.result &&
+			state.status === CONDITION_STATUS.ARMED &&
+			!this.cooldownUntil(condition, state) &&
+			(state.lastAttemptAt === null ||
+				now - Date.parse(state.lastAttemptAt) >=
+					this.retrySeconds * 1000);
+		if (!due) {
+			this.store.save();
+			return { id: condition.id, fired: false, ...evaluation };
+		}
+
+		const firing = {
+			at,
+			values: evaluation.values,
+			action: condition.action.type,
+			status: FIRING_STATUS.SCHEDULING,
+			estimate: null,
+			txId: null,
+			scheduledTransactionId: null,
+			fee: null,
+			error: null,
+		};
+		state.firings = [...state.firings, firing].slice(-MAX_FIRINGS);
+		state.lastAttemptAt = at;
+		this.store.save();
+		log.info("Condition met, scheduling action", {
+			action: condition.action.type,
+			values: evaluation.values,
+		});
+
+		try {
+			const result = await this.scheduler.schedule(condition.action, {
+				data: {
+					condition: {
+						id: condition.id,
+						when: condition.when,
+						values: evaluation.values,
+						triggeredAt: at,
+					},
+				},
+				urgency: condition.urgency ?? undefined,
+				onEstimate: (estimate) => {
+					firing.estimate = estimate;
+					this.store.save();
+					log.info("Action fee estimate", { estimate });
+				},
+				onSubmitted: (txId) => {
+					firing.txId = txId;
+					this.store.save();
+				},
+			});
+			Object.assign(firing, {
+				status: FIRING_STATUS.SCHEDULED,
+				txId: result.txId,
+				scheduledTransactionId: result.scheduledTransactionId ?? null,
+				fee: result.fee ?? null,
+			});
+			log.info("Action scheduled", {
+				action: condition.action.type,
+				txId: result.txId,
+				scheduledTransactionId: firing.scheduledTransactionId,
+			});
+		} catch (error) {
+			firing.error = error.message;
+			// Sent but not known to have reverted or expired: it may still be
+			// scheduled, so treat the condition as fired rather than send it twice
+			const reverted =
+				error instanceof FlowTransactionError &&
+				["Sealed", "Expired"].includes(error.status);
+			if (!firing.txId || reverted) {
+				firing.status = FIRING_STATUS.FAILED;
+				state.lastError = error.message;
+				this.store.save();
+				log.error("Action not scheduled, will retry", {
+					action: condition.action.type,
+					retrySeconds: this.retrySeconds,
+					error,
+				});
+				return {
+					id: condition.id,
+					fired: false,
+					...evaluation,
+					error: error.message,
+				};
+			}
+			log.error("Action sent but not confirmed; check it on Flow", {
+				txId: firing.txId,
+				error,
+			});
+		}
+
+		Object.assign(state, {
+			status: CONDITION_STATUS.FIRED,
+			changedAt: at,
+			lastFiredAt: at,
+		});
+		this.store.save();
+		return { id: condition.id, fired: true, firing, ...evaluation };
+	}
+}
+
+/**
+ * Read feeds and conditions from a JSON or YAML file:
+ *
+ *   pollInterval: 30s
+ *   handlers:
+ *     stop_loss: MyStopLossHandler
+ *   feeds:
+ *     prices: { type: file, file: fixtures/prices.json }
+ *   conditions:
+ *     - id: flow-crash
+ *       when: change("FLOW/USD", "1h") <= -20%
+ *       action: { type: stop_loss, asset: FLOW }
+ *       hysteresis: 5%
+ *       cooldown: 6h
+ *
+ * File feeds are relative to the file.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {function(): number} [options.now]
+ * @returns {object} { feeds, conditions, handlers, pollIntervalMs }
+ */
+function loadConditions(filePath, { now } = {}) {
+	let parsed;
+	try {
+		const raw = fs.readFileSync(path.resolve(filePath), "utf8");
+		parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+	} catch (error) {
+		throw new ConditionError(`Cannot read ${filePath}: ${error.message}`);
+	}
+	if (!isPlainObject(parsed) || !Array.isArray(parsed.conditions)) {
+		throw new ConditionError(
+			`${filePath}: expected { feeds: { ... }, conditions: [ ... ] }`
+		);
+	}
+	const pollSeconds = parseDuration(parsed.pollInterval ?? 30);
+	if (pollSeconds === null) {
+		throw new ConditionError(
+			`${filePath}: pollInterval must be seconds or a duration such as "30s"`
+		);
+	}
+	const handlers = parsed.handlers ?? {};
+	if (
+		!isPlainObject(handlers) ||
+		!Object.values(handlers).every(
+			(handler) => typeof handler === "string" && handler !== ""
+		)
+	) {
+		throw new ConditionError(
+			`${filePath}: handlers must map action types to storage identifiers`
+		);
+	}
+
+	let feeds;
+	try {
+		feeds = createFeeds(parsed.feeds, {
+			baseDir: path.dirname(path.resolve(filePath)),
+			now,
+		});
+	} catch (error) {
+		throw new ConditionError(`${filePath}: ${error.message}`, {
+			cause: error,
+		});
+	}
+	return {
+		feeds,
+		conditions: parsed.conditions,
+		handlers,
+		pollIntervalMs: pollSeconds * 1000,
+	};
+}
+
+module.exports = {
+	ACTION_TYPES,
+	CONDITION_STATUS,
+	ConditionEngine,
+	ConditionError,
+	ConditionStore,
+	DEFAULT_STATE_FILE,
+	FIRING_STATUS,
+	FlowActionScheduler,
+	loadConditions,
+	normalizeCondition,
+};
@@ -0,0 +1,458 @@
+/**
+ * Condition Expressions - The small language trigger conditions are written in
+ *
+ *   change("FLOW/USD", "1h") <= -20%
+ *   price("FLOW/USD") < 0.5 and volatility("FLOW/USD", "24h") > 5%
+ *   not (value("pyth:FLOW/USD") > low("FLOW/USD", "7d") * 1.1)
+ *
+ * Numbers may end in % (20% is 0.2). Comparisons, `and`, `or`, `not`,
+ * + - * / and parentheses work as usual. Series are named by a string, with
+ * an optional "<feed>:" prefix; windows are seconds or strings such as
+ * "90s", "15m", "1h", "7d". Expressions are parsed once into a tree, so
+ * nothing in them is ever run as JavaScript.
+ */
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * What each function takes and returns; `window` arguments are seconds
+ */
+const FUNCTIONS = {
+	price: { args: ["series"] }, // Latest value
+	value: { args: ["series"] }, // Same, for feeds that are not prices
+	change: { args: ["series", "window"] }, // Latest against the value a window ago, as a fraction
+	high: { args: ["series", "window"] },
+	low: { args: ["series", "window"] },
+	drawdown: { args: ["series", "window"] }, // Latest against the window's high, as a fraction (≤ 0)
+	volatility: { args: ["series", "window"] }, // Standard deviation of the log returns in the window
+};
+
+const COMPARISONS = ["<", "<=", ">", ">=", "==", "!="];
+
+class ExpressionError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {number} [position] - offset into the expression
+	 */
+	constructor(message, position = null) {
+		super(position === null ? message : `${message} at ${position}`);
+		this.name = "ExpressionError";
+		this.position = position;
+	}
+}
+
+/**
+ * Seconds in a window argument: a number or "<n>s|m|h|d"
+ */
+function parseDuration(value) {
+	if (typeof value === "number") {
+		return value > 0 ? value : null;
+	}
+	const match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(String(value).trim());
+	return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+function tokenize(text) {
+	const tokens = [];
+	let i = 0;
+	while (i < text.length) {
+		const rest = text.slice(i);
+		const space = /^\s+/.exec(rest);
+		if (space) {
+			i += space[0].length;
+			continue;
+		}
+
+		const number = /^(\d+(?:\.\d+)?|\.\d+)(%?)/.exec(rest);
+		const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+		const string = /^("([^"\\]*)"|'([^'\\]*)')/.exec(rest);
+		const operator = /^(<=|>=|==|!=|&&|\|\||[<>()+\-*/,!])/.exec(rest);
+
+		if (number) {
+			tokens.push({
+				type: "number",
+				value: Number(number[1]) / (number[2] ? 100 : 1),
+				position: i,
+			});
+			i += number[0].length;
+		} else if (word) {
+			const keyword = word[0].toLowerCase();
+			tokens.push(
+				["and", "or", "not"].includes(keyword)
+					? { type: "operator", value: keyword, position: i }
+					: { type: "name", value: word[0], position: i }
+			);
+			i += word[0].length;
+		} else if (string) {
+			tokens.push({
+				type: "string",
+				value: string[2] ?? string[3],
+				position: i,
+			});
+			i += string[0].length;
+		} else if (operator) {
+			const aliases = { "&&": "and", "||": "or", "!": "not" };
+			tokens.push({
+				type: "operator",
+				value: aliases[operator[0]] || operator[0],
+				position: i,
+			});
+			i += operator[0].length;
+		} else {
+			throw new ExpressionError(`Unexpected "${text[i]}"`, i);
+		}
+	}
+	tokens.push({ type: "end", position: text.length });
+	return tokens;
+}
+
+/**
+ * Recursive descent over the tokens; each node is typed boolean or number
+ * so mistakes like `price("X") and 1` are caught before anything runs
+ */
+class Parser {
+	constructor(text) {
+		this.tokens = tokenize(text);
+		this.index = 0;
+		this.calls = [];
+	}
+
+	peek() {
+		return this.tokens[this.index];
+	}
+
+	accept(value) {
+		const token = this.peek();
+		if (token.type === "operator" && token.value === value) {
+			this.index++;
+			return token;
+		}
+		return null;
+	}
+
+	expect(value) {
+		const token = this.accept(value);
+		if (!token) {
+			this.fail(`Expected "${value}"`);
+		}
+		return token;
+	}
+
+	fail(message) {
+		const token = this.peek();
+		throw new ExpressionError(
+			token.type === "end"
+				? `${message}, found the end`
+				: `${message}, found "${token.value}"`,
+			token.position
+		);
+	}
+
+	parse() {
+		const node = this.logical("or");
+		if (this.peek().type !== "end") {
+			this.fail("Expected an operator");
+		}
+		if (node.type !== "boolean") {
+			throw new ExpressionError(
+				'A condition must compare something, e.g. price("FLOW/USD") < 0.5'
+			);
+		}
+		return node;
+	}
+
+	logical(op) {
+		const next = () =>
+			op === "or" ? this.logical("and") : this.negation();
+		let left = next();
+		while (this.peek().value === op && this.peek().type === "operator") {
+			const { position } = this.peek();
+			this.index++;
+			const right = next();
+			for (const side of [left, right]) {
+				if (side.type !== "boolean") {
+					throw new ExpressionError(
+						`"${op}" needs comparisons on both sides`,
+						position
+					);
+				}
+			}
+			left = { kind: "logical", op, left, right, type: "boolean" };
+		}
+		return left;
+	}
+
+	negation() {
+		const token = this.accept("not");
+		if (!token) {
+			return this.comparison();
+		}
+		const operand = this.negation();
+		if (operand.type !== "boolean") {
+			throw new ExpressionError(
+				'"not" needs a comparison',
+				token.position
+			);
+		}
+		return { kind: "not", operand, type: "boolean" };
+	}
+
+	comparison() {
+		const left = this.arithmetic();
+		const token = this.peek();
+		if (token.type !== "operator" || !COMPARISONS.includes(token.value)) {
+			return left;
+		}
+		this.index++;
+		const right = this.arithmetic();
+		if (left.type !== "number" || right.type !== "number") {
+			throw new ExpressionError(
+				`"${token.value}" compares numbers`,
+				token.position
+			);
+		}
+		return {
+			kind: "compare",
+			op: token.value,
+			left,
+			right,
+			type: "boolean",
+		};
+	}
+
+	arithmetic() {
+		let left = this.term();
+		for (let token = this.peek(); ; token = this.peek()) {
+			if (token.type !== "operator" || !"+-".includes(token.value)) {
+				return left;
+			}
+			this.index++;
+			left = this.binary(token, left, this.term());
+		}
+	}
+
+	term() {
+		let left = this.unary();
+		for (let token = this.peek(); ; token = this.peek()) {
+			if (token.type !== "operator" || !"*/".includes(token.value)) {
+				return left;
+			}
+			this.index++;
+			left = this.binary(token, left, this.unary());
+		}
+	}
+
+	binary(token, left, right) {
+		if (left.type !== "number" || right.type !== "number") {
+			throw new ExpressionError(
+				`"${token.value}" needs numbers`,
+				token.position
+			);
+		}
+		return { kind: "binary", op: token.value, left, right, type: "number" };
+	}
+
+	unary() {
+		const token = this.accept("-");
+		if (!token) {
+			return this.primary();
+		}
+		const operand = this.unary();
+		if (operand.type !== "number") {
+			throw new ExpressionError('"-" needs a number', token.position);
+		}
+		return {
+			kind: "binary",
+			op: "-",
+			left: { kind: "number", value: 0, type: "number" },
+			right: operand,
+			type: "number",
+		};
+	}
+
+	primary() {
+		const token = this.peek();
+		if (token.type === "number") {
+			this.index++;
+			return { kind: "number", value: token.value, type: "number" };
+		}
+		if (this.accept("(")) {
+			const node = this.logical("or");
+			this.expect(")");
+			return node;
+		}
+		if (token.type === "name") {
+			this.index++;
+			return this.call(token);
+		}
+		return this.fail("Expected a number, a function or (");
+	}
+
+	call(token) {
+		const spec = FUNCTIONS[token.value];
+		if (!spec) {
+			throw new ExpressionError(
+				`Unknown function ${token.value}() (known: ${Object.keys(
+					FUNCTIONS
+				).join(", ")})`,
+				token.position
+			);
+		}
+		this.expect("(");
+		const args = [];
+		if (!this.accept(")")) {
+			do {
+				const arg = this.peek();
+				if (arg.type !== "string" && arg.type !== "number") {
+					this.fail(
+						`${token.value}() takes quoted names and numbers`
+					);
+				}
+				args.push(arg);
+				this.index++;
+			} while (this.accept(","));
+			this.expect(")");
+		}
+		if (args.length !== spec.args.length) {
+			throw new ExpressionError(
+				`${token.value}() takes ${spec.args.join(", ")}`,
+				token.position
+			);
+		}
+
+		const node = { kind: "call", name: token.value, type: "number" };
+		spec.args.forEach((kind, index) => {
+			const arg = args[index];
+			if (kind === "series") {
+				if (arg.type !== "string" || arg.value.trim() === "") {
+					throw new ExpressionError(
+						`${token.value}() needs a series name in quotes`,
+						arg.position
+					);
+				}
+				node.series = arg.value.trim();
+			} else {
+				const seconds =
+					arg.type === "number" || arg.type === "string"
+						? parseDuration(arg.value)
+						: null;
+				if (seconds === null) {
+					throw new ExpressionError(
+						`${token.value}() needs a window such as "1h" or 3600`,
+						arg.position
+					);
+				}
+				node.windowSeconds = seconds;
+			}
+		});
+		this.calls.push(node);
+		return node;
+	}
+}
+
+/**
+ * Parse an expression
+ *
+ * @param {string} text
+ * @returns {object} { text, root, series: [{ series, windowSeconds }] } - one entry per series with its longest window
+ */
+function compileExpression(text) {
+	if (typeof text !== "string" || text.trim() === "") {
+		throw new ExpressionError("Expected an expression");
+	}
+	const parser = new Parser(text);
+	const root = parser.parse();
+
+	const windows = new Map();
+	for (const call of parser.calls) {
+		windows.set(
+			call.series,
+			Math.max(windows.get(call.series) || 0, call.windowSeconds || 0)
+		);
+	}
+	return {
+		text: text.trim(),
+		root,
+		series: [...windows].map(([series, windowSeconds]) => ({
+			series,
+			windowSeconds,
+		})),
+	};
+}
+
+/**
+ * Evaluate a compiled expression
+ *
+ * With a margin, every < and > comparison is loosened by that much: while
+ * a fired condition stays true within the margin it is not re-armed, which
+ * is how hysteresis is applied. `not` tightens what it wraps instead.
+ *
+ * @param {object} compiled - from compileExpression()
+ * @param {function(object): number} resolve - value of a call node ({ name, series, windowSeconds })
+ * @param {object} [options]
+ * @param {number} [options.margin] - in the units of the compared values
+ * @returns {boolean}
+ */
+function evaluateExpression(compiled, resolve, { margin = 0 } = {}) {
+	const visit = (node, slack) => {
+		switch (node.kind) {
+			case "number":
+				return node.value;
+			case "call": {
+				const value = resolve(node);
+				if (!Number.isFinite(value)) {
+					throw new ExpressionError(
+						`${node.name}("${node.series}") has no value`
+					);
+				}
+				return value;
+			}
+			case "binary": {
+				const left = visit(node.left, slack);
+				const right = visit(node.right, slack);
+				if (node.op === "/" && right === 0) {
+					throw new ExpressionError("Division by zero");
+				}
+				return {
+					"+": left + right,
+					"-": left - right,
+					"*": left * right,
+					"/": left / right,
+				}[node.op];
+			}
+			case "compare": {
+				const left = visit(node.left, slack);
+				const right = visit(node.right, slack);
+				switch (node.op) {
+					case "<":
+						return left < right + slack;
+					case "<=":
+						return left <= right + slack;
+					case ">":
+						return left > right - slack;
+					case ">=":
+						return left >= right - slack;
+					case "==":
+						return left === right;
+					default:
+						return left !== right;
+				}
+			}
+			case "logical":
+				return node.op === "and"
+					? visit(node.left, slack) && visit(node.right, slack)
+					: visit(node.left, slack) || visit(node.right, slack);
+			default:
+				return !visit(node.operand, -slack);
+		}
+	};
+	return visit(compiled.root, margin);
+}
+
+module.exports = {
+	ExpressionError,
+	FUNCTIONS,
+	compileExpression,
+	evaluateExpression,
+	parseDuration,
+};
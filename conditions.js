@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Conditions - Schedule stop-losses and withdrawals when prices move
+ *
+ * Usage:
+ *   node conditions.js check <file> [--at <date>]
+ *   node conditions.js watch <file>
+ *   node conditions.js status <file>
+ *
+ * <file> lists feeds, conditions and the storage identifiers of the
+ * handlers their actions are scheduled for (see conditions.example.yaml).
+ * `check` reads the feeds and evaluates every condition once without
+ * scheduling anything; --at replays file feeds as of that time. `watch` polls until
+ * interrupted and schedules the action of each condition that fires on
+ * Flow, using FLOW_NETWORK (default emulator), FLOW_SIGNER, FLOW_ACCESS_API
+ * and FLOW_PRIVATE_KEY. `status` shows each condition's state, cooldown and
+ * last firing. State is kept in CONDITIONS_STATE, default
+ * .conditions/state.json.
+ */
+
+const { Logger } = require("./bridge-logger");
+const {
+	CONDITION_STATUS,
+	ConditionEngine,
+	ConditionStore,
+	DEFAULT_STATE_FILE,
+	FlowActionScheduler,
+	loadConditions,
+} = require("./condition-engine");
+const { describeEstimate } = require("./fee-estimator");
+const { FlowClient } = require("./flow-client");
+
+const USAGE =
+	"Usage: node conditions.js check <file> [--at <date>] | watch <file> | status <file>";
+
+function formatValues(values) {
+	return Object.entries(values)
+		.map(([call, value]) => `${call} = ${Number(value.toPrecision(6))}`)
+		.join(", ");
+}
+
+/**
+ * With a Flow client the engine schedules, through the file's handlers
+ */
+function engineFor(file, { now = Date.now, flow = null, logger } = {}) {
+	const { feeds, conditions, handlers, pollIntervalMs } = loadConditions(
+		file,
+		{ now }
+	);
+	return new ConditionEngine({
+		feeds,
+		conditions,
+		scheduler: flow ? new FlowActionScheduler({ flow, handlers }) : null,
+		store: new ConditionStore(
+			process.env.CONDITIONS_STATE || DEFAULT_STATE_FILE
+		),
+		pollIntervalMs,
+		logger,
+		now,
+	});
+}
+
+async function check([file, ...rest]) {
+	if (!file) {
+		throw new Error(USAGE);
+	}
+	let now = Date.now;
+	if (rest[0] === "--at") {
+		const at = Date.parse(rest[1]);
+		if (!Number.isFinite(at)) {
+			throw new Error(`--at: "${rest[1]}" is not an ISO 8601 date`);
+		}
+		now = () => at;
+	}
+
+	// Feed failures show up as conditions that cannot be evaluated
+	const engine = engineFor(file, {
+		now,
+		logger: new Logger({ level: "error", format: "text" }),
+	});
+	for (const result of await engine.check()) {
+		const icon = result.error !== null ? "⚠️" : result.result ? "🔥" : "✅";
+		console.log(`${icon} ${result.id} (${result.status}): ${result.when}`);
+		if (Object.keys(result.values).length > 0) {
+			console.log(`   ${formatValues(result.values)}`);
+		}
+		if (result.error) {
+			console.log(`   ${result.error}`);
+		} else if (result.result && result.status === CONDITION_STATUS.FIRED) {
+			console.log("   Already fired; waits to re-arm");
+		} else if (result.result && result.cooldownUntil) {
+			console.log(`   Cooling down until ${result.cooldownUntil}`);
+		}
+	}
+}
+
+async function watch([file]) {
+	if (!file) {
+		throw new Error(USAGE);
+	}
+	const network = process.env.FLOW_NETWORK || "emulator";
+	const flow = FlowClient.fromFlowJson({
+		network,
+		signer: process.env.FLOW_SIGNER || `${network}-account`,
+		accessNode: process.env.FLOW_ACCESS_API,
+		privateKey: process.env.FLOW_PRIVATE_KEY,
+	});
+	const engine = engineFor(file, {
+		flow,
+		logger: new Logger({ format: "text" }),
+	});
+
+	const shutdown = () => {
+		engine.stop().catch(() => {});
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+
+	console.log(
+		`👀 Watching ${engine.conditions.size} condition(s) every ${
+			engine.pollIntervalMs / 1000
+		}s on ${network}`
+	);
+	await engine.start();
+}
+
+function status([file]) {
+	if (!file) {
+		throw new Error(USAGE);
+	}
+	const engine = engineFor(file);
+	engine.store.load();
+
+	for (const condition of engine.conditions.values()) {
+		const state = engine.store.get(condition.id);
+		const cooldownUntil = engine.cooldownUntil(condition, state);
+		console.log(
+			`${state.status === CONDITION_STATUS.FIRED ? "🔥" : "🟢"} ${condition.id} (${state.status}${
+				state.changedAt ? ` since ${state.changedAt}` : ""
+			}): ${condition.when} → ${condition.action.type}`
+		);
+		if (cooldownUntil) {
+			console.log(`   Cooling down until ${cooldownUntil}`);
+		}
+		if (state.lastError) {
+			console.log(`   ⚠️ ${state.lastError}`);
+		}
+		const last = state.firings[state.firings.length - 1];
+		if (last) {
+			console.log(
+				`   Last firing ${last.at}: ${last.status}${
+					last.scheduledTransactionId
+						? `, scheduled tx ${last.scheduledTransactionId}`
+						: ""
+				}${last.txId ? ` in ${last.txId}` : ""}${
+					last.error ? ` - ${last.error}` : ""
+				}`
+			);
+			if (last.estimate) {
+				for (const line of describeEstimate(last.estimate)) {
+					console.log(`   ${line}`);
+				}
+			}
+		}
+	}
+}
+
+async function main(argv) {
+	const [command, ...args] = argv;
+	const commands = { check, watch, status };
+
+	if (!commands[command]) {
+		console.log(USAGE);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+	await commands[command](args);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
@@ -33,10 +33,48 @@ contract UpdatedEVMScheduler {
         string transactionName
     );
     
+    // Status written back by the bridge service from Cadence events
+    event CadenceStatusUpdated(
+        uint256 indexed scheduleId,
+        CadenceStatus status,
+        uint64 cadenceScheduleId
+    );
+    
+    event ScheduleExecuted(
+        uint256 indexed scheduleId,
+        bool success
+    );
+    
+    event BridgeOperatorChanged(address indexed operator);
+    
+    // ERC-20 a schedule pays in; emitted just before BridgeCallRequested,
+    // never for native FLOW
+    event PaymentTokenSet(
+        uint256 indexed scheduleId,
+        address indexed token
+    );
+    
+    // Cadence-side lifecycle of a schedule
+    enum CadenceStatus {
+        None,
+        Scheduled,
+        Executed,
+        Failed
+    }
+    
+    struct CadenceStatusInfo {
+        CadenceStatus status;
+        uint64 cadenceScheduleId;
+        uint256 updatedAt;
+    }
+    
     // State variables
     mapping(uint256 => ScheduleInfo) public schedules;
+    mapping(uint256 => CadenceStatusInfo) public cadenceStatuses;
+    mapping(uint256 => address) public scheduleTokens; // address(0) = native FLOW
     uint256 public nextScheduleId;
     address public owner;
+    address public bridgeOperator;
     
     // Your deployed Cadence contract addresses
     string public constant CADENCE_BRIDGE_ADDRESS = "0x9f3e9372a21a4f15"; // NativeEVMBridge
@@ -58,6 +96,14 @@ contract UpdatedEVMScheduler {
         _;
     }
     
+    modifier onlyBridgeOperator() {
+        require(
+            msg.sender == bridgeOperator || msg.sender == owner,
+            "Not the bridge operator"
+        );
+        _;
+    }
+    
     constructor() {
         owner = msg.sender;
         nextScheduleId = 1;
@@ -72,6 +118,33 @@ contract UpdatedEVMScheduler {
         uint256 amount,
         uint256 delaySeconds
     ) external payable returns (uint256) {
+        return _schedulePayment(recipient, address(0), amount, delaySeconds);
+    }
+    
+    /**
+     * @dev Schedule a payment in an ERC-20 token
+     * The amount is in the token's own units; the bridge maps the token to
+     * its Cadence vault type and rejects tokens it does not know
+     */
+    function scheduleTokenPayment(
+        string memory recipient,
+        address token,
+        uint256 amount,
+        uint256 delaySeconds
+    ) external payable returns (uint256) {
+        require(token.code.length > 0, "Token is not a contract");
+        return _schedulePayment(recipient, token, amount, delaySeconds);
+    }
+    
+    /**
+     * @dev Shared by schedulePayment and scheduleTokenPayment
+     */
+    function _schedulePayment(
+        string memory recipient,
+        address token,
+        uint256 amount,
+        uint256 delaySeconds
+    ) internal returns (uint256) {
         require(bytes(recipient).length > 0, "Invalid recipient");
         require(amount > 0, "Amount must be positive");
         require(delaySeconds > 0, "Delay must be positive");
@@ -89,6 +162,9 @@ contract UpdatedEVMScheduler {
             bridgeTriggered: false,
             executed: false
         });
+        if (token != address(0)) {
+            scheduleTokens[scheduleId] = token;
+        }
         
         // 🚀 TRIGGER CADENCE BRIDGE AUTOMATICALLY!
         _triggerCadenceBridge(scheduleId, recipient, amount, delaySeconds);
@@ -119,6 +195,11 @@ contract UpdatedEVMScheduler {
         uint256 delaySeconds
     ) internal {
         
+        address token = scheduleTokens[scheduleId];
+        if (token != address(0)) {
+            emit PaymentTokenSet(scheduleId, token);
+        }
+        
         // Emit the bridge call event
         emit BridgeCallRequested(
             scheduleId,
@@ -139,10 +220,11 @@ contract UpdatedEVMScheduler {
     
     /**
      * @dev Manual trigger for existing schedules (admin only)
+     * Re-emits the bridge events so the bridge service retries a stuck
+     * schedule; it treats this as an owner override of its dedup
      */
     function manualTriggerBridge(uint256 scheduleId) external onlyOwner {
         require(scheduleId > 0 && scheduleId < nextScheduleId, "Invalid schedule ID");
-        require(!schedules[scheduleId].bridgeTriggered, "Already triggered");
         
         ScheduleInfo storage schedule = schedules[scheduleId];
         
@@ -156,6 +238,48 @@ contract UpdatedEVMScheduler {
         schedule.bridgeTriggered = true;
     }
     
+    /**
+     * @dev Record the Cadence outcome of a schedule (bridge operator only)
+     * Statuses only move forward: None → Scheduled → Executed / Failed
+     */
+    function updateCadenceStatus(
+        uint256 scheduleId,
+        CadenceStatus status,
+        uint64 cadenceScheduleId
+    ) external onlyBridgeOperator {
+        require(scheduleId > 0 && scheduleId < nextScheduleId, "Invalid schedule ID");
+        
+        CadenceStatusInfo storage info = cadenceStatuses[scheduleId];
+        require(
+            info.status != CadenceStatus.Executed && info.status != CadenceStatus.Failed,
+            "Status already final"
+        );
+        require(status > info.status, "Stale status");
+        
+        info.status = status;
+        info.cadenceScheduleId = cadenceScheduleId;
+        info.updatedAt = block.timestamp;
+        
+        emit CadenceStatusUpdated(scheduleId, status, cadenceScheduleId);
+        
+        if (status == CadenceStatus.Executed || status == CadenceStatus.Failed) {
+            schedules[scheduleId].executed = status == CadenceStatus.Executed;
+            emit ScheduleExecuted(scheduleId, status == CadenceStatus.Executed);
+        }
+    }
+    
+    /**
+     * @dev Get the Cadence status of a schedule
+     */
+    function getCadenceStatus(uint256 scheduleId) external view returns (
+        CadenceStatus status,
+        uint64 cadenceScheduleId,
+        uint256 updatedAt
+    ) {
+        CadenceStatusInfo memory info = cadenceStatuses[scheduleId];
+        return (info.status, info.cadenceScheduleId, info.updatedAt);
+    }
+    
     /**
      * @dev Batch schedule multiple payments
      */
@@ -178,6 +302,31 @@ contract UpdatedEVMScheduler {
         return scheduleIds;
     }
     
+    /**
+     * @dev Batch schedule payments in ERC-20 tokens (address(0) for FLOW)
+     */
+    function batchScheduleTokenPayments(
+        string[] memory recipients,
+        address[] memory tokens,
+        uint256[] memory amounts,
+        uint256[] memory delays
+    ) external payable returns (uint256[] memory) {
+        require(recipients.length == tokens.length, "Array length mismatch");
+        require(recipients.length == amounts.length, "Array length mismatch");
+        require(amounts.length == delays.length, "Array length mismatch");
+        require(recipients.length > 0, "Empty arrays");
+        
+        uint256[] memory scheduleIds = new uint256[](recipients.length);
+        
+        for (uint256 i = 0; i < recipients.length; i++) {
+            scheduleIds[i] = tokens[i] == address(0)
+                ? this.schedulePayment(recipients[i], amounts[i], delays[i])
+                : this.scheduleTokenPayment(recipients[i], tokens[i], amounts[i], delays[i]);
+        }
+        
+        return scheduleIds;
+    }
+    
     /**
      * @dev Get schedule information
      */
@@ -284,6 +433,14 @@ contract UpdatedEVMScheduler {
         payable(owner).transfer(address(this).balance);
     }
     
+    /**
+     * @dev Set the account the bridge service uses to write statuses back
+     */
+    function setBridgeOperator(address operator) external onlyOwner {
+        bridgeOperator = operator;
+        emit BridgeOperatorChanged(operator);
+    }
+    
     /**
      * @dev Transfer ownership
      */
@@ -0,0 +1,243 @@
+/**
+ * Fee Estimator - What a scheduled transaction will cost, before it is sent
+ *
+ * Runs EstimateScheduleFee.cdc with the payload the transaction will carry,
+ * so FlowTransactionScheduler can count its storage, and adds the EVM gas of
+ * the call that requests the schedule when it goes through the bridge. Both
+ * legs are paid in FLOW, so the breakdown ends in one total.
+ *
+ * Urgency levels are the 1 (whenever) to 5 (critical) scale of
+ * CalendarDeFiScheduler.triggerAIScheduling():
+ *
+ *   5, 4 → High    3, 2 → Medium    1 → Low
+ *
+ * With gas optimization everything below 5 drops one priority.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { Cadence } = require("./flow-client");
+
+const ESTIMATE_SCRIPT = fs.readFileSync(
+	path.join(__dirname, "cadence/scripts/EstimateScheduleFee.cdc"),
+	"utf8"
+);
+
+// FlowTransactionScheduler.Priority raw values
+const PRIORITY = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+const PRIORITY_NAMES = ["high", "medium", "low"];
+
+class FeeEstimateError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "FeeEstimateError";
+	}
+}
+
+/**
+ * @param {number} urgency - 1 (whenever) to 5 (critical)
+ * @param {object} [options]
+ * @param {boolean} [options.gasOptimization] - trade a priority level for a lower fee
+ * @returns {number} PRIORITY value
+ */
+function priorityForUrgency(urgency, { gasOptimization = false } = {}) {
+	if (!Number.isInteger(urgency) || urgency < 1 || urgency > 5) {
+		throw new FeeEstimateError(
+			`urgency must be an integer from 1 to 5, got ${urgency}`
+		);
+	}
+	const priority =
+		urgency >= 4
+			? PRIORITY.HIGH
+			: urgency >= 2
+				? PRIORITY.MEDIUM
+				: PRIORITY.LOW;
+	// The most urgent never waits for a cheaper slot
+	return gasOptimization && urgency < 5
+		? Math.min(priority + 1, PRIORITY.LOW)
+		: priority;
+}
+
+/**
+ * @param {number|string} value - raw value or high | medium | low
+ * @returns {number} PRIORITY value
+ */
+function parsePriority(value) {
+	const priority =
+		typeof value === "string" && !/^\d+$/.test(value)
+			? PRIORITY_NAMES.indexOf(value.toLowerCase())
+			: Number(value);
+	if (!PRIORITY_NAMES[priority]) {
+		throw new FeeEstimateError(
+			`priority must be high, medium or low (0-2), got ${value}`
+		);
+	}
+	return priority;
+}
+
+/**
+ * The payload as the scheduling transactions pass it: strings as they are,
+ * anything else as JSON. `dataSize` stands in for a payload not built yet.
+ */
+function payloadOf({ data, dataSize }) {
+	if (data !== undefined && data !== null) {
+		return typeof data === "string" ? data : JSON.stringify(data);
+	}
+	if (dataSize !== undefined && dataSize !== null) {
+		if (!Number.isSafeInteger(dataSize) || dataSize < 0) {
+			throw new FeeEstimateError(
+				`dataSize must be a byte count, got ${dataSize}`
+			);
+		}
+		return dataSize > 0 ? "x".repeat(dataSize) : null;
+	}
+	return null;
+}
+
+class FeeEstimator {
+	/**
+	 * @param {object} options
+	 * @param {FlowClient} [options.flow] - no signer needed; without one only the EVM leg is priced
+	 * @param {ethers.Provider} [options.evmProvider] - gas price for the bridge leg
+	 */
+	constructor({ flow = null, evmProvider = null }) {
+		this.flow = flow;
+		this.evmProvider = evmProvider;
+	}
+
+	/**
+	 * Price one scheduled transaction
+	 *
+	 * A timestamp the scheduler cannot guarantee is only acceptable at Low
+	 * priority, which the transactions enforce as well; anything else comes
+	 * back with `error` set rather than thrown, so it can be shown.
+	 *
+	 * @param {object} request
+	 * @param {number} request.time - when it should run, ms since epoch
+	 * @param {number|string} [request.priority] - 0-2 or high | medium | low; wins over urgency
+	 * @param {number} [request.urgency] - 1 to 5, when no priority is given (default medium)
+	 * @param {boolean} [request.gasOptimization] - with urgency, see priorityForUrgency()
+	 * @param {number} request.executionEffort
+	 * @param {string} [request.handler] - storage identifier, reported with the estimate
+	 * @param {*} [request.data] - the payload the transaction will carry
+	 * @param {number} [request.dataSize] - payload size in bytes, without data
+	 * @param {object} [request.evm] - bridge leg: { method, args } (an ethers contract method) or { gas }
+	 * @returns {Promise<object>} { handler, priority, urgency, executionEffort, dataSize, scheduledAt, cadenceFee, evm, total, error }
+	 */
+	async estimate(request) {
+		const priority =
+			request.priority !== undefined && request.priority !== null
+				? parsePriority(request.priority)
+				: request.urgency !== undefined && request.urgency !== null
+					? priorityForUrgency(request.urgency, {
+							gasOptimization: request.gasOptimization,
+						})
+					: PRIORITY.MEDIUM;
+		const { executionEffort } = request;
+		if (!Number.isSafeInteger(executionEffort) || executionEffort < 1) {
+			throw new FeeEstimateError(
+				`executionEffort must be a positive integer, got ${executionEffort}`
+			);
+		}
+		const timestamp = Math.floor(Number(request.time) / 1000);
+		if (!Number.isSafeInteger(timestamp) || timestamp < 0) {
+			throw new FeeEstimateError(
+				`time must be ms since epoch, got ${request.time}`
+			);
+		}
+		const payload = payloadOf(request);
+
+		const [estimate, evm] = await Promise.all([
+			this.flow
+				? this.flow.executeScript(ESTIMATE_SCRIPT, [
+						Cadence.Optional(
+							payload === null ? null : Cadence.String(payload)
+						),
+						Cadence.UFix64(`${timestamp}.0`),
+						Cadence.UInt8(priority),
+						Cadence.UInt64(executionEffort),
+					])
+				: null,
+			request.evm ? this.estimateGas(request.evm) : null,
+		]);
+
+		const cadenceFee = estimate ? (estimate.flowFee ?? null) : null;
+		const error =
+			estimate && estimate.timestamp === null && priority !== PRIORITY.LOW
+				? estimate.error || "timestamp cannot be scheduled"
+				: null;
+
+		return {
+			handler: request.handler ?? null,
+			priority: PRIORITY_NAMES[priority],
+			urgency: request.urgency ?? null,
+			executionEffort,
+			dataSize: payload === null ? 0 : Buffer.byteLength(payload),
+			scheduledAt: new Date(timestamp * 1000).toISOString(),
+			cadenceFee,
+			evm,
+			total: ethers.formatEther(
+				ethers.parseUnits(cadenceFee ?? "0", 18) +
+					(evm ? ethers.parseEther(evm.cost) : 0n)
+			),
+			error,
+		};
+	}
+
+	/**
+	 * Gas of the EVM call at the current gas price, in FLOW
+	 */
+	async estimateGas({ method, args = [], gas }) {
+		if (!this.evmProvider) {
+			throw new FeeEstimateError(
+				"An EVM provider is needed to price the bridge leg"
+			);
+		}
+		const [units, feeData] = await Promise.all([
+			gas !== undefined ? BigInt(gas) : method.estimateGas(...args),
+			this.evmProvider.getFeeData(),
+		]);
+		const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+		return {
+			gas: units.toString(),
+			gasPrice: gasPrice.toString(),
+			cost: ethers.formatEther(units * gasPrice),
+		};
+	}
+}
+
+/**
+ * One line per leg, for CLIs to show before they submit
+ */
+function describeEstimate(breakdown) {
+	const priced = breakdown.cadenceFee !== null || breakdown.error;
+	return [
+		...(priced
+			? [
+					`💸 ${breakdown.priority} priority at ${breakdown.scheduledAt}: Cadence fee ${
+						breakdown.cadenceFee ?? "?"
+					} FLOW (effort ${breakdown.executionEffort}, ${breakdown.dataSize} bytes of data)`,
+				]
+			: []),
+		...(breakdown.evm
+			? [
+					`⛽ EVM gas ${breakdown.evm.gas} at ${breakdown.evm.gasPrice} wei ≈ ${breakdown.evm.cost} FLOW`,
+				]
+			: []),
+		`🧾 Total ≈ ${breakdown.total} FLOW`,
+		...(breakdown.error
+			? [`⚠️ The scheduler would reject this: ${breakdown.error}`]
+			: []),
+	];
+}
+
+module.exports = {
+	FeeEstimateError,
+	FeeEstimator,
+	PRIORITY,
+	PRIORITY_NAMES,
+	describeEstimate,
+	parsePriority,
+	priorityForUrgency,
+};
@@ -0,0 +1,477 @@
+/**
+ * Flow Client - Signs and sends Cadence transactions over the Access API
+ * No Flow CLI required: builds, signs and submits transactions natively
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const {
+	ACCESS_API,
+	loadFlowJson,
+	resolveContractAddress,
+	resolveAccount,
+	resolveImports,
+	withPrefix,
+} = require("./flow-project");
+
+// "FLOW-V0.0-transaction" right-padded to 32 bytes
+const TRANSACTION_DOMAIN_TAG = Buffer.concat([
+	Buffer.from("FLOW-V0.0-transaction", "utf8"),
+	Buffer.alloc(32 - "FLOW-V0.0-transaction".length),
+]);
+
+const CURVES = {
+	ECDSA_P256: { ecdh: "prime256v1", jwk: "P-256" },
+	ECDSA_secp256k1: { ecdh: "secp256k1", jwk: "secp256k1" },
+};
+
+const HASHES = {
+	SHA3_256: "sha3-256",
+	SHA2_256: "sha256",
+};
+
+/**
+ * Cadence JSON argument builders
+ */
+const Cadence = {
+	UInt8: (value) => ({ type: "UInt8", value: String(value) }),
+	UInt64: (value) => ({ type: "UInt64", value: String(value) }),
+	UFix64: (value) => ({ type: "UFix64", value: String(value) }),
+	String: (value) => ({ type: "String", value: String(value) }),
+	Bool: (value) => ({ type: "Bool", value: Boolean(value) }),
+	Address: (value) => ({ type: "Address", value: withPrefix(value) }),
+	Optional: (inner) => ({ type: "Optional", value: inner }),
+	Array: (items) => ({ type: "Array", value: items }),
+};
+
+/**
+ * Convert a Cadence JSON value into plain JS. Integers and fixed-point
+ * numbers stay strings so no precision is lost.
+ */
+function decodeCadence(encoded) {
+	if (encoded === null || encoded === undefined) {
+		return null;
+	}
+
+	const { type, value } = encoded;
+	switch (type) {
+		case "Void":
+			return null;
+		case "Optional":
+			return value === null ? null : decodeCadence(value);
+		case "Array":
+			return value.map(decodeCadence);
+		case "Dictionary": {
+			const result = {};
+			for (const entry of value) {
+				result[decodeCadence(entry.key)] = decodeCadence(entry.value);
+			}
+			return result;
+		}
+		case "Struct":
+		case "Resource":
+		case "Event":
+		case "Contract":
+		case "Enum": {
+			const result = {};
+			for (const field of value.fields) {
+				result[field.name] = decodeCadence(field.value);
+			}
+			return result;
+		}
+		case "Path":
+			return `/${value.domain}/${value.identifier}`;
+		case "Type":
+			return value.staticType;
+		default:
+			return value;
+	}
+}
+
+class FlowTransactionError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} details
+	 * @param {string} details.txId
+	 * @param {string} details.status - last seen status: Expired, Sealed, Pending...
+	 * @param {number} [details.statusCode] - non-null when Cadence execution failed
+	 */
+	constructor(
+		message,
+		{ txId = null, status = null, statusCode = null } = {}
+	) {
+		super(message);
+		this.name = "FlowTransactionError";
+		this.txId = txId;
+		this.status = status;
+		this.statusCode = statusCode;
+	}
+}
+
+class FlowClient {
+	/**
+	 * @param {object} options
+	 * @param {string} options.network - emulator | testnet | mainnet
+	 * @param {string} [options.accessNode] - REST Access API URL
+	 * @param {object} [options.signer] - { address, privateKey, keyIndex, signatureAlgorithm, hashAlgorithm }
+	 * @param {object} [options.flowJson] - parsed flow.json, used for import resolution
+	 * @param {object} [options.importOverrides] - contract name → address
+	 */
+	constructor({
+		network,
+		accessNode,
+		signer = null,
+		flowJson = loadFlowJson(),
+		importOverrides = {},
+		gasLimit = 9999,
+	}) {
+		this.network = network;
+		this.accessNode = (accessNode || ACCESS_API[network]).replace(
+			/\/$/,
+			""
+		);
+		this.signer = signer;
+		this.flowJson = flowJson;
+		this.importOverrides = importOverrides;
+		this.gasLimit = gasLimit;
+
+		if (!this.accessNode) {
+			throw new Error(`No Access API URL known for network "${network}"`);
+		}
+	}
+
+	/**
+	 * Build a client that signs with an account from flow.json
+	 */
+	static fromFlowJson({
+		network,
+		signer,
+		accessNode,
+		flowJsonPath,
+		privateKey,
+		importOverrides,
+	}) {
+		const flowJson = loadFlowJson(flowJsonPath);
+
+		return new FlowClient({
+			network,
+			accessNode,
+			signer: signer
+				? resolveAccount(flowJson, signer, privateKey)
+				: null,
+			flowJson,
+			importOverrides,
+		});
+	}
+
+	async request(method, urlPath, body) {
+		const response = await fetch(`${this.accessNode}${urlPath}`, {
+			method,
+			headers: body ? { "Content-Type": "application/json" } : {},
+			body: body ? JSON.stringify(body) : undefined,
+		});
+
+		const text = await response.text();
+		const payload = text ? JSON.parse(text) : null;
+
+		if (!response.ok) {
+			const message = (payload && payload.message) || response.statusText;
+			const error = new Error(
+				`Flow Access API ${method} ${urlPath} failed (${response.status}): ${message}`
+			);
+			error.status = response.status;
+			throw error;
+		}
+
+		return payload;
+	}
+
+	async getLatestSealedBlock() {
+		const blocks = await this.request("GET", "/v1/blocks?height=sealed");
+		return blocks[0].header;
+	}
+
+	async getAccount(address) {
+		return this.request(
+			"GET",
+			`/v1/accounts/${withPrefix(address)}?expand=keys`
+		);
+	}
+
+	/**
+	 * Run a read-only Cadence script and return its decoded result
+	 */
+	async executeScript(code, args = []) {
+		const script = resolveImports(
+			code,
+			this.flowJson,
+			this.network,
+			this.importOverrides
+		);
+
+		const result = await this.request(
+			"POST",
+			"/v1/scripts?block_height=sealed",
+			{
+				script: Buffer.from(script, "utf8").toString("base64"),
+				arguments: args.map(encodeArgument),
+			}
+		);
+
+		return decodeCadence(
+			JSON.parse(Buffer.from(result, "base64").toString("utf8"))
+		);
+	}
+
+	/**
+	 * Events of one type in a sealed height range (the Access API caps a
+	 * request at 250 blocks). Each event carries its block height.
+	 */
+	async getEvents(eventType, startHeight, endHeight) {
+		const blocks = await this.request(
+			"GET",
+			`/v1/events?type=${encodeURIComponent(
+				eventType
+			)}&start_height=${startHeight}&end_height=${endHeight}`
+		);
+
+		return (blocks || []).flatMap((block) =>
+			(block.events || []).map((event) => ({
+				...decodeEvent(event),
+				blockHeight: Number(block.block_height),
+			}))
+		);
+	}
+
+	/**
+	 * Fully qualified event type, e.g. A.9f3e9372a21a4f15.NativeEVMBridge.EVMScheduleReceived
+	 */
+	eventType(contractName, eventName) {
+		const address = resolveContractAddress(
+			this.flowJson,
+			contractName,
+			this.network
+		);
+		return `A.${stripPrefix(address)}.${contractName}.${eventName}`;
+	}
+
+	/**
+	 * Sign and submit a transaction where the configured signer is
+	 * proposer, payer and sole authorizer. Returns the transaction ID.
+	 */
+	async sendTransaction(code, args = []) {
+		if (!this.signer) {
+			throw new Error("FlowClient has no signer configured");
+		}
+
+		const script = resolveImports(
+			code,
+			this.flowJson,
+			this.network,
+			this.importOverrides
+		);
+		const encodedArgs = args.map(encodeArgument);
+		const address = withPrefix(this.signer.address);
+		const keyIndex = this.signer.keyIndex || 0;
+
+		const [block, account] = await Promise.all([
+			this.getLatestSealedBlock(),
+			this.getAccount(address),
+		]);
+
+		const key = (account.keys || []).find(
+			(candidate) => Number(candidate.index) === keyIndex
+		);
+		if (!key) {
+			throw new Error(`Key ${keyIndex} not found on account ${address}`);
+		}
+
+		const transaction = {
+			script,
+			arguments: encodedArgs,
+			referenceBlockId: block.id,
+			gasLimit: this.gasLimit,
+			proposalKey: {
+				address,
+				keyIndex,
+				sequenceNumber: Number(key.sequence_number),
+			},
+			payer: address,
+			authorizers: [address],
+		};
+
+		const signature = signEnvelope(transaction, this.signer);
+
+		const submitted = await this.request("POST", "/v1/transactions", {
+			script: Buffer.from(script, "utf8").toString("base64"),
+			arguments: encodedArgs,
+			reference_block_id: block.id,
+			gas_limit: String(this.gasLimit),
+			payer: stripPrefix(address),
+			proposal_key: {
+				address: stripPrefix(address),
+				key_index: String(keyIndex),
+				sequence_number: String(transaction.proposalKey.sequenceNumber),
+			},
+			authorizers: [stripPrefix(address)],
+			payload_signatures: [],
+			envelope_signatures: [
+				{
+					address: stripPrefix(address),
+					key_index: String(keyIndex),
+					signature: signature.toString("base64"),
+				},
+			],
+		});
+
+		return submitted.id;
+	}
+
+	/**
+	 * Poll until the transaction is sealed. Resolves with decoded events,
+	 * rejects with FlowTransactionError if it reverted or expired.
+	 */
+	async waitForSeal(
+		txId,
+		{ timeoutMs = 120000, pollIntervalMs = 1000 } = {}
+	) {
+		const deadline = Date.now() + timeoutMs;
+		let lastStatus = null;
+
+		while (Date.now() < deadline) {
+			const result = await this.request(
+				"GET",
+				`/v1/transaction_results/${txId}`
+			);
+			lastStatus = result.status;
+
+			if (result.status === "Expired") {
+				throw new FlowTransactionError(
+					`Transaction ${txId} expired before being sealed`,
+					{ txId, status: result.status }
+				);
+			}
+
+			if (result.status === "Sealed") {
+				if (result.error_message) {
+					throw new FlowTransactionError(
+						`Transaction ${txId} failed: ${result.error_message}`,
+						{
+							txId,
+							status: result.status,
+							statusCode: result.status_code,
+						}
+					);
+				}
+
+				return {
+					txId,
+					status: result.status,
+					events: (result.events || []).map(decodeEvent),
+				};
+			}
+
+			await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+		}
+
+		throw new FlowTransactionError(
+			`Timed out waiting for transaction ${txId} to seal`,
+			{ txId, status: lastStatus }
+		);
+	}
+}
+
+function stripPrefix(address) {
+	return withPrefix(address).slice(2);
+}
+
+function encodeArgument(arg) {
+	return Buffer.from(JSON.stringify(arg), "utf8").toString("base64");
+}
+
+function decodeEvent(event) {
+	return {
+		type: event.type,
+		transactionId: event.transaction_id,
+		eventIndex: Number(event.event_index),
+		data: decodeCadence(
+			JSON.parse(Buffer.from(event.payload, "base64").toString("utf8"))
+		),
+	};
+}
+
+/**
+ * RLP-encode the transaction envelope (payload + empty payload signatures)
+ * exactly as the Flow protocol expects
+ */
+function encodeTransactionEnvelope(transaction) {
+	const payload = [
+		Buffer.from(transaction.script, "utf8"),
+		transaction.arguments.map((arg) => Buffer.from(arg, "base64")),
+		Buffer.from(transaction.referenceBlockId, "hex"),
+		ethers.toBeArray(transaction.gasLimit),
+		Buffer.from(stripPrefix(transaction.proposalKey.address), "hex"),
+		ethers.toBeArray(transaction.proposalKey.keyIndex),
+		ethers.toBeArray(transaction.proposalKey.sequenceNumber),
+		Buffer.from(stripPrefix(transaction.payer), "hex"),
+		transaction.authorizers.map((address) =>
+			Buffer.from(stripPrefix(address), "hex")
+		),
+	];
+
+	return Buffer.from(ethers.getBytes(ethers.encodeRlp([payload, []])));
+}
+
+function createSigningKey(signer) {
+	const curve = CURVES[signer.signatureAlgorithm];
+	if (!curve) {
+		throw new Error(
+			`Unsupported signature algorithm: ${signer.signatureAlgorithm}`
+		);
+	}
+
+	const privateKey = Buffer.from(signer.privateKey, "hex");
+	const ecdh = crypto.createECDH(curve.ecdh);
+	ecdh.setPrivateKey(privateKey);
+	const publicKey = ecdh.getPublicKey(); // 0x04 || X || Y
+
+	return crypto.createPrivateKey({
+		format: "jwk",
+		key: {
+			kty: "EC",
+			crv: curve.jwk,
+			d: privateKey.toString("base64url"),
+			x: publicKey.subarray(1, 33).toString("base64url"),
+			y: publicKey.subarray(33).toString("base64url"),
+		},
+	});
+}
+
+/**
+ * Produce the raw r||s envelope signature for a transaction
+ */
+function signEnvelope(transaction, signer) {
+	const hash = HASHES[signer.hashAlgorithm];
+	if (!hash) {
+		throw new Error(`Unsupported hash algorithm: ${signer.hashAlgorithm}`);
+	}
+
+	const message = Buffer.concat([
+		TRANSACTION_DOMAIN_TAG,
+		encodeTransactionEnvelope(transaction),
+	]);
+
+	return crypto.sign(hash, message, {
+		key: createSigningKey(signer),
+		dsaEncoding: "ieee-p1363",
+	});
+}
+
+module.exports = {
+	Cadence,
+	FlowClient,
+	FlowTransactionError,
+	decodeCadence,
+	encodeTransactionEnvelope,
+	signEnvelope,
+};
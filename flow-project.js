@@ -0,0 +1,137 @@
+/**
+ * Flow Project Helpers
+ * Reads flow.json so JS services resolve contracts, accounts and keys
+ * the same way the Flow CLI does
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FLOW_JSON = path.join(__dirname, "flow.json");
+
+// Access node REST endpoints (the Flow CLI talks gRPC, JS talks REST)
+const ACCESS_API = {
+	emulator: "http://127.0.0.1:8888",
+	testnet: "https://rest-testnet.onflow.org",
+	mainnet: "https://rest-mainnet.onflow.org",
+};
+
+/**
+ * Load and parse flow.json
+ */
+function loadFlowJson(filePath = DEFAULT_FLOW_JSON) {
+	const resolved = path.resolve(filePath);
+	const flowJson = JSON.parse(fs.readFileSync(resolved, "utf8"));
+
+	// Remember where it came from so relative key files resolve correctly
+	Object.defineProperty(flowJson, "baseDir", {
+		value: path.dirname(resolved),
+		enumerable: false,
+	});
+	return flowJson;
+}
+
+function withPrefix(address) {
+	const bare = address.replace(/^0x/, "");
+	return `0x${bare.padStart(16, "0")}`;
+}
+
+/**
+ * Find the address a contract lives at on a network, either from its
+ * aliases or from the account it is deployed to
+ */
+function resolveContractAddress(flowJson, contractName, network) {
+	const contract = (flowJson.contracts || {})[contractName];
+
+	if (contract && contract.aliases && contract.aliases[network]) {
+		return withPrefix(contract.aliases[network]);
+	}
+
+	const deployments = (flowJson.deployments || {})[network] || {};
+	for (const [accountName, contracts] of Object.entries(deployments)) {
+		const deployed = contracts.some((entry) =>
+			typeof entry === "string"
+				? entry === contractName
+				: entry.name === contractName
+		);
+
+		if (deployed) {
+			const account = (flowJson.accounts || {})[accountName];
+			if (!account) {
+				throw new Error(
+					`flow.json deploys ${contractName} to unknown account "${accountName}"`
+				);
+			}
+			return withPrefix(account.address);
+		}
+	}
+
+	const dependency = (flowJson.dependencies || {})[contractName];
+	if (dependency && dependency.aliases && dependency.aliases[network]) {
+		return withPrefix(dependency.aliases[network]);
+	}
+
+	throw new Error(
+		`Cannot resolve address of ${contractName} on ${network} from flow.json`
+	);
+}
+
+/**
+ * Rewrite string imports (`import "Foo"`) into address imports
+ * (`import Foo from 0x...`) so the code can be sent to an access node
+ */
+function resolveImports(code, flowJson, network, overrides = {}) {
+	return code.replace(
+		/^(\s*)import\s+"([A-Za-z0-9_]+)"/gm,
+		(_, indent, name) => {
+			const address =
+				overrides[name] ||
+				resolveContractAddress(flowJson, name, network);
+			return `${indent}import ${name} from ${withPrefix(address)}`;
+		}
+	);
+}
+
+/**
+ * Resolve an account and its signing key from flow.json. Pass a
+ * privateKey to sign with a key supplied out of band (e.g. an env var).
+ */
+function resolveAccount(flowJson, accountName, privateKeyOverride = null) {
+	const account = (flowJson.accounts || {})[accountName];
+	if (!account) {
+		throw new Error(`Account "${accountName}" not found in flow.json`);
+	}
+
+	const key =
+		typeof account.key === "string"
+			? { type: "hex", privateKey: account.key }
+			: account.key || {};
+
+	let privateKey = privateKeyOverride || key.privateKey;
+	if (!privateKeyOverride && key.type === "file") {
+		const keyPath = path.resolve(flowJson.baseDir || ".", key.location);
+		privateKey = fs.readFileSync(keyPath, "utf8").trim();
+	}
+
+	if (!privateKey) {
+		throw new Error(`No private key configured for "${accountName}"`);
+	}
+
+	return {
+		address: withPrefix(account.address),
+		privateKey: privateKey.replace(/^0x/, ""),
+		keyIndex: key.index || 0,
+		signatureAlgorithm: key.signatureAlgorithm || "ECDSA_P256",
+		hashAlgorithm: key.hashAlgorithm || "SHA3_256",
+	};
+}
+
+module.exports = {
+	ACCESS_API,
+	DEFAULT_FLOW_JSON,
+	loadFlowJson,
+	resolveAccount,
+	resolveContractAddress,
+	resolveImports,
+	withPrefix,
+};
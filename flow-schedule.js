@@ -0,0 +1,668 @@
+#!/usr/bin/env node
+
+/**
+ * Flow Schedule - Schedule, inspect and cancel scheduled transactions
+ *
+ * Usage:
+ *   flow-schedule schedule once --delay <seconds>
+ *   flow-schedule schedule loop --delay <seconds>
+ *   flow-schedule schedule cron --interval <seconds> [--max-executions <n>] [--start <date>]
+ *   flow-schedule schedule evm --recipient <flow address> --amount <n> [--token <symbol>] (--delay <seconds> | --at <date>)
+ *   flow-schedule estimate <once|loop|cron|evm> [the options of schedule]
+ *   flow-schedule list [--address <flow address>]
+ *   flow-schedule list --evm [--creator <0x...> | --recipient <flow address>]
+ *   flow-schedule status <id> [--evm]
+ *   flow-schedule cancel <id>
+ *   flow-schedule bridge start
+ *
+ * once, loop and cron schedule the Counter handlers through the signer's
+ * scheduler manager (ScheduleIncrementIn*.cdc); initialize the handler
+ * first as in EXAMPLE*.md. They take --priority high|medium|low (default
+ * medium) or --urgency 1-5 [--optimize-gas] (see fee-estimator.js), and
+ * --effort <n> (default 1000). list, status and cancel without
+ * --evm work on the manager's transactions. Flow commands use FLOW_NETWORK
+ * (default emulator), FLOW_SIGNER, FLOW_ACCESS_API and FLOW_PRIVATE_KEY.
+ *
+ * evm calls UpdatedEVMScheduler.schedulePayment() at EVM_SCHEDULER_ADDRESS
+ * through EVM_RPC_URL, signing with EVM_PRIVATE_KEY, or
+ * scheduleTokenPayment() when --token names an ERC-20 from the TOKENS_FILE
+ * registry (see token-registry.js; default FLOW). FLOW amounts are scaled by
+ * EVM_AMOUNT_DECIMALS (default 18, as the bridge), tokens by their own
+ * decimals. The EVM gas comes with the Cadence fee of the bridged payment
+ * unless --no-cadence-fees is given.
+ * `bridge start` runs auto-bridge.js.
+ *
+ * schedule prints the fee breakdown before it submits and stops there if
+ * the scheduler would reject the timestamp; estimate prints only that.
+ *
+ * Output is a table by default and JSON with --json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { main: startBridge } = require("./auto-bridge");
+const { validatePayroll } = require("./batch-scheduler");
+const { normalizeFlowAddress } = require("./bridge-conversion");
+const { parseArgs } = require("./cli-args");
+const {
+	FeeEstimator,
+	describeEstimate,
+	priorityForUrgency,
+} = require("./fee-estimator");
+const { Cadence, FlowClient } = require("./flow-client");
+const { TokenRegistry } = require("./token-registry");
+
+const USAGE =
+	"Usage: flow-schedule schedule <once|loop|cron|evm> [options] | estimate <once|loop|cron|evm> [options] | list [--evm] | status <id> [--evm] | cancel <id> | bridge start [--json]";
+
+const PRIORITY = { high: 0, medium: 1, low: 2 };
+
+// FlowTransactionScheduler.Status raw values
+const TRANSACTION_STATUS = ["unknown", "scheduled", "executed", "canceled"];
+
+// UpdatedEVMScheduler.CadenceStatus raw values
+const CADENCE_STATUS = ["none", "scheduled", "executed", "failed"];
+
+// The bridge schedules payments with these; see batch-scheduler.js
+const BRIDGED_PAYMENT_SPEC = { priority: 1, executionEffort: 1000 };
+
+const EVM_SCHEDULER_ABI = [
+	"event ScheduleCreated(uint256 indexed scheduleId, address indexed creator, string recipient, uint256 amount, uint256 delaySeconds, bool bridgeTriggered)",
+	"function schedulePayment(string recipient, uint256 amount, uint256 delaySeconds) payable returns (uint256)",
+	"function scheduleTokenPayment(string recipient, address token, uint256 amount, uint256 delaySeconds) payable returns (uint256)",
+	"function scheduleTokens(uint256 scheduleId) view returns (address)",
+	"function getSchedule(uint256 scheduleId) view returns (uint256 id, string recipient, uint256 amount, uint256 delaySeconds, uint256 createdAt, address creator, bool bridgeTriggered, bool executed)",
+	"function getCadenceStatus(uint256 scheduleId) view returns (uint8 status, uint64 cadenceScheduleId, uint256 updatedAt)",
+	"function getSchedulesByCreator(address creator) view returns (uint256[])",
+	"function getSchedulesByRecipient(string recipient) view returns (uint256[])",
+];
+
+function readCadence(file) {
+	return fs.readFileSync(path.join(__dirname, "cadence", file), "utf8");
+}
+
+const HANDLER_TRANSACTIONS = {
+	once: readCadence("transactions/ScheduleIncrementIn.cdc"),
+	loop: readCadence("transactions/ScheduleIncrementInLoop.cdc"),
+	cron: readCadence("transactions/ScheduleIncrementInCron.cdc"),
+};
+const LIST_SCRIPT = readCadence("scripts/GetManagedTransactions.cdc");
+const STATUS_SCRIPT = readCadence("scripts/GetScheduledTransaction.cdc");
+const CANCEL_TRANSACTION = readCadence(
+	"transactions/CancelManagedTransaction.cdc"
+);
+
+function positiveInteger(name, value) {
+	const number = Number(value);
+	if (value === undefined || !Number.isSafeInteger(number) || number < 1) {
+		throw new Error(`--${name} must be a positive integer, got ${value}`);
+	}
+	return number;
+}
+
+function scheduleId(id) {
+	if (!/^\d+$/.test(String(id ?? ""))) {
+		throw new Error(id === undefined ? USAGE : `Not a schedule ID: ${id}`);
+	}
+	return id;
+}
+
+function parseDate(name, value) {
+	const time = Date.parse(value);
+	if (!Number.isFinite(time)) {
+		throw new Error(`--${name}: "${value}" is not an ISO 8601 date`);
+	}
+	return time;
+}
+
+/**
+ * Whole seconds as a UFix64 timestamp or duration
+ */
+function ufixSeconds(seconds) {
+	return Cadence.UFix64(`${seconds}.0`);
+}
+
+function rawValue(value) {
+	return value !== null && typeof value === "object" ? value.rawValue : value;
+}
+
+function isoSeconds(seconds) {
+	return new Date(Number(seconds) * 1000).toISOString();
+}
+
+function flowClient({ signer }) {
+	const network = process.env.FLOW_NETWORK || "emulator";
+	return FlowClient.fromFlowJson({
+		network,
+		signer: signer
+			? process.env.FLOW_SIGNER || `${network}-account`
+			: undefined,
+		accessNode: process.env.FLOW_ACCESS_API,
+		privateKey: process.env.FLOW_PRIVATE_KEY,
+	});
+}
+
+/**
+ * UpdatedEVMScheduler, connected to a wallet when EVM_PRIVATE_KEY is set
+ */
+function evmScheduler({ write }) {
+	if (!process.env.EVM_SCHEDULER_ADDRESS) {
+		throw new Error("Set EVM_SCHEDULER_ADDRESS");
+	}
+	if (write && !process.env.EVM_PRIVATE_KEY) {
+		throw new Error("Set EVM_PRIVATE_KEY to schedule payments");
+	}
+	const provider = new ethers.JsonRpcProvider(
+		process.env.EVM_RPC_URL || "http://127.0.0.1:8545"
+	);
+	return new ethers.Contract(
+		process.env.EVM_SCHEDULER_ADDRESS,
+		EVM_SCHEDULER_ABI,
+		process.env.EVM_PRIVATE_KEY
+			? new ethers.Wallet(process.env.EVM_PRIVATE_KEY, provider)
+			: provider
+	);
+}
+
+function tokenRegistry() {
+	return TokenRegistry.load(process.env.TOKENS_FILE, {
+		network: process.env.FLOW_NETWORK || "emulator",
+		nativeDecimals: Number(process.env.EVM_AMOUNT_DECIMALS || 18),
+	});
+}
+
+/**
+ * Arguments and first execution time of a Counter handler schedule
+ */
+function handlerPlan(kind, flags, now = Date.now()) {
+	if (flags.priority !== undefined && flags.urgency !== undefined) {
+		throw new Error("Pass --priority or --urgency, not both");
+	}
+	const priority =
+		flags.urgency !== undefined
+			? priorityForUrgency(Number(flags.urgency), {
+					gasOptimization: Boolean(flags["optimize-gas"]),
+				})
+			: PRIORITY[String(flags.priority || "medium").toLowerCase()];
+	if (priority === undefined) {
+		throw new Error(
+			`--priority must be high, medium or low, got ${flags.priority}`
+		);
+	}
+	const executionEffort =
+		flags.effort === undefined
+			? 1000
+			: positiveInteger("effort", flags.effort);
+	const spec = [Cadence.UInt8(priority), Cadence.UInt64(executionEffort)];
+	const nowSeconds = Math.floor(now / 1000);
+
+	if (kind === "cron") {
+		const interval = positiveInteger("interval", flags.interval);
+		const maxExecutions =
+			flags["max-executions"] === undefined
+				? null
+				: positiveInteger("max-executions", flags["max-executions"]);
+		const start =
+			flags.start === undefined
+				? null
+				: Math.floor(parseDate("start", flags.start) / 1000);
+		// As CounterCronTransactionHandler.getNextExecutionTime()
+		const base = start ?? nowSeconds;
+		const firstExecution =
+			base > nowSeconds
+				? base
+				: base +
+					(Math.floor((nowSeconds - base) / interval) + 1) * interval;
+		return {
+			kind,
+			priority,
+			executionEffort,
+			intervalSeconds: interval,
+			maxExecutions,
+			firstExecution,
+			args: [
+				ufixSeconds(interval),
+				...spec,
+				Cadence.Optional(
+					maxExecutions === null
+						? null
+						: Cadence.UInt64(maxExecutions)
+				),
+				Cadence.Optional(start === null ? null : ufixSeconds(start)),
+			],
+		};
+	}
+
+	const delay = positiveInteger("delay", flags.delay);
+	return {
+		kind,
+		priority,
+		executionEffort,
+		delaySeconds: delay,
+		firstExecution: nowSeconds + delay,
+		args: [ufixSeconds(delay), ...spec, Cadence.Optional(null)],
+	};
+}
+
+/**
+ * A schedulePayment() or scheduleTokenPayment() call, validated as
+ * payroll.js validates rows
+ */
+function paymentPlan(flags, now = Date.now()) {
+	const [row] = validatePayroll(
+		[
+			{
+				line: 1,
+				recipient: flags.recipient,
+				amount: flags.amount,
+				token: flags.token,
+				delaySeconds: flags.delay,
+				date: flags.at,
+			},
+		],
+		{ tokens: tokenRegistry(), now }
+	);
+	if (row.errors.length > 0) {
+		throw new Error(row.errors.join("; "));
+	}
+	const delaySeconds =
+		row.delaySeconds ?? Math.ceil((Date.parse(row.date) - now) / 1000);
+	return {
+		kind: "evm",
+		recipient: row.recipient,
+		token: row.token,
+		tokenAddress: row.tokenAddress,
+		amount: row.amount,
+		amountRaw: BigInt(row.amountRaw),
+		delaySeconds,
+		firstExecution: Math.floor(now / 1000) + delaySeconds,
+	};
+}
+
+/**
+ * The contract function and arguments for a payment plan
+ */
+function paymentCall(scheduler, plan) {
+	return plan.tokenAddress
+		? [
+				scheduler.scheduleTokenPayment,
+				[
+					plan.recipient,
+					plan.tokenAddress,
+					plan.amountRaw,
+					plan.delaySeconds,
+				],
+			]
+		: [
+				scheduler.schedulePayment,
+				[plan.recipient, plan.amountRaw, plan.delaySeconds],
+			];
+}
+
+/**
+ * Fee breakdown of a plan; EVM payments need the scheduler they will be
+ * sent through
+ */
+function estimatePlan(plan, flags, scheduler) {
+	if (plan.kind !== "evm") {
+		return new FeeEstimator({
+			flow: flowClient({ signer: false }),
+		}).estimate({
+			time: plan.firstExecution * 1000,
+			priority: plan.priority,
+			executionEffort: plan.executionEffort,
+		});
+	}
+	const [method, args] = paymentCall(scheduler, plan);
+	return new FeeEstimator({
+		flow: flags["no-cadence-fees"] ? null : flowClient({ signer: false }),
+		evmProvider: scheduler.runner.provider,
+	}).estimate({
+		time: plan.firstExecution * 1000,
+		...BRIDGED_PAYMENT_SPEC,
+		evm: { method, args },
+	});
+}
+
+function printEstimate(estimate) {
+	for (const line of describeEstimate(estimate)) {
+		console.log(line);
+	}
+}
+
+function describePlan(plan) {
+	return {
+		kind: plan.kind,
+		firstExecution: isoSeconds(plan.firstExecution),
+		...(plan.kind === "evm"
+			? {
+					recipient: plan.recipient,
+					amount: plan.amount,
+					token: plan.token,
+					delaySeconds: plan.delaySeconds,
+				}
+			: {
+					priority: Object.keys(PRIORITY)[plan.priority],
+					executionEffort: plan.executionEffort,
+					...(plan.kind === "cron"
+						? {
+								intervalSeconds: plan.intervalSeconds,
+								maxExecutions: plan.maxExecutions,
+							}
+						: { delaySeconds: plan.delaySeconds }),
+				}),
+	};
+}
+
+function describeTransaction(data) {
+	return {
+		id: data.id,
+		status: TRANSACTION_STATUS[rawValue(data.status)] || "unknown",
+		scheduledAt: isoSeconds(data.scheduledTimestamp),
+		priority: Object.keys(PRIORITY)[rawValue(data.priority)],
+		executionEffort: data.executionEffort,
+		fees: data.fees,
+		handler: data.handlerTypeIdentifier,
+	};
+}
+
+async function describeEvmSchedule(scheduler, scheduleId, tokens) {
+	const [schedule, cadence, tokenAddress] = await Promise.all([
+		scheduler.getSchedule(scheduleId),
+		scheduler.getCadenceStatus(scheduleId),
+		// Deployments from before token payments only schedule FLOW
+		scheduler.scheduleTokens(scheduleId).catch(() => ethers.ZeroAddress),
+	]);
+	const status = Number(cadence.status);
+	const token = tokens.byEvmAddress(tokenAddress);
+	return {
+		id: schedule.id.toString(),
+		recipient: schedule.recipient,
+		// Raw units when the token is not in the registry
+		amount: token
+			? ethers.formatUnits(schedule.amount, token.evmDecimals)
+			: schedule.amount.toString(),
+		token: token ? token.symbol : tokenAddress,
+		creator: schedule.creator,
+		createdAt: isoSeconds(schedule.createdAt),
+		scheduledAt: isoSeconds(schedule.createdAt + schedule.delaySeconds),
+		bridged: schedule.bridgeTriggered,
+		executed: schedule.executed,
+		cadenceStatus: CADENCE_STATUS[status],
+		cadenceScheduleId:
+			status > 0 ? cadence.cadenceScheduleId.toString() : null,
+	};
+}
+
+function printTable(rows, columns) {
+	if (rows.length === 0) {
+		console.log("📭 Nothing scheduled");
+		return;
+	}
+	const cells = rows.map((row) =>
+		columns.map((column) => String(row[column] ?? "-"))
+	);
+	const widths = columns.map((column, index) =>
+		Math.max(column.length, ...cells.map((row) => row[index].length))
+	);
+	const line = (values) =>
+		values
+			.map((value, index) => value.padEnd(widths[index]))
+			.join("  ")
+			.trimEnd();
+
+	console.log(line(columns));
+	console.log(line(widths.map((width) => "-".repeat(width))));
+	for (const row of cells) {
+		console.log(line(row));
+	}
+}
+
+function printFields(record) {
+	const width = Math.max(...Object.keys(record).map((key) => key.length));
+	for (const [key, value] of Object.entries(record)) {
+		console.log(`   ${`${key}:`.padEnd(width + 1)}  ${value ?? "-"}`);
+	}
+}
+
+/**
+ * JSON for scripts, otherwise whatever `print` shows
+ */
+function output(flags, result, print) {
+	if (flags.json) {
+		console.log(JSON.stringify(result, null, 2));
+	} else {
+		print(result);
+	}
+}
+
+function planFor(kind, flags) {
+	if (kind === "evm") {
+		return paymentPlan(flags);
+	}
+	if (HANDLER_TRANSACTIONS[kind]) {
+		return handlerPlan(kind, flags);
+	}
+	throw new Error(USAGE);
+}
+
+async function schedule([kind], flags) {
+	const plan = planFor(kind, flags);
+	const scheduler = kind === "evm" ? evmScheduler({ write: true }) : null;
+
+	const estimate = await estimatePlan(plan, flags, scheduler);
+	if (!flags.json) {
+		printEstimate(estimate);
+	}
+	if (estimate.error) {
+		throw new Error(`Not submitted: ${estimate.error}`);
+	}
+
+	if (kind === "evm") {
+		const [method, args] = paymentCall(scheduler, plan);
+		const tx = await method(...args);
+		const receipt = await tx.wait();
+		const created = receipt.logs
+			.map((log) => scheduler.interface.parseLog(log))
+			.find((event) => event && event.name === "ScheduleCreated");
+		const result = {
+			...describePlan(plan),
+			scheduleId: created ? created.args.scheduleId.toString() : null,
+			txHash: receipt.hash,
+		};
+		output(flags, { ...result, estimate }, () => {
+			console.log(
+				`🚀 Payment ${result.scheduleId} scheduled in ${result.txHash}`
+			);
+			printFields(result);
+		});
+		return;
+	}
+
+	const flow = flowClient({ signer: true });
+	const txId = await flow.sendTransaction(
+		HANDLER_TRANSACTIONS[kind],
+		plan.args
+	);
+	const { events } = await flow.waitForSeal(txId);
+	const scheduled = events.find((event) =>
+		/\.FlowTransactionScheduler\.(Transaction)?Scheduled$/.test(event.type)
+	);
+	const result = {
+		...describePlan(plan),
+		id: scheduled ? scheduled.data.id : null,
+		txId,
+	};
+	output(flags, { ...result, estimate }, () => {
+		console.log(`🚀 Scheduled transaction ${result.id ?? "?"} in ${txId}`);
+		printFields(result);
+	});
+}
+
+async function estimate([kind], flags) {
+	const plan = planFor(kind, flags);
+	const breakdown = await estimatePlan(
+		plan,
+		flags,
+		kind === "evm" ? evmScheduler({ write: false }) : null
+	);
+	const result = { ...describePlan(plan), estimate: breakdown };
+
+	output(flags, result, () => {
+		printFields(describePlan(plan));
+		printEstimate(breakdown);
+	});
+	if (breakdown.error) {
+		process.exitCode = 1;
+	}
+}
+
+async function list(args, flags) {
+	if (flags.evm) {
+		const scheduler = evmScheduler({ write: false });
+		let ids;
+		if (flags.recipient) {
+			ids = await scheduler.getSchedulesByRecipient(
+				normalizeFlowAddress("recipient", flags.recipient)
+			);
+		} else {
+			// A Wallet runner has an address, a bare provider does not
+			const creator = flags.creator || scheduler.runner.address;
+			if (!creator) {
+				throw new Error(
+					"Pass --creator or --recipient, or set EVM_PRIVATE_KEY to list your own"
+				);
+			}
+			ids = await scheduler.getSchedulesByCreator(creator);
+		}
+		const tokens = tokenRegistry();
+		const schedules = [];
+		for (const id of ids) {
+			schedules.push(await describeEvmSchedule(scheduler, id, tokens));
+		}
+		output(flags, schedules, () =>
+			printTable(schedules, [
+				"id",
+				"recipient",
+				"amount",
+				"token",
+				"scheduledAt",
+				"cadenceStatus",
+				"cadenceScheduleId",
+			])
+		);
+		return;
+	}
+
+	const flow = flowClient({ signer: !flags.address });
+	const address = flags.address || flow.signer.address;
+	const transactions = (
+		await flow.executeScript(LIST_SCRIPT, [Cadence.Address(address)])
+	)
+		.map(describeTransaction)
+		.sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+	output(flags, transactions, () =>
+		printTable(transactions, [
+			"id",
+			"status",
+			"scheduledAt",
+			"priority",
+			"executionEffort",
+			"fees",
+			"handler",
+		])
+	);
+}
+
+async function status([id], flags) {
+	scheduleId(id);
+
+	let result;
+	if (flags.evm) {
+		result = await describeEvmSchedule(
+			evmScheduler({ write: false }),
+			id,
+			tokenRegistry()
+		);
+	} else {
+		const data = await flowClient({ signer: false }).executeScript(
+			STATUS_SCRIPT,
+			[Cadence.UInt64(id)]
+		);
+		if (!data) {
+			throw new Error(`No scheduled transaction ${id}`);
+		}
+		result = describeTransaction(data);
+	}
+	output(flags, result, () => {
+		console.log(
+			`🔎 ${flags.evm ? "EVM schedule" : "Scheduled transaction"} ${id}`
+		);
+		printFields(result);
+	});
+}
+
+async function cancel([id], flags) {
+	scheduleId(id);
+	if (flags.evm) {
+		throw new Error(
+			"UpdatedEVMScheduler payments cannot be cancelled once requested"
+		);
+	}
+
+	const flow = flowClient({ signer: true });
+	const txId = await flow.sendTransaction(CANCEL_TRANSACTION, [
+		Cadence.UInt64(id),
+	]);
+	const { events } = await flow.waitForSeal(txId);
+	const canceled = events.find((event) =>
+		/\.FlowTransactionScheduler\.(Transaction)?Canceled$/.test(event.type)
+	);
+	const result = {
+		id: String(id),
+		txId,
+		refund: canceled ? (canceled.data.feesReturned ?? null) : null,
+	};
+	output(flags, result, () =>
+		console.log(
+			`🗑️ Cancelled scheduled transaction ${id} in ${txId}${
+				result.refund ? `, refunded ${result.refund} FLOW` : ""
+			}`
+		)
+	);
+}
+
+async function bridge([action]) {
+	if (action !== "start") {
+		throw new Error(USAGE);
+	}
+	await startBridge();
+}
+
+async function main(argv) {
+	const [command, ...args] = argv;
+	const commands = { schedule, estimate, list, status, cancel, bridge };
+
+	if (!commands[command]) {
+		console.log(USAGE);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+	const { positional, flags } = parseArgs(args, [
+		"json",
+		"evm",
+		"no-cadence-fees",
+		"optimize-gas",
+	]);
+	await commands[command](positional, flags);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch((error) => {
+		console.error(`❌ ${error.shortMessage || error.message}`);
+		process.exitCode = 1;
+	});
+}
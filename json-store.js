@@ -0,0 +1,105 @@
+/**
+ * JSON Store - Versioned state in a local JSON file, written atomically
+ *
+ * Stores extend JsonStore with their file, a name for errors and the state
+ * version they read:
+ *
+ *   class BridgeStore extends JsonStore {
+ *       constructor(filePath) {
+ *           super(filePath, { name: "bridge store", version: STORE_VERSION });
+ *       }
+ *       static emptyState() {
+ *           return { version: STORE_VERSION, events: {} };
+ *       }
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Write JSON atomically (temp file + fsync + rename) so a crash never
+ * leaves a half-written file behind
+ */
+function writeJsonAtomic(filePath, value) {
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	const fd = fs.openSync(tmpPath, "w");
+	try {
+		fs.writeSync(fd, JSON.stringify(value, null, 2));
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+	fs.renameSync(tmpPath, filePath);
+}
+
+class JsonStore {
+	/**
+	 * @param {string|null} filePath - null keeps state in memory only, for dry runs and demos
+	 * @param {object} options
+	 * @param {string} options.name - used in errors, e.g. "bridge store"
+	 * @param {number} options.version - the only state version load() accepts
+	 */
+	constructor(filePath, { name, version }) {
+		this.filePath = filePath === null ? null : path.resolve(filePath);
+		this.name = name;
+		this.version = version;
+		this.state = this.constructor.emptyState();
+	}
+
+	/**
+	 * State of a new store; subclasses define it
+	 */
+	static emptyState() {
+		throw new Error("JsonStore subclasses must define emptyState()");
+	}
+
+	/**
+	 * Load state from disk (empty if the file is missing)
+	 */
+	load() {
+		if (this.filePath === null) {
+			return this;
+		}
+		if (!fs.existsSync(this.filePath)) {
+			this.state = this.constructor.emptyState();
+			return this;
+		}
+
+		const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+		if (parsed.version !== this.version) {
+			throw new Error(
+				`Unsupported ${this.name} version ${parsed.version} in ${this.filePath}`
+			);
+		}
+
+		this.state = parsed;
+		return this;
+	}
+
+	save() {
+		if (this.filePath !== null) {
+			writeJsonAtomic(this.filePath, this.state);
+		}
+	}
+
+	/**
+	 * Re-read, apply and write in one synchronous step. Other processes may
+	 * edit the same file, so every mutation starts from what is on disk
+	 * rather than from a stale in-memory copy.
+	 */
+	mutate(fn) {
+		this.load();
+		const result = fn(this.state);
+		this.save();
+		return result;
+	}
+}
+
+module.exports = { JsonStore, isPlainObject, writeJsonAtomic };
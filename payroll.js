@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Payroll - Schedule a CSV or JSON payroll through batchSchedulePayments()
+ *
+ * Usage:
+ *   node payroll.js estimate <file> [--report <path>]
+ *   node payroll.js submit <file> [--report <path>]
+ *   node payroll.js retry <report>
+ *   node payroll.js show <report>
+ *
+ * Rows need recipient (Flow address), amount and either delaySeconds or
+ * date (ISO 8601); reference is optional, and token (a symbol, default
+ * FLOW) picks the currency from the TOKENS_FILE registry (see
+ * token-registry.js). The report defaults to <file>.report.json and records
+ * every row's outcome; `retry` sends only the rows that failed. Uses
+ * UpdatedEVMScheduler at EVM_SCHEDULER_ADDRESS through EVM_RPC_URL, signing
+ * with EVM_PRIVATE_KEY; FLOW amounts are scaled by EVM_AMOUNT_DECIMALS
+ * (default 18, as the bridge), tokens by their own decimals. Cadence fees are
+ * estimated on FLOW_NETWORK (default emulator, FLOW_ACCESS_API to
+ * override) unless --no-cadence-fees is given; submit and retry print the
+ * estimate before the first batch is sent.
+ */
+
+const fs = require("fs");
+const {
+	BatchReport,
+	BatchScheduler,
+	ROW_STATUS,
+} = require("./batch-scheduler");
+const { parseArgs } = require("./cli-args");
+const { FlowClient } = require("./flow-client");
+const { TokenRegistry } = require("./token-registry");
+
+const USAGE =
+	"Usage: node payroll.js estimate <file> [--report <path>] | submit <file> [--report <path>] | retry <report> | show <report> [--no-cadence-fees]";
+
+function batchScheduler({ write, cadenceFees }) {
+	if (!process.env.EVM_SCHEDULER_ADDRESS) {
+		throw new Error("Set EVM_SCHEDULER_ADDRESS");
+	}
+	if (write && !process.env.EVM_PRIVATE_KEY) {
+		throw new Error("Set EVM_PRIVATE_KEY to submit payments");
+	}
+	const network = process.env.FLOW_NETWORK || "emulator";
+	const amountDecimals = Number(process.env.EVM_AMOUNT_DECIMALS || 18);
+	return BatchScheduler.connect({
+		rpcUrl: process.env.EVM_RPC_URL || "http://127.0.0.1:8545",
+		address: process.env.EVM_SCHEDULER_ADDRESS,
+		privateKey: write ? process.env.EVM_PRIVATE_KEY : undefined,
+		amountDecimals,
+		tokens: TokenRegistry.load(process.env.TOKENS_FILE, {
+			network,
+			nativeDecimals: amountDecimals,
+		}),
+		flow: cadenceFees
+			? FlowClient.fromFlowJson({
+					network,
+					accessNode: process.env.FLOW_ACCESS_API,
+				})
+			: null,
+	});
+}
+
+function printRows(report) {
+	for (const row of report.rows) {
+		const status = {
+			[ROW_STATUS.INVALID]: "⚠️",
+			[ROW_STATUS.PENDING]: "⏳",
+			[ROW_STATUS.SUBMITTING]: "📤",
+			[ROW_STATUS.SCHEDULED]: "✅",
+			[ROW_STATUS.FAILED]: "❌",
+		}[row.status];
+		console.log(
+			`${status} line ${row.line}${
+				row.reference ? ` (${row.reference})` : ""
+			}: ${row.amount ?? "?"} ${row.token ?? "FLOW"} to ${
+				row.recipient ?? "?"
+			} ${
+				row.date ? `on ${row.date}` : `in ${row.delaySeconds ?? "?"}s`
+			}${row.scheduleId ? ` → schedule ${row.scheduleId}` : ""}${
+				row.errors.length ? ` - ${row.errors.join("; ")}` : ""
+			}`
+		);
+	}
+}
+
+function printEstimate(estimate) {
+	console.log(
+		`⛽ ${estimate.rows} row(s) in ${estimate.batches.length} batch(es): ${estimate.evm.gas} gas ≈ ${estimate.evm.cost} (gas price ${estimate.evm.gasPrice} wei)`
+	);
+	if (estimate.cadence) {
+		console.log(
+			`💸 Cadence scheduling fees ≈ ${estimate.cadence.total} ${estimate.cadence.asset}`
+		);
+		for (const { row, error } of estimate.cadence.errors) {
+			console.log(`   row ${row}: ${error}`);
+		}
+	}
+	if (estimate.total) {
+		console.log(`🧾 Total ≈ ${estimate.total} FLOW`);
+	}
+}
+
+function printSummary(report) {
+	const counts = report.summary();
+	console.log(
+		`📋 ${Object.entries(counts)
+			.filter(([, count]) => count > 0)
+			.map(([status, count]) => `${count} ${status}`)
+			.join(", ")} - report ${report.filePath}`
+	);
+	if (
+		counts[ROW_STATUS.FAILED] > 0 ||
+		counts[ROW_STATUS.INVALID] > 0 ||
+		counts[ROW_STATUS.SUBMITTING] > 0
+	) {
+		process.exitCode = 1;
+	}
+}
+
+async function prepare(args, { write }) {
+	const { positional, flags } = parseArgs(args, ["no-cadence-fees"]);
+	const file = positional[0];
+	if (!file) {
+		throw new Error(USAGE);
+	}
+	const reportPath = flags.report || `${file}.report.json`;
+	// Estimates save the report too; never drop rows that were sent
+	if (fs.existsSync(reportPath)) {
+		const existing = BatchReport.load(reportPath);
+		if (
+			existing.rows.some(
+				(row) =>
+					row.status !== ROW_STATUS.PENDING &&
+					row.status !== ROW_STATUS.INVALID
+			)
+		) {
+			throw new Error(
+				`${reportPath} already has submitted rows; use "retry ${reportPath}", or --report <path> for a new report`
+			);
+		}
+	}
+
+	const scheduler = batchScheduler({
+		write,
+		cadenceFees: !flags["no-cadence-fees"],
+	});
+	const report = await scheduler.prepare(
+		fs.readFileSync(file, "utf8"),
+		reportPath,
+		{ source: file, format: file.endsWith(".json") ? "json" : undefined }
+	);
+	report.save();
+	return { scheduler, report };
+}
+
+async function estimate(args) {
+	const { scheduler, report } = await prepare(args, { write: false });
+	printEstimate(await scheduler.estimate(report));
+	printRows(report);
+	printSummary(report);
+}
+
+async function send(scheduler, report) {
+	await scheduler.submit(report, {
+		onEstimate: printEstimate,
+		onBatch: ({ number, rows, txHash, error }) =>
+			console.log(
+				error
+					? `❌ Batch ${number} (${rows.length} row(s)) failed${
+							txHash ? ` in ${txHash}` : ""
+						}: ${error}`
+					: `🚀 Batch ${number}: ${rows.length} row(s) in ${txHash}`
+			),
+	});
+	printRows(report);
+	printSummary(report);
+}
+
+async function submit(args) {
+	const { scheduler, report } = await prepare(args, { write: true });
+	await send(scheduler, report);
+}
+
+async function retry(args) {
+	const { positional, flags } = parseArgs(args, ["no-cadence-fees"]);
+	if (!positional[0]) {
+		throw new Error(USAGE);
+	}
+	const report = BatchReport.load(positional[0]);
+	const scheduler = batchScheduler({
+		write: true,
+		cadenceFees: !flags["no-cadence-fees"],
+	});
+	if (
+		(await scheduler.contract.getAddress()).toLowerCase() !==
+		report.state.contract.toLowerCase()
+	) {
+		throw new Error(
+			`The report is for ${report.state.contract}, EVM_SCHEDULER_ADDRESS is ${process.env.EVM_SCHEDULER_ADDRESS}`
+		);
+	}
+	if (scheduler.amountDecimals !== report.state.amountDecimals) {
+		throw new Error(
+			`The report was made with ${report.state.amountDecimals} amount decimals, EVM_AMOUNT_DECIMALS is ${scheduler.amountDecimals}`
+		);
+	}
+	await send(scheduler, report);
+}
+
+function show(args) {
+	if (!args[0]) {
+		throw new Error(USAGE);
+	}
+	const report = BatchReport.load(args[0]);
+	console.log(
+		`${report.state.source || "payroll"} → ${report.state.contract}, updated ${report.state.updatedAt}`
+	);
+	printRows(report);
+	printSummary(report);
+}
+
+async function main(argv) {
+	const [command, ...args] = argv;
+	const commands = { estimate, submit, retry, show };
+
+	if (!commands[command]) {
+		console.log(USAGE);
+		process.exitCode = command ? 1 : 0;
+		return;
+	}
+	await commands[command](args);
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+	main(process.argv.slice(2)).catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
@@ -0,0 +1,352 @@
+/**
+ * Price Feeds - Where condition expressions get their numbers
+ *
+ * Every feed has read(symbol) → { symbol, value, at } (at in ms) and may
+ * have history(symbol, from, to) → [{ value, at }], used to fill the
+ * engine's windows when it starts:
+ *
+ * - OracleFeed reads Chainlink-style aggregators (latestRoundData()) on
+ *   Flow EVM or any other EVM chain
+ * - HttpFeed GETs a JSON API and picks the value out by a dotted path
+ * - FileFeed reads a JSON or YAML file on every call, so it can be edited
+ *   while the engine runs; a list of samples per symbol makes it a
+ *   replayable fixture
+ *
+ * createFeeds() builds them from the `feeds` section of a conditions file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+const { isPlainObject } = require("./json-store");
+
+const AGGREGATOR_ABI = [
+	"function decimals() view returns (uint8)",
+	"function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+class FeedError extends Error {
+	constructor(feed, message, { cause } = {}) {
+		super(`${feed}: ${message}`, { cause });
+		this.name = "FeedError";
+		this.feed = feed;
+	}
+}
+
+function toTime(value) {
+	const time =
+		typeof value === "number" || /^\d+$/.test(String(value))
+			? Number(value)
+			: Date.parse(value);
+	return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Chainlink-style aggregators, one per symbol
+ */
+class OracleFeed {
+	/**
+	 * @param {object} options
+	 * @param {string} [options.name]
+	 * @param {ethers.Provider} options.provider
+	 * @param {object} options.aggregators - symbol → aggregator address
+	 */
+	constructor({ name = "oracle", provider, aggregators }) {
+		this.name = name;
+		this.provider = provider;
+		this.aggregators = new Map(
+			Object.entries(aggregators || {}).map(([symbol, address]) => {
+				if (!ethers.isAddress(address)) {
+					throw new FeedError(
+						name,
+						`${symbol}: expected an aggregator address, got ${JSON.stringify(address)}`
+					);
+				}
+				return [
+					symbol,
+					new ethers.Contract(address, AGGREGATOR_ABI, provider),
+				];
+			})
+		);
+		this.decimals = new Map();
+	}
+
+	async read(symbol) {
+		const aggregator = this.aggregators.get(symbol);
+		if (!aggregator) {
+			throw new FeedError(this.name, `no aggregator for ${symbol}`);
+		}
+		try {
+			if (!this.decimals.has(symbol)) {
+				this.decimals.set(symbol, Number(await aggregator.decimals()));
+			}
+			const round = await aggregator.latestRoundData();
+			return {
+				symbol,
+				value: Number(
+					ethers.formatUnits(round.answer, this.decimals.get(symbol))
+				),
+				at: Number(round.updatedAt) * 1000,
+			};
+		} catch (error) {
+			throw new FeedError(
+				this.name,
+				`${symbol}: ${error.shortMessage || error.message}`,
+				{ cause: error }
+			);
+		}
+	}
+}
+
+/**
+ * A JSON API. `{symbol}` in the URL and path is replaced by the symbol,
+ * or by its entry in `symbols` (e.g. "FLOW/USD" → "flow").
+ */
+class HttpFeed {
+	/**
+	 * @param {object} options
+	 * @param {string} [options.name]
+	 * @param {string} options.url - e.g. https://api.example.com/simple/price?ids={symbol}&vs_currencies=usd
+	 * @param {string} options.path - dotted path to the value, e.g. "{symbol}.usd"
+	 * @param {string} [options.timePath] - dotted path to a timestamp; the time of the response otherwise
+	 * @param {object} [options.symbols] - symbol → identifier used by the API
+	 * @param {object} [options.headers]
+	 * @param {number} [options.timeoutMs]
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		name = "http",
+		url,
+		path: valuePath,
+		timePath = null,
+		symbols = {},
+		headers = {},
+		timeoutMs = 10000,
+		now = Date.now,
+	}) {
+		if (typeof url !== "string" || !/^https?:\/\//.test(url)) {
+			throw new FeedError(name, `url must be http(s), got ${url}`);
+		}
+		if (typeof valuePath !== "string" || valuePath === "") {
+			throw new FeedError(name, "path is required");
+		}
+		this.name = name;
+		this.url = url;
+		this.path = valuePath;
+		this.timePath = timePath;
+		this.symbols = symbols;
+		this.headers = headers;
+		this.timeoutMs = timeoutMs;
+		this.now = now;
+	}
+
+	async read(symbol) {
+		const id = this.symbols[symbol] ?? symbol;
+		const url = this.url.replaceAll("{symbol}", encodeURIComponent(id));
+
+		let body;
+		try {
+			const response = await fetch(url, {
+				headers: { Accept: "application/json", ...this.headers },
+				signal: AbortSignal.timeout(this.timeoutMs),
+			});
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}`);
+			}
+			body = await response.json();
+		} catch (error) {
+			throw new FeedError(
+				this.name,
+				`${symbol}: ${
+					error.name === "TimeoutError"
+						? `timed out after ${this.timeoutMs}ms`
+						: error.message
+				}`,
+				{ cause: error }
+			);
+		}
+
+		const value = Number(pick(body, this.path.replaceAll("{symbol}", id)));
+		if (!Number.isFinite(value)) {
+			throw new FeedError(
+				this.name,
+				`${symbol}: no number at ${this.path} in the response`
+			);
+		}
+		const at = this.timePath
+			? toTime(pick(body, this.timePath.replaceAll("{symbol}", id)))
+			: this.now();
+		if (at === null) {
+			throw new FeedError(
+				this.name,
+				`${symbol}: no time at ${this.timePath} in the response`
+			);
+		}
+		return { symbol, value, at };
+	}
+}
+
+function pick(object, dottedPath) {
+	return dottedPath
+		.split(".")
+		.reduce(
+			(value, key) =>
+				value !== null && value !== undefined ? value[key] : undefined,
+			object
+		);
+}
+
+/**
+ * A local JSON or YAML file:
+ *
+ *   prices:
+ *     FLOW/USD: 0.74                       # the current value
+ *     ETH/USD:                             # or samples, oldest first
+ *       - { at: "2025-01-01T00:00:00Z", value: 3400 }
+ *       - { at: "2025-01-01T01:00:00Z", value: 2700 }
+ *
+ * Samples are served as of now(), so a fixed clock replays them.
+ */
+class FileFeed {
+	/**
+	 * @param {object} options
+	 * @param {string} [options.name]
+	 * @param {string} options.file
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({ name = "file", file, now = Date.now }) {
+		this.name = name;
+		this.file = path.resolve(file);
+		this.now = now;
+	}
+
+	load() {
+		let parsed;
+		try {
+			const raw = fs.readFileSync(this.file, "utf8");
+			parsed = /\.ya?ml$/i.test(this.file)
+				? YAML.parse(raw)
+				: JSON.parse(raw);
+		} catch (error) {
+			throw new FeedError(
+				this.name,
+				`cannot read ${this.file}: ${error.message}`
+			);
+		}
+		if (!isPlainObject(parsed) || !isPlainObject(parsed.prices)) {
+			throw new FeedError(
+				this.name,
+				`${this.file}: expected { prices: { ... } }`
+			);
+		}
+		return parsed.prices;
+	}
+
+	samples(symbol) {
+		const entry = this.load()[symbol];
+		if (entry === undefined) {
+			throw new FeedError(this.name, `no prices for ${symbol}`);
+		}
+		if (!Array.isArray(entry)) {
+			return [{ value: Number(entry), at: this.now() }];
+		}
+		return entry.map((sample, index) => {
+			const at = toTime(sample && sample.at);
+			if (at === null || !Number.isFinite(Number(sample.value))) {
+				throw new FeedError(
+					this.name,
+					`${symbol}[${index}]: expected { at, value }`
+				);
+			}
+			return { value: Number(sample.value), at };
+		});
+	}
+
+	async read(symbol) {
+		const now = this.now();
+		const past = this.samples(symbol).filter((sample) => sample.at <= now);
+		if (past.length === 0) {
+			throw new FeedError(
+				this.name,
+				`no ${symbol} price before ${new Date(now).toISOString()}`
+			);
+		}
+		return { symbol, ...past[past.length - 1] };
+	}
+
+	async history(symbol, from, to) {
+		return this.samples(symbol).filter(
+			(sample) => sample.at >= from && sample.at <= to
+		);
+	}
+}
+
+/**
+ * Build feeds from their definitions
+ *
+ * @param {object} definitions - name → { type: oracle | http | file, ... }
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - file feeds are relative to it
+ * @param {function(): number} [options.now]
+ * @returns {Map<string, object>}
+ */
+function createFeeds(definitions, { baseDir = process.cwd(), now } = {}) {
+	if (!isPlainObject(definitions) || Object.keys(definitions).length === 0) {
+		throw new FeedError("feeds", "define at least one feed");
+	}
+
+	const feeds = new Map();
+	for (const [name, definition] of Object.entries(definitions)) {
+		if (!isPlainObject(definition)) {
+			throw new FeedError(name, "expected { type, ... }");
+		}
+		const { type, ...options } = definition;
+		switch (type) {
+			case "oracle":
+				if (!options.rpcUrl) {
+					throw new FeedError(name, "rpcUrl is required");
+				}
+				feeds.set(
+					name,
+					new OracleFeed({
+						name,
+						provider: new ethers.JsonRpcProvider(options.rpcUrl),
+						aggregators: options.aggregators,
+					})
+				);
+				break;
+			case "http":
+				feeds.set(name, new HttpFeed({ ...options, name, now }));
+				break;
+			case "file":
+				if (typeof options.file !== "string") {
+					throw new FeedError(name, "file is required");
+				}
+				feeds.set(
+					name,
+					new FileFeed({
+						name,
+						file: path.resolve(baseDir, options.file),
+						now,
+					})
+				);
+				break;
+			default:
+				throw new FeedError(
+					name,
+					`type must be oracle, http or file, got ${JSON.stringify(type)}`
+				);
+		}
+	}
+	return feeds;
+}
+
+module.exports = {
+	AGGREGATOR_ABI,
+	FeedError,
+	FileFeed,
+	HttpFeed,
+	OracleFeed,
+	createFeeds,
+};
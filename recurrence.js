@@ -0,0 +1,1110 @@
+/**
+ * Recurrence - Cron expressions and iCalendar RRULEs for calendar DeFi
+ *
+ *   compileRecurrence("0 9 * * MON", { timeZone: "Europe/Berlin" });
+ *   compileRecurrence("FREQ=MONTHLY;BYDAY=-1FR;COUNT=6", { start });
+ *   compileRecurrence(86400, { count: 30 }); // bare interval in seconds
+ *
+ * Rules are evaluated in wall-clock time of their time zone (UTC by
+ * default), so "9:00 every Monday" stays at 9:00 across DST changes.
+ * Compiling turns a rule into what the Flow scheduler can run:
+ *
+ * - cron: one CronConfig (intervalSeconds, baseTimestamp, maxExecutions)
+ *   for rules whose occurrences are evenly spaced, as
+ *   CounterCronTransactionHandler re-schedules itself at a fixed interval
+ * - one_shot: a bounded list of times for everything else (monthly and
+ *   yearly dates, DST-shifted times, explicit weekdays), scheduled one by one
+ *
+ * All times are milliseconds since the epoch, whole seconds.
+ */
+
+const { Cadence } = require("./flow-client");
+
+const SECOND = 1000;
+const DAY = 86400 * SECOND;
+
+const DEFAULT_MAX_ONE_SHOTS = 52;
+const DEFAULT_HORIZON_MS = 366 * DAY;
+
+// Most occurrences checked for even spacing before a rule compiles to cron;
+// checking also stops a horizon (a year, so DST changes are seen) ahead
+const UNIFORMITY_SAMPLE = 10000;
+
+// Empty periods (days, months...) searched before a rule counts as exhausted
+const MAX_EMPTY_PERIODS = 100000;
+
+const MODE = {
+	AUTO: "auto", // cron when evenly spaced, one-shots otherwise
+	CRON: "cron",
+	ONE_SHOT: "one_shot",
+};
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MONTH_NAMES = [
+	"JAN",
+	"FEB",
+	"MAR",
+	"APR",
+	"MAY",
+	"JUN",
+	"JUL",
+	"AUG",
+	"SEP",
+	"OCT",
+	"NOV",
+	"DEC",
+];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const CRON_MACROS = {
+	"@yearly": "0 0 1 1 *",
+	"@annually": "0 0 1 1 *",
+	"@monthly": "0 0 1 * *",
+	"@weekly": "0 0 * * 0",
+	"@daily": "0 0 * * *",
+	"@midnight": "0 0 * * *",
+	"@hourly": "0 * * * *",
+};
+
+const CRON_FIELDS = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+	{ name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const FREQUENCIES = {
+	SECONDLY: SECOND,
+	MINUTELY: 60 * SECOND,
+	HOURLY: 3600 * SECOND,
+	DAILY: null,
+	WEEKLY: null,
+	MONTHLY: null,
+	YEARLY: null,
+};
+
+const RRULE_PARTS = [
+	"FREQ",
+	"INTERVAL",
+	"COUNT",
+	"UNTIL",
+	"BYSECOND",
+	"BYMINUTE",
+	"BYHOUR",
+	"BYDAY",
+	"BYMONTHDAY",
+	"BYMONTH",
+	"BYSETPOS",
+	"WKST",
+];
+
+class RecurrenceError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "RecurrenceError";
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Time zones: wall-clock fields <-> instants
+// ---------------------------------------------------------------------------
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+	if (!formatters.has(timeZone)) {
+		try {
+			formatters.set(
+				timeZone,
+				new Intl.DateTimeFormat("en-US", {
+					timeZone,
+					hourCycle: "h23",
+					year: "numeric",
+					month: "numeric",
+					day: "numeric",
+					hour: "numeric",
+					minute: "numeric",
+					second: "numeric",
+				})
+			);
+		} catch (error) {
+			throw new RecurrenceError(`Unknown time zone "${timeZone}"`);
+		}
+	}
+	return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of an instant in `timeZone` (month 1-12, weekday 0 = Sunday)
+ */
+function wallClock(time, timeZone) {
+	const fields = {};
+	for (const part of formatterFor(timeZone).formatToParts(new Date(time))) {
+		if (part.type !== "literal") {
+			fields[part.type] = Number(part.value);
+		}
+	}
+	const wall = {
+		year: fields.year,
+		month: fields.month,
+		day: fields.day,
+		hour: fields.hour,
+		minute: fields.minute,
+		second: fields.second,
+	};
+	wall.weekday = new Date(
+		Date.UTC(wall.year, wall.month - 1, wall.day)
+	).getUTCDay();
+	return wall;
+}
+
+function offsetAt(time, timeZone) {
+	const wall = wallClock(time, timeZone);
+	return (
+		Date.UTC(
+			wall.year,
+			wall.month - 1,
+			wall.day,
+			wall.hour,
+			wall.minute,
+			wall.second
+		) -
+		Math.floor(time / SECOND) * SECOND
+	);
+}
+
+/**
+ * The instant a wall-clock time happens in `timeZone`. A time repeated
+ * when clocks go back resolves to its first occurrence; a time skipped
+ * when they go forward moves forward by the gap, as cron does.
+ */
+function fromWallClock({ year, month, day, hour, minute, second }, timeZone) {
+	const naive = Date.UTC(year, month - 1, day, hour, minute, second);
+	const offsets = [
+		offsetAt(naive - DAY, timeZone),
+		offsetAt(naive, timeZone),
+		offsetAt(naive + DAY, timeZone),
+	];
+
+	const matches = offsets
+		.map((offset) => naive - offset)
+		.filter((time) => offsetAt(time, timeZone) === naive - time);
+	if (matches.length > 0) {
+		return Math.min(...matches);
+	}
+	return naive - Math.min(...offsets);
+}
+
+/**
+ * Calendar arithmetic on dates without a zone: { year, month, day }
+ */
+function addDays({ year, month, day }, days) {
+	const date = new Date(Date.UTC(year, month - 1, day + days));
+	return {
+		year: date.getUTCFullYear(),
+		month: date.getUTCMonth() + 1,
+		day: date.getUTCDate(),
+		weekday: date.getUTCDay(),
+	};
+}
+
+function daysInMonth(year, month) {
+	return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// ---------------------------------------------------------------------------
+// Cron
+// ---------------------------------------------------------------------------
+
+function parseCronValue(value, field, expression) {
+	const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+	const number = index >= 0 ? index + field.offset : Number(value);
+
+	if (!/^\d+$/.test(value) && index < 0) {
+		throw new RecurrenceError(
+			`Invalid ${field.name} "${value}" in cron expression "${expression}"`
+		);
+	}
+	if (number < field.min || number > field.max) {
+		throw new RecurrenceError(
+			`${field.name} ${value} is outside ${field.min}-${field.max} in cron expression "${expression}"`
+		);
+	}
+	return number;
+}
+
+function parseCronField(text, field, expression) {
+	const values = new Set();
+
+	for (const item of text.split(",")) {
+		const [range, stepText] = item.split("/");
+		const step = stepText === undefined ? 1 : Number(stepText);
+		if (!Number.isInteger(step) || step < 1) {
+			throw new RecurrenceError(
+				`Invalid step "${item}" in cron expression "${expression}"`
+			);
+		}
+
+		let low;
+		let high;
+		if (range === "*") {
+			low = field.min;
+			high = field.max;
+		} else if (range.includes("-")) {
+			const [from, to] = range.split("-");
+			low = parseCronValue(from, field, expression);
+			high = parseCronValue(to, field, expression);
+			if (low > high) {
+				throw new RecurrenceError(
+					`Range "${range}" runs backwards in cron expression "${expression}"`
+				);
+			}
+		} else {
+			low = parseCronValue(range, field, expression);
+			high = stepText === undefined ? low : field.max;
+		}
+
+		for (let value = low; value <= high; value += step) {
+			values.add(value);
+		}
+	}
+
+	return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month
+ * day-of-week) or an @macro. When both day fields are restricted a day
+ * matching either runs, as in Vixie cron.
+ */
+function parseCron(expression) {
+	const normalized = expression.trim();
+	const fields = (CRON_MACROS[normalized.toLowerCase()] || normalized).split(
+		/\s+/
+	);
+	if (fields.length !== 5) {
+		throw new RecurrenceError(
+			`Cron expression "${expression}" needs 5 fields (minute hour day month weekday), got ${fields.length}`
+		);
+	}
+
+	const [minutes, hours, days, months, weekdays] = fields.map((text, index) =>
+		parseCronField(text, CRON_FIELDS[index], expression)
+	);
+
+	return {
+		minutes,
+		hours,
+		days,
+		months,
+		// 7 is Sunday too
+		weekdays: [...new Set(weekdays.map((day) => day % 7))],
+		daysRestricted: !fields[2].startsWith("*"),
+		weekdaysRestricted: !fields[4].startsWith("*"),
+	};
+}
+
+function cronDayMatches(rule, date) {
+	const dayMatch = rule.days.includes(date.day);
+	const weekdayMatch = rule.weekdays.includes(date.weekday);
+
+	if (rule.daysRestricted && rule.weekdaysRestricted) {
+		return dayMatch || weekdayMatch;
+	}
+	return (
+		(!rule.daysRestricted || dayMatch) &&
+		(!rule.weekdaysRestricted || weekdayMatch)
+	);
+}
+
+function* cronTimes(rule, start, timeZone) {
+	const startWall = wallClock(start, timeZone);
+	let date = addDays(startWall, 0);
+	let emptyDays = 0;
+	let last = -Infinity;
+
+	while (emptyDays < MAX_EMPTY_PERIODS) {
+		let found = false;
+		if (rule.months.includes(date.month) && cronDayMatches(rule, date)) {
+			for (const hour of rule.hours) {
+				for (const minute of rule.minutes) {
+					const time = fromWallClock(
+						{ ...date, hour, minute, second: 0 },
+						timeZone
+					);
+					if (time >= start && time > last) {
+						last = time;
+						found = true;
+						yield time;
+					}
+				}
+			}
+		}
+		emptyDays = found ? 0 : emptyDays + 1;
+		date = addDays(date, 1);
+	}
+}
+
+// ---------------------------------------------------------------------------
+// RRULE
+// ---------------------------------------------------------------------------
+
+/**
+ * 20250101T090000Z (UTC), 20250101T090000 (in `timeZone`) or 20250101
+ * (a date; `endOfDay` makes it inclusive, as for UNTIL)
+ */
+function parseICalDateTime(value, timeZone, { endOfDay = false } = {}) {
+	const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+		value
+	);
+	if (!match) {
+		throw new RecurrenceError(`Invalid iCalendar date-time "${value}"`);
+	}
+
+	const [, year, month, day, hour, minute, second, utc] = match;
+	const fields = {
+		year: Number(year),
+		month: Number(month),
+		day: Number(day),
+		hour: hour === undefined ? (endOfDay ? 23 : 0) : Number(hour),
+		minute: minute === undefined ? (endOfDay ? 59 : 0) : Number(minute),
+		second: second === undefined ? (endOfDay ? 59 : 0) : Number(second),
+	};
+	return utc
+		? Date.UTC(
+				fields.year,
+				fields.month - 1,
+				fields.day,
+				fields.hour,
+				fields.minute,
+				fields.second
+			)
+		: fromWallClock(fields, timeZone);
+}
+
+function parseNumberList(
+	part,
+	value,
+	min,
+	max,
+	{ allowNegative = false } = {}
+) {
+	return value.split(",").map((item) => {
+		const number = Number(item);
+		const magnitude = Math.abs(number);
+		if (
+			!/^[+-]?\d+$/.test(item) ||
+			(number < 0 && !allowNegative) ||
+			magnitude < min ||
+			magnitude > max
+		) {
+			throw new RecurrenceError(`Invalid ${part} value "${item}"`);
+		}
+		return number;
+	});
+}
+
+function parseByDay(value) {
+	return value.split(",").map((item) => {
+		const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+		if (!match || Number(match[1]) === 0 || Math.abs(match[1]) > 53) {
+			throw new RecurrenceError(`Invalid BYDAY value "${item}"`);
+		}
+		return {
+			weekday: WEEKDAYS.indexOf(match[2]),
+			ordinal: match[1] === undefined ? null : Number(match[1]),
+		};
+	});
+}
+
+/**
+ * Parse an RRULE ("FREQ=WEEKLY;BYDAY=MO,WE", optionally prefixed by
+ * "RRULE:" and preceded by a "DTSTART[;TZID=...]:" line)
+ *
+ * @returns {{ rule: object, start: number|null, timeZone: string|null }}
+ */
+function parseRRule(text, timeZone = "UTC") {
+	let ruleText = null;
+	let start = null;
+	let zone = null;
+
+	for (const line of text.trim().split(/\r?\n/)) {
+		const trimmed = line.trim();
+		const dtstart = /^DTSTART(?:;TZID=([^:;]+))?:(.+)$/i.exec(trimmed);
+		if (dtstart) {
+			zone = dtstart[1] || null;
+			start = parseICalDateTime(dtstart[2], zone || timeZone);
+		} else if (trimmed) {
+			ruleText = trimmed.replace(/^RRULE:/i, "");
+		}
+	}
+	if (!ruleText) {
+		throw new RecurrenceError(`No RRULE in "${text}"`);
+	}
+
+	const parts = {};
+	for (const pair of ruleText.split(";").filter(Boolean)) {
+		const [key, value] = pair.split("=");
+		const name = key.toUpperCase();
+		if (!RRULE_PARTS.includes(name)) {
+			throw new RecurrenceError(`Unsupported RRULE part ${name}`);
+		}
+		if (value === undefined || value === "") {
+			throw new RecurrenceError(`RRULE part ${name} has no value`);
+		}
+		parts[name] = value.toUpperCase();
+	}
+
+	if (!(parts.FREQ in FREQUENCIES)) {
+		throw new RecurrenceError(
+			`RRULE needs FREQ=${Object.keys(FREQUENCIES).join("|")}, got ${
+				parts.FREQ || "nothing"
+			}`
+		);
+	}
+	if (parts.COUNT && parts.UNTIL) {
+		throw new RecurrenceError("RRULE cannot have both COUNT and UNTIL");
+	}
+
+	const rule = {
+		freq: parts.FREQ,
+		interval: parts.INTERVAL
+			? parseNumberList("INTERVAL", parts.INTERVAL, 1, 1e9)[0]
+			: 1,
+		count: parts.COUNT
+			? parseNumberList("COUNT", parts.COUNT, 1, 1e9)[0]
+			: null,
+		until: parts.UNTIL
+			? parseICalDateTime(parts.UNTIL, zone || timeZone, {
+					endOfDay: true,
+				})
+			: null,
+		bySecond: parts.BYSECOND
+			? parseNumberList("BYSECOND", parts.BYSECOND, 0, 59)
+			: null,
+		byMinute: parts.BYMINUTE
+			? parseNumberList("BYMINUTE", parts.BYMINUTE, 0, 59)
+			: null,
+		byHour: parts.BYHOUR
+			? parseNumberList("BYHOUR", parts.BYHOUR, 0, 23)
+			: null,
+		byDay: parts.BYDAY ? parseByDay(parts.BYDAY) : null,
+		byMonthDay: parts.BYMONTHDAY
+			? parseNumberList("BYMONTHDAY", parts.BYMONTHDAY, 1, 31, {
+					allowNegative: true,
+				})
+			: null,
+		byMonth: parts.BYMONTH
+			? parseNumberList("BYMONTH", parts.BYMONTH, 1, 12)
+			: null,
+		bySetPos: parts.BYSETPOS
+			? parseNumberList("BYSETPOS", parts.BYSETPOS, 1, 366, {
+					allowNegative: true,
+				})
+			: null,
+		weekStart: parts.WKST ? WEEKDAYS.indexOf(parts.WKST) : 1,
+	};
+
+	if (rule.weekStart < 0) {
+		throw new RecurrenceError(`Invalid WKST value "${parts.WKST}"`);
+	}
+	if (
+		rule.byDay &&
+		rule.byDay.some((day) => day.ordinal !== null) &&
+		!(rule.freq === "MONTHLY" || (rule.freq === "YEARLY" && rule.byMonth))
+	) {
+		throw new RecurrenceError(
+			"Numbered BYDAY values (e.g. 1MO, -1FR) need FREQ=MONTHLY, or FREQ=YEARLY with BYMONTH"
+		);
+	}
+	if (rule.bySetPos && FREQUENCIES[rule.freq]) {
+		throw new RecurrenceError(
+			`BYSETPOS is not supported with FREQ=${rule.freq}`
+		);
+	}
+
+	return { rule, start, timeZone: zone };
+}
+
+/**
+ * Days of one month selected by BYMONTHDAY / BYDAY, or `defaultDay`
+ */
+function monthDays(rule, year, month, defaultDay) {
+	const length = daysInMonth(year, month);
+	const all = Array.from({ length }, (_, index) => index + 1);
+
+	const byMonthDay = rule.byMonthDay
+		? new Set(
+				rule.byMonthDay.map((day) => (day < 0 ? length + 1 + day : day))
+			)
+		: null;
+
+	const byDay = rule.byDay
+		? new Set(
+				rule.byDay.flatMap(({ weekday, ordinal }) => {
+					const matching = all.filter(
+						(day) =>
+							new Date(
+								Date.UTC(year, month - 1, day)
+							).getUTCDay() === weekday
+					);
+					if (ordinal === null) {
+						return matching;
+					}
+					const picked =
+						ordinal > 0
+							? matching[ordinal - 1]
+							: matching[matching.length + ordinal];
+					return picked === undefined ? [] : [picked];
+				})
+			)
+		: null;
+
+	if (!byMonthDay && !byDay) {
+		return defaultDay <= length ? [defaultDay] : [];
+	}
+	return all.filter(
+		(day) =>
+			(!byMonthDay || byMonthDay.has(day)) && (!byDay || byDay.has(day))
+	);
+}
+
+/**
+ * Dates of the `index`th period (year, month, week or day) after DTSTART
+ */
+function periodDates(rule, startWall, index) {
+	const step = index * rule.interval;
+
+	if (rule.freq === "YEARLY") {
+		const year = startWall.year + step;
+		return (rule.byMonth || [startWall.month]).flatMap((month) =>
+			monthDays(rule, year, month, startWall.day).map((day) => ({
+				year,
+				month,
+				day,
+			}))
+		);
+	}
+
+	if (rule.freq === "MONTHLY") {
+		const monthIndex = startWall.year * 12 + startWall.month - 1 + step;
+		const year = Math.floor(monthIndex / 12);
+		const month = (monthIndex % 12) + 1;
+		if (rule.byMonth && !rule.byMonth.includes(month)) {
+			return [];
+		}
+		return monthDays(rule, year, month, startWall.day).map((day) => ({
+			year,
+			month,
+			day,
+		}));
+	}
+
+	if (rule.freq === "WEEKLY") {
+		const weekOffset = (startWall.weekday - rule.weekStart + 7) % 7;
+		const weekdays = rule.byDay
+			? rule.byDay.map((day) => day.weekday)
+			: [startWall.weekday];
+		return Array.from({ length: 7 }, (_, day) =>
+			addDays(startWall, step * 7 - weekOffset + day)
+		).filter(
+			(date) =>
+				weekdays.includes(date.weekday) &&
+				(!rule.byMonth || rule.byMonth.includes(date.month))
+		);
+	}
+
+	// DAILY
+	const date = addDays(startWall, step);
+	const matches =
+		(!rule.byMonth || rule.byMonth.includes(date.month)) &&
+		(!rule.byMonthDay ||
+			monthDays(
+				{ byMonthDay: rule.byMonthDay },
+				date.year,
+				date.month
+			).includes(date.day)) &&
+		(!rule.byDay || rule.byDay.some((day) => day.weekday === date.weekday));
+	return matches ? [date] : [];
+}
+
+function applySetPos(times, bySetPos) {
+	if (!bySetPos) {
+		return times;
+	}
+	return [
+		...new Set(
+			bySetPos
+				.map((position) =>
+					position > 0
+						? times[position - 1]
+						: times[times.length + position]
+				)
+				.filter((time) => time !== undefined)
+		),
+	].sort((a, b) => a - b);
+}
+
+function* rruleDailyOrLonger(rule, start, timeZone) {
+	const startWall = wallClock(start, timeZone);
+	const hours = rule.byHour || [startWall.hour];
+	const minutes = rule.byMinute || [startWall.minute];
+	const seconds = rule.bySecond || [startWall.second];
+	let emptyPeriods = 0;
+
+	for (let index = 0; emptyPeriods < MAX_EMPTY_PERIODS; index++) {
+		const times = [];
+		for (const date of periodDates(rule, startWall, index)) {
+			for (const hour of hours) {
+				for (const minute of minutes) {
+					for (const second of seconds) {
+						times.push(
+							fromWallClock(
+								{ ...date, hour, minute, second },
+								timeZone
+							)
+						);
+					}
+				}
+			}
+		}
+
+		const selected = applySetPos(
+			[...new Set(times)].sort((a, b) => a - b),
+			rule.bySetPos
+		);
+		emptyPeriods = selected.length > 0 ? 0 : emptyPeriods + 1;
+		for (const time of selected) {
+			if (time >= start) {
+				yield time;
+			}
+		}
+	}
+}
+
+function* rruleSubDaily(rule, start, timeZone) {
+	const step = FREQUENCIES[rule.freq] * rule.interval;
+	let misses = 0;
+
+	for (let time = start; misses < MAX_EMPTY_PERIODS; time += step) {
+		const wall = wallClock(time, timeZone);
+		const matches =
+			(!rule.byMonth || rule.byMonth.includes(wall.month)) &&
+			(!rule.byMonthDay ||
+				monthDays(
+					{ byMonthDay: rule.byMonthDay },
+					wall.year,
+					wall.month
+				).includes(wall.day)) &&
+			(!rule.byDay ||
+				rule.byDay.some((day) => day.weekday === wall.weekday)) &&
+			(!rule.byHour || rule.byHour.includes(wall.hour)) &&
+			(!rule.byMinute || rule.byMinute.includes(wall.minute)) &&
+			(!rule.bySecond || rule.bySecond.includes(wall.second));
+		misses = matches ? 0 : misses + 1;
+		if (matches) {
+			yield time;
+		}
+	}
+}
+
+// ---------------------------------------------------------------------------
+// Recurrence
+// ---------------------------------------------------------------------------
+
+function toTime(value, name) {
+	if (value === undefined || value === null) {
+		return null;
+	}
+	const time =
+		value instanceof Date
+			? value.getTime()
+			: typeof value === "string"
+				? Date.parse(value)
+				: value;
+	if (!Number.isFinite(time)) {
+		throw new RecurrenceError(`Invalid ${name} ${value}`);
+	}
+	return Math.floor(time / SECOND) * SECOND;
+}
+
+class Recurrence {
+	/**
+	 * Use Recurrence.parse()
+	 */
+	constructor({ kind, rule, start, timeZone, until, count, source }) {
+		this.kind = kind;
+		this.rule = rule;
+		this.start = start;
+		this.timeZone = timeZone;
+		this.until = until;
+		this.count = count;
+		this.source = source;
+	}
+
+	/**
+	 * @param {string|number|object|Recurrence} spec - a cron expression, an
+	 *   RRULE, an interval in seconds, or { cron | rrule | intervalSeconds, ...options };
+	 *   maxExecutions is accepted for count, as in AI schedules and CronConfig
+	 * @param {object} [options]
+	 * @param {string} [options.timeZone] - IANA zone the rule is read in (default UTC)
+	 * @param {number|Date|string} [options.start] - first possible occurrence (default the
+	 *   next whole second, or one interval after now for intervals); DTSTART wins for RRULEs
+	 * @param {number|Date|string} [options.until] - last possible occurrence, inclusive
+	 * @param {number} [options.count] - stop after this many occurrences
+	 * @param {number} [options.now]
+	 */
+	static parse(spec, options = {}) {
+		if (spec instanceof Recurrence) {
+			return spec;
+		}
+		if (spec !== null && typeof spec === "object") {
+			const { cron, rrule, intervalSeconds, maxExecutions, ...rest } =
+				spec;
+			const source = cron ?? rrule ?? intervalSeconds;
+			if (source === undefined) {
+				throw new RecurrenceError(
+					"A recurrence object needs cron, rrule or intervalSeconds"
+				);
+			}
+			if (maxExecutions !== undefined && maxExecutions !== null) {
+				if (!Number.isInteger(maxExecutions) || maxExecutions < 1) {
+					throw new RecurrenceError(
+						`maxExecutions must be a positive integer, got ${maxExecutions}`
+					);
+				}
+				const count = rest.count ?? options.count;
+				rest.count =
+					count === undefined || count === null
+						? maxExecutions
+						: Math.min(count, maxExecutions);
+			}
+			return Recurrence.parse(
+				rrule !== undefined && !/^(RRULE:|FREQ=|DTSTART)/i.test(rrule)
+					? `RRULE:${rrule}`
+					: source,
+				{ ...options, ...rest }
+			);
+		}
+
+		const now = options.now ?? Date.now();
+		let timeZone = options.timeZone || "UTC";
+		formatterFor(timeZone);
+		const given = toTime(options.start, "start");
+		// Without a start, the first occurrence is the next whole second:
+		// one at `now` would already be past and still use up `count`
+		let start = given ?? toTime(now, "now") + SECOND;
+		let until = toTime(options.until, "until");
+		let count = options.count ?? null;
+
+		if (typeof spec === "number") {
+			if (!Number.isInteger(spec) || spec < 1) {
+				throw new RecurrenceError(
+					`Interval must be a whole number of seconds, got ${spec}`
+				);
+			}
+			return new Recurrence({
+				kind: "rrule",
+				rule: parseRRule(`FREQ=SECONDLY;INTERVAL=${spec}`).rule,
+				start: given ?? toTime(now, "now") + spec * SECOND,
+				timeZone,
+				until,
+				count,
+				source: `every ${spec}s`,
+			});
+		}
+
+		if (typeof spec !== "string" || !spec.trim()) {
+			throw new RecurrenceError(
+				`Expected a cron expression, RRULE or interval, got ${spec}`
+			);
+		}
+
+		if (/^(RRULE:|FREQ=|DTSTART)/i.test(spec.trim())) {
+			const parsed = parseRRule(spec, timeZone);
+			timeZone = parsed.timeZone || timeZone;
+			start = parsed.start ?? start;
+			until = [until, parsed.rule.until]
+				.filter((time) => time !== null)
+				.reduce((a, b) => Math.min(a, b), Infinity);
+			count = [count, parsed.rule.count]
+				.filter((value) => value !== null)
+				.reduce((a, b) => Math.min(a, b), Infinity);
+			return new Recurrence({
+				kind: "rrule",
+				rule: parsed.rule,
+				start,
+				timeZone,
+				until: until === Infinity ? null : until,
+				count: count === Infinity ? null : count,
+				source: spec.trim(),
+			});
+		}
+
+		return new Recurrence({
+			kind: "cron",
+			rule: parseCron(spec),
+			start,
+			timeZone,
+			until,
+			count,
+			source: spec.trim(),
+		});
+	}
+
+	/**
+	 * Every occurrence in order, starting at `start`
+	 */
+	*[Symbol.iterator]() {
+		let times;
+		if (this.kind === "cron") {
+			times = cronTimes(this.rule, this.start, this.timeZone);
+		} else if (FREQUENCIES[this.rule.freq]) {
+			times = rruleSubDaily(this.rule, this.start, this.timeZone);
+		} else {
+			times = rruleDailyOrLonger(this.rule, this.start, this.timeZone);
+		}
+
+		let emitted = 0;
+		for (const time of times) {
+			if (
+				(this.count !== null && emitted >= this.count) ||
+				(this.until !== null && time > this.until)
+			) {
+				return;
+			}
+			emitted++;
+			yield time;
+		}
+	}
+
+	/**
+	 * Occurrences at or after `from`, at most `limit` and none after `to`
+	 */
+	between(from, to = Infinity, limit = Infinity) {
+		const times = [];
+		for (const time of this) {
+			if (time > to || times.length >= limit) {
+				break;
+			}
+			if (time >= from) {
+				times.push(time);
+			}
+		}
+		return times;
+	}
+
+	/**
+	 * First occurrence at or after `from`, or null
+	 */
+	next(from = Date.now()) {
+		return this.between(from, Infinity, 1)[0] ?? null;
+	}
+}
+
+/**
+ * Compile a recurrence into what the Flow scheduler runs
+ *
+ * @param {string|number|object|Recurrence} spec - see Recurrence.parse()
+ * @param {object} [options] - Recurrence.parse() options, plus:
+ * @param {string} [options.mode] - auto | cron | one_shot
+ * @param {number} [options.maxOneShots] - most one-shot schedules to return
+ * @param {number} [options.horizonMs] - one-shots are only expanded this far ahead
+ * @returns {object} { mode: "cron", intervalSeconds, baseTimestamp, maxExecutions, ... }
+ *   or { mode: "one_shot", times, complete, resumeAfter, ... }. Only
+ *   occurrences after `now` count, so a rule that has ended compiles to no
+ *   one-shots; maxExecutions is null for endless rules.
+ */
+function compileRecurrence(
+	spec,
+	{
+		mode = MODE.AUTO,
+		maxOneShots = DEFAULT_MAX_ONE_SHOTS,
+		horizonMs = DEFAULT_HORIZON_MS,
+		...options
+	} = {}
+) {
+	if (!Object.values(MODE).includes(mode)) {
+		throw new RecurrenceError(
+			`Unknown mode "${mode}" (expected one of ${Object.values(MODE).join(
+				", "
+			)})`
+		);
+	}
+
+	const now = options.now ?? Date.now();
+	const recurrence = Recurrence.parse(spec, options);
+	const described = {
+		source: recurrence.source,
+		timeZone: recurrence.timeZone,
+	};
+
+	const iterator = recurrence[Symbol.iterator]();
+	const upcoming = () => {
+		for (;;) {
+			const { value, done } = iterator.next();
+			if (done || value > now) {
+				return done ? null : value;
+			}
+		}
+	};
+
+	const first = upcoming();
+	if (first === null) {
+		if (mode === MODE.CRON) {
+			throw new RecurrenceError(
+				`"${recurrence.source}" has no occurrences after ${new Date(
+					now
+				).toISOString()}`
+			);
+		}
+		return {
+			mode: MODE.ONE_SHOT,
+			times: [],
+			complete: true,
+			resumeAfter: null,
+			...described,
+		};
+	}
+
+	const calendar = followsCalendar(recurrence);
+	if (mode === MODE.CRON && calendar) {
+		throw new RecurrenceError(
+			`"${recurrence.source}" follows the calendar (months and leap years differ in length), so it cannot be one cron schedule`
+		);
+	}
+
+	if (mode !== MODE.ONE_SHOT && !calendar) {
+		const sample = [first];
+		let exhausted = false;
+		let uniform = true;
+		while (
+			sample.length < UNIFORMITY_SAMPLE &&
+			(sample.length < 2 || sample[sample.length - 1] <= now + horizonMs)
+		) {
+			const time = upcoming();
+			if (time === null) {
+				exhausted = true;
+				break;
+			}
+			if (
+				sample.length > 1 &&
+				time - sample[sample.length - 1] !== sample[1] - sample[0]
+			) {
+				uniform = false;
+				break;
+			}
+			sample.push(time);
+		}
+
+		if (uniform && sample.length > 1) {
+			const interval = sample[1] - sample[0];
+			let maxExecutions = null;
+			if (exhausted) {
+				maxExecutions = sample.length;
+			} else if (recurrence.until !== null) {
+				maxExecutions =
+					Math.floor((recurrence.until - first) / interval) + 1;
+			} else if (recurrence.count !== null) {
+				maxExecutions =
+					recurrence.count - passedBefore(recurrence, now);
+			}
+			return {
+				mode: MODE.CRON,
+				intervalSeconds: interval / SECOND,
+				baseTimestamp: first,
+				maxExecutions,
+				...described,
+			};
+		}
+		if (mode === MODE.CRON) {
+			throw new RecurrenceError(
+				`"${recurrence.source}" is not evenly spaced${
+					sample.length > 1 ? "" : " (it happens only once)"
+				}, so it cannot be one cron schedule`
+			);
+		}
+	}
+
+	// The first occurrence is kept even when it lies beyond the horizon
+	const until = Math.max(now + horizonMs, first);
+	const times = recurrence.between(first, until, maxOneShots + 1);
+	const complete =
+		times.length <= maxOneShots &&
+		recurrence.between(until + 1, Infinity, 1).length === 0;
+	const kept = times.slice(0, maxOneShots);
+	return {
+		mode: MODE.ONE_SHOT,
+		times: kept,
+		complete,
+		resumeAfter: complete ? null : kept[kept.length - 1],
+		...described,
+	};
+}
+
+/**
+ * Whether a rule is tied to months or years. Such a rule is never evenly
+ * spaced, even when a year of samples looks it: `0 0 1 3 *` is 365 days
+ * apart until a February 29.
+ */
+function followsCalendar({ kind, rule }) {
+	if (kind === "cron") {
+		return rule.days.length < 31 || rule.months.length < 12;
+	}
+	return (
+		rule.freq === "MONTHLY" ||
+		rule.freq === "YEARLY" ||
+		rule.byMonthDay !== null ||
+		rule.byMonth !== null
+	);
+}
+
+function passedBefore(recurrence, now) {
+	let passed = 0;
+	for (const time of recurrence) {
+		if (time > now) {
+			break;
+		}
+		passed++;
+	}
+	return passed;
+}
+
+/**
+ * Arguments for cadence/transactions/ScheduleIncrementInCron.cdc (and
+ * handlers built the same way) from a compiled cron recurrence
+ */
+function cronTransactionArguments(compiled, { priority, executionEffort }) {
+	if (compiled.mode !== MODE.CRON) {
+		throw new RecurrenceError(
+			`Expected a cron recurrence, got ${compiled.mode}`
+		);
+	}
+	return [
+		Cadence.UFix64(`${compiled.intervalSeconds}.0`),
+		Cadence.UInt8(priority),
+		Cadence.UInt64(executionEffort),
+		Cadence.Optional(
+			compiled.maxExecutions === null
+				? null
+				: Cadence.UInt64(compiled.maxExecutions)
+		),
+		Cadence.Optional(
+			Cadence.UFix64(`${Math.floor(compiled.baseTimestamp / SECOND)}.0`)
+		),
+	];
+}
+
+module.exports = {
+	MODE,
+	Recurrence,
+	RecurrenceError,
+	compileRecurrence,
+	cronTransactionArguments,
+	fromWallClock,
+	parseCron,
+	parseICalDateTime,
+	parseRRule,
+	wallClock,
+};
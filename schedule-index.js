@@ -0,0 +1,397 @@
+/**
+ * Schedule Index - One record per payment across EVM and Cadence
+ *
+ * A record starts from whichever side is seen first: the EVM
+ * BridgeCallRequested / ScheduleCreated events of a scheduler contract, or
+ * NativeEVMBridge.EVMScheduleReceived on Flow. The two are linked by the
+ * EVM schedule ID and recipient, so each record carries both IDs. Amounts
+ * are in the record's token (a registry symbol, FLOW unless the schedule
+ * says otherwise).
+ * Persisted to a JSON file; the indexer is its only writer.
+ */
+
+const { JsonStore } = require("./json-store");
+
+const INDEX_VERSION = 1;
+
+const SCHEDULE_STATUS = {
+	REQUESTED: "requested", // On the EVM side, not yet scheduled on Cadence
+	SCHEDULED: "scheduled",
+	EXECUTED: "executed",
+	FAILED: "failed",
+};
+
+const MAX_LIMIT = 1000;
+
+class QueryError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "QueryError";
+	}
+}
+
+function same(a, b) {
+	return (
+		a !== null &&
+		a !== undefined &&
+		b !== null &&
+		b !== undefined &&
+		String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+	);
+}
+
+function toTime(value, name) {
+	if (value === undefined || value === null || value === "") {
+		return null;
+	}
+	const time = /^\d+$/.test(String(value))
+		? Number(value)
+		: Date.parse(value);
+	if (!Number.isFinite(time)) {
+		throw new QueryError(
+			`${name} must be a date or milliseconds, got ${value}`
+		);
+	}
+	return time;
+}
+
+class ScheduleIndex extends JsonStore {
+	constructor(filePath) {
+		super(filePath, { name: "schedule index", version: INDEX_VERSION });
+	}
+
+	static emptyState() {
+		return {
+			version: INDEX_VERSION,
+			evmCheckpoints: {},
+			flowCheckpoint: null,
+			schedules: {},
+		};
+	}
+
+	getEvmCheckpoint(contractAddress) {
+		return this.state.evmCheckpoints[contractAddress.toLowerCase()] ?? null;
+	}
+
+	setEvmCheckpoint(contractAddress, blockNumber) {
+		this.state.evmCheckpoints[contractAddress.toLowerCase()] = blockNumber;
+	}
+
+	getFlowCheckpoint() {
+		return this.state.flowCheckpoint;
+	}
+
+	setFlowCheckpoint(height) {
+		this.state.flowCheckpoint = height;
+	}
+
+	/**
+	 * Record or complete the EVM side of a schedule; BridgeCallRequested
+	 * and ScheduleCreated each carry part of it
+	 *
+	 * @param {object} evm - { contract, contractName, scheduleId, txHash, blockNumber, ... }
+	 * @param {object} fields - recipient, token, amount, delaySeconds, scheduledTime when known
+	 */
+	recordEvm(evm, fields) {
+		const key = `evm:${evm.contract.toLowerCase()}:${evm.scheduleId}`;
+		const record = this.state.schedules[key] || {
+			key,
+			evm: null,
+			cadence: null,
+			recipient: null,
+			token: null,
+			amount: null,
+			delaySeconds: null,
+			scheduledTime: null,
+			status: SCHEDULE_STATUS.REQUESTED,
+			updatedAt: null,
+		};
+
+		record.evm = { ...record.evm, ...withoutNulls(evm) };
+		for (const [field, value] of Object.entries(fields)) {
+			// Cadence's execution time wins over the EVM estimate
+			if (
+				value !== null &&
+				value !== undefined &&
+				!(field === "scheduledTime" && record.cadence)
+			) {
+				record[field] = value;
+			}
+		}
+		record.updatedAt = new Date().toISOString();
+		this.state.schedules[key] = record;
+		this.link(record);
+		return record;
+	}
+
+	/**
+	 * Record NativeEVMBridge.EVMScheduleReceived
+	 *
+	 * @param {object} cadence - { scheduleId, evmScheduleId, txId, blockHeight }
+	 * @param {object} fields - recipient, amount, delaySeconds
+	 */
+	recordCadence(cadence, fields) {
+		const existing = this.findByCadenceId(cadence.scheduleId);
+		const record = existing || {
+			key: `cadence:${cadence.scheduleId}`,
+			evm: null,
+			cadence: null,
+			recipient: null,
+			token: null,
+			amount: null,
+			delaySeconds: null,
+			scheduledTime: null,
+			status: SCHEDULE_STATUS.SCHEDULED,
+			updatedAt: null,
+		};
+
+		record.cadence = { ...record.cadence, ...withoutNulls(cadence) };
+		for (const [field, value] of Object.entries(fields)) {
+			if (
+				value !== null &&
+				value !== undefined &&
+				record[field] === null
+			) {
+				record[field] = value;
+			}
+		}
+		if (record.status === SCHEDULE_STATUS.REQUESTED) {
+			record.status = SCHEDULE_STATUS.SCHEDULED;
+		}
+		record.updatedAt = new Date().toISOString();
+		this.state.schedules[record.key] = record;
+		if (!existing) {
+			this.link(record);
+		}
+		return record;
+	}
+
+	/**
+	 * NativeEVMBridge.DirectScheduleCreated: the exact execution time
+	 */
+	setExecutionTime(cadenceScheduleId, executionTime) {
+		const record = this.findByCadenceId(cadenceScheduleId);
+		if (record) {
+			record.cadence.executionTime = executionTime;
+			record.scheduledTime = executionTime;
+			record.updatedAt = new Date().toISOString();
+		}
+		return record;
+	}
+
+	/**
+	 * NativeEVMBridge.EVMScheduleToken; the EVM side's token, when known,
+	 * is kept
+	 */
+	setPaymentToken(cadenceScheduleId, token) {
+		const record = this.findByCadenceId(cadenceScheduleId);
+		if (record && record.token === null) {
+			record.token = token;
+			record.updatedAt = new Date().toISOString();
+		}
+		return record;
+	}
+
+	/**
+	 * SimpleFlowScheduler.PaymentExecuted. Payments that did not come
+	 * through the bridge are not indexed and are ignored.
+	 */
+	markExecuted(cadenceScheduleId, success, { txId, blockHeight } = {}) {
+		const record = this.findByCadenceId(cadenceScheduleId);
+		if (record) {
+			record.status = success
+				? SCHEDULE_STATUS.EXECUTED
+				: SCHEDULE_STATUS.FAILED;
+			record.cadence.executedTxId = txId || null;
+			record.cadence.executedAtHeight = blockHeight ?? null;
+			record.updatedAt = new Date().toISOString();
+		}
+		return record;
+	}
+
+	/**
+	 * Merge an EVM-only record with its Cadence-only counterpart. Cadence
+	 * events name the EVM schedule ID but not the contract, so the recipient
+	 * must match too; the oldest unlinked candidate wins.
+	 */
+	link(record) {
+		const isEvm = record.evm && !record.cadence;
+		const isCadence = record.cadence && !record.evm;
+		if (!isEvm && !isCadence) {
+			return record;
+		}
+
+		const evmScheduleId = isEvm
+			? String(record.evm.scheduleId)
+			: String(record.cadence.evmScheduleId);
+		const match = Object.values(this.state.schedules).find(
+			(candidate) =>
+				candidate !== record &&
+				(isEvm
+					? candidate.cadence &&
+						!candidate.evm &&
+						String(candidate.cadence.evmScheduleId) ===
+							evmScheduleId
+					: candidate.evm &&
+						!candidate.cadence &&
+						String(candidate.evm.scheduleId) === evmScheduleId) &&
+				same(candidate.recipient, record.recipient)
+		);
+		if (!match) {
+			return record;
+		}
+
+		const [evmRecord, cadenceRecord] = isEvm
+			? [record, match]
+			: [match, record];
+		evmRecord.cadence = cadenceRecord.cadence;
+		evmRecord.amount = evmRecord.amount ?? cadenceRecord.amount;
+		evmRecord.token = evmRecord.token ?? cadenceRecord.token;
+		evmRecord.scheduledTime =
+			cadenceRecord.scheduledTime ?? evmRecord.scheduledTime;
+		evmRecord.status = cadenceRecord.status;
+		evmRecord.updatedAt = new Date().toISOString();
+		delete this.state.schedules[cadenceRecord.key];
+		return evmRecord;
+	}
+
+	get(key) {
+		return this.state.schedules[key] || null;
+	}
+
+	findByCadenceId(cadenceScheduleId) {
+		return (
+			Object.values(this.state.schedules).find(
+				(record) =>
+					record.cadence &&
+					String(record.cadence.scheduleId) ===
+						String(cadenceScheduleId)
+			) || null
+		);
+	}
+
+	/**
+	 * @param {string|number} scheduleId
+	 * @param {string} [contract] - limit to one scheduler contract
+	 */
+	findByEvmId(scheduleId, contract) {
+		return Object.values(this.state.schedules).filter(
+			(record) =>
+				(record.evm &&
+					String(record.evm.scheduleId) === String(scheduleId) &&
+					(!contract || same(record.evm.contract, contract))) ||
+				(!contract &&
+					!record.evm &&
+					String(record.cadence.evmScheduleId) === String(scheduleId))
+		);
+	}
+
+	/**
+	 * @param {object} [filter]
+	 * @param {string} [filter.user] - creator or recipient
+	 * @param {string} [filter.creator] - EVM account that scheduled it
+	 * @param {string} [filter.recipient] - Flow address paid
+	 * @param {string} [filter.token] - token symbol, e.g. USDC
+	 * @param {string|string[]} [filter.status] - comma-separated or a list
+	 * @param {string} [filter.contract]
+	 * @param {string|number} [filter.from] - scheduledTime at or after (ISO or ms)
+	 * @param {string|number} [filter.to] - scheduledTime at or before
+	 * @param {number} [filter.limit] - default 100, at most 1000
+	 * @param {number} [filter.offset]
+	 * @returns {object} { total, schedules } sorted by scheduledTime
+	 */
+	query({
+		user,
+		creator,
+		recipient,
+		token,
+		status,
+		contract,
+		from,
+		to,
+		limit = 100,
+		offset = 0,
+	} = {}) {
+		const statuses = status
+			? (Array.isArray(status) ? status : String(status).split(","))
+					.map((value) => value.trim())
+					.filter(Boolean)
+			: null;
+		for (const value of statuses || []) {
+			if (!Object.values(SCHEDULE_STATUS).includes(value)) {
+				throw new QueryError(
+					`Unknown status "${value}" (expected ${Object.values(
+						SCHEDULE_STATUS
+					).join(", ")})`
+				);
+			}
+		}
+		const fromTime = toTime(from, "from");
+		const toTimeValue = toTime(to, "to");
+		const size = Number(limit);
+		const skip = Number(offset);
+		if (!Number.isInteger(size) || size < 1 || size > MAX_LIMIT) {
+			throw new QueryError(
+				`limit must be 1 to ${MAX_LIMIT}, got ${limit}`
+			);
+		}
+		if (!Number.isInteger(skip) || skip < 0) {
+			throw new QueryError(`offset must be 0 or more, got ${offset}`);
+		}
+
+		const creatorOf = (record) => (record.evm ? record.evm.creator : null);
+		const matches = Object.values(this.state.schedules)
+			.filter(
+				(record) =>
+					(!user ||
+						same(creatorOf(record), user) ||
+						same(record.recipient, user)) &&
+					(!creator || same(creatorOf(record), creator)) &&
+					(!recipient || same(record.recipient, recipient)) &&
+					(!token || same(record.token, token)) &&
+					(!statuses || statuses.includes(record.status)) &&
+					(!contract ||
+						(record.evm && same(record.evm.contract, contract))) &&
+					(fromTime === null ||
+						(record.scheduledTime !== null &&
+							record.scheduledTime >= fromTime)) &&
+					(toTimeValue === null ||
+						(record.scheduledTime !== null &&
+							record.scheduledTime <= toTimeValue))
+			)
+			.sort(
+				(a, b) =>
+					(a.scheduledTime ?? Infinity) -
+						(b.scheduledTime ?? Infinity) ||
+					a.key.localeCompare(b.key)
+			);
+
+		return {
+			total: matches.length,
+			schedules: matches.slice(skip, skip + size),
+		};
+	}
+
+	/**
+	 * Record count per status
+	 */
+	counts() {
+		const counts = Object.fromEntries(
+			Object.values(SCHEDULE_STATUS).map((status) => [status, 0])
+		);
+		for (const record of Object.values(this.state.schedules)) {
+			counts[record.status]++;
+		}
+		return counts;
+	}
+}
+
+function withoutNulls(fields) {
+	return Object.fromEntries(
+		Object.entries(fields).filter(
+			([, value]) => value !== null && value !== undefined
+		)
+	);
+}
+
+module.exports = { QueryError, SCHEDULE_STATUS, ScheduleIndex };
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+/**
+ * Schedule Indexer - One place to ask "what is scheduled for this user"
+ *
+ * Ingests BridgeCallRequested / ScheduleCreated / PaymentTokenSet from the
+ * EVM scheduler contracts and EVMScheduleReceived / DirectScheduleCreated /
+ * EVMScheduleToken (plus SimpleFlowScheduler.PaymentExecuted for the
+ * outcome) from Flow into a ScheduleIndex, and serves it over HTTP:
+ *
+ *   GET /schedules?user=&creator=&recipient=&token=&status=&contract=&from=&to=&limit=&offset=
+ *   GET /schedules/<key>              one record, e.g. evm:0x5fbd...:12
+ *   GET /evm/<scheduleId>[?contract=] records for an EVM schedule ID
+ *   GET /cadence/<scheduleId>         the record for a Cadence schedule ID
+ *   GET /users/<address>/schedules    same as /schedules?user=<address>
+ *   GET /status                       checkpoints and counts per status
+ *
+ * Run it with the bridge's configuration (see bridge-config.js); the
+ * `indexer` section sets the port and CORS origin. EVM logs are read at the
+ * bridge's confirmation depth, so reorgs above it are not handled.
+ */
+
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadBridgeConfig } = require("./bridge-config");
+const { Logger } = require("./bridge-logger");
+const { FlowClient } = require("./flow-client");
+const { QueryError, ScheduleIndex } = require("./schedule-index");
+const { TokenRegistry } = require("./token-registry");
+
+const INDEXER_ABI = [
+	"event BridgeCallRequested(uint256 indexed scheduleId, string recipient, uint256 amount, uint256 delaySeconds, uint256 timestamp, address indexed caller)",
+	"event ScheduleCreated(uint256 indexed scheduleId, address indexed creator, string recipient, uint256 amount, uint256 delaySeconds, bool bridgeTriggered)",
+	"event PaymentTokenSet(uint256 indexed scheduleId, address indexed token)",
+];
+
+// Flow's Access API serves at most 250 blocks per events request
+const FLOW_BLOCK_CHUNK_SIZE = 250;
+
+/**
+ * UFix64 "1700000000.0" (seconds) → ms
+ */
+function ufixSecondsToMs(value) {
+	return Math.round(Number(value) * 1000);
+}
+
+class ScheduleIndexer {
+	/**
+	 * @param {object} options
+	 * @param {ethers.Provider} options.provider
+	 * @param {FlowClient} options.flow - read-only is enough
+	 * @param {object[]} options.contracts - { name, address, startBlock }
+	 * @param {ScheduleIndex} options.index
+	 * @param {TokenRegistry} options.tokens - decimals and symbol of each schedule's token
+	 * @param {number} [options.confirmations]
+	 * @param {number} [options.blockChunkSize] - EVM blocks per eth_getLogs request
+	 * @param {number} [options.startBlockLookback] - EVM blocks to scan on the first run
+	 * @param {number} [options.flowStartLookback] - Flow blocks to scan on the first run
+	 * @param {number} [options.pollIntervalMs]
+	 * @param {Logger} [options.logger]
+	 */
+	constructor({
+		provider,
+		flow,
+		contracts,
+		index,
+		tokens,
+		confirmations = 12,
+		blockChunkSize = 500,
+		startBlockLookback = 100,
+		flowStartLookback = 1000,
+		pollIntervalMs = 3000,
+		logger = new Logger(),
+	}) {
+		this.provider = provider;
+		this.flow = flow;
+		this.index = index;
+		this.tokens = tokens;
+		this.confirmations = confirmations;
+		this.blockChunkSize = blockChunkSize;
+		this.startBlockLookback = startBlockLookback;
+		this.flowStartLookback = flowStartLookback;
+		this.pollIntervalMs = pollIntervalMs;
+		this.log = logger.child({ component: "schedule-indexer" });
+		this.contracts = contracts.map((deployment) => ({
+			...deployment,
+			contract: new ethers.Contract(
+				deployment.address,
+				INDEXER_ABI,
+				provider
+			),
+		}));
+		this.eventTypes = {
+			received: flow.eventType("NativeEVMBridge", "EVMScheduleReceived"),
+			created: flow.eventType("NativeEVMBridge", "DirectScheduleCreated"),
+			token: flow.eventType("NativeEVMBridge", "EVMScheduleToken"),
+			executed: flow.eventType("SimpleFlowScheduler", "PaymentExecuted"),
+		};
+		this.timer = null;
+		this.activePoll = null;
+		this.lastError = null;
+	}
+
+	/**
+	 * Catch up, then poll every pollIntervalMs until stop(). A failed first
+	 * pass is retried with the next poll, so a node hiccup at startup does
+	 * not leave the index frozen.
+	 */
+	async start() {
+		this.index.load();
+		await this.poll().catch(() => {}); // Logged in poll()
+		this.timer = setInterval(() => {
+			this.poll().catch(() => {}); // Logged in poll()
+		}, this.pollIntervalMs);
+	}
+
+	async stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+		await this.activePoll;
+	}
+
+	/**
+	 * One pass over every contract and Flow. Returns the running pass if
+	 * there is one, so passes never overlap.
+	 */
+	poll() {
+		if (!this.activePoll) {
+			this.activePoll = (async () => {
+				try {
+					for (const deployment of this.contracts) {
+						await this.syncEvm(deployment);
+					}
+					await this.syncFlow();
+					this.lastError = null;
+				} catch (error) {
+					this.lastError = error.shortMessage || error.message;
+					this.log.error("Indexing failed, will retry", {
+						error: this.lastError,
+					});
+					throw error;
+				} finally {
+					this.activePoll = null;
+				}
+			})();
+		}
+		return this.activePoll;
+	}
+
+	async syncEvm(deployment) {
+		const confirmed =
+			(await this.provider.getBlockNumber()) - this.confirmations;
+		const checkpoint = this.index.getEvmCheckpoint(deployment.address);
+		const fromBlock =
+			checkpoint !== null
+				? checkpoint + 1
+				: (deployment.startBlock ??
+					Math.max(confirmed - this.startBlockLookback, 0));
+
+		for (
+			let chunkStart = fromBlock;
+			chunkStart <= confirmed;
+			chunkStart += this.blockChunkSize
+		) {
+			const chunkEnd = Math.min(
+				chunkStart + this.blockChunkSize - 1,
+				confirmed
+			);
+			const logs = await deployment.contract.queryFilter(
+				"*",
+				chunkStart,
+				chunkEnd
+			);
+			await this.applyEvmLogs(deployment, logs);
+
+			this.index.setEvmCheckpoint(deployment.address, chunkEnd);
+			this.index.save();
+		}
+	}
+
+	async applyEvmLogs(deployment, logs) {
+		const senders = new Map();
+		// PaymentTokenSet comes first in the transaction that schedules or
+		// re-triggers an ERC-20 payment
+		const paymentTokens = new Map();
+		for (const log of logs) {
+			if (!log.fragment) {
+				continue; // Not an event we index
+			}
+
+			const { scheduleId, recipient, amount, delaySeconds } = log.args;
+			const tokenKey = `${log.transactionHash}-${scheduleId}`;
+			if (log.fragment.name === "PaymentTokenSet") {
+				paymentTokens.set(tokenKey, log.args.token);
+				continue;
+			}
+			const tokenAddress = paymentTokens.get(tokenKey) ?? null;
+			const token = this.tokens.byEvmAddress(tokenAddress);
+			const evm = {
+				contract: deployment.address,
+				contractName: deployment.name,
+				scheduleId: scheduleId.toString(),
+				txHash: log.transactionHash,
+				blockNumber: log.blockNumber,
+			};
+			const fields = {
+				recipient,
+				// An unknown token is kept by address; the bridge rejects it
+				token: token ? token.symbol : tokenAddress,
+				amount: token ? this.toAmount(amount, token) : null,
+				delaySeconds: Number(delaySeconds),
+			};
+
+			if (log.fragment.name === "BridgeCallRequested") {
+				evm.requestedAt = Number(log.args.timestamp) * 1000;
+				fields.scheduledTime =
+					(Number(log.args.timestamp) + Number(delaySeconds)) * 1000;
+			} else if (log.fragment.name === "ScheduleCreated") {
+				evm.amountRaw = amount.toString();
+				// batchSchedulePayments() calls schedulePayment() on itself, so
+				// the contract shows as creator; the account behind it sent the
+				// transaction
+				let creator = log.args.creator;
+				if (ethers.getAddress(creator) === deployment.address) {
+					if (!senders.has(log.transactionHash)) {
+						senders.set(
+							log.transactionHash,
+							(
+								await this.provider.getTransaction(
+									log.transactionHash
+								)
+							).from
+						);
+					}
+					creator = senders.get(log.transactionHash);
+				}
+				evm.creator = creator;
+			} else {
+				continue;
+			}
+
+			this.index.recordEvm(evm, fields);
+		}
+	}
+
+	/**
+	 * Scan sealed Flow blocks since the last sync, oldest first
+	 */
+	async syncFlow() {
+		const sealed = Number((await this.flow.getLatestSealedBlock()).height);
+		const checkpoint = this.index.getFlowCheckpoint();
+		const fromHeight =
+			checkpoint !== null
+				? checkpoint + 1
+				: Math.max(sealed - this.flowStartLookback, 0);
+
+		for (
+			let chunkStart = fromHeight;
+			chunkStart <= sealed;
+			chunkStart += FLOW_BLOCK_CHUNK_SIZE
+		) {
+			const chunkEnd = Math.min(
+				chunkStart + FLOW_BLOCK_CHUNK_SIZE - 1,
+				sealed
+			);
+			const [received, created, tokens, executed] = await Promise.all(
+				[
+					this.eventTypes.received,
+					this.eventTypes.created,
+					this.eventTypes.token,
+					this.eventTypes.executed,
+				].map((type) => this.flow.getEvents(type, chunkStart, chunkEnd))
+			);
+
+			for (const event of received) {
+				this.index.recordCadence(
+					{
+						scheduleId: String(event.data.cadenceScheduleId),
+						evmScheduleId: String(event.data.evmScheduleId),
+						txId: event.transactionId,
+						blockHeight: event.blockHeight,
+					},
+					{
+						recipient: event.data.recipient,
+						amount: event.data.amount,
+						delaySeconds: Math.round(
+							Number(event.data.delaySeconds)
+						),
+					}
+				);
+			}
+			for (const event of created) {
+				this.index.setExecutionTime(
+					String(event.data.cadenceScheduleId),
+					ufixSecondsToMs(event.data.executionTime)
+				);
+			}
+			for (const event of tokens) {
+				const token = this.tokens.byVaultType(event.data.token);
+				this.index.setPaymentToken(
+					String(event.data.cadenceScheduleId),
+					token ? token.symbol : event.data.token
+				);
+			}
+			for (const event of executed) {
+				this.index.markExecuted(
+					String(event.data.id),
+					event.data.success,
+					{
+						txId: event.transactionId,
+						blockHeight: event.blockHeight,
+					}
+				);
+			}
+
+			this.index.setFlowCheckpoint(chunkEnd);
+			this.index.save();
+		}
+	}
+
+	/**
+	 * EVM amount → the UFix64 the bridge schedules, or null if it cannot
+	 * be represented (the bridge rejects those)
+	 */
+	toAmount(amount, token) {
+		try {
+			return this.tokens.toCadenceAmount(token.symbol, amount);
+		} catch {
+			return null;
+		}
+	}
+}
+
+/**
+ * @param {object} options
+ * @param {ScheduleIndex} options.index
+ * @param {ScheduleIndexer} [options.indexer] - for /status
+ * @param {Logger} options.logger
+ * @param {string} [options.corsOrigin] - Access-Control-Allow-Origin, null to omit
+ */
+function createIndexerServer({ index, indexer, logger, corsOrigin = "*" }) {
+	const cors = corsOrigin
+		? {
+				"Access-Control-Allow-Origin": corsOrigin,
+				"Access-Control-Allow-Methods": "GET, OPTIONS",
+			}
+		: {};
+	const send = (response, status, body) =>
+		response
+			.writeHead(status, { ...cors, "Content-Type": "application/json" })
+			.end(JSON.stringify(body, null, 2));
+
+	return http.createServer((request, response) => {
+		const url = new URL(request.url, "http://localhost");
+		const parts = url.pathname
+			.split("/")
+			.filter(Boolean)
+			.map(decodeURIComponent);
+		const query = Object.fromEntries(url.searchParams);
+
+		if (request.method === "OPTIONS") {
+			response.writeHead(204, cors).end();
+			return;
+		}
+		if (request.method !== "GET") {
+			response.writeHead(405, { ...cors, Allow: "GET, OPTIONS" }).end();
+			return;
+		}
+
+		try {
+			if (parts[0] === "schedules" && parts.length === 1) {
+				send(response, 200, index.query(query));
+			} else if (parts[0] === "schedules" && parts.length === 2) {
+				const record = index.get(parts[1]);
+				send(
+					response,
+					record ? 200 : 404,
+					record || { error: `No schedule ${parts[1]}` }
+				);
+			} else if (parts[0] === "evm" && parts.length === 2) {
+				send(response, 200, {
+					schedules: index.findByEvmId(parts[1], query.contract),
+				});
+			} else if (parts[0] === "cadence" && parts.length === 2) {
+				const record = index.findByCadenceId(parts[1]);
+				send(
+					response,
+					record ? 200 : 404,
+					record || { error: `No Cadence schedule ${parts[1]}` }
+				);
+			} else if (
+				parts[0] === "users" &&
+				parts[2] === "schedules" &&
+				parts.length === 3
+			) {
+				send(response, 200, index.query({ ...query, user: parts[1] }));
+			} else if (parts[0] === "status" && parts.length === 1) {
+				send(response, 200, {
+					evmCheckpoints: index.state.evmCheckpoints,
+					flowCheckpoint: index.getFlowCheckpoint(),
+					counts: index.counts(),
+					lastError: indexer ? indexer.lastError : null,
+				});
+			} else {
+				send(response, 404, { error: "Not found" });
+			}
+		} catch (error) {
+			if (error instanceof QueryError) {
+				send(response, 400, { error: error.message });
+				return;
+			}
+			logger.error("Indexer API request failed", {
+				path: url.pathname,
+				error,
+			});
+			send(response, 500, { error: error.message });
+		}
+	});
+}
+
+/**
+ * Run with the bridge configuration until SIGINT / SIGTERM
+ */
+async function main() {
+	const config = loadBridgeConfig();
+	const logger = new Logger(config.log);
+	const index = new ScheduleIndex(
+		path.join(config.storeDir, "schedule-index.json")
+	);
+	const indexer = new ScheduleIndexer({
+		provider: new ethers.JsonRpcProvider(config.rpcUrl),
+		flow: FlowClient.fromFlowJson({
+			network: config.flow.network,
+			accessNode: config.flow.accessApi,
+			flowJsonPath: config.flowJsonPath,
+		}),
+		contracts: config.contracts,
+		index,
+		tokens: TokenRegistry.load(config.tokensFile, {
+			network: config.flow.network,
+			flowJsonPath: config.flowJsonPath,
+			nativeDecimals: config.evmAmountDecimals,
+		}),
+		confirmations: config.confirmations,
+		blockChunkSize: config.blockChunkSize,
+		startBlockLookback: config.startBlockLookback,
+		flowStartLookback: config.indexer.flowStartLookback,
+		pollIntervalMs: config.pollIntervalMs,
+		logger,
+	});
+	const server = createIndexerServer({
+		index,
+		indexer,
+		logger,
+		corsOrigin: config.indexer.corsOrigin,
+	});
+
+	const shutdown = (signal) => {
+		logger.info("Shutdown requested", { signal });
+		server.close();
+		indexer.stop().catch(() => {});
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+
+	// Serve what is indexed so far while catching up
+	index.load();
+	await new Promise((resolve) =>
+		server.listen(config.indexer.port, config.indexer.host, resolve)
+	);
+	logger.info("Schedule API listening", {
+		host: config.indexer.host,
+		port: config.indexer.port,
+	});
+	await indexer.start();
+}
+
+module.exports = { INDEXER_ABI, ScheduleIndexer, createIndexerServer };
+
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(`❌ ${error.message}`);
+		process.exitCode = 1;
+	});
+}
@@ -0,0 +1,325 @@
+/**
+ * Schedule Plans - Proposal stage between the AI and the chain
+ *
+ * AI output is saved as a pending plan: each operation is checked against a
+ * policy and diffed against what is already scheduled. A person approves or
+ * rejects items (see ai-plans.js) and only approved items are submitted.
+ * Persists to a local JSON file shared by the scheduler and the CLI.
+ */
+
+const crypto = require("crypto");
+const { toRaw } = require("./bridge-conversion");
+const { JsonStore } = require("./json-store");
+
+const DEFAULT_PLANS_FILE = ".ai-plans/plans.json";
+
+const PLAN_STATUS = {
+	PENDING: "pending", // Some items still await a decision
+	APPROVED: "approved", // Decided, approved items not yet submitted
+	REJECTED: "rejected", // Every item rejected
+	SUBMITTED: "submitted", // Every approved item went to Flow
+};
+
+const DECISION = {
+	PENDING: "pending",
+	APPROVED: "approved",
+	REJECTED: "rejected",
+};
+
+const SUBMISSION_STATUS = {
+	SUBMITTING: "submitting", // In flight; if it stays here, check Flow before retrying
+	SCHEDULED: "scheduled",
+	FAILED: "failed",
+};
+
+const CHANGE = {
+	ADDED: "added", // Nothing of this type and asset is scheduled yet
+	CHANGED: "changed", // Same type and asset scheduled with other values
+	UNCHANGED: "unchanged", // Identical operation already scheduled
+};
+
+/**
+ * `maxAmount` is one UFix64 limit for every operation, or asset → limit
+ * with "*" as the fallback. null disables a check.
+ */
+const DEFAULT_POLICY = {
+	allowedTypes: null,
+	allowedAssets: null,
+	maxAmount: null,
+	minLeadTimeSeconds: 300,
+};
+
+const STORE_VERSION = 1;
+
+class PlanError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "PlanError";
+	}
+}
+
+function assetsOf(operation) {
+	return [
+		...(operation.asset ? [operation.asset] : []),
+		...Object.keys(operation.targetAllocation || {}),
+	];
+}
+
+/**
+ * Policy violations for one operation, as readable sentences
+ */
+function checkPolicy(operation, policy, now = Date.now()) {
+	const violations = [];
+
+	if (policy.allowedTypes && !policy.allowedTypes.includes(operation.type)) {
+		violations.push(`operation type ${operation.type} is not allowed`);
+	}
+
+	if (policy.allowedAssets) {
+		for (const asset of assetsOf(operation)) {
+			if (!policy.allowedAssets.includes(asset)) {
+				violations.push(`asset ${asset} is not allowed`);
+			}
+		}
+	}
+
+	if (policy.maxAmount && operation.amount) {
+		const limit =
+			typeof policy.maxAmount === "object"
+				? (policy.maxAmount[operation.asset] ?? policy.maxAmount["*"])
+				: policy.maxAmount;
+		if (limit !== undefined && toRaw(operation.amount) > toRaw(limit)) {
+			violations.push(
+				`amount ${operation.amount}${
+					operation.asset ? ` ${operation.asset}` : ""
+				} exceeds the limit of ${limit}`
+			);
+		}
+	}
+
+	if (policy.minLeadTimeSeconds) {
+		const leadSeconds = Math.floor((operation.scheduledTime - now) / 1000);
+		if (leadSeconds < policy.minLeadTimeSeconds) {
+			violations.push(
+				`scheduled ${leadSeconds}s ahead, the minimum lead time is ${policy.minLeadTimeSeconds}s`
+			);
+		}
+	}
+
+	return violations;
+}
+
+function sameOperation(a, b) {
+	return (
+		a.scheduledTime === b.scheduledTime &&
+		(a.amount || null) === (b.amount || null) &&
+		JSON.stringify(a.recurrence || null) ===
+			JSON.stringify(b.recurrence || null) &&
+		JSON.stringify(a.targetAllocation || null) ===
+			JSON.stringify(b.targetAllocation || null)
+	);
+}
+
+/**
+ * Compare a proposed operation with the schedules already on Flow that
+ * share its type and asset
+ */
+function diffOperation(operation, scheduled) {
+	const previous = scheduled.filter(
+		(entry) =>
+			entry.operation.type === operation.type &&
+			(entry.operation.asset || null) === (operation.asset || null)
+	);
+
+	if (previous.length === 0) {
+		return { change: CHANGE.ADDED, previous: [] };
+	}
+
+	return {
+		change: previous.some((entry) =>
+			sameOperation(entry.operation, operation)
+		)
+			? CHANGE.UNCHANGED
+			: CHANGE.CHANGED,
+		previous: previous.map((entry) => ({
+			planId: entry.planId,
+			index: entry.index,
+			scheduledTransactionId: entry.scheduledTransactionId,
+			operation: entry.operation,
+		})),
+	};
+}
+
+function planStatus(plan) {
+	const decisions = plan.items.map((item) => item.decision);
+
+	if (decisions.includes(DECISION.PENDING)) {
+		return PLAN_STATUS.PENDING;
+	}
+	if (decisions.every((decision) => decision === DECISION.REJECTED)) {
+		return PLAN_STATUS.REJECTED;
+	}
+	return plan.items.every(
+		(item) =>
+			item.decision !== DECISION.APPROVED ||
+			(item.submission &&
+				item.submission.status === SUBMISSION_STATUS.SCHEDULED)
+	)
+		? PLAN_STATUS.SUBMITTED
+		: PLAN_STATUS.APPROVED;
+}
+
+class PlanStore extends JsonStore {
+	constructor(filePath = DEFAULT_PLANS_FILE) {
+		super(filePath, { name: "plan store", version: STORE_VERSION });
+	}
+
+	static emptyState() {
+		return { version: STORE_VERSION, plans: {}, scheduled: [] };
+	}
+
+	/**
+	 * Save validated operations as a pending plan
+	 *
+	 * @param {object[]} operations - normalized by ai-schedule-schema.js
+	 * @param {object} options
+	 * @param {object} options.policy - checked now and again at submission
+	 * @param {string} [options.source] - where the plan came from, e.g. optimizeYieldFarming
+	 * @param {number} [options.now]
+	 */
+	createPlan(operations, { policy, source = null, now = Date.now() }) {
+		return this.mutate((state) => {
+			const plan = {
+				id: crypto.randomUUID().slice(0, 8),
+				source,
+				policy,
+				createdAt: new Date(now).toISOString(),
+				items: operations.map((operation, index) => ({
+					index,
+					operation,
+					diff: diffOperation(operation, state.scheduled),
+					violations: checkPolicy(operation, policy, now),
+					decision: DECISION.PENDING,
+					decidedBy: null,
+					decidedAt: null,
+					reason: null,
+					submission: null,
+				})),
+			};
+			plan.status = planStatus(plan);
+			state.plans[plan.id] = plan;
+			return plan;
+		});
+	}
+
+	getPlan(planId) {
+		const plan = this.state.plans[planId];
+		if (!plan) {
+			throw new PlanError(`No plan ${planId}`);
+		}
+		return plan;
+	}
+
+	listPlans(statuses = null) {
+		return Object.values(this.state.plans)
+			.filter((plan) => !statuses || statuses.includes(plan.status))
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+	}
+
+	listScheduled() {
+		return this.state.scheduled;
+	}
+
+	/**
+	 * Approve or reject items (all undecided items when `indexes` is empty).
+	 * Items that break the policy can only be rejected.
+	 */
+	decide(planId, indexes, decision, { by = null, reason = null } = {}) {
+		return this.mutate(() => {
+			const plan = this.getPlan(planId);
+			const items =
+				indexes && indexes.length > 0
+					? indexes.map((index) => {
+							const item = plan.items[index];
+							if (!item) {
+								throw new PlanError(
+									`Plan ${planId} has no item ${index}`
+								);
+							}
+							return item;
+						})
+					: plan.items.filter(
+							(item) => item.decision === DECISION.PENDING
+						);
+
+			for (const item of items) {
+				if (item.submission) {
+					throw new PlanError(
+						`Item ${item.index} of plan ${planId} was already submitted`
+					);
+				}
+				if (
+					decision === DECISION.APPROVED &&
+					item.violations.length > 0
+				) {
+					throw new PlanError(
+						`Item ${item.index} of plan ${planId} breaks the policy: ${item.violations.join(
+							"; "
+						)}`
+					);
+				}
+			}
+
+			const decidedAt = new Date().toISOString();
+			for (const item of items) {
+				item.decision = decision;
+				item.decidedBy = by;
+				item.decidedAt = decidedAt;
+				item.reason = reason;
+			}
+			plan.status = planStatus(plan);
+			return plan;
+		});
+	}
+
+	/**
+	 * Record a submission attempt (or its outcome) for one item. Scheduled
+	 * items join the list later plans are diffed against.
+	 */
+	recordSubmission(planId, index, submission) {
+		return this.mutate((state) => {
+			const plan = this.getPlan(planId);
+			const item = plan.items[index];
+			item.submission = {
+				...submission,
+				updatedAt: new Date().toISOString(),
+			};
+
+			if (submission.status === SUBMISSION_STATUS.SCHEDULED) {
+				state.scheduled.push({
+					planId,
+					index,
+					operation: item.operation,
+					flowTxId: submission.flowTxId,
+					scheduledTransactionId: submission.scheduledTransactionId,
+					submittedAt: item.submission.updatedAt,
+				});
+			}
+			plan.status = planStatus(plan);
+			return item;
+		});
+	}
+}
+
+module.exports = {
+	CHANGE,
+	DECISION,
+	DEFAULT_PLANS_FILE,
+	DEFAULT_POLICY,
+	PLAN_STATUS,
+	PlanError,
+	PlanStore,
+	SUBMISSION_STATUS,
+	checkPolicy,
+	diffOperation,
+};
@@ -0,0 +1,309 @@
+/**
+ * Schedule Simulator - Dry-run proposed schedules before they cost anything
+ *
+ * Recurring operations are expanded over a horizon (a month by default)
+ * and every occurrence goes through FlowTransactionScheduler.estimate()
+ * inside one Cadence script, so nothing is scheduled or paid for. The
+ * report lists fees, execution order, conflicts and projected balances.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatUFix64, toRaw } = require("./bridge-conversion");
+const { Cadence } = require("./flow-client");
+
+const SIMULATE_SCRIPT = fs.readFileSync(
+	path.join(__dirname, "cadence/scripts/SimulateSchedule.cdc"),
+	"utf8"
+);
+
+const DEFAULT_HORIZON_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Occurrences per script call, to stay well inside script compute limits
+const SCRIPT_BATCH_SIZE = 100;
+
+const CONFLICT = {
+	ESTIMATE_FAILED: "estimate_failed", // The scheduler would reject the slot
+	SAME_SLOT: "same_slot", // Two operations on one asset too close together
+	INSUFFICIENT_BALANCE: "insufficient_balance", // Projected balance below zero
+};
+
+function formatSigned(raw) {
+	return raw < 0n ? `-${formatUFix64(-raw)}` : formatUFix64(raw);
+}
+
+function assetsOf(occurrence) {
+	const assets = [
+		...(occurrence.asset ? [occurrence.asset] : []),
+		...Object.keys(occurrence.targetAllocation || {}),
+	];
+	// Without an asset, an operation only collides with its own type
+	return assets.length > 0 ? assets : [`type:${occurrence.type}`];
+}
+
+class ScheduleSimulator {
+	/**
+	 * @param {object} options
+	 * @param {FlowClient} options.flow - client for the emulator (no signer needed)
+	 * @param {object} options.operationTypes - type → { priority, executionEffort }
+	 * @param {object} [options.defaultSpec] - for types not in operationTypes
+	 * @param {object} [options.balances] - asset → starting UFix64 balance
+	 * @param {string} [options.feeAsset] - asset scheduling fees are paid in
+	 * @param {number} [options.horizonMs] - how far ahead recurring operations are expanded
+	 * @param {number} [options.conflictWindowSeconds] - operations on one asset closer than this conflict
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		flow,
+		operationTypes,
+		defaultSpec = { priority: 1, executionEffort: 1000 },
+		balances = {},
+		feeAsset = "FLOW",
+		horizonMs = DEFAULT_HORIZON_MS,
+		conflictWindowSeconds = 60,
+		now = Date.now,
+	}) {
+		this.flow = flow;
+		this.operationTypes = operationTypes;
+		this.defaultSpec = defaultSpec;
+		this.balances = balances;
+		this.feeAsset = feeAsset;
+		this.horizonMs = horizonMs;
+		this.conflictWindowSeconds = conflictWindowSeconds;
+		this.now = now;
+	}
+
+	/**
+	 * Every execution in the horizon, in the order the scheduler runs them:
+	 * by time, then priority. One-shots are included even past the horizon.
+	 */
+	expand(operations, until) {
+		const occurrences = [];
+
+		operations.forEach((operation, operationIndex) => {
+			const spec =
+				this.operationTypes[operation.type] || this.defaultSpec;
+			const { recurrence } = operation;
+			let time = operation.scheduledTime;
+
+			for (let occurrence = 1; ; occurrence++) {
+				occurrences.push({
+					operationIndex,
+					occurrence,
+					type: operation.type,
+					asset: operation.asset || null,
+					amount: operation.amount || null,
+					targetAllocation: operation.targetAllocation,
+					time,
+					priority: spec.priority,
+					executionEffort: spec.executionEffort,
+				});
+
+				if (
+					!recurrence ||
+					(recurrence.maxExecutions &&
+						occurrence >= recurrence.maxExecutions)
+				) {
+					break;
+				}
+				time += recurrence.intervalSeconds * 1000;
+				if (time > until) {
+					break;
+				}
+			}
+		});
+
+		return occurrences.sort(
+			(a, b) =>
+				a.time - b.time ||
+				a.priority - b.priority ||
+				a.operationIndex - b.operationIndex
+		);
+	}
+
+	/**
+	 * Run estimate() for each occurrence in the script
+	 */
+	async estimate(occurrences) {
+		for (
+			let start = 0;
+			start < occurrences.length;
+			start += SCRIPT_BATCH_SIZE
+		) {
+			const batch = occurrences.slice(start, start + SCRIPT_BATCH_SIZE);
+			const results = await this.flow.executeScript(SIMULATE_SCRIPT, [
+				Cadence.Array(
+					batch.map((entry) =>
+						Cadence.UFix64(`${Math.floor(entry.time / 1000)}.0`)
+					)
+				),
+				Cadence.Array(
+					batch.map((entry) => Cadence.UInt8(entry.priority))
+				),
+				Cadence.Array(
+					batch.map((entry) => Cadence.UInt64(entry.executionEffort))
+				),
+				Cadence.Array(
+					batch.map((entry) =>
+						Cadence.String(
+							JSON.stringify({
+								type: entry.type,
+								asset: entry.asset,
+								amount: entry.amount,
+							})
+						)
+					)
+				),
+			]);
+
+			batch.forEach((entry, index) => {
+				const result = results[index];
+				entry.fee = result.fee;
+				entry.error = result.accepted
+					? null
+					: result.error || "the scheduler cannot take this slot";
+			});
+		}
+		return occurrences;
+	}
+
+	/**
+	 * @param {object[]} operations - normalized as by ai-schedule-schema.js (ms times, UFix64 amounts)
+	 * @returns {Promise<object>} report: occurrences, fees, conflicts, balances
+	 */
+	async simulate(operations) {
+		const from = this.now();
+		const until = from + this.horizonMs;
+		const occurrences = await this.estimate(this.expand(operations, until));
+
+		const conflicts = [];
+		const feeTotals = { total: 0n, byType: {} };
+		const balances = {};
+		const lowest = {};
+		const reported = new Set();
+
+		for (const [asset, amount] of Object.entries(this.balances)) {
+			balances[asset] = toRaw(amount);
+			lowest[asset] = { amount: balances[asset], at: null };
+		}
+
+		const spend = (asset, raw, entry, index) => {
+			balances[asset] = (balances[asset] ?? 0n) - raw;
+			if (!(asset in this.balances)) {
+				return;
+			}
+			if (balances[asset] < lowest[asset].amount) {
+				lowest[asset] = {
+					amount: balances[asset],
+					at: new Date(entry.time).toISOString(),
+				};
+			}
+			if (balances[asset] < 0n && !reported.has(asset)) {
+				reported.add(asset);
+				conflicts.push({
+					kind: CONFLICT.INSUFFICIENT_BALANCE,
+					time: new Date(entry.time).toISOString(),
+					occurrences: [index],
+					message: `${asset} runs out at ${entry.type} #${
+						entry.occurrence
+					} (${formatSigned(balances[asset])} projected)`,
+				});
+			}
+		};
+
+		occurrences.forEach((entry, index) => {
+			if (entry.error) {
+				conflicts.push({
+					kind: CONFLICT.ESTIMATE_FAILED,
+					time: new Date(entry.time).toISOString(),
+					occurrences: [index],
+					message: `${entry.type} #${entry.occurrence}: ${entry.error}`,
+				});
+				return;
+			}
+
+			const fee = toRaw(entry.fee);
+			feeTotals.total += fee;
+			feeTotals.byType[entry.type] =
+				(feeTotals.byType[entry.type] ?? 0n) + fee;
+			spend(this.feeAsset, fee, entry, index);
+			if (entry.amount && entry.asset) {
+				spend(entry.asset, toRaw(entry.amount), entry, index);
+			}
+
+			// Earlier occurrences are sorted, so only look back within the window
+			for (let other = index - 1; other >= 0; other--) {
+				const previous = occurrences[other];
+				if (
+					entry.time - previous.time >
+					this.conflictWindowSeconds * 1000
+				) {
+					break;
+				}
+				const shared = assetsOf(entry).filter((asset) =>
+					assetsOf(previous).includes(asset)
+				);
+				if (shared.length > 0) {
+					conflicts.push({
+						kind: CONFLICT.SAME_SLOT,
+						time: new Date(entry.time).toISOString(),
+						occurrences: [other, index],
+						message: `${previous.type} #${previous.occurrence} and ${
+							entry.type
+						} #${entry.occurrence} both touch ${shared
+							.join(", ")
+							.replace("type:", "")} within ${
+							this.conflictWindowSeconds
+						}s`,
+					});
+				}
+			}
+		});
+
+		return {
+			from: new Date(from).toISOString(),
+			until: new Date(until).toISOString(),
+			occurrences: occurrences.map((entry, index) => ({
+				order: index,
+				operationIndex: entry.operationIndex,
+				occurrence: entry.occurrence,
+				type: entry.type,
+				asset: entry.asset,
+				amount: entry.amount,
+				time: new Date(entry.time).toISOString(),
+				priority: entry.priority,
+				executionEffort: entry.executionEffort,
+				fee: entry.fee,
+				error: entry.error,
+			})),
+			fees: {
+				asset: this.feeAsset,
+				total: formatUFix64(feeTotals.total),
+				byType: Object.fromEntries(
+					Object.entries(feeTotals.byType).map(([type, raw]) => [
+						type,
+						formatUFix64(raw),
+					])
+				),
+			},
+			conflicts,
+			balances: {
+				start: { ...this.balances },
+				projected: Object.fromEntries(
+					Object.entries(balances).map(([asset, raw]) => [
+						asset,
+						formatSigned(raw),
+					])
+				),
+				lowest: Object.fromEntries(
+					Object.entries(lowest).map(([asset, { amount, at }]) => [
+						asset,
+						{ amount: formatSigned(amount), at },
+					])
+				),
+			},
+		};
+	}
+}
+
+module.exports = { CONFLICT, DEFAULT_HORIZON_MS, ScheduleSimulator };
@@ -0,0 +1,842 @@
+/**
+ * Subscriptions - Track recurring payments and change them after creation
+ *
+ * Each subscription keeps a few charges ahead scheduled as one-shot
+ * scheduled transactions (`lookahead`, 3 by default). sync() tops the
+ * window up as charges run. Pausing, cancelling or changing a subscription
+ * cancels the charges still ahead where the scheduler can cancel, and
+ * schedules new ones from the new terms.
+ *
+ *   const subscriptions = new SubscriptionManager({
+ *       scheduler: new FlowChargeScheduler({ flow }),
+ *   });
+ *   const { id } = await subscriptions.create({ merchant, amount: "9.99", schedule: "FREQ=MONTHLY" });
+ *   await subscriptions.pause(id);
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { formatUFix64, toRaw } = require("./bridge-conversion");
+const { FeeEstimator } = require("./fee-estimator");
+const { Cadence, FlowTransactionError } = require("./flow-client");
+const { JsonStore } = require("./json-store");
+const { Recurrence } = require("./recurrence");
+
+const STORE_VERSION = 1;
+const DEFAULT_SUBSCRIPTIONS_FILE = ".subscriptions/subscriptions.json";
+const DEFAULT_LOOKAHEAD = 3;
+const DEFAULT_UPCOMING_MS = 31 * 24 * 60 * 60 * 1000;
+
+const SCHEDULE_TRANSACTION = fs.readFileSync(
+	path.join(__dirname, "cadence/transactions/ScheduleSubscriptionCharge.cdc"),
+	"utf8"
+);
+const CANCEL_TRANSACTION = fs.readFileSync(
+	path.join(__dirname, "cadence/transactions/CancelManagedTransaction.cdc"),
+	"utf8"
+);
+
+const SUBSCRIPTION_STATUS = {
+	ACTIVE: "active",
+	PAUSED: "paused",
+	CANCELLED: "cancelled",
+	COMPLETED: "completed", // maxPayments reached or the schedule ended
+};
+
+const CHARGE_STATUS = {
+	SCHEDULING: "scheduling", // Sent; may be on-chain, check before retrying
+	SCHEDULED: "scheduled",
+	CANCELLED: "cancelled",
+	FAILED: "failed", // Never scheduled
+};
+
+class SubscriptionError extends Error {
+	constructor(message, { cause } = {}) {
+		super(message, { cause });
+		this.name = "SubscriptionError";
+	}
+}
+
+function normalizeAmount(amount) {
+	const text = String(amount);
+	if (!/^\d+(\.\d{1,8})?$/.test(text) || toRaw(text) === 0n) {
+		throw new SubscriptionError(
+			`amount must be a positive decimal with at most 8 places, got ${amount}`
+		);
+	}
+	return formatUFix64(toRaw(text));
+}
+
+function addAmounts(totals, asset, amount) {
+	totals[asset] = formatUFix64(toRaw(totals[asset] || "0") + toRaw(amount));
+}
+
+/**
+ * Schedules charges with ScheduleSubscriptionCharge.cdc and cancels them
+ * with CancelManagedTransaction.cdc, signing as the payer
+ */
+class FlowChargeScheduler {
+	/**
+	 * @param {object} options
+	 * @param {FlowClient} options.flow - client with the payer as signer
+	 * @param {string} [options.handler] - storage identifier of the charge handler
+	 * @param {number} [options.priority] - 0 High, 1 Medium, 2 Low
+	 * @param {number} [options.executionEffort]
+	 */
+	constructor({
+		flow,
+		handler = "SubscriptionPaymentHandler",
+		priority = 1,
+		executionEffort = 1000,
+	}) {
+		this.flow = flow;
+		this.handler = handler;
+		this.priority = priority;
+		this.executionEffort = executionEffort;
+		this.payer = flow.signer ? flow.signer.address : null;
+		this.fees = new FeeEstimator({ flow });
+	}
+
+	/**
+	 * @param {object} charge - { subscriptionId, sequence, merchant, payer, amount, asset, time }
+	 * @param {object} [options]
+	 * @param {function(object)} [options.onEstimate] - called with the fee breakdown (see fee-estimator.js) before submitting
+	 * @param {function(string)} [options.onSubmitted] - called with the Flow transaction ID once sent
+	 * @returns {Promise<object>} { scheduleId, fee, estimate, txId }
+	 */
+	async schedule(charge, { onEstimate, onSubmitted } = {}) {
+		const timestamp = Cadence.UFix64(`${Math.floor(charge.time / 1000)}.0`);
+		const data = JSON.stringify(charge);
+
+		const estimate = await this.fees.estimate({
+			time: charge.time,
+			priority: this.priority,
+			executionEffort: this.executionEffort,
+			handler: this.handler,
+			data,
+		});
+		if (onEstimate) {
+			onEstimate(estimate);
+		}
+		if (estimate.error) {
+			throw new SubscriptionError(
+				`Fee estimation failed: ${estimate.error}`
+			);
+		}
+
+		const txId = await this.flow.sendTransaction(SCHEDULE_TRANSACTION, [
+			Cadence.String(charge.subscriptionId),
+			timestamp,
+			Cadence.UInt8(this.priority),
+			Cadence.UInt64(this.executionEffort),
+			Cadence.String(this.handler),
+			Cadence.String(data),
+		]);
+		if (onSubmitted) {
+			onSubmitted(txId);
+		}
+
+		const result = await this.flow.waitForSeal(txId);
+		const scheduled = result.events.find((event) =>
+			/\.FlowTransactionScheduler\.Scheduled$/.test(event.type)
+		);
+		if (!scheduled) {
+			throw new SubscriptionError(
+				`Transaction ${txId} sealed without a Scheduled event`
+			);
+		}
+
+		return {
+			scheduleId: scheduled.data.id,
+			fee: estimate.cadenceFee,
+			estimate,
+			txId,
+		};
+	}
+
+	/**
+	 * The refund is what the scheduler's Canceled event reports as returned
+	 * (the manager deposits it back into the payer's FLOW vault), null when
+	 * there is no such event
+	 *
+	 * @param {object} charge - as recorded by the manager, with scheduleId and fee
+	 * @returns {Promise<object>} { refund, txId }
+	 */
+	async cancel(charge) {
+		const txId = await this.flow.sendTransaction(CANCEL_TRANSACTION, [
+			Cadence.UInt64(charge.scheduleId),
+		]);
+		const { events } = await this.flow.waitForSeal(txId);
+		const canceled = events.find((event) =>
+			/\.FlowTransactionScheduler\.(Transaction)?Canceled$/.test(
+				event.type
+			)
+		);
+		const refund = canceled ? (canceled.data.feesReturned ?? null) : null;
+		return { refund, txId };
+	}
+}
+
+/**
+ * Schedules charges through a flowScheduler's schedulePayment() - the EVM
+ * CalendarSchedulerClient, the dry-run recorder or a mock. Those payments
+ * cannot be cancelled, so the manager reports them instead. onEstimate is
+ * passed on; CalendarSchedulerClient calls it with the gas and bridged
+ * Cadence fee before sending.
+ */
+class PaymentCallScheduler {
+	constructor(flowScheduler, { now = Date.now } = {}) {
+		this.flowScheduler = flowScheduler;
+		this.now = now;
+		this.payer = null;
+	}
+
+	async schedule(charge, { onEstimate } = {}) {
+		let estimate = null;
+		const scheduleId = await this.flowScheduler.schedulePayment(
+			charge.merchant,
+			charge.amount,
+			Math.max(0, Math.ceil((charge.time - this.now()) / 1000)),
+			charge.asset,
+			{
+				onEstimate: (breakdown) => {
+					estimate = breakdown;
+					if (onEstimate) {
+						onEstimate(breakdown);
+					}
+				},
+			}
+		);
+		return {
+			scheduleId,
+			fee: estimate ? estimate.cadenceFee : null,
+			estimate,
+			txId: null,
+		};
+	}
+}
+
+/**
+ * Subscriptions and their charges. A null path keeps state in memory
+ * only, for dry runs and demos.
+ */
+class SubscriptionStore extends JsonStore {
+	constructor(filePath = DEFAULT_SUBSCRIPTIONS_FILE) {
+		super(filePath, { name: "subscription store", version: STORE_VERSION });
+	}
+
+	static emptyState() {
+		return { version: STORE_VERSION, subscriptions: {} };
+	}
+}
+
+class SubscriptionManager {
+	/**
+	 * @param {object} options
+	 * @param {object} options.scheduler - schedule(charge, { onEstimate, onSubmitted }) and optionally cancel(charge)
+	 * @param {SubscriptionStore} [options.store]
+	 * @param {number} [options.lookahead] - charges kept scheduled ahead of time
+	 * @param {TokenRegistry} [options.tokens] - when given, assets must be registry tokens
+	 * @param {function(): number} [options.now]
+	 */
+	constructor({
+		scheduler,
+		store = new SubscriptionStore(),
+		lookahead = DEFAULT_LOOKAHEAD,
+		tokens = null,
+		now = Date.now,
+	}) {
+		this.scheduler = scheduler;
+		this.store = store;
+		this.lookahead = lookahead;
+		this.tokens = tokens;
+		this.now = now;
+	}
+
+	/**
+	 * Create a subscription and schedule its first charges
+	 *
+	 * @param {object} terms
+	 * @param {string} terms.merchant - receives the payments
+	 * @param {number|string} terms.amount - per charge
+	 * @param {number|string|object|null} terms.schedule - seconds between charges, a cron
+	 *   expression or RRULE (see recurrence.js), or null for a single charge at `start`
+	 * @param {string} [terms.payer] - defaults to the scheduler's signer
+	 * @param {string} [terms.asset] - token symbol, FLOW by default
+	 * @param {string} [terms.timeZone]
+	 * @param {number} [terms.maxPayments]
+	 * @param {number} [terms.start] - first possible charge, ms; an interval starts one period from now
+	 * @param {string} [terms.description]
+	 * @returns {Promise<object>} the subscription. If a charge cannot be
+	 *   scheduled the subscription is kept, the error thrown and sync() retries.
+	 */
+	async create({
+		merchant,
+		amount,
+		schedule,
+		payer = this.scheduler.payer,
+		asset = "FLOW",
+		timeZone = "UTC",
+		maxPayments = null,
+		start,
+		description = null,
+	}) {
+		if (!merchant) {
+			throw new SubscriptionError("merchant is required");
+		}
+		if (
+			maxPayments !== null &&
+			(!Number.isInteger(maxPayments) || maxPayments < 1)
+		) {
+			throw new SubscriptionError(
+				`maxPayments must be a positive integer, got ${maxPayments}`
+			);
+		}
+
+		const now = this.now();
+		const normalized = normalizeAmount(amount);
+		const subscription = {
+			id: crypto.randomUUID().slice(0, 8),
+			merchant,
+			payer: payer || null,
+			amount: normalized,
+			asset: this.checkAsset(asset, normalized),
+			description,
+			maxPayments,
+			status: SUBSCRIPTION_STATUS.ACTIVE,
+			...this.terms(schedule, timeZone, start, now),
+			charges: [],
+			history: [],
+			createdAt: new Date(now).toISOString(),
+		};
+		logEvent(subscription, "created", now);
+
+		this.store.mutate((state) => {
+			state.subscriptions[subscription.id] = subscription;
+		});
+		await this.fill(subscription.id);
+		return this.get(subscription.id);
+	}
+
+	get(id) {
+		const subscription = this.store.load().state.subscriptions[id];
+		if (!subscription) {
+			throw new SubscriptionError(`No subscription ${id}`);
+		}
+		return subscription;
+	}
+
+	/**
+	 * @param {object} [filter] - { merchant, payer, status }
+	 */
+	list({ merchant, payer, status } = {}) {
+		return Object.values(this.store.load().state.subscriptions).filter(
+			(subscription) =>
+				(!merchant || sameParty(subscription.merchant, merchant)) &&
+				(!payer || sameParty(subscription.payer, payer)) &&
+				(!status || subscription.status === status)
+		);
+	}
+
+	/**
+	 * Stop charging until resume(); charges ahead are cancelled
+	 *
+	 * @returns {Promise<object>} { subscription, cancelled, refunds, uncancellable, failed }
+	 */
+	async pause(id, { reason = null } = {}) {
+		this.requireStatus(id, [SUBSCRIPTION_STATUS.ACTIVE], "pause");
+		const result = await this.cancelUpcoming(id);
+		this.update(id, (subscription, now) => {
+			subscription.status = SUBSCRIPTION_STATUS.PAUSED;
+			logEvent(subscription, "paused", now, { reason });
+		});
+		return { subscription: this.get(id), ...result };
+	}
+
+	/**
+	 * Charge again from the next occurrence; the paused ones are not made up
+	 */
+	async resume(id) {
+		this.requireStatus(id, [SUBSCRIPTION_STATUS.PAUSED], "resume");
+		this.update(id, (subscription, now) => {
+			subscription.status = SUBSCRIPTION_STATUS.ACTIVE;
+			subscription.cursor = Math.max(subscription.cursor, now);
+			logEvent(subscription, "resumed", now);
+		});
+		await this.fill(id);
+		return this.get(id);
+	}
+
+	/**
+	 * End the subscription; charges ahead are cancelled
+	 *
+	 * @returns {Promise<object>} { subscription, cancelled, refunds, uncancellable, failed }
+	 */
+	async cancel(id, { reason = null } = {}) {
+		this.requireStatus(
+			id,
+			[SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAUSED],
+			"cancel"
+		);
+		const result = await this.cancelUpcoming(id);
+		this.update(id, (subscription, now) => {
+			subscription.status = SUBSCRIPTION_STATUS.CANCELLED;
+			logEvent(subscription, "cancelled", now, { reason });
+		});
+		return { subscription: this.get(id), ...result };
+	}
+
+	/**
+	 * Change the amount and/or schedule. Charges ahead are cancelled and
+	 * rescheduled on the new terms; charges already run are kept.
+	 *
+	 * @param {string} id
+	 * @param {object} changes - { amount, schedule, timeZone, start }, as for create()
+	 * @returns {Promise<object>} { subscription, cancelled, refunds, uncancellable, failed }
+	 */
+	async change(id, { amount, schedule, timeZone, start }) {
+		this.requireStatus(
+			id,
+			[SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAUSED],
+			"change"
+		);
+		const newAmount =
+			amount === undefined ? undefined : normalizeAmount(amount);
+		if (newAmount !== undefined) {
+			this.checkAsset(this.get(id).asset, newAmount);
+		}
+		const result = await this.cancelUpcoming(id);
+
+		this.update(id, (subscription, now) => {
+			const before = {
+				amount: subscription.amount,
+				schedule: subscription.schedule,
+				timeZone: subscription.timeZone,
+			};
+			if (newAmount !== undefined) {
+				subscription.amount = newAmount;
+			}
+			if (schedule !== undefined || timeZone !== undefined) {
+				const cursor = subscription.cursor;
+				Object.assign(
+					subscription,
+					this.terms(
+						schedule === undefined
+							? subscription.schedule
+							: schedule,
+						timeZone || subscription.timeZone,
+						start,
+						now
+					)
+				);
+				subscription.cursor = Math.max(subscription.cursor, cursor);
+			}
+			logEvent(subscription, "changed", now, {
+				from: before,
+				to: {
+					amount: subscription.amount,
+					schedule: subscription.schedule,
+					timeZone: subscription.timeZone,
+				},
+			});
+		});
+
+		if (this.get(id).status === SUBSCRIPTION_STATUS.ACTIVE) {
+			await this.fill(id);
+		}
+		return { subscription: this.get(id), ...result };
+	}
+
+	/**
+	 * Top up every active subscription's window of scheduled charges. Run it
+	 * periodically (at least once per charge interval).
+	 *
+	 * @returns {Promise<object[]>} { id, scheduled, error } per active subscription
+	 */
+	async sync() {
+		const results = [];
+		for (const { id } of this.list({
+			status: SUBSCRIPTION_STATUS.ACTIVE,
+		})) {
+			const before = this.get(id).charges.length;
+			try {
+				await this.fill(id);
+				results.push({
+					id,
+					scheduled: this.get(id).charges.length - before,
+					error: null,
+				});
+			} catch (error) {
+				results.push({ id, scheduled: 0, error: error.message });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Charges ahead, scheduled or projected from the schedule, grouped by
+	 * merchant and by payer
+	 *
+	 * @param {object} [options]
+	 * @param {string} [options.merchant]
+	 * @param {string} [options.payer]
+	 * @param {number} [options.until] - projection end, ms (default a month ahead)
+	 * @returns {object} { from, until, charges, byMerchant, byPayer }; groups hold { charges, totals }
+	 */
+	upcomingCharges({ merchant, payer, until } = {}) {
+		const now = this.now();
+		const end = until ?? now + DEFAULT_UPCOMING_MS;
+		const charges = [];
+
+		for (const subscription of this.list({ merchant, payer })) {
+			const base = {
+				subscriptionId: subscription.id,
+				merchant: subscription.merchant,
+				payer: subscription.payer,
+				asset: subscription.asset,
+			};
+			const pending = subscription.charges.filter(
+				(charge) => charge.time > now && isLive(charge)
+			);
+			for (const charge of pending) {
+				if (charge.time <= end) {
+					charges.push({
+						...base,
+						time: charge.time,
+						amount: charge.amount,
+						scheduled: true,
+						scheduleId: charge.scheduleId,
+					});
+				}
+			}
+
+			if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+				continue;
+			}
+			let remaining = remainingCharges(subscription);
+			let cursor = Math.max(subscription.cursor, now);
+			while (remaining > 0) {
+				const time = nextOccurrence(subscription, cursor);
+				if (time === null || time > end) {
+					break;
+				}
+				charges.push({
+					...base,
+					time,
+					amount: subscription.amount,
+					scheduled: false,
+					scheduleId: null,
+				});
+				cursor = time;
+				remaining--;
+			}
+		}
+
+		charges.sort((a, b) => a.time - b.time);
+		return {
+			from: new Date(now).toISOString(),
+			until: new Date(end).toISOString(),
+			charges,
+			byMerchant: groupCharges(charges, "merchant"),
+			byPayer: groupCharges(charges, "payer"),
+		};
+	}
+
+	/**
+	 * Schedule charges until `lookahead` are ahead, maxPayments is reached or
+	 * the schedule ends. Each charge is recorded before it is sent.
+	 */
+	async fill(id) {
+		for (;;) {
+			const now = this.now();
+			const subscription = this.get(id);
+			if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+				return;
+			}
+
+			const ahead = subscription.charges.filter(
+				(charge) => charge.time > now && isLive(charge)
+			).length;
+			const time =
+				remainingCharges(subscription) > 0
+					? nextOccurrence(
+							subscription,
+							Math.max(subscription.cursor, now)
+						)
+					: null;
+
+			if (time === null) {
+				if (ahead === 0 && latestLiveTime(subscription) <= now) {
+					this.update(id, (current, at) => {
+						current.status = SUBSCRIPTION_STATUS.COMPLETED;
+						logEvent(current, "completed", at);
+					});
+				}
+				return;
+			}
+			if (ahead >= this.lookahead) {
+				return;
+			}
+
+			const charge = this.update(id, (current) => {
+				const entry = {
+					sequence: current.charges.length + 1,
+					time,
+					amount: current.amount,
+					status: CHARGE_STATUS.SCHEDULING,
+					scheduleId: null,
+					txId: null,
+					fee: null,
+					refund: null,
+					error: null,
+				};
+				current.charges.push(entry);
+				current.cursor = time;
+				return entry;
+			});
+			await this.scheduleCharge(subscription, charge);
+		}
+	}
+
+	async scheduleCharge(subscription, charge) {
+		const recordCharge = (fields) =>
+			this.update(subscription.id, (current) => {
+				Object.assign(current.charges[charge.sequence - 1], fields);
+			});
+
+		try {
+			const result = await this.scheduler.schedule(
+				{
+					subscriptionId: subscription.id,
+					sequence: charge.sequence,
+					merchant: subscription.merchant,
+					payer: subscription.payer,
+					amount: charge.amount,
+					asset: subscription.asset,
+					time: charge.time,
+				},
+				{
+					onEstimate: (estimate) => recordCharge({ estimate }),
+					onSubmitted: (txId) => recordCharge({ txId }),
+				}
+			);
+			recordCharge({
+				status: CHARGE_STATUS.SCHEDULED,
+				scheduleId: String(result.scheduleId),
+				txId: result.txId,
+				fee: result.fee,
+			});
+		} catch (error) {
+			// Sent but not known to have reverted: it may still be scheduled,
+			// so keep it (and its slot) until someone checks on Flow
+			const sent = this.get(subscription.id).charges[charge.sequence - 1]
+				.txId;
+			const reverted =
+				error instanceof FlowTransactionError &&
+				error.status === "Sealed";
+			this.update(subscription.id, (current) => {
+				const entry = current.charges[charge.sequence - 1];
+				entry.error = error.message;
+				if (!sent || reverted) {
+					entry.status = CHARGE_STATUS.FAILED;
+					// Retry this occurrence on the next fill()
+					current.cursor = charge.time - 1;
+				}
+			});
+			throw new SubscriptionError(
+				`Could not schedule charge ${charge.sequence} of subscription ${subscription.id}: ${error.message}`,
+				{ cause: error }
+			);
+		}
+	}
+
+	/**
+	 * Cancel every charge still ahead. Charges the scheduler cannot cancel,
+	 * and those sent but not confirmed, stay scheduled and are returned as
+	 * uncancellable. A cancel that fails does not stop the others: the
+	 * charge keeps its status, records the error and is returned in `failed`.
+	 * `refunds` only counts fees the scheduler reported returning.
+	 */
+	async cancelUpcoming(id) {
+		const now = this.now();
+		const pending = this.get(id).charges.filter(
+			(charge) => charge.time > now && isLive(charge)
+		);
+		const cancelled = [];
+		const refunds = {};
+		const uncancellable = [];
+		const failed = [];
+
+		for (const charge of pending) {
+			// No receipt is known until the schedule is confirmed
+			if (
+				!this.scheduler.cancel ||
+				charge.status === CHARGE_STATUS.SCHEDULING
+			) {
+				uncancellable.push(charge);
+				continue;
+			}
+			let refund;
+			try {
+				({ refund } = await this.scheduler.cancel(charge));
+			} catch (error) {
+				this.update(id, (current) => {
+					current.charges[charge.sequence - 1].error = error.message;
+				});
+				failed.push({ ...charge, error: error.message });
+				continue;
+			}
+			this.update(id, (current) => {
+				Object.assign(current.charges[charge.sequence - 1], {
+					status: CHARGE_STATUS.CANCELLED,
+					refund,
+				});
+			});
+			cancelled.push({
+				...charge,
+				status: CHARGE_STATUS.CANCELLED,
+				refund,
+			});
+			if (refund) {
+				addAmounts(refunds, "FLOW", refund);
+			}
+		}
+
+		// New charges start after those still scheduled
+		this.update(id, (subscription, at) => {
+			subscription.cursor = Math.max(
+				at,
+				...uncancellable.map((charge) => charge.time),
+				...failed.map((charge) => charge.time)
+			);
+		});
+		return { cancelled, refunds, uncancellable, failed };
+	}
+
+	/**
+	 * Schedule fields for create() and change()
+	 */
+	terms(schedule, timeZone, start, now) {
+		const anchor =
+			start ??
+			(typeof schedule === "number" ? now + schedule * 1000 : now);
+		if (schedule !== null) {
+			// Throws a RecurrenceError for an invalid schedule
+			Recurrence.parse(schedule, { timeZone, start: anchor, now });
+		} else if (!(anchor > now)) {
+			throw new SubscriptionError(
+				"A single charge needs a start in the future"
+			);
+		}
+		return { schedule, timeZone, anchor, cursor: now };
+	}
+
+	/**
+	 * With a token registry, the asset must be one of its tokens and the
+	 * amount representable in that token's decimals
+	 *
+	 * @returns {string} the registry's symbol for the asset
+	 */
+	checkAsset(asset, amount) {
+		if (!this.tokens) {
+			return asset;
+		}
+		try {
+			return this.tokens.parseAmount(asset, amount).token.symbol;
+		} catch (error) {
+			throw new SubscriptionError(`${asset}: ${error.message}`, {
+				cause: error,
+			});
+		}
+	}
+
+	requireStatus(id, statuses, action) {
+		const { status } = this.get(id);
+		if (!statuses.includes(status)) {
+			throw new SubscriptionError(
+				`Cannot ${action} subscription ${id}: it is ${status}`
+			);
+		}
+	}
+
+	update(id, fn) {
+		const now = this.now();
+		return this.store.mutate((state) => {
+			const subscription = state.subscriptions[id];
+			const result = fn(subscription, now);
+			subscription.updatedAt = new Date(now).toISOString();
+			return result;
+		});
+	}
+}
+
+function logEvent(subscription, action, now, details = {}) {
+	subscription.history.push({
+		at: new Date(now).toISOString(),
+		action,
+		...details,
+	});
+}
+
+function isLive(charge) {
+	return (
+		charge.status === CHARGE_STATUS.SCHEDULED ||
+		charge.status === CHARGE_STATUS.SCHEDULING
+	);
+}
+
+function latestLiveTime(subscription) {
+	return Math.max(
+		-Infinity,
+		...subscription.charges.filter(isLive).map((charge) => charge.time)
+	);
+}
+
+function remainingCharges(subscription) {
+	if (subscription.maxPayments === null) {
+		return Infinity;
+	}
+	return (
+		subscription.maxPayments - subscription.charges.filter(isLive).length
+	);
+}
+
+/**
+ * First occurrence strictly after `after`, or null once the schedule ends
+ */
+function nextOccurrence(subscription, after) {
+	if (subscription.schedule === null) {
+		return subscription.anchor > after ? subscription.anchor : null;
+	}
+	return Recurrence.parse(subscription.schedule, {
+		timeZone: subscription.timeZone,
+		start: subscription.anchor,
+	}).next(after + 1);
+}
+
+function sameParty(a, b) {
+	return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function groupCharges(charges, field) {
+	const groups = {};
+	for (const charge of charges) {
+		const key = charge[field] || "unknown";
+		groups[key] = groups[key] || { charges: [], totals: {} };
+		groups[key].charges.push(charge);
+		addAmounts(groups[key].totals, charge.asset, charge.amount);
+	}
+	return groups;
+}
+
+module.exports = {
+	CHARGE_STATUS,
+	DEFAULT_SUBSCRIPTIONS_FILE,
+	FlowChargeScheduler,
+	PaymentCallScheduler,
+	SUBSCRIPTION_STATUS,
+	SubscriptionError,
+	SubscriptionManager,
+	SubscriptionStore,
+};
@@ -0,0 +1,143 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+	BatchError,
+	ROW_STATUS,
+	parsePayroll,
+	validatePayroll,
+} = require("../batch-scheduler");
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+const ALICE = "0x01cf0e2f2f715450";
+const BOB = "0x179b6b1cb6755e31";
+
+function validate(text) {
+	return validatePayroll(parsePayroll(text), { now: NOW });
+}
+
+test("quoted CSV fields keep commas, quotes and newlines", () => {
+	const rows = parsePayroll(
+		[
+			"Recipient,Amount,Delay Seconds,Memo",
+			`${ALICE},"1,000.5",60,"Salary, ""March"""`,
+			`${BOB},2,60,"two`,
+			`lines"`,
+			"",
+		].join("\r\n")
+	);
+	assert.deepEqual(rows, [
+		{
+			line: 2,
+			recipient: ALICE,
+			amount: "1,000.5",
+			delaySeconds: "60",
+			reference: 'Salary, "March"',
+		},
+		{
+			line: 3,
+			recipient: BOB,
+			amount: "2",
+			delaySeconds: "60",
+			reference: "two\r\nlines",
+		},
+	]);
+});
+
+test("malformed CSV is rejected", () => {
+	assert.throws(
+		() => parsePayroll(`recipient,amount\n${ALICE},"1`),
+		/ends inside a quoted field/
+	);
+	assert.throws(() => parsePayroll("to,value\nx,1"), BatchError);
+	assert.throws(() => parsePayroll(" \n\n"), /empty/);
+});
+
+test("JSON payrolls use the same column names", () => {
+	const rows = parsePayroll(
+		JSON.stringify({
+			payments: [{ to: ALICE, amount: "1", delay: 60, bonus: true }],
+		})
+	);
+	assert.deepEqual(rows, [
+		{ line: 1, recipient: ALICE, amount: "1", delaySeconds: 60 },
+	]);
+	assert.throws(() => parsePayroll("{ nope"), /Invalid JSON/);
+	assert.throws(() => parsePayroll('{"rows":[]}'), BatchError);
+});
+
+test("duplicates are invalid after their first row", () => {
+	const rows = validate(
+		[
+			"recipient,amount,delay,reference",
+			`${ALICE},1,60,`,
+			`${ALICE.toUpperCase().replace("0X", "0x")},1.0,60,`,
+			`${ALICE},1,120,`,
+			`${BOB},5,60,emp-7`,
+			`${ALICE},6,90,emp-7`,
+		].join("\n")
+	);
+	assert.deepEqual(
+		rows.map((row) => row.status),
+		[
+			ROW_STATUS.PENDING,
+			ROW_STATUS.INVALID,
+			ROW_STATUS.PENDING,
+			ROW_STATUS.PENDING,
+			ROW_STATUS.INVALID,
+		]
+	);
+	assert.deepEqual(rows[1].errors, [
+		"duplicate of line 2 (same recipient, amount, token and time)",
+	]);
+	assert.match(rows[4].errors[0], /duplicate of line 5 \(reference emp-7\)/);
+});
+
+test("dates must be in the future and exclusive with delays", () => {
+	const rows = validate(
+		[
+			"recipient,amount,delay,date",
+			`${ALICE},1,,2025-01-02T00:00:00Z`,
+			`${ALICE},2,,2024-12-31T00:00:00Z`,
+			`${ALICE},3,,2025-01-01T12:00:00Z`,
+			`${ALICE},4,,next tuesday`,
+			`${ALICE},5,60,2025-01-02T00:00:00Z`,
+			`${ALICE},6,,`,
+			`${ALICE},7,0,`,
+		].join("\n")
+	);
+	assert.equal(rows[0].status, ROW_STATUS.PENDING);
+	assert.equal(rows[0].date, "2025-01-02T00:00:00.000Z");
+	assert.deepEqual(
+		rows.slice(1).map((row) => row.errors),
+		[
+			["date: 2024-12-31T00:00:00Z has passed"],
+			["date: 2025-01-01T12:00:00Z has passed"],
+			['date: "next tuesday" is not an ISO 8601 date'],
+			["needs exactly one of delaySeconds or date"],
+			["needs exactly one of delaySeconds or date"],
+			['delaySeconds: must be a positive integer, got "0"'],
+		]
+	);
+});
+
+test("bad recipients and amounts are reported together", () => {
+	const [row] = validate("recipient,amount,delay\n0x1234,abc,60");
+	assert.equal(row.status, ROW_STATUS.INVALID);
+	assert.equal(row.errors.length, 2);
+	assert.match(row.errors[0], /not a Flow address/);
+	assert.equal(row.recipient, null);
+	assert.equal(row.amountRaw, null);
+});
+
+test("FLOW amounts are converted with the bridge's decimals", () => {
+	const [row] = validatePayroll(
+		[{ line: 1, recipient: ALICE, amount: "1.5", delaySeconds: "60" }],
+		{ amountDecimals: 8, now: NOW }
+	);
+	assert.deepEqual(row.errors, []);
+	assert.equal(row.token, "FLOW");
+	assert.equal(row.tokenAddress, null);
+	assert.equal(row.amountRaw, "150000000");
+	assert.equal(row.delaySeconds, 60);
+});
@@ -0,0 +1,90 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+	ConversionError,
+	formatUFix64,
+	toRaw,
+	toUFix64,
+	toUInt64,
+} = require("../bridge-conversion");
+
+const MAX = "184467440737.09551615";
+const MAX_UINT64 = "18446744073709551615";
+
+test("toUFix64 scales wei down to 8 decimals", () => {
+	assert.equal(toUFix64("amount", "1500000000000000000", 18), "1.5");
+	assert.equal(toUFix64("amount", "10000000000", 18), "0.00000001");
+	assert.equal(toUFix64("amount", 0n, 18), "0.0");
+	assert.equal(toUFix64("amount", "25", 0), "25.0");
+	assert.equal(toUFix64("amount", "1234567", 6), "1.234567");
+});
+
+test("toUFix64 rejects wei it would have to round", () => {
+	for (const wei of ["1", "10000000001", "1500000000000000001"]) {
+		assert.throws(
+			() => toUFix64("amount", wei, 18),
+			(error) =>
+				error instanceof ConversionError &&
+				error.field === "amount" &&
+				/more than 8 decimal places/.test(error.message)
+		);
+	}
+});
+
+test("toUFix64 rejects values above the UFix64 maximum", () => {
+	assert.equal(toUFix64("amount", "18446744073709551615", 8), MAX);
+	assert.equal(toUFix64("amount", "184467440737095516150000000000", 18), MAX);
+	assert.throws(
+		() => toUFix64("amount", "18446744073709551616", 8),
+		/exceeds the UFix64 maximum of 184467440737\.09551615/
+	);
+	assert.throws(
+		() => toUFix64("delaySeconds", "184467440738", 0),
+		/^ConversionError: delaySeconds: /
+	);
+});
+
+test("toUFix64 rejects negative and non-integer input", () => {
+	assert.throws(() => toUFix64("amount", "-1", 18), /must not be negative/);
+	assert.throws(() => toUFix64("amount", "1.5", 18), /not an integer/);
+	assert.throws(() => toUFix64("amount", "abc", 18), ConversionError);
+});
+
+test("toRaw is exact and the inverse of formatUFix64", () => {
+	assert.equal(toRaw("1.5"), 150000000n);
+	assert.equal(toRaw("0.00000001"), 1n);
+	assert.equal(toRaw("7"), 700000000n);
+	assert.equal(toRaw(" 2.10 "), 210000000n);
+	assert.equal(toRaw(MAX), (1n << 64n) - 1n);
+	for (const amount of ["0.0", "1.5", "0.00000001", "10.0", MAX]) {
+		assert.equal(formatUFix64(toRaw(amount)), amount);
+	}
+});
+
+test("toRaw rejects amounts it would round", () => {
+	assert.equal(toRaw("1.500000000"), 150000000n);
+	assert.throws(
+		() => toRaw("1.123456789"),
+		/amount: 1\.123456789 has more than 8 decimal places/
+	);
+	assert.throws(() => toRaw("0.000000001", "fee"), /^ConversionError: fee: /);
+});
+
+test("toRaw rejects overflow and malformed amounts", () => {
+	assert.throws(
+		() => toRaw("184467440737.09551616"),
+		/exceeds the UFix64 maximum/
+	);
+	for (const amount of ["-1", "1e3", ".5", "1.", "abc", ""]) {
+		assert.throws(() => toRaw(amount), ConversionError, amount);
+	}
+});
+
+test("toUInt64 checks the range", () => {
+	assert.equal(toUInt64("scheduleId", "18446744073709551615"), MAX_UINT64);
+	assert.throws(
+		() => toUInt64("scheduleId", "18446744073709551616"),
+		/exceeds the UInt64 maximum/
+	);
+});
@@ -0,0 +1,91 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const { Logger } = require("../bridge-logger");
+const { ConditionEngine, ConditionStore } = require("../condition-engine");
+const { FileFeed } = require("../price-feeds");
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+
+function engineWith(prices, conditions) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "conditions-"));
+	const file = path.join(dir, "prices.json");
+	fs.writeFileSync(file, JSON.stringify({ prices }));
+
+	const scheduled = [];
+	const engine = new ConditionEngine({
+		feeds: new Map([
+			["prices", new FileFeed({ name: "prices", file, now: () => NOW })],
+		]),
+		conditions,
+		scheduler: {
+			async schedule(action) {
+				scheduled.push(action);
+				return { txId: `tx${scheduled.length}` };
+			},
+		},
+		store: new ConditionStore(null),
+		logger: new Logger({ level: "error" }),
+		now: () => NOW,
+	});
+	return { engine, scheduled };
+}
+
+test("a fresh sample older than the window is the current value", async () => {
+	const { engine, scheduled } = engineWith(
+		{
+			"FLOW/USD": [
+				{ at: new Date(NOW - 120000).toISOString(), value: 100 },
+			],
+		},
+		[
+			{
+				id: "crash",
+				when: 'drawdown("FLOW/USD", "1m") <= -0.2',
+				action: { type: "stop_loss" },
+			},
+			{
+				id: "range",
+				when: 'high("FLOW/USD", "1m") - low("FLOW/USD", "1m") > 0',
+				action: { type: "reduce_exposure" },
+			},
+		]
+	);
+
+	const [crash, range] = await engine.poll();
+	assert.equal(crash.error, null);
+	assert.equal(crash.fired, false);
+	assert.deepEqual(crash.values, { 'drawdown("FLOW/USD", 60s)': 0 });
+	assert.equal(range.error, null);
+	assert.equal(range.fired, false);
+	assert.deepEqual(range.values, {
+		'high("FLOW/USD", 60s)': 100,
+		'low("FLOW/USD", 60s)': 100,
+	});
+	assert.deepEqual(scheduled, []);
+});
+
+test("drawdown fires against the high within the window", async () => {
+	const { engine, scheduled } = engineWith(
+		{
+			"FLOW/USD": [
+				{ at: new Date(NOW - 1800000).toISOString(), value: 100 },
+				{ at: new Date(NOW - 60000).toISOString(), value: 75 },
+			],
+		},
+		[
+			{
+				id: "crash",
+				when: 'drawdown("FLOW/USD", "1h") <= -0.2',
+				action: { type: "stop_loss" },
+			},
+		]
+	);
+
+	const [crash] = await engine.poll();
+	assert.equal(crash.fired, true);
+	assert.deepEqual(scheduled, [{ type: "stop_loss" }]);
+});
@@ -0,0 +1,173 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+	FeeEstimateError,
+	FeeEstimator,
+	PRIORITY,
+	describeEstimate,
+	parsePriority,
+	priorityForUrgency,
+} = require("../fee-estimator");
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+
+function flowReturning(result) {
+	const calls = [];
+	return {
+		calls,
+		async executeScript(code, args) {
+			calls.push(args);
+			return result;
+		},
+	};
+}
+
+const evmProvider = {
+	async getFeeData() {
+		return { maxFeePerGas: 2_000_000_000n, gasPrice: 1_000_000_000n };
+	},
+};
+
+test("urgency maps to priority", () => {
+	assert.equal(priorityForUrgency(5), PRIORITY.HIGH);
+	assert.equal(priorityForUrgency(4), PRIORITY.HIGH);
+	assert.equal(priorityForUrgency(3), PRIORITY.MEDIUM);
+	assert.equal(priorityForUrgency(2), PRIORITY.MEDIUM);
+	assert.equal(priorityForUrgency(1), PRIORITY.LOW);
+});
+
+test("gas optimization drops one priority below urgency 5", () => {
+	const optimized = (urgency) =>
+		priorityForUrgency(urgency, { gasOptimization: true });
+	assert.equal(optimized(5), PRIORITY.HIGH);
+	assert.equal(optimized(4), PRIORITY.MEDIUM);
+	assert.equal(optimized(3), PRIORITY.LOW);
+	assert.equal(optimized(2), PRIORITY.LOW);
+	assert.equal(optimized(1), PRIORITY.LOW);
+});
+
+test("urgency outside 1-5 is rejected", () => {
+	for (const urgency of [0, 6, 2.5, "3", null]) {
+		assert.throws(() => priorityForUrgency(urgency), FeeEstimateError);
+	}
+});
+
+test("priorities parse from names and raw values", () => {
+	assert.equal(parsePriority("High"), PRIORITY.HIGH);
+	assert.equal(parsePriority("low"), PRIORITY.LOW);
+	assert.equal(parsePriority("1"), PRIORITY.MEDIUM);
+	assert.equal(parsePriority(0), PRIORITY.HIGH);
+	for (const value of ["urgent", 3, -1, "1.5"]) {
+		assert.throws(() => parsePriority(value), FeeEstimateError);
+	}
+});
+
+test("the estimate adds the Cadence fee and EVM gas", async () => {
+	const flow = flowReturning({
+		flowFee: "0.00200000",
+		timestamp: "1735736400.00000000",
+		error: null,
+	});
+	const estimate = await new FeeEstimator({ flow, evmProvider }).estimate({
+		time: NOW + 3600_000,
+		urgency: 4,
+		gasOptimization: true,
+		executionEffort: 1000,
+		handler: "YieldCompoundHandler",
+		data: { amount: "1.5" },
+		evm: { gas: 100_000 },
+	});
+
+	assert.deepEqual(estimate, {
+		handler: "YieldCompoundHandler",
+		priority: "medium",
+		urgency: 4,
+		executionEffort: 1000,
+		dataSize: 16,
+		scheduledAt: "2025-01-01T13:00:00.000Z",
+		cadenceFee: "0.00200000",
+		evm: {
+			gas: "100000",
+			gasPrice: "2000000000",
+			cost: "0.0002",
+		},
+		total: "0.0022",
+		error: null,
+	});
+	assert.deepEqual(flow.calls[0][1], {
+		type: "UFix64",
+		value: "1735736400.0",
+	});
+	assert.deepEqual(flow.calls[0][2], { type: "UInt8", value: "1" });
+});
+
+test("an explicit priority wins over urgency", async () => {
+	const flow = flowReturning({ flowFee: "0.001", timestamp: "1.0" });
+	const estimate = await new FeeEstimator({ flow }).estimate({
+		time: NOW,
+		priority: "low",
+		urgency: 5,
+		executionEffort: 10,
+	});
+	assert.equal(estimate.priority, "low");
+	assert.equal(estimate.dataSize, 0);
+	assert.equal(estimate.total, "0.001");
+});
+
+test("a slot the scheduler cannot guarantee is an error above Low", async () => {
+	const rejected = { flowFee: "0.001", timestamp: null, error: "slot full" };
+
+	const medium = await new FeeEstimator({
+		flow: flowReturning(rejected),
+	}).estimate({ time: NOW, urgency: 3, executionEffort: 10 });
+	assert.equal(medium.error, "slot full");
+	assert.match(
+		describeEstimate(medium).at(-1),
+		/would reject this: slot full/
+	);
+
+	const low = await new FeeEstimator({
+		flow: flowReturning(rejected),
+	}).estimate({ time: NOW, urgency: 1, executionEffort: 10 });
+	assert.equal(low.error, null);
+});
+
+test("without a Flow client only the EVM leg is priced", async () => {
+	const estimate = await new FeeEstimator({ evmProvider }).estimate({
+		time: NOW,
+		executionEffort: 1000,
+		evm: { gas: 21_000 },
+	});
+	assert.equal(estimate.cadenceFee, null);
+	assert.equal(estimate.total, "0.000042");
+	assert.deepEqual(describeEstimate(estimate), [
+		"⛽ EVM gas 21000 at 2000000000 wei ≈ 0.000042 FLOW",
+		"🧾 Total ≈ 0.000042 FLOW",
+	]);
+
+	await assert.rejects(
+		new FeeEstimator({}).estimate({
+			time: NOW,
+			executionEffort: 1000,
+			evm: { gas: 21_000 },
+		}),
+		/An EVM provider is needed/
+	);
+});
+
+test("bad requests are rejected", async () => {
+	const fees = new FeeEstimator({ flow: flowReturning({}) });
+	await assert.rejects(
+		fees.estimate({ time: NOW, executionEffort: 0 }),
+		FeeEstimateError
+	);
+	await assert.rejects(
+		fees.estimate({ time: "soon", executionEffort: 10 }),
+		FeeEstimateError
+	);
+	await assert.rejects(
+		fees.estimate({ time: NOW, executionEffort: 10, dataSize: -1 }),
+		FeeEstimateError
+	);
+});
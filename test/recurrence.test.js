@@ -0,0 +1,127 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+	MODE,
+	Recurrence,
+	RecurrenceError,
+	compileRecurrence,
+} = require("../recurrence");
+
+const NOW = Date.parse("2025-01-01T12:00:00.250Z");
+const DAY = 86400000;
+
+test("evenly spaced rules compile to one cron schedule", () => {
+	const daily = compileRecurrence("0 9 * * *", { now: NOW });
+	assert.equal(daily.mode, MODE.CRON);
+	assert.equal(daily.intervalSeconds, 86400);
+	assert.equal(daily.baseTimestamp, Date.parse("2025-01-02T09:00:00Z"));
+	assert.equal(daily.maxExecutions, null);
+
+	const hourly = compileRecurrence(3600, { now: NOW, count: 3 });
+	assert.equal(hourly.mode, MODE.CRON);
+	assert.equal(hourly.baseTimestamp, Date.parse("2025-01-01T13:00:00Z"));
+	assert.equal(hourly.maxExecutions, 3);
+});
+
+for (const spec of ["0 0 1 3 *", "@yearly", "FREQ=YEARLY", "0 0 29 2 *"]) {
+	test(`${spec} never becomes a fixed-interval cron`, () => {
+		const compiled = compileRecurrence(spec, {
+			now: NOW,
+			horizonMs: 10 * 366 * DAY,
+		});
+		assert.equal(compiled.mode, MODE.ONE_SHOT);
+		assert.throws(
+			() => compileRecurrence(spec, { now: NOW, mode: MODE.CRON }),
+			RecurrenceError
+		);
+	});
+}
+
+test("yearly dates keep their day across February 29", () => {
+	const { times } = compileRecurrence("0 0 1 3 *", {
+		now: NOW,
+		horizonMs: 5 * 366 * DAY,
+	});
+	assert.deepEqual(
+		times.map((time) => new Date(time).toISOString().slice(0, 10)),
+		["2025-03-01", "2026-03-01", "2027-03-01", "2028-03-01", "2029-03-01"]
+	);
+
+	const leapDays = compileRecurrence("0 0 29 2 *", {
+		now: NOW,
+		horizonMs: 9 * 366 * DAY,
+	});
+	assert.deepEqual(
+		leapDays.times.map((time) => new Date(time).toISOString().slice(0, 10)),
+		["2028-02-29", "2032-02-29"]
+	);
+});
+
+test("monthly rules are one-shots on their calendar dates", () => {
+	const compiled = compileRecurrence("FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3", {
+		now: NOW,
+	});
+	assert.equal(compiled.mode, MODE.ONE_SHOT);
+	assert.equal(compiled.complete, true);
+	assert.deepEqual(
+		compiled.times.map((time) => new Date(time).toISOString().slice(0, 10)),
+		["2025-01-31", "2025-03-31", "2025-05-31"]
+	);
+});
+
+test("wall-clock times that shift with DST are one-shots", () => {
+	const compiled = compileRecurrence("0 9 * * MON", {
+		now: NOW,
+		timeZone: "Europe/Berlin",
+	});
+	assert.equal(compiled.mode, MODE.ONE_SHOT);
+	assert.equal(compiled.times[0], Date.parse("2025-01-06T08:00:00Z"));
+});
+
+test("COUNT is not used up by an occurrence at now without DTSTART", () => {
+	for (const [spec, maxExecutions] of [
+		["FREQ=DAILY;COUNT=3", 3],
+		[{ rrule: "FREQ=WEEKLY", maxExecutions: 4 }, 4],
+		["FREQ=MINUTELY;INTERVAL=90;COUNT=5", 5],
+	]) {
+		const compiled = compileRecurrence(spec, { now: NOW });
+		assert.equal(compiled.mode, MODE.CRON);
+		assert.equal(compiled.maxExecutions, maxExecutions);
+		assert.equal(
+			compiled.baseTimestamp,
+			Date.parse("2025-01-01T12:00:01Z")
+		);
+	}
+
+	const monthly = compileRecurrence("FREQ=MONTHLY;COUNT=3", { now: NOW });
+	assert.equal(monthly.times.length, 3);
+});
+
+test("occurrences before now count against COUNT with an explicit DTSTART", () => {
+	const compiled = compileRecurrence(
+		"DTSTART:20241230T120000Z\nRRULE:FREQ=DAILY;COUNT=5",
+		{ now: NOW }
+	);
+	assert.equal(compiled.mode, MODE.CRON);
+	assert.equal(compiled.baseTimestamp, Date.parse("2025-01-02T12:00:00Z"));
+	assert.equal(compiled.maxExecutions, 2);
+});
+
+test("maxExecutions caps an interval's count", () => {
+	const recurrence = Recurrence.parse(
+		{ intervalSeconds: 60, maxExecutions: 2 },
+		{ now: NOW, count: 5 }
+	);
+	assert.equal(recurrence.count, 2);
+	assert.equal(recurrence.between(NOW).length, 2);
+});
+
+test("a rule that has ended compiles to no one-shots", () => {
+	const compiled = compileRecurrence(
+		"DTSTART:20240101T000000Z\nRRULE:FREQ=DAILY;UNTIL=20240201",
+		{ now: NOW }
+	);
+	assert.deepEqual(compiled.times, []);
+	assert.equal(compiled.complete, true);
+});
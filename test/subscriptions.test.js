@@ -0,0 +1,232 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+	CHARGE_STATUS,
+	SUBSCRIPTION_STATUS,
+	SubscriptionError,
+	SubscriptionManager,
+	SubscriptionStore,
+} = require("../subscriptions");
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+const DAY = 86400000;
+
+function managerWith({ cancel = true, failCancel = [] } = {}) {
+	const clock = { now: NOW };
+	const scheduled = [];
+	const cancelled = [];
+	const scheduler = {
+		payer: "0xpayer",
+		async schedule(charge, { onSubmitted }) {
+			scheduled.push(charge);
+			onSubmitted(`tx${scheduled.length}`);
+			return {
+				scheduleId: scheduled.length,
+				fee: "0.001",
+				txId: `tx${scheduled.length}`,
+			};
+		},
+	};
+	if (cancel) {
+		scheduler.cancel = async (charge) => {
+			if (failCancel.includes(charge.sequence)) {
+				throw new Error(`cannot cancel ${charge.scheduleId}`);
+			}
+			cancelled.push(charge);
+			return { refund: "0.001", txId: `cancel${charge.scheduleId}` };
+		};
+	}
+	const manager = new SubscriptionManager({
+		scheduler,
+		store: new SubscriptionStore(null),
+		now: () => clock.now,
+	});
+	return { manager, clock, scheduled, cancelled };
+}
+
+function statuses(subscription) {
+	return subscription.charges.map((charge) => charge.status);
+}
+
+test("create schedules the charges ahead", async () => {
+	const { manager, scheduled } = managerWith();
+	const subscription = await manager.create({
+		merchant: "0xmerchant",
+		amount: "9.99",
+		schedule: 86400,
+	});
+
+	assert.equal(subscription.status, SUBSCRIPTION_STATUS.ACTIVE);
+	assert.equal(subscription.amount, "9.99");
+	assert.deepEqual(
+		scheduled.map((charge) => charge.time),
+		[NOW + DAY, NOW + 2 * DAY, NOW + 3 * DAY]
+	);
+	assert.deepEqual(statuses(subscription), [
+		CHARGE_STATUS.SCHEDULED,
+		CHARGE_STATUS.SCHEDULED,
+		CHARGE_STATUS.SCHEDULED,
+	]);
+});
+
+test("pause cancels the charges ahead and resume starts from now", async () => {
+	const { manager, clock, scheduled } = managerWith();
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: 86400,
+	});
+
+	const paused = await manager.pause(id, { reason: "holiday" });
+	assert.equal(paused.subscription.status, SUBSCRIPTION_STATUS.PAUSED);
+	assert.equal(paused.cancelled.length, 3);
+	assert.deepEqual(paused.refunds, { FLOW: "0.003" });
+	assert.deepEqual(paused.failed, []);
+	assert.deepEqual(
+		new Set(statuses(paused.subscription)),
+		new Set([CHARGE_STATUS.CANCELLED])
+	);
+	await assert.rejects(manager.pause(id), SubscriptionError);
+
+	clock.now = NOW + 5 * DAY + 1000;
+	const resumed = await manager.resume(id);
+	assert.equal(resumed.status, SUBSCRIPTION_STATUS.ACTIVE);
+	assert.equal(resumed.charges.length, 6);
+	assert.ok(scheduled.slice(3).every((charge) => charge.time > clock.now));
+	assert.deepEqual(
+		resumed.history.map((event) => event.action),
+		["created", "paused", "resumed"]
+	);
+});
+
+test("change reschedules the charges ahead on the new terms", async () => {
+	const { manager, scheduled } = managerWith();
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: 86400,
+	});
+
+	const { subscription, cancelled } = await manager.change(id, {
+		amount: "2.5",
+	});
+	assert.equal(cancelled.length, 3);
+	assert.equal(subscription.amount, "2.5");
+	assert.deepEqual(
+		scheduled.slice(3).map((charge) => [charge.amount, charge.time]),
+		[
+			["2.5", NOW + DAY],
+			["2.5", NOW + 2 * DAY],
+			["2.5", NOW + 3 * DAY],
+		]
+	);
+	assert.deepEqual(subscription.history.at(-1).from, {
+		amount: "1.0",
+		schedule: 86400,
+		timeZone: "UTC",
+	});
+});
+
+test("cancel ends the subscription and nothing can follow", async () => {
+	const { manager } = managerWith();
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: "0 9 * * *",
+	});
+	await manager.pause(id);
+
+	const { subscription } = await manager.cancel(id, { reason: "moved" });
+	assert.equal(subscription.status, SUBSCRIPTION_STATUS.CANCELLED);
+	for (const action of ["pause", "resume", "cancel"]) {
+		await assert.rejects(manager[action](id), SubscriptionError);
+	}
+	await assert.rejects(
+		manager.change(id, { amount: "2" }),
+		SubscriptionError
+	);
+	assert.deepEqual(await manager.sync(), []);
+});
+
+test("a subscription completes after its last payment runs", async () => {
+	const { manager, clock } = managerWith();
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: 86400,
+		maxPayments: 2,
+	});
+	assert.equal(manager.get(id).charges.length, 2);
+
+	await manager.sync();
+	assert.equal(manager.get(id).status, SUBSCRIPTION_STATUS.ACTIVE);
+
+	clock.now = NOW + 2 * DAY;
+	await manager.sync();
+	assert.equal(manager.get(id).status, SUBSCRIPTION_STATUS.COMPLETED);
+});
+
+test("charges the scheduler cannot cancel stay scheduled", async () => {
+	const { manager } = managerWith({ cancel: false });
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: 86400,
+	});
+
+	const { subscription, cancelled, uncancellable } = await manager.pause(id);
+	assert.equal(subscription.status, SUBSCRIPTION_STATUS.PAUSED);
+	assert.equal(cancelled.length, 0);
+	assert.equal(uncancellable.length, 3);
+	assert.equal(subscription.cursor, NOW + 3 * DAY);
+});
+
+test("a failed cancel does not stop the others or the status change", async () => {
+	const { manager, cancelled } = managerWith({ failCancel: [2] });
+	const { id } = await manager.create({
+		merchant: "0xmerchant",
+		amount: "1",
+		schedule: 86400,
+	});
+
+	const result = await manager.cancel(id);
+	assert.equal(result.subscription.status, SUBSCRIPTION_STATUS.CANCELLED);
+	assert.deepEqual(
+		cancelled.map((charge) => charge.sequence),
+		[1, 3]
+	);
+	assert.deepEqual(statuses(result.subscription), [
+		CHARGE_STATUS.CANCELLED,
+		CHARGE_STATUS.SCHEDULED,
+		CHARGE_STATUS.CANCELLED,
+	]);
+	assert.equal(result.failed.length, 1);
+	assert.equal(result.failed[0].sequence, 2);
+	assert.equal(result.failed[0].error, "cannot cancel 2");
+	assert.equal(result.subscription.charges[1].error, "cannot cancel 2");
+	assert.equal(result.subscription.cursor, NOW + 2 * DAY);
+});
+
+test("invalid terms are rejected", async () => {
+	const { manager } = managerWith();
+	await assert.rejects(
+		manager.create({ amount: "1", schedule: 60 }),
+		SubscriptionError
+	);
+	for (const amount of ["0", "-1", "1.123456789", "abc"]) {
+		await assert.rejects(
+			manager.create({ merchant: "0xmerchant", amount, schedule: 60 }),
+			SubscriptionError
+		);
+	}
+	await assert.rejects(
+		manager.create({
+			merchant: "0xmerchant",
+			amount: "1",
+			schedule: 60,
+			maxPayments: 0,
+		}),
+		SubscriptionError
+	);
+});
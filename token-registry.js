@@ -0,0 +1,295 @@
+/**
+ * Token Registry - Which tokens a payment can be made in, and how each
+ * one is represented on both sides of the bridge
+ *
+ * FLOW is built in: native on Flow EVM (no ERC-20 address) and
+ * FlowToken.Vault on Cadence. Other tokens come from a JSON or YAML file
+ * that maps each symbol, per Flow network, to its ERC-20 address and
+ * decimals and to the Cadence vault type the VM bridge gives it:
+ *
+ *   tokens:
+ *     USDC:
+ *       name: USD Coin
+ *       networks:
+ *         testnet:
+ *           evmAddress: "0x..."
+ *           evmDecimals: 6
+ *           vaultType: A.<address>.<Contract>.Vault
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+const { ConversionError, toUFix64 } = require("./bridge-conversion");
+const {
+	DEFAULT_FLOW_JSON,
+	loadFlowJson,
+	resolveContractAddress,
+} = require("./flow-project");
+const { isPlainObject } = require("./json-store");
+
+const NATIVE_SYMBOL = "FLOW";
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.]{0,10}$/;
+const VAULT_TYPE_PATTERN = /^A\.[0-9a-f]{16}\.[A-Za-z_][A-Za-z0-9_]*\.Vault$/;
+
+class TokenError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "TokenError";
+	}
+}
+
+class TokenRegistry {
+	/**
+	 * @param {object} [definitions] - { SYMBOL: { name, networks: { <network>: { evmAddress, evmDecimals, vaultType } } } }
+	 * @param {object} [options]
+	 * @param {string} [options.network] - Flow network; Flow EVM networks share its name
+	 * @param {object} [options.flowJson] - parsed flow.json, to resolve FlowToken
+	 * @param {string} [options.flowJsonPath] - read when flowJson is not given
+	 * @param {number} [options.nativeDecimals] - decimals of native FLOW amounts on EVM (the bridge's evmAmountDecimals)
+	 */
+	constructor(
+		definitions = {},
+		{
+			network = "emulator",
+			flowJson,
+			flowJsonPath = DEFAULT_FLOW_JSON,
+			nativeDecimals = 18,
+		} = {}
+	) {
+		this.network = network;
+		this.tokens = new Map();
+		this.unavailable = new Set();
+
+		let flowTokenAddress;
+		try {
+			flowTokenAddress = resolveContractAddress(
+				flowJson || loadFlowJson(flowJsonPath),
+				"FlowToken",
+				network
+			);
+		} catch (error) {
+			throw new TokenError(`FLOW: ${error.message}`);
+		}
+		this.add({
+			symbol: NATIVE_SYMBOL,
+			name: "Flow",
+			native: true,
+			evmAddress: null,
+			evmDecimals: nativeDecimals,
+			vaultType: `A.${flowTokenAddress.slice(2)}.FlowToken.Vault`,
+		});
+
+		for (const [key, definition] of Object.entries(definitions)) {
+			const symbol = key.toUpperCase();
+			if (!SYMBOL_PATTERN.test(symbol)) {
+				throw new TokenError(
+					`${key}: a symbol is a letter followed by up to 10 letters, digits or dots`
+				);
+			}
+			if (this.tokens.has(symbol)) {
+				throw new TokenError(
+					symbol === NATIVE_SYMBOL
+						? `${symbol} is built in and cannot be redefined`
+						: `${symbol} is defined twice`
+				);
+			}
+			if (
+				!isPlainObject(definition) ||
+				!isPlainObject(definition.networks)
+			) {
+				throw new TokenError(`${symbol}: expected { name, networks }`);
+			}
+
+			const deployment = definition.networks[network];
+			if (!deployment) {
+				this.unavailable.add(symbol);
+				continue;
+			}
+			this.add(
+				validateDeployment(symbol, definition, deployment, network)
+			);
+		}
+	}
+
+	/**
+	 * Read token definitions from a JSON or YAML file; without a file only
+	 * FLOW is known
+	 *
+	 * @param {string} [filePath]
+	 * @param {object} [options] - as for the constructor
+	 */
+	static load(filePath, options = {}) {
+		if (!filePath) {
+			return new TokenRegistry({}, options);
+		}
+
+		let parsed;
+		try {
+			const raw = fs.readFileSync(path.resolve(filePath), "utf8");
+			parsed = /\.ya?ml$/i.test(filePath)
+				? YAML.parse(raw)
+				: JSON.parse(raw);
+		} catch (error) {
+			throw new TokenError(`Cannot read ${filePath}: ${error.message}`);
+		}
+		if (!isPlainObject(parsed) || !isPlainObject(parsed.tokens)) {
+			throw new TokenError(`${filePath}: expected { tokens: { ... } }`);
+		}
+
+		try {
+			return new TokenRegistry(parsed.tokens, options);
+		} catch (error) {
+			throw new TokenError(`${filePath}: ${error.message}`);
+		}
+	}
+
+	add(token) {
+		const evmAddress = token.evmAddress && token.evmAddress.toLowerCase();
+		for (const other of this.tokens.values()) {
+			if (evmAddress && other.evmAddress?.toLowerCase() === evmAddress) {
+				throw new TokenError(
+					`${token.symbol}: ${token.evmAddress} is already ${other.symbol}`
+				);
+			}
+			if (other.vaultType === token.vaultType) {
+				throw new TokenError(
+					`${token.symbol}: ${token.vaultType} is already ${other.symbol}`
+				);
+			}
+		}
+		this.tokens.set(token.symbol, Object.freeze(token));
+	}
+
+	/**
+	 * Every token usable on this network
+	 */
+	list() {
+		return [...this.tokens.values()];
+	}
+
+	has(symbol) {
+		return this.tokens.has(String(symbol).toUpperCase());
+	}
+
+	/**
+	 * @param {string} symbol - case-insensitive
+	 * @returns {object} { symbol, name, native, evmAddress, evmDecimals, vaultType }
+	 */
+	get(symbol) {
+		const key = String(symbol ?? "").toUpperCase();
+		const token = this.tokens.get(key);
+		if (token) {
+			return token;
+		}
+		throw new TokenError(
+			this.unavailable.has(key)
+				? `${key} is not configured on ${this.network}`
+				: `Unknown token "${symbol}" (known: ${[...this.tokens.keys()].join(", ")})`
+		);
+	}
+
+	/**
+	 * The token an EVM schedule pays in; no address (or the zero address)
+	 * is native FLOW
+	 *
+	 * @returns {object|null} null when the address is not registered
+	 */
+	byEvmAddress(address) {
+		if (!address || address === ethers.ZeroAddress) {
+			return this.tokens.get(NATIVE_SYMBOL);
+		}
+		const wanted = String(address).toLowerCase();
+		return (
+			this.list().find(
+				(token) => token.evmAddress?.toLowerCase() === wanted
+			) || null
+		);
+	}
+
+	/**
+	 * @param {string} vaultType - Cadence type identifier, e.g. A.0ae53cb6e3f42a79.FlowToken.Vault
+	 * @returns {object|null}
+	 */
+	byVaultType(vaultType) {
+		return (
+			this.list().find((token) => token.vaultType === vaultType) || null
+		);
+	}
+
+	/**
+	 * Validate a decimal amount for a token
+	 *
+	 * @param {string} symbol
+	 * @param {string|number} amount - e.g. "12.5"
+	 * @returns {object} { token, raw, amount }: raw in the token's EVM units, amount as UFix64
+	 */
+	parseAmount(symbol, amount) {
+		const token = this.get(symbol);
+		const text = String(amount ?? "").trim();
+
+		let raw;
+		try {
+			raw = ethers.parseUnits(text, token.evmDecimals);
+		} catch {
+			throw new ConversionError(
+				"amount",
+				`"${text}" is not a decimal number with at most ${token.evmDecimals} decimal places (${token.symbol})`
+			);
+		}
+
+		// The bridge turns the amount into a UFix64, so check it here
+		const ufix = toUFix64("amount", raw, token.evmDecimals);
+		if (ufix === "0.0") {
+			throw new ConversionError("amount", "must be greater than zero");
+		}
+		return { token, raw, amount: ufix };
+	}
+
+	/**
+	 * @param {string} symbol
+	 * @param {string|bigint} raw - amount in the token's EVM units
+	 * @returns {string} UFix64
+	 */
+	toCadenceAmount(symbol, raw) {
+		return toUFix64("amount", raw, this.get(symbol).evmDecimals);
+	}
+}
+
+function validateDeployment(symbol, definition, deployment, network) {
+	const where = `${symbol}.networks.${network}`;
+	const { evmAddress, evmDecimals, vaultType } = deployment;
+
+	if (
+		typeof evmAddress !== "string" ||
+		!ethers.isAddress(evmAddress) ||
+		evmAddress === ethers.ZeroAddress
+	) {
+		throw new TokenError(
+			`${where}.evmAddress: expected an ERC-20 address, got ${JSON.stringify(evmAddress)}`
+		);
+	}
+	if (!Number.isInteger(evmDecimals) || evmDecimals < 0 || evmDecimals > 36) {
+		throw new TokenError(
+			`${where}.evmDecimals: expected 0 to 36, got ${JSON.stringify(evmDecimals)}`
+		);
+	}
+	if (typeof vaultType !== "string" || !VAULT_TYPE_PATTERN.test(vaultType)) {
+		throw new TokenError(
+			`${where}.vaultType: expected A.<address>.<Contract>.Vault, got ${JSON.stringify(vaultType)}`
+		);
+	}
+
+	return {
+		symbol,
+		name: definition.name || symbol,
+		native: false,
+		evmAddress: ethers.getAddress(evmAddress),
+		evmDecimals,
+		vaultType,
+	};
+}
+
+module.exports = { NATIVE_SYMBOL, TokenError, TokenRegistry };